@@ -0,0 +1,193 @@
+/**
+ * CardCast Collection Module
+ * Tracks which cards the host owns. Search results show an owned count and a
+ * quick + (one near-mint, non-foil English copy); the card preview gets an
+ * editor for the card's stacks (one per condition, finish and language). The
+ * Collection panel imports a CSV. The server keeps the collection (see
+ * src/collection.js); the deck view's Collection panel compares a deck with it.
+ */
+
+// State management for the collection
+let collectionStack = { condition: 'NM', foil: false, language: 'EN' }; // stack the editor adds to
+const COLLECTION_CONDITIONS = ['NM', 'LP', 'MP', 'HP', 'DMG', 'PROXY'];
+
+function stackLabel(stack) {
+    return [stack.condition, stack.foil ? 'Foil' : '', stack.language !== 'EN' ? stack.language : '']
+        .filter(Boolean).join(' · ');
+}
+
+/**
+ * Owned badge and quick-add button for a search result tile
+ */
+window.collectionTileBadge = function(card) {
+    return `
+        <span class="collection-owned ${card.owned || card.proxies ? '' : 'none'}" data-owned-id="${card.id}">${ownedText(card)}</span>
+        <button type="button" class="collection-quick-add" title="Add a copy to your collection"
+                onclick="quickAddToCollection(event, '${card.id}')">+</button>
+    `;
+}
+
+function ownedText(card) {
+    if (!card.owned && !card.proxies) return 'Not owned';
+    return `Owned ${card.owned || 0}${card.proxies ? ` +${card.proxies} proxy` : ''}`;
+}
+
+/**
+ * Render the stacks editor under the card preview
+ */
+window.renderCollectionEditor = function(card) {
+    const editor = document.getElementById('collectionEditor');
+    if (!editor) return;
+    if (!card || !card.id) {
+        editor.innerHTML = '';
+        return;
+    }
+
+    const stacks = card.collection || [];
+    editor.innerHTML = `
+        <div class="collection-editor">
+            <div class="flex items-center justify-between">
+                <span class="text-xs font-semibold opacity-60 uppercase tracking-wider">Collection</span>
+                <span class="text-xs opacity-60">${ownedText(card)}</span>
+            </div>
+            ${stacks.map((stack, i) => `
+                <div class="collection-stack">
+                    <span class="flex-1">${stack.quantity}&times; ${stackLabel(stack)}</span>
+                    <button class="btn btn-xs btn-ghost" onclick="changeStack(${i}, -1)" title="Remove a copy">&minus;</button>
+                    <button class="btn btn-xs btn-ghost" onclick="changeStack(${i}, 1)" title="Add a copy">+</button>
+                </div>
+            `).join('')}
+            <div class="flex items-center gap-1 mt-2">
+                <select id="collectionCondition" class="select select-bordered select-xs" onchange="collectionStack.condition = this.value">
+                    ${COLLECTION_CONDITIONS.map(condition => `<option ${condition === collectionStack.condition ? 'selected' : ''}>${condition}</option>`).join('')}
+                </select>
+                <label class="label cursor-pointer gap-1 p-0">
+                    <input type="checkbox" class="checkbox checkbox-sm" ${collectionStack.foil ? 'checked' : ''}
+                           onchange="collectionStack.foil = this.checked">
+                    <span class="label-text text-xs">Foil</span>
+                </label>
+                <input type="text" class="input input-bordered input-xs w-12 uppercase" maxlength="5" value="${collectionStack.language}"
+                       title="Language (EN, JA, DE, ...)" onchange="collectionStack.language = (this.value.trim() || 'EN').toUpperCase()">
+                <button class="btn btn-xs btn-primary flex-1" onclick="addSelectedToCollection()">Add Copy</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Add one copy of the previewed card in the condition/finish/language picked in the editor
+ */
+window.addSelectedToCollection = function() {
+    if (!selectedCard) return;
+    updateCollection(selectedCard.id, { ...collectionStack, delta: 1 });
+}
+
+window.changeStack = function(index, delta) {
+    const stack = selectedCard && selectedCard.collection && selectedCard.collection[index];
+    if (!stack) return;
+    updateCollection(selectedCard.id, { condition: stack.condition, foil: stack.foil, language: stack.language, delta });
+}
+
+window.quickAddToCollection = function(event, cardId) {
+    event.stopPropagation();
+    updateCollection(cardId, { condition: 'NM', foil: false, language: 'EN', delta: 1 });
+}
+
+async function updateCollection(cardId, change) {
+    if (!currentGame) return;
+    try {
+        const response = await fetch(`/api/collection/${currentGame}/${encodeURIComponent(cardId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(change)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Update failed');
+        applyCardStacks(cardId, result.stacks);
+    } catch (error) {
+        console.error('Error updating collection:', error);
+        showToast(`Could not update the collection: ${error.message}`);
+    }
+}
+
+// Refresh the owned counts shown for a card (preview, editor and search tile).
+function applyCardStacks(cardId, stacks) {
+    const counts = {
+        owned: stacks.filter(stack => stack.condition !== 'PROXY').reduce((n, stack) => n + stack.quantity, 0),
+        proxies: stacks.filter(stack => stack.condition === 'PROXY').reduce((n, stack) => n + stack.quantity, 0)
+    };
+    if (selectedCard && String(selectedCard.id) === String(cardId)) {
+        Object.assign(selectedCard, counts, { collection: stacks });
+        renderCollectionEditor(selectedCard);
+    }
+    const result = (typeof searchResults !== 'undefined' ? searchResults : []).find(card => String(card.id) === String(cardId));
+    if (result) Object.assign(result, counts);
+    document.querySelectorAll('.collection-owned').forEach(badge => {
+        if (badge.dataset.ownedId !== String(cardId)) return;
+        badge.textContent = ownedText(counts);
+        badge.classList.toggle('none', !counts.owned && !counts.proxies);
+    });
+}
+
+/**
+ * Collection panel: totals for the current game and CSV import
+ */
+window.loadCollectionStatus = async function() {
+    const status = document.getElementById('collectionStatus');
+    if (!status) return;
+    if (!currentGame) {
+        status.textContent = 'Select a game to manage its collection';
+        return;
+    }
+    try {
+        const response = await fetch(`/api/collection/${currentGame}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load collection');
+        status.textContent = data.cards
+            ? `${data.copies.toLocaleString()} copies of ${data.cards.toLocaleString()} cards${data.proxies ? `, ${data.proxies} proxies` : ''}`
+            : 'No cards yet. Add them from search or import a CSV.';
+    } catch (error) {
+        console.error('Error loading collection:', error);
+        status.textContent = 'Could not load the collection';
+    }
+}
+
+window.importCollectionFile = async function(file) {
+    if (!file || !currentGame) return;
+    const replace = document.getElementById('collectionReplace');
+    const mode = replace && replace.checked ? '?mode=replace' : '';
+    if (mode && !confirm(`Replace your whole ${getGameConfig(currentGame).name} collection with ${file.name}?`)) return;
+    try {
+        const response = await fetch(`/api/collection/${currentGame}/import${mode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/csv' },
+            body: await file.text()
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Import failed');
+        showToast(`Imported ${result.copies.toLocaleString()} copies from ${file.name}` +
+            (result.unmatchedCount ? ` (${result.unmatchedCount} rows matched no card)` : ''));
+        if (result.unmatchedCount) console.warn('Collection rows with no matching card:', result.unmatched);
+    } catch (error) {
+        console.error('Error importing collection:', error);
+        showToast(`Collection import failed: ${error.message}`);
+    }
+}
+
+window.handleCollectionDrop = function(event) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('dragging');
+    const file = [...(event.dataTransfer.files || [])].find(f => /\.csv$/i.test(f.name));
+    if (file) {
+        importCollectionFile(file);
+    } else {
+        showToast('Drop a .csv collection file');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    socket.on('collection-changed', (data) => {
+        if (data.game === currentGame) loadCollectionStatus();
+        if (typeof refreshDeckCollection === 'function') refreshDeckCollection(data.game);
+    });
+});
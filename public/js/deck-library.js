@@ -0,0 +1,91 @@
+// public/js/deck-library.js - Client for the server-side deck library (/api/decks).
+//
+// Decks used to live in localStorage.savedDecks, so they vanished with the
+// Electron userData folder and never reached a control page opened on another
+// machine. They now live in the server database; every page reads them through
+// here. Decks are the same objects as before plus a numeric library `id`.
+//
+// The first call on a page uploads any library still sitting in this browser's
+// localStorage (once: the key is then renamed to savedDecksBackup), so decks
+// saved by an older version are never lost.
+//
+// The server announces every change with a `decks-changed` { game } socket
+// event (game null = several games); pages re-list on it.
+//
+// Loaded by index.html and the match control pages.
+
+const DeckLibrary = (() => {
+    const LEGACY_KEY = 'savedDecks';
+    const BACKUP_KEY = 'savedDecksBackup';
+    let migration = null;
+
+    async function request(url, options = {}) {
+        const res = await fetch(url, {
+            ...options,
+            headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+        return data;
+    }
+
+    // Upload the old localStorage library. Runs at most once per page load; the
+    // server skips names it already has, so a second browser is harmless too.
+    function migrateLocalDecks() {
+        if (migration) return migration;
+        migration = (async () => {
+            let legacy = null;
+            try { legacy = JSON.parse(localStorage.getItem(LEGACY_KEY) || 'null'); } catch (e) { legacy = null; }
+            if (!legacy || typeof legacy !== 'object' || !Object.keys(legacy).length) return null;
+            try {
+                const result = await request('/api/decks/import', {
+                    method: 'POST',
+                    body: JSON.stringify({ decks: legacy })
+                });
+                localStorage.setItem(BACKUP_KEY, localStorage.getItem(LEGACY_KEY));
+                localStorage.removeItem(LEGACY_KEY);
+                console.log(`Moved saved decks to the server library (${result.imported} imported, ${result.skipped} already there)`);
+                return result;
+            } catch (error) {
+                // Keep the local copy and try again on the next page load.
+                console.error('Could not move saved decks to the server:', error);
+                return null;
+            }
+        })();
+        return migration;
+    }
+
+    return {
+        migrateLocalDecks,
+
+        async list(game) {
+            await migrateLocalDecks();
+            return request(game ? `/api/decks?game=${encodeURIComponent(game)}` : '/api/decks');
+        },
+
+        async get(id) {
+            return request(`/api/decks/${id}`);
+        },
+
+        async create(deck) {
+            return request('/api/decks', { method: 'POST', body: JSON.stringify(deck) });
+        },
+
+        async update(id, deck) {
+            return request(`/api/decks/${id}`, { method: 'PUT', body: JSON.stringify(deck) });
+        },
+
+        async remove(id) {
+            return request(`/api/decks/${id}`, { method: 'DELETE' });
+        },
+
+        // name is optional; the server picks "Name (copy)" by default.
+        async duplicate(id, name) {
+            return request(`/api/decks/${id}/duplicate`, { method: 'POST', body: JSON.stringify(name ? { name } : {}) });
+        }
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.DeckLibrary = DeckLibrary;
+}
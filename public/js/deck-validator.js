@@ -0,0 +1,301 @@
+// public/js/deck-validator.js - Opt-in deck legality checks driven by GAME_REGISTRY.
+//
+// validateDeck(deck, format) reads the game's deck.rules, banlist, formatSets,
+// sections, copies, basics and colorIdentity (declared by its plugin) from the
+// registry and returns every problem it finds as a structured violation,
+// so the deck view (or a script) can list them instead of stopping at the first:
+//
+//   { legal, game, format, violations: [{ rule, severity, message, card?, category?, count?, limit? }] }
+//
+// rule is one of: deck-size, section-size, copy-limit, banned, limited,
+// banned-pair, set-pool, ink-count, leader-color. severity is 'error' (the deck
+// is not legal) or 'warning' (worth a look, e.g. a card with no set on record).
+// legal is true when there are no errors.
+//
+// Checks only use what a saved deck already carries (name, quantity, setCode,
+// number, colors, pitch), so a card missing a field is skipped by the checks that need
+// it rather than failing them.
+//
+// Loaded after game-registry.js in the browser (window.validateDeck); Node can
+// require() it directly.
+
+const DeckValidator = (() => {
+    const registry = (typeof window !== 'undefined' && window.GAME_REGISTRY)
+        ? window
+        : require('./game-registry');
+
+    function quantityOf(card) {
+        return card.quantity || card.count || 1;
+    }
+
+    function sum(cards) {
+        return (cards || []).reduce((n, c) => n + quantityOf(c), 0);
+    }
+
+    // Normalize a registry banlist entry (a plain array of banned names, or an
+    // object with banned/forbidden, restricted/limited, semiLimited, bannedPairs)
+    // to { limits: Map(lowercased name or number -> max copies), pairs }.
+    function readBanlist(entry) {
+        const limits = new Map();
+        const add = (names, max) => (names || []).forEach(name => limits.set(String(name).toLowerCase(), max));
+        if (Array.isArray(entry)) {
+            add(entry, 0);
+            return { limits, pairs: [] };
+        }
+        if (!entry || typeof entry !== 'object') return { limits, pairs: [] };
+        add(entry.banned, 0);
+        add(entry.forbidden, 0);
+        add(entry.restricted, 1);
+        add(entry.limited, 1);
+        add(entry.semiLimited, 2);
+        return { limits, pairs: Array.isArray(entry.bannedPairs) ? entry.bannedPairs : [] };
+    }
+
+    // sections: the cards outside the main deck, with the rules key that caps
+    // them (exact: the section must hold exactly that many; uncapped: the copy
+    // limit does not apply, e.g. Gundam's uniform resource cards).
+    function checkSizes(rules, sides, cats, violations) {
+        const mainCount = Object.keys(cats)
+            .filter(name => !sides[name])
+            .reduce((n, name) => n + sum(cats[name]), 0);
+
+        if (rules.main !== undefined) {
+            const [min, max] = Array.isArray(rules.main)
+                ? rules.main
+                : [rules.main, rules.mainIsMinimum ? Infinity : rules.main];
+            if (mainCount < min || mainCount > max) {
+                const expected = min === max ? `exactly ${min}` : (max === Infinity ? `at least ${min}` : `${min}-${max}`);
+                violations.push({
+                    rule: 'deck-size',
+                    severity: 'error',
+                    message: `Main deck has ${mainCount} cards; it must have ${expected}`,
+                    count: mainCount,
+                    limit: rules.main
+                });
+            }
+        }
+
+        Object.keys(sides).forEach(name => {
+            const { rule, exact } = sides[name];
+            const limit = rules[rule];
+            if (limit === undefined) return;
+            const count = sum(cats[name]);
+            if (exact ? count !== limit : count > limit) {
+                violations.push({
+                    rule: 'section-size',
+                    severity: 'error',
+                    message: exact
+                        ? `${name} has ${count} cards; it must have exactly ${limit}`
+                        : `${name} has ${count} cards; the maximum is ${limit}`,
+                    category: name,
+                    count,
+                    limit
+                });
+            }
+        });
+    }
+
+    // Copy limit and banlist, both counted across every section (a sideboard copy
+    // still counts towards the four). Banned pairs are a warning, not a block.
+    // copies.by 'number' counts per card number (alternate-art printings share a
+    // number; different cards can share a name); copies.perPitch counts each pitch
+    // color as its own card (Flesh and Blood). basics have no copy limit.
+    function checkCopies(deckConfig, cats, banlist, violations) {
+        const rules = deckConfig.rules || {};
+        const sides = deckConfig.sections || {};
+        const copyRule = deckConfig.copies || {};
+        const byNumber = copyRule.by === 'number';
+        const byPitch = !!copyRule.perPitch;
+        const basics = deckConfig.basics;
+        const copies = new Map();
+        Object.keys(cats).forEach(category => cats[category].forEach(card => {
+            if (!card || !card.name) return;
+            let key = byNumber && card.number ? card.number.toUpperCase() : card.name.toLowerCase();
+            if (byPitch && card.pitch != null) key += `|${card.pitch}`;
+            const entry = copies.get(key) || { name: card.name, number: card.number || '', count: 0, uncapped: true };
+            entry.count += quantityOf(card);
+            entry.uncapped = entry.uncapped && !!(sides[category] && sides[category].uncapped);
+            copies.set(key, entry);
+        }));
+
+        copies.forEach(({ name, number, count, uncapped }) => {
+            // Lists may name a card or give its number (One Piece bans by number).
+            let banned = banlist.limits.get(name.toLowerCase());
+            if (banned === undefined && number) banned = banlist.limits.get(number.toLowerCase());
+            if (banned === 0) {
+                violations.push({ rule: 'banned', severity: 'error', message: `${name} is banned`, card: name, count, limit: 0 });
+                return;
+            }
+            if (banned !== undefined && count > banned) {
+                violations.push({
+                    rule: 'limited',
+                    severity: 'error',
+                    message: `${name} is limited to ${banned} (deck has ${count})`,
+                    card: name,
+                    count,
+                    limit: banned
+                });
+                return;
+            }
+            if (rules.copyLimit && count > rules.copyLimit && !uncapped && !(basics && basics.test(name))) {
+                violations.push({
+                    rule: 'copy-limit',
+                    severity: 'error',
+                    message: `${count} copies of ${name}; the maximum is ${rules.copyLimit}`,
+                    card: name,
+                    count,
+                    limit: rules.copyLimit
+                });
+            }
+        });
+
+        const present = new Set([...copies.values()].map(entry => entry.name.toLowerCase()));
+        banlist.pairs.forEach(pair => {
+            if (Array.isArray(pair) && pair.length === 2 && pair.every(name => present.has(String(name).toLowerCase()))) {
+                violations.push({
+                    rule: 'banned-pair',
+                    severity: 'warning',
+                    message: `${pair[0]} and ${pair[1]} cannot be played in the same deck`,
+                    card: pair.join(' + ')
+                });
+            }
+        });
+    }
+
+    function checkSetPool(pool, format, cats, violations) {
+        if (!pool || pool === '*') return;
+        const allowed = new Set(pool.map(code => code.toUpperCase()));
+        const seen = new Set();
+        Object.values(cats).forEach(cards => cards.forEach(card => {
+            if (!card || !card.name || seen.has(card.name)) return;
+            seen.add(card.name);
+            const setCode = (card.setCode || '').toUpperCase();
+            if (!setCode) {
+                violations.push({
+                    rule: 'set-pool',
+                    severity: 'warning',
+                    message: `${card.name} has no set on record; cannot check it against ${format}`,
+                    card: card.name
+                });
+            } else if (!allowed.has(setCode)) {
+                violations.push({
+                    rule: 'set-pool',
+                    severity: 'error',
+                    message: `${card.name} (${setCode}) is not in the ${format} set pool`,
+                    card: card.name
+                });
+            }
+        }));
+    }
+
+    // At most rules.maxInks inks (Lorcana) across the whole deck.
+    function checkInks(rules, cats, violations) {
+        if (!rules.maxInks) return;
+        const inks = new Set();
+        Object.values(cats).forEach(cards => cards.forEach(card => {
+            registry.colorList(card && card.colors).forEach(ink => inks.add(ink));
+        }));
+        if (inks.size > rules.maxInks) {
+            violations.push({
+                rule: 'ink-count',
+                severity: 'error',
+                message: `Deck uses ${inks.size} inks (${[...inks].join(', ')}); the maximum is ${rules.maxInks}`,
+                count: inks.size,
+                limit: rules.maxInks
+            });
+        }
+    }
+
+    // Every card must share a color with the card in the identity category (One
+    // Piece: the Leader, also saved as deck.leader).
+    function checkColorIdentity(deck, identityCategory, cats, violations) {
+        const leaderCard = (cats[identityCategory] || [])[0];
+        const leader = deck.leader || leaderCard;
+        if (!leader) return;
+        const identity = registry.colorList(leader.colors || (leaderCard && leaderCard.colors));
+        if (!identity.length) return;
+        Object.keys(cats).forEach(category => {
+            if (category === identityCategory) return;
+            cats[category].forEach(card => {
+                const colors = registry.colorList(card && card.colors);
+                if (colors.length && !colors.some(color => identity.includes(color))) {
+                    violations.push({
+                        rule: 'leader-color',
+                        severity: 'error',
+                        message: `${card.name} (${colors.join('/')}) does not share a color with ${leader.name} (${identity.join('/')})`,
+                        card: card.name,
+                        category
+                    });
+                }
+            });
+        });
+    }
+
+    // The format to check against: the requested one, else the deck's own when the
+    // game knows it, else the game's first format.
+    function resolveFormat(formats, deck, format) {
+        if (format && formats.includes(format)) return format;
+        if (deck && formats.includes(deck.format)) return deck.format;
+        return formats[0] || null;
+    }
+
+    // Validator options from a format file (GET /api/formats/:game, see
+    // src/format-store.js), so an imported list replaces the registry seed.
+    function optionsFromFormatFile(file) {
+        const options = { formats: [], banlist: {}, formatSets: {} };
+        Object.keys((file && file.formats) || {}).forEach(name => {
+            const format = file.formats[name];
+            options.formats.push(name);
+            options.banlist[name] = {
+                banned: format.banned,
+                limited: format.limited,
+                semiLimited: format.semiLimited,
+                restricted: format.restricted,
+                bannedPairs: format.bannedPairs
+            };
+            options.formatSets[name] = format.sets;
+        });
+        return options;
+    }
+
+    // options.formats / options.banlist / options.formatSets override the registry's
+    // entries for the game (see optionsFromFormatFile).
+    function validateDeck(deck, format, options = {}) {
+        const game = deck && deck.game;
+        const deckConfig = (registry.GAME_REGISTRY[game] && registry.GAME_REGISTRY[game].deck) || null;
+        if (!deckConfig) {
+            return { legal: true, game: game || null, format: format || null, violations: [] };
+        }
+
+        const rules = deckConfig.rules || {};
+        const resolved = resolveFormat(options.formats || deckConfig.formats || [], deck, format);
+        const banlists = options.banlist || deckConfig.banlist || {};
+        const formatSets = options.formatSets || deckConfig.formatSets || {};
+        const cats = registry.getDeckCategories(deck);
+        const violations = [];
+
+        checkSizes(rules, deckConfig.sections || {}, cats, violations);
+        checkCopies(deckConfig, cats, readBanlist(banlists[resolved]), violations);
+        checkSetPool(formatSets[resolved], resolved, cats, violations);
+        checkInks(rules, cats, violations);
+        if (deckConfig.colorIdentity) checkColorIdentity(deck, deckConfig.colorIdentity, cats, violations);
+
+        return {
+            legal: !violations.some(v => v.severity === 'error'),
+            game,
+            format: resolved,
+            violations
+        };
+    }
+
+    return { validateDeck, optionsFromFormatFile };
+})();
+
+if (typeof window !== 'undefined') {
+    window.validateDeck = DeckValidator.validateDeck;
+    window.DeckValidator = DeckValidator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeckValidator;
+}
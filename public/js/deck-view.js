@@ -11,6 +11,13 @@ let editingDeck = null;
 let draggedCard = null;
 let draggedFromCategory = null;
 let draggedFromIndex = null;
+let deckHistory = null; // { revisions, from, to, diff } while the History panel is open
+let deckCollection = null; // /api/decks/:id/collection while the Collection panel is open
+let deckStats = null; // /api/decks/:id/stats while the Stats panel is open
+let deckSampleHand = null; // latest sample-hand-update while the Sample Hand panel is open
+let sampleHandPicks = []; // hand positions picked for a Lorcana alter
+let legalityFormat = null; // format picked in the legality panel (null = the deck's own)
+const formatFiles = {};    // game -> format file from /api/formats/:game
 
 /**
  * Display deck view - main entry point
@@ -18,6 +25,11 @@ let draggedFromIndex = null;
 window.displayDeckView = async function(deck, game) {
     isDeckViewMode = true;
     currentViewedDeck = deck;
+    deckHistory = null;
+    deckCollection = null;
+    deckStats = null;
+    deckSampleHand = null;
+    legalityFormat = null;
     editingDeck = JSON.parse(JSON.stringify(deck)); // Deep copy for editing
     
     // Update UI state
@@ -49,6 +61,24 @@ window.renderDeckView = async function() {
     const totalCards = deckCardCount(deck);
     let deckHTML = buildDeckHeader(deck, totalCards);
 
+    if (deckHistory && !isEditMode) {
+        deckHTML += buildHistorySection();
+    }
+
+    if (deckCollection && !isEditMode) {
+        deckHTML += buildCollectionSection();
+    }
+
+    if (deckStats && !isEditMode) {
+        deckHTML += buildStatsSection();
+    }
+
+    if (deckSampleHand && !isEditMode) {
+        deckHTML += buildSampleHandSection();
+    }
+
+    deckHTML += buildLegalitySection(deck);
+
     if (isEditMode) {
         deckHTML += `
             <div class="edit-mode-indicator">
@@ -112,6 +142,10 @@ function buildDeckHeader(deck, totalCards) {
                 ` : `
                     <button class="btn btn-sm btn-primary" onclick="sendDeckToOverlay()">Send to Overlay</button>
                     <button class="btn btn-sm btn-secondary" onclick="enterEditMode()">Edit Deck</button>
+                    ${deck.id ? `<button class="btn btn-sm btn-ghost" onclick="toggleDeckHistory()">${deckHistory ? 'Hide History' : 'History'}</button>` : ''}
+                    ${deck.id ? `<button class="btn btn-sm btn-ghost" onclick="toggleDeckCollection()">${deckCollection ? 'Hide Collection' : 'Collection'}</button>` : ''}
+                    ${deck.id ? `<button class="btn btn-sm btn-ghost" onclick="toggleDeckStats()">${deckStats ? 'Hide Stats' : 'Stats'}</button>` : ''}
+                    ${deck.id ? `<button class="btn btn-sm btn-ghost" onclick="toggleSampleHand()">${deckSampleHand ? 'Hide Sample Hand' : 'Sample Hand'}</button>` : ''}
                     <button class="btn btn-sm btn-ghost" onclick="exitDeckView()">Close</button>
                 `}
             </div>
@@ -119,6 +153,216 @@ function buildDeckHeader(deck, totalCards) {
     `;
 }
 
+/**
+ * Build the revision history panel: from/to pickers and the per-category diff
+ */
+function buildHistorySection() {
+    const { revisions, from, to, diff } = deckHistory;
+    const options = (selected) => revisions.map(r => `
+        <option value="${r.revision}" ${r.revision === selected ? 'selected' : ''}>
+            Rev ${r.revision} - ${new Date(r.createdAt).toLocaleString()}
+        </option>`).join('');
+
+    let diffHTML = '<p class="opacity-50 text-sm">Only one revision saved so far - edit the deck to start a history.</p>';
+    if (revisions.length > 1 && diff) {
+        diffHTML = diff.categories.length ? diff.categories.map(cat => `
+            <div class="deck-history-category">
+                <div class="deck-section-title">${cat.name}</div>
+                ${cat.added.map(c => `<div class="deck-history-row added">+${c.quantity} ${c.name}</div>`).join('')}
+                ${cat.changed.map(c => `<div class="deck-history-row changed">${c.from} &rarr; ${c.to} ${c.name}</div>`).join('')}
+                ${cat.removed.map(c => `<div class="deck-history-row removed">&minus;${c.quantity} ${c.name}</div>`).join('')}
+            </div>
+        `).join('') : '<p class="opacity-50 text-sm">No changes between these revisions.</p>';
+    }
+
+    return `
+        <div class="deck-history">
+            <div class="flex flex-wrap items-center gap-2 mb-3">
+                <select class="select select-bordered select-sm" id="deckHistoryFrom" onchange="loadDeckDiff()">${options(from)}</select>
+                <span class="opacity-60">&rarr;</span>
+                <select class="select select-bordered select-sm" id="deckHistoryTo" onchange="loadDeckDiff()">${options(to)}</select>
+                ${revisions.length > 1 ? '<button class="btn btn-sm btn-primary ml-auto" onclick="sendDeckDiffToOverlay()">Show Changes on Overlay</button>' : ''}
+            </div>
+            ${diffHTML}
+        </div>
+    `;
+}
+
+/**
+ * Build the collection panel: owned / proxy / missing totals, then the cards the
+ * collection falls short on (proxied or missing copies) per category
+ */
+function buildCollectionSection() {
+    const { totals, categories, complete } = deckCollection;
+    const short = categories
+        .map(cat => ({ name: cat.name, cards: cat.cards.filter(c => c.proxy || c.missing) }))
+        .filter(cat => cat.cards.length);
+
+    return `
+        <div class="deck-collection">
+            <div class="flex flex-wrap items-center gap-3 mb-2 text-sm">
+                <span>Owned ${totals.owned} / ${totals.cards}</span>
+                <span class="deck-collection-row proxy">Proxy ${totals.proxy}</span>
+                <span class="deck-collection-row missing">Missing ${totals.missing}</span>
+            </div>
+            ${complete ? '<p class="opacity-50 text-sm">You own every card in this deck.</p>' : short.map(cat => `
+                <div class="deck-history-category">
+                    <div class="deck-section-title">${cat.name}</div>
+                    ${cat.cards.map(c => `
+                        <div class="deck-collection-row ${c.missing ? 'missing' : 'proxy'}">
+                            ${c.quantity} ${c.name} &middot; ${c.owned} owned${c.proxy ? `, ${c.proxy} proxy` : ''}${c.missing ? `, ${c.missing} missing` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Build the stats panel: cost curve, color and type breakdowns, draw odds and
+ * each card's chance to be in the opening hand
+ */
+function buildStatsSection() {
+    const { curve, colors, types, odds, cards, hand, mainDeck, unresolved } = deckStats;
+    const bars = (rows) => {
+        const max = Math.max(1, ...rows.map(row => row.count));
+        return rows.map(row => `
+            <div class="deck-stats-bar">
+                <span class="deck-stats-bar-name">${row.name}</span>
+                <span class="deck-stats-bar-track"><span style="width: ${Math.round(row.count / max * 100)}%"></span></span>
+                <span>${row.count}</span>
+            </div>
+        `).join('');
+    };
+    const percent = (value) => `${Math.round(value * 1000) / 10}%`;
+    const curveMax = curve ? Math.max(1, ...curve.buckets.map(bucket => bucket.count)) : 1;
+
+    return `
+        <div class="deck-stats-panel">
+            <div class="flex flex-wrap items-center gap-2 mb-3">
+                <span class="text-sm opacity-60">${mainDeck} cards in the main deck &middot; odds for a ${hand}-card opening hand</span>
+                <button class="btn btn-sm btn-primary ml-auto" onclick="sendDeckStatsToOverlay()">Show Stats on Overlay</button>
+            </div>
+            ${curve && curve.cards ? `
+                <div class="deck-section-title">${curve.label} curve (avg ${curve.average})</div>
+                <div class="deck-stats-curve">
+                    ${curve.buckets.map(bucket => `
+                        <div class="deck-stats-curve-col" title="${bucket.count} cards at ${bucket.cost}">
+                            <span class="text-xs">${bucket.count || ''}</span>
+                            <span class="deck-stats-curve-bar" style="height: ${Math.round(bucket.count / curveMax * 80)}px"></span>
+                            <span class="text-xs opacity-60">${bucket.cost}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <div class="grid grid-cols-2 gap-4 mt-3">
+                ${colors.length ? `<div><div class="deck-section-title">Colors</div>${bars(colors)}</div>` : ''}
+                ${types.length ? `<div><div class="deck-section-title">Types</div>${bars(types)}</div>` : ''}
+            </div>
+            ${odds.length ? `
+                <div class="deck-section-title mt-3">Draw odds</div>
+                ${odds.map(odd => `
+                    <div class="deck-stats-odds"><span>${odd.label}</span><span>${percent(odd.probability)}</span></div>
+                `).join('')}
+            ` : ''}
+            <div class="deck-section-title mt-3">In the opening ${hand}</div>
+            ${cards.map(card => `
+                <div class="deck-stats-odds"><span>${card.quantity} ${card.name}</span><span>${percent(card.opening)}</span></div>
+            `).join('')}
+            ${unresolved.length ? `<p class="text-xs opacity-50 mt-2">Not in the card database (left out of the curve and breakdowns): ${unresolved.join(', ')}</p>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Build the sample hand panel: the dealt hand (click cards to pick them for a
+ * Lorcana alter) with the moves the game allows
+ */
+function buildSampleHandSection() {
+    const state = deckSampleHand.hand;
+    if (!state) {
+        return `<div class="deck-sample-hand"><span class="text-sm opacity-60">Shuffling...</span></div>`;
+    }
+    const zone = state.setAside ? ` &middot; ${state.setAside.count} ${state.setAside.label}` : '';
+    return `
+        <div class="deck-sample-hand">
+            <div class="flex flex-wrap items-center gap-2 mb-3">
+                <span class="text-sm opacity-60">${state.hand.length} in hand${zone} &middot; ${state.library} in deck${state.notes.length ? ` &middot; ${state.notes.join(' &middot; ')}` : ''}</span>
+                <button class="btn btn-sm ${deckSampleHand.show ? 'btn-warning' : 'btn-primary'} ml-auto" onclick="showSampleHandOnOverlay(${!deckSampleHand.show})">
+                    ${deckSampleHand.show ? 'Hide from Overlay' : 'Show on Overlay'}
+                </button>
+            </div>
+            <div class="deck-sample-hand-cards">
+                ${state.hand.map((card, i) => `
+                    <div class="deck-sample-hand-card ${sampleHandPicks.includes(i) ? 'picked' : ''}" title="${card.name}"
+                         ${state.canAlter ? `onclick="toggleSampleHandPick(${i})"` : ''}>
+                        ${card.image ? `<img src="${card.image}" alt="${card.name}" loading="lazy">` : `<span>${card.name}</span>`}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="flex flex-wrap gap-2 mt-3">
+                <button class="btn btn-sm btn-secondary" onclick="dealSampleHand()">New Hand</button>
+                ${state.canMulligan ? `<button class="btn btn-sm btn-ghost" onclick="socket.emit('sample-hand-mulligan')">Mulligan</button>` : ''}
+                ${state.canAlter ? `<button class="btn btn-sm btn-ghost" onclick="alterSampleHand()">${sampleHandPicks.length ? `Alter ${sampleHandPicks.length}` : 'Keep (no alter)'}</button>` : ''}
+                <button class="btn btn-sm btn-ghost" onclick="socket.emit('sample-hand-draw')" ${state.library ? '' : 'disabled'}>Draw a Card</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Build the legality panel: format picker plus the validator's violations
+ * (re-run on every render, so edits are checked as they are made)
+ */
+function buildLegalitySection(deck) {
+    if (typeof validateDeck !== 'function') return '';
+    const file = formatFiles[deck.game];
+    if (!file) {
+        // Check against the registry seed until the game's format file arrives.
+        window.refreshFormats(deck.game);
+    }
+    const options = file ? DeckValidator.optionsFromFormatFile(file) : {};
+    const formats = options.formats || (GAME_REGISTRY[deck.game]?.deck?.formats) || [];
+    if (!formats.length) return '';
+
+    const result = validateDeck(deck, legalityFormat, options);
+    const format = file && file.formats[result.format];
+    const dates = format ? [
+        format.legalFrom ? `legal from ${format.legalFrom}` : '',
+        format.rotatesOn ? `rotates ${format.rotatesOn}` : ''
+    ].filter(Boolean).join(', ') : '';
+    const errors = result.violations.filter(v => v.severity === 'error');
+    const warnings = result.violations.filter(v => v.severity === 'warning');
+    const summary = result.legal
+        ? `<span class="deck-legality-status legal">Legal in ${result.format}</span>`
+        : `<span class="deck-legality-status illegal">Not legal in ${result.format} (${errors.length} ${errors.length === 1 ? 'problem' : 'problems'})</span>`;
+
+    return `
+        <div class="deck-legality">
+            <div class="flex flex-wrap items-center gap-2">
+                <select class="select select-bordered select-sm" onchange="setLegalityFormat(this.value)">
+                    ${formats.map(f => `<option value="${f}" ${f === result.format ? 'selected' : ''}>${f}</option>`).join('')}
+                </select>
+                ${summary}
+                <div class="ml-auto flex gap-1">
+                    <button class="btn btn-xs btn-ghost" onclick="exportFormats('${deck.game}')">Export List</button>
+                    <button class="btn btn-xs btn-ghost" onclick="document.getElementById('formatImportInput').click()">Import List</button>
+                    ${file && file.updatedAt ? `<button class="btn btn-xs btn-ghost" onclick="resetFormats('${deck.game}')">Reset</button>` : ''}
+                    <input type="file" id="formatImportInput" accept=".json,application/json" class="hidden" onchange="importFormats('${deck.game}', this)" />
+                </div>
+            </div>
+            ${file ? `<div class="text-xs opacity-50 mt-1">List version ${file.version}${dates ? ` - ${dates}` : ''}</div>` : ''}
+            ${errors.length || warnings.length ? `
+                <ul class="deck-legality-list">
+                    ${errors.map(v => `<li class="error">${v.message}</li>`).join('')}
+                    ${warnings.map(v => `<li class="warning">${v.message}</li>`).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `;
+}
+
 /**
  * Build add card section HTML
  */
@@ -261,6 +505,10 @@ window.exitDeckView = function() {
  */
 window.enterEditMode = function() {
     isEditMode = true;
+    deckHistory = null;
+    deckCollection = null;
+    deckStats = null;
+    deckSampleHand = null;
     editingDeck = JSON.parse(JSON.stringify(currentViewedDeck));
     renderDeckView();
 }
@@ -275,9 +523,9 @@ window.cancelDeckEdit = function() {
 }
 
 /**
- * Save deck edits
+ * Save deck edits to the deck library
  */
-window.saveDeckEdits = function() {
+window.saveDeckEdits = async function() {
     const newName = document.getElementById('deckNameEdit').value.trim();
     if (!newName) {
         alert('Deck name cannot be empty');
@@ -286,32 +534,261 @@ window.saveDeckEdits = function() {
     
     editingDeck.name = newName;
     
-    const game = editingDeck.game;
-    const oldName = currentViewedDeck.name;
-    
-    // Get savedDecks from window scope
-    if (window.savedDecks && window.savedDecks[game]) {
-        const deckIndex = window.savedDecks[game].findIndex(d => d.name === oldName);
-        if (deckIndex > -1) {
-            window.savedDecks[game][deckIndex] = editingDeck;
-            localStorage.setItem('savedDecks', JSON.stringify(window.savedDecks));
-            
-            currentViewedDeck = JSON.parse(JSON.stringify(editingDeck));
-            window.currentImportedDeck = currentViewedDeck;
-            
-            isEditMode = false;
-            editingDeck = null;
-            
-            if (window.updateSavedDecksList) {
-                window.updateSavedDecksList();
-            }
-            renderDeckView();
-            
-            alert('Deck saved successfully!');
+    try {
+        const saved = await DeckLibrary.update(editingDeck.id, editingDeck);
+        
+        currentViewedDeck = saved;
+        window.currentImportedDeck = currentViewedDeck;
+        
+        isEditMode = false;
+        editingDeck = null;
+        
+        if (window.refreshSavedDecks) {
+            await window.refreshSavedDecks();
         }
+        renderDeckView();
+        
+        alert('Deck saved successfully!');
+    } catch (error) {
+        console.error('Error saving deck:', error);
+        alert(`Could not save deck: ${error.message}`);
     }
 }
 
+/**
+ * Load (or reload after an import) a game's format file, then re-check the deck
+ */
+window.refreshFormats = async function(game) {
+    if (!game || formatFiles[game] === null) return; // a load is already running
+    formatFiles[game] = null;
+    try {
+        const response = await fetch(`/api/formats/${game}`);
+        const file = await response.json();
+        if (!response.ok) throw new Error(file.error);
+        formatFiles[game] = file;
+    } catch (error) {
+        console.error('Error loading formats:', error);
+        formatFiles[game] = undefined;
+        return;
+    }
+    if (isDeckViewMode && currentViewedDeck && currentViewedDeck.game === game) {
+        renderDeckView();
+    }
+}
+
+/**
+ * Download the game's format file
+ */
+window.exportFormats = function(game) {
+    window.location.href = `/api/formats/${game}?download=1`;
+}
+
+/**
+ * Replace the game's format file with a JSON file picked by the user
+ */
+window.importFormats = async function(game, input) {
+    const picked = input.files && input.files[0];
+    input.value = '';
+    if (!picked) return;
+    try {
+        const body = JSON.parse(await picked.text());
+        const response = await fetch(`/api/formats/${game}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const saved = await response.json();
+        if (!response.ok) throw new Error(saved.error);
+        formatFiles[game] = saved;
+        legalityFormat = null;
+        renderDeckView();
+        alert(`Imported format list version ${saved.version}`);
+    } catch (error) {
+        console.error('Error importing formats:', error);
+        alert(`Could not import format list: ${error.message}`);
+    }
+}
+
+/**
+ * Go back to the built-in format data
+ */
+window.resetFormats = async function(game) {
+    if (!confirm('Discard the imported format list and use the built-in one?')) return;
+    try {
+        const response = await fetch(`/api/formats/${game}`, { method: 'DELETE' });
+        const file = await response.json();
+        if (!response.ok) throw new Error(file.error);
+        formatFiles[game] = file;
+        legalityFormat = null;
+        renderDeckView();
+    } catch (error) {
+        console.error('Error resetting formats:', error);
+    }
+}
+
+/**
+ * Check the deck against another format
+ */
+window.setLegalityFormat = function(format) {
+    legalityFormat = format;
+    renderDeckView();
+}
+
+/**
+ * Open/close the revision history panel
+ */
+window.toggleDeckHistory = async function() {
+    if (deckHistory) {
+        deckHistory = null;
+        renderDeckView();
+        return;
+    }
+    try {
+        const response = await fetch(`/api/decks/${currentViewedDeck.id}/revisions`);
+        const revisions = await response.json();
+        if (!response.ok) throw new Error(revisions.error);
+        const to = revisions.length ? revisions[revisions.length - 1].revision : 1;
+        deckHistory = { revisions, from: Math.max(1, to - 1), to, diff: null };
+        await loadDeckDiff(deckHistory.from, deckHistory.to);
+    } catch (error) {
+        console.error('Error loading deck history:', error);
+        alert(`Could not load deck history: ${error.message}`);
+    }
+}
+
+/**
+ * Open/close the collection panel (refreshed when the collection changes)
+ */
+window.toggleDeckCollection = async function() {
+    if (deckCollection) {
+        deckCollection = null;
+        renderDeckView();
+        return;
+    }
+    await loadDeckCollection();
+}
+
+/**
+ * Open/close the stats panel
+ */
+window.toggleDeckStats = async function() {
+    if (deckStats) {
+        deckStats = null;
+        renderDeckView();
+        return;
+    }
+    try {
+        const response = await fetch(`/api/decks/${currentViewedDeck.id}/stats`);
+        const stats = await response.json();
+        if (!response.ok) throw new Error(stats.error);
+        deckStats = stats;
+        renderDeckView();
+    } catch (error) {
+        console.error('Error loading deck stats:', error);
+        alert(`Could not load deck stats: ${error.message}`);
+    }
+}
+
+/**
+ * Show the deck's stats on the deck-stats overlay
+ */
+window.sendDeckStatsToOverlay = function() {
+    if (!currentViewedDeck || !currentViewedDeck.id || typeof socket === 'undefined') return;
+    socket.emit('deck-stats-show', { deckId: currentViewedDeck.id });
+    showToast('Deck stats sent to overlay!');
+}
+
+/**
+ * Open/close the sample hand panel. Opening deals a fresh hand; the panel then
+ * follows the sample-hand-update broadcasts, like the overlay.
+ */
+window.toggleSampleHand = function() {
+    if (deckSampleHand) {
+        deckSampleHand = null;
+        renderDeckView();
+        return;
+    }
+    deckSampleHand = { hand: null, show: false };
+    renderDeckView();
+    dealSampleHand();
+}
+
+window.dealSampleHand = function() {
+    if (!currentViewedDeck || !currentViewedDeck.id || typeof socket === 'undefined') return;
+    sampleHandPicks = [];
+    socket.emit('sample-hand-deal', { deckId: currentViewedDeck.id });
+}
+
+window.toggleSampleHandPick = function(index) {
+    sampleHandPicks = sampleHandPicks.includes(index)
+        ? sampleHandPicks.filter(i => i !== index)
+        : [...sampleHandPicks, index];
+    renderDeckView();
+}
+
+window.alterSampleHand = function() {
+    socket.emit('sample-hand-alter', { indices: sampleHandPicks });
+    sampleHandPicks = [];
+}
+
+window.showSampleHandOnOverlay = function(show) {
+    socket.emit('sample-hand-show', { show });
+    if (show) showToast('Sample hand sent to overlay!');
+}
+
+window.refreshDeckCollection = function(game) {
+    if (deckCollection && isDeckViewMode && currentViewedDeck && currentViewedDeck.game === game) {
+        loadDeckCollection();
+    }
+}
+
+async function loadDeckCollection() {
+    try {
+        const response = await fetch(`/api/decks/${currentViewedDeck.id}/collection`);
+        const comparison = await response.json();
+        if (!response.ok) throw new Error(comparison.error);
+        deckCollection = comparison;
+        renderDeckView();
+    } catch (error) {
+        console.error('Error comparing deck with collection:', error);
+        alert(`Could not compare the deck with your collection: ${error.message}`);
+    }
+}
+
+/**
+ * Load the diff between two revisions (defaults to the pickers' values)
+ */
+window.loadDeckDiff = async function(from, to) {
+    if (!deckHistory) return;
+    deckHistory.from = from || Number(document.getElementById('deckHistoryFrom').value);
+    deckHistory.to = to || Number(document.getElementById('deckHistoryTo').value);
+    deckHistory.diff = null;
+    if (deckHistory.revisions.length > 1) {
+        try {
+            const response = await fetch(`/api/decks/${currentViewedDeck.id}/diff?from=${deckHistory.from}&to=${deckHistory.to}`);
+            const diff = await response.json();
+            if (!response.ok) throw new Error(diff.error);
+            deckHistory.diff = diff;
+        } catch (error) {
+            console.error('Error loading deck diff:', error);
+        }
+    }
+    renderDeckView();
+}
+
+/**
+ * Show the selected revision diff on the decklist overlay
+ */
+window.sendDeckDiffToOverlay = function() {
+    if (!deckHistory || typeof socket === 'undefined') return;
+    socket.emit('decklist-diff', {
+        deckId: currentViewedDeck.id,
+        from: deckHistory.from,
+        to: deckHistory.to,
+        show: true
+    });
+}
+
 /**
  * Adjust card quantity
  */
@@ -486,4 +963,16 @@ window.handleDrop = function(event, targetCategory) {
     draggedFromIndex = null;
     
     renderDeckView();
-}
\ No newline at end of file
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (typeof socket === 'undefined') return;
+    socket.on('sample-hand-update', (data) => {
+        if (!deckSampleHand || !data.hand || !currentViewedDeck || String(data.hand.deckId) !== String(currentViewedDeck.id)) return;
+        if (!deckSampleHand.hand || data.hand.dealtAt !== deckSampleHand.hand.dealtAt || !data.hand.canAlter) {
+            sampleHandPicks = [];
+        }
+        deckSampleHand = data;
+        if (isDeckViewMode && !isEditMode) renderDeckView();
+    });
+});
@@ -1,376 +1,122 @@
 // public/js/game-registry.js - CardCast per-game main-page configuration.
 //
-// SINGLE SOURCE OF TRUTH for how the main page (index.html + main.js) behaves
-// per game: which match-control buttons and OBS overlay links to show, how the
-// deck builder buckets cards, and what meta to show on search results/previews.
+// How the main page (index.html + main.js) behaves per game: how the deck
+// builder buckets cards, what meta to show on search results/previews, the
+// game's name, its match-control button and its match overlay link. All of it
+// is declared by the game plugin (src/games/<game>.js) and served as
+// window.GAME_PLUGINS by /js/game-plugins.js; this file turns that data into
+// the functions the page calls. A game with no plugin still selects fine -
+// getGameConfig() falls back to the universal overlays (Main, Deck List, Deck
+// Stats, Sample Hand) and no deck rules.
 //
-// To add a game's UI support, add (or fill in) its entry here. A game with no
-// entry yet still selects fine - selectGame() falls back to the universal
-// overlays (Main + Deck List) and a "no dedicated match controls" hint until
-// the entry is backfilled.
-//
-// matchControls: [{ label, route, style }]  -> Match Controls panel buttons
-// overlays:      [{ label, route }]         -> OBS Browser Sources list
-// deck:          { categories, categorize(card), rules, formats }
+// deck:          { categories, categorize(card), rules, formats, banlist?, formatSets?,
+//                sections, copies, basics?, colorIdentity? }
+//                rules/banlist/formatSets/sections/copies/basics/colorIdentity drive
+//                deck-validator.js (opt-in legality checks). banlist/formatSets are only
+//                the built-in seed: the server's format files (src/format-store.js,
+//                /api/formats/:game) replace them once a list is imported.
 // searchMeta:    (card) => string           -> extra line on result/preview tiles
 //
-// Loaded BEFORE main.js. Routes must match server.js (do not invent routes).
-
-const GAME_REGISTRY = {
-    pokemon: {
-        name: 'Pokemon',
-        matchControls: [
-            { label: 'Pokemon Match Control', route: '/pokemon-match-control', style: 'btn-primary' }
-        ],
-        overlays: [
-            { label: 'Main Display', route: '/overlay' },
-            { label: 'Pokemon Match', route: '/pokemon-match' },
-            { label: 'Deck List', route: '/decklist' }
-        ],
-        deck: {
-            categories: ['Pokemon', 'Trainers', 'Energy'],
-            categorize: (card) => {
-                const type = (card.card_type || '').toLowerCase();
-                if (type.includes('trainer')) return 'Trainers';
-                if (type.includes('energy')) return 'Energy';
-                return 'Pokemon';
-            },
-            rules: { main: 60, copyLimit: 4 },
-            formats: ['Standard', 'Expanded']
-        },
-        searchMeta: (card) => (card.hp ? `HP ${card.hp}` : '')
-    },
-
-    magic: {
-        name: 'Magic: The Gathering',
-        matchControls: [
-            { label: 'MTG Match Control', route: '/mtg-match-control', style: 'btn-warning' }
-        ],
-        overlays: [
-            { label: 'Main Display', route: '/overlay' },
-            { label: 'MTG Match', route: '/mtg-match' },
-            { label: 'Deck List', route: '/decklist' }
-        ],
-        deck: {
-            categories: ['Creatures', 'Spells', 'Artifacts', 'Enchantments', 'Planeswalkers', 'Lands'],
-            categorize: (card) => {
-                const type = (card.card_type || card.type_line || '').toLowerCase();
-                if (type.includes('land')) return 'Lands';
-                if (type.includes('creature')) return 'Creatures';
-                if (type.includes('planeswalker')) return 'Planeswalkers';
-                if (type.includes('artifact')) return 'Artifacts';
-                if (type.includes('enchantment')) return 'Enchantments';
-                if (type.includes('instant') || type.includes('sorcery')) return 'Spells';
-                return 'Spells';
-            },
-            rules: { main: 60, copyLimit: 4 },
-            // Label-only by default (an opt-in legality filter can use banlist later).
-            // Commander is intentionally dropped - CardCast Magic is MTG proper (60-card,
-            // 20 life); re-add it later as its own format if needed.
-            formats: ['Standard', 'Pioneer', 'Modern', 'Legacy'],
-            // Per-format banned cards for the future opt-in legality filter. Seeded
-            // empty; fill from the official B&R list (magic.wizards.com/en/banned-restricted-list).
-            banlist: {
-                Standard: [],
-                Pioneer: [],
-                Modern: [],
-                Legacy: []
-            }
-        },
-        searchMeta: (card) => (card.mana_cost || card.card_type || '')
-    },
-
-    gundam: {
-        name: 'Gundam Card Game',
-        matchControls: [
-            { label: 'Gundam Match Control', route: '/gundam-match-control', style: 'btn-info' }
-        ],
-        overlays: [
-            { label: 'Main Display', route: '/overlay' },
-            { label: 'Gundam Match', route: '/gundam-match' },
-            { label: 'Deck List', route: '/decklist' }
-        ],
-        deck: {
-            categories: ['Units', 'Pilots', 'Commands', 'Bases', 'Resources'],
-            categorize: (card) => gundamCategoryFromType(card.card_type),
-            // Main deck = Units+Pilots+Commands+Bases (50). Resource deck = 10. Max 4 copies/number.
-            rules: { main: 50, resources: 10, copyLimit: 4 },
-            // Label-only by default (an opt-in legality filter can use formatSets later).
-            formats: ['Unlimited', 'GD04 Standard', 'GD03', 'GD02', 'GD01'],
-            // Best-effort set pools for the future opt-in legality filter.
-            // TODO: verify exact set membership against egmanevents.com/gundam-gdXX-format.
-            formatSets: {
-                Unlimited: '*',
-                'GD04 Standard': ['GD01', 'GD02', 'GD03', 'GD04', 'ST01', 'ST02', 'ST03', 'ST04', 'ST05', 'ST06', 'ST07', 'ST08', 'ST09', 'ST10', 'EB01'],
-                GD03: ['GD01', 'GD02', 'GD03', 'ST01', 'ST02', 'ST03', 'ST04', 'ST05', 'ST06', 'EB01'],
-                GD02: ['GD01', 'GD02', 'ST01', 'ST02', 'ST03', 'ST04', 'EB01'],
-                GD01: ['GD01', 'ST01', 'ST02', 'ST03', 'ST04']
-            }
-        },
-        searchMeta: (card) => {
-            const parts = [];
-            if (card.gd_ap !== undefined && card.gd_ap !== null && card.gd_ap !== '') parts.push(`AP ${card.gd_ap}`);
-            if (card.gd_hp !== undefined && card.gd_hp !== null && card.gd_hp !== '') parts.push(`HP ${card.gd_hp}`);
-            return parts.length ? parts.join(' / ') : (card.card_type || '');
-        }
-    },
-
-    yugioh: {
-        name: 'Yu-Gi-Oh!',
-        matchControls: [
-            { label: 'Yu-Gi-Oh! Match Control', route: '/yugioh-match-control', style: 'btn-warning' }
-        ],
-        overlays: [
-            { label: 'Main Display', route: '/overlay' },
-            { label: 'Yu-Gi-Oh! Match', route: '/yugioh-match' },
-            { label: 'Deck List', route: '/decklist' }
-        ],
-        deck: {
-            // Side is import-driven only (categorize never returns it). Extra holds
-            // Fusion/Synchro/XYZ/Link monsters routed out of the Main deck.
-            categories: ['Monsters', 'Spells', 'Traps', 'Extra', 'Side'],
-            categorize: (card) => yugiohCategoryFromType(card.card_type),
-            // Main 40-60, Extra 0-15, Side 0-15, max 3 copies per card name.
-            rules: { main: [40, 60], extra: 15, side: 15, copyLimit: 3 },
-            // Label-only by default; opt-in legality can use banlist[] later.
-            formats: ['Advanced (TCG)', 'Traditional', 'Advanced (OCG)'],
-            // Forbidden & Limited snapshot per format. Seeded empty; fill from the
-            // official Konami F&L list (yugioh-card.com/en/limited).
-            banlist: {
-                'Advanced (TCG)': { forbidden: [], limited: [], semiLimited: [] },
-                'Traditional': { forbidden: [], limited: [], semiLimited: [] },
-                'Advanced (OCG)': { forbidden: [], limited: [], semiLimited: [] }
-            }
-        },
-        searchMeta: (card) => {
-            const has = (v) => v !== undefined && v !== null && v !== '';
-            if (has(card.attack) || has(card.defense)) {
-                const atk = has(card.attack) ? card.attack : '?';
-                const def = has(card.defense) ? card.defense : '?';
-                return `ATK ${atk} / DEF ${def}`;
-            }
-            return card.card_type || '';
-        }
-    },
-
-    onepiece: {
-        name: 'One Piece Card Game',
-        matchControls: [
-            { label: 'One Piece Match Control', route: '/onepiece-match-control', style: 'btn-error' }
-        ],
-        overlays: [
-            { label: 'Main Display', route: '/overlay' },
-            { label: 'One Piece Match', route: '/onepiece-match' },
-            { label: 'Deck List', route: '/decklist' }
-        ],
-        deck: {
-            // Leader (1) headlines the deck (sets colors + Life). Main deck =
-            // Characters + Events + Stages (50). The DON!! deck (10) is uniform and
-            // not built from these categories, so it is intentionally not listed.
-            categories: ['Leader', 'Characters', 'Events', 'Stages'],
-            categorize: (card) => onePieceCategoryFromType(card.card_type),
-            rules: { main: 50, leader: 1, copyLimit: 4 },
-            // Label-only by default; an opt-in legality filter can use the banlist later.
-            formats: ['Standard', 'Unlimited'],
-            // Official restricted list snapshot. Seeded empty; fill from the Bandai
-            // B&R list (en.onepiece-cardgame.com/rules/restriction). bannedPairs is a
-            // list of [cardA, cardB] that cannot share a deck (a validation warning).
-            banlist: {
-                Standard: { banned: [], restricted: [], bannedPairs: [] },
-                Unlimited: { banned: [], restricted: [], bannedPairs: [] }
-            }
-        },
-        searchMeta: (card) => {
-            const has = (v) => v !== undefined && v !== null && v !== '';
-            const parts = [];
-            if (has(card.op_power)) parts.push(`Power ${card.op_power}`);
-            if (has(card.cost)) parts.push(`Cost ${card.cost}`);
-            if (parts.length) return parts.join(' / ');
-            return card.colors || card.card_type || '';
-        }
-    },
-
-    lorcana: {
-        name: 'Disney Lorcana',
-        matchControls: [
-            { label: 'Lorcana Match Control', route: '/lorcana-match-control', style: 'btn-secondary' }
-        ],
-        overlays: [
-            { label: 'Main Display', route: '/overlay' },
-            { label: 'Lorcana Match', route: '/lorcana-match' },
-            { label: 'Deck List', route: '/decklist' }
-        ],
-        deck: {
-            // Derived straight from card_type. Action + Action / Song both bucket
-            // into Actions; Item -> Items; Location -> Locations.
-            categories: ['Characters', 'Actions', 'Items', 'Locations'],
-            categorize: (card) => lorcanaCategoryFromType(card.card_type),
-            // 60-card minimum, max 4 copies per full name, up to 2 inks per deck
-            // (ink identity from the shared colors, split on "/"). maxInks is
-            // label-only metadata; the 2-ink limit is NOT yet enforced anywhere
-            // (lorcanaInks() is available for a future deck-stats validation).
-            rules: { main: 60, copyLimit: 4, maxInks: 2 },
-            // Core = current rotation (default competitive); Infinity = all sets.
-            // Label-only by default; an opt-in legality filter can use banlist later.
-            formats: ['Core', 'Infinity'],
-            // Ravensburger banned/restricted snapshot. Seeded empty; fill from the
-            // official list (disneylorcana.com). Label only until a filter opts in.
-            banlist: {
-                Core: { banned: [], restricted: [] },
-                Infinity: { banned: [], restricted: [] }
-            }
-        },
-        searchMeta: (card) => {
-            const has = (v) => v !== undefined && v !== null && v !== '';
-            const parts = [];
-            if (has(card.ink_cost)) parts.push(`Ink ${card.ink_cost}`);
-            if (has(card.strength) || has(card.willpower)) {
-                parts.push(`${has(card.strength) ? card.strength : '-'}/${has(card.willpower) ? card.willpower : '-'}`);
-            }
-            if (has(card.lore_value)) parts.push(`Lore ${card.lore_value}`);
-            if (parts.length) return parts.join(' / ');
-            return card.colors || card.card_type || '';
-        }
-    },
+// Loaded BEFORE main.js, after /js/game-plugins.js.
 
-    digimon: {
-        name: 'Digimon Card Game',
-        matchControls: [
-            { label: 'Digimon Match Control', route: '/digimon-match-control', style: 'btn-accent' }
-        ],
-        overlays: [
-            { label: 'Main Display', route: '/overlay' },
-            { label: 'Digimon Match', route: '/digimon-match' },
-            { label: 'Deck List', route: '/decklist' }
-        ],
-        deck: {
-            // Main deck = Digimon + Tamers + Options (exactly 50). The Digi-Egg deck
-            // (0-5) is a separate mini-deck, NOT part of the 50. Derived straight from
-            // card_type; Dual cards are played as Digimon so they bucket there.
-            categories: ['Digimon', 'Tamers', 'Options', 'Digi-Egg'],
-            categorize: (card) => digimonCategoryFromType(card.card_type),
-            rules: { main: 50, egg: 5, copyLimit: 4 },
-            // Color is informational only - multi-color decks are legal and there is no
-            // color-identity limit (unlike OP/Lorcana/Gundam). Label-only by default.
-            formats: ['Standard', 'Unlimited'],
-            // Bandai restriction snapshot. Seeded empty; fill from the official B&R list
-            // (world.digimoncard.com/rule/restriction_card). Label only until a filter opts in.
-            banlist: {
-                Standard: { banned: [], restricted: [] },
-                Unlimited: { banned: [], restricted: [] }
-            }
-        },
-        searchMeta: (card) => {
-            const has = (v) => v !== undefined && v !== null && v !== '';
-            const parts = [];
-            if (has(card.play_cost)) parts.push(`Cost ${card.play_cost}`);
-            if (has(card.dp)) parts.push(`DP ${card.dp}`);
-            if (has(card.digimon_level)) parts.push(`Lv.${card.digimon_level}`);
-            if (parts.length) return parts.join(' / ');
-            return card.colors || card.card_type || '';
-        }
-    }
-};
+// The plugin manifest (src/games clientManifest()).
+function gamePlugins() {
+    return typeof window !== 'undefined'
+        ? (window.GAME_PLUGINS || [])
+        : require('../../src/games').clientManifest();
+}
 
-// Lorcana card_type -> deck category. Shared by the registry categorize() above
-// and parseLorcanaDeckList in deck-parser.js (single source of truth). DB values
-// are title-case: Character / Action / Action / Song / Item / Location.
-function lorcanaCategoryFromType(cardType) {
-    const t = (cardType || '').toLowerCase().trim();
-    if (t.includes('location')) return 'Locations';
-    if (t.includes('item')) return 'Items';
-    if (t.includes('action') || t.includes('song')) return 'Actions';
-    return 'Characters'; // Character + fallback
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// A plugin's categorize declaration ({ fields?, rules: [[substring(s), category]],
+// otherwise }) as card -> category. The first field the card has is matched,
+// case-insensitively, against each rule in order.
+function categorizer(spec) {
+    const fields = spec.fields || ['card_type'];
+    return (card) => {
+        const type = String(fields.map(field => card && card[field]).find(Boolean) || '').toLowerCase();
+        const rule = spec.rules.find(([words]) => [].concat(words).some(word => type.includes(word)));
+        return rule ? rule[1] : spec.otherwise;
+    };
 }
 
-// Split a Lorcana ink (color) string into its component inks. Lorcast joins
-// dual-ink with "/" (e.g. "Amethyst/Sapphire"); splitting on "/" and whitespace
-// keeps the 2-ink deckbuilding constraint correct either way.
-// NOTE: not yet wired into deck validation (the 2-ink limit is label-only); kept
-// for a future deck-stats check and imported by the committed verify scripts.
-function lorcanaInks(colorString) {
-    return String(colorString || '')
-        .split(/[\/\s]+/)
-        .map(c => c.trim())
-        .filter(Boolean);
+// A plugin's searchMeta declaration as card -> the stat line. Each part
+// ('HP {hp}' or { template, missing }) shows when the card has any of its
+// fields, with missing ones as '?' (or missing); the parts are joined with
+// ' / '. Without any, the first of the otherwise fields the card has.
+function searchMetaFormatter(spec) {
+    const parts = ((spec && spec.parts) || [])
+        .map(part => (typeof part === 'string' ? { template: part } : part))
+        .map(part => ({ ...part, fields: (part.template.match(/\{\w+\}/g) || []).map(f => f.slice(1, -1)) }));
+    const otherwise = (spec && spec.otherwise) || [];
+    return (card) => {
+        const shown = parts
+            .filter(part => part.fields.some(field => hasValue(card[field])))
+            .map(part => part.template.replace(/\{(\w+)\}/g, (_, field) => (hasValue(card[field]) ? card[field] : (part.missing || '?'))));
+        if (shown.length) return shown.join(' / ');
+        return otherwise.map(field => card[field]).find(Boolean) || '';
+    };
 }
 
-// Digimon card_type -> deck category. Shared by the registry categorize() above and
-// parseDigimonDeckList in deck-parser.js (single source of truth). DB card_type values
-// are title-case: Digimon / Tamer / Option / Digi-Egg / Dual. Digi-Egg cards form the
-// separate egg deck; Dual cards are played as Digimon, so they bucket into Digimon.
-function digimonCategoryFromType(cardType) {
-    const t = (cardType || '').toLowerCase().trim();
-    if (t.includes('egg')) return 'Digi-Egg';   // "Digi-Egg" -> the 0-5 egg deck
-    if (t.includes('tamer')) return 'Tamers';
-    if (t.includes('option')) return 'Options';
-    return 'Digimon';                            // Digimon + Dual + fallback
+function registryEntry(plugin) {
+    const deck = plugin.deck;
+    return {
+        deck: deck ? {
+            ...deck,
+            categorize: categorizer(deck.categorize || { rules: [], otherwise: deck.categories[0] }),
+            basics: deck.basics ? new RegExp(deck.basics.source, deck.basics.flags) : null
+        } : null,
+        searchMeta: searchMetaFormatter(plugin.searchMeta)
+    };
 }
 
-// One Piece card_type -> deck category. Shared by the registry categorize() above
-// and parseOnePieceDeckList in deck-parser.js (single source of truth). DB values
-// are title-case: Leader / Character / Event / Stage.
-function onePieceCategoryFromType(cardType) {
-    const t = (cardType || '').toLowerCase().trim();
-    if (t.includes('leader')) return 'Leader';
-    if (t.includes('event')) return 'Events';
-    if (t.includes('stage')) return 'Stages';
-    return 'Characters'; // Character + fallback
+const GAME_REGISTRY = Object.fromEntries(gamePlugins().map(plugin => [plugin.id, registryEntry(plugin)]));
+
+// A card_type -> the game's deck category (null for games without a deck).
+function categoryFromType(gameId, cardType) {
+    const reg = GAME_REGISTRY[gameId];
+    return reg && reg.deck ? reg.deck.categorize({ card_type: cardType }) : null;
 }
 
-// Split a One Piece color string into its component colors. optcgapi joins
-// multicolor with "/" (e.g. "Green/Red"); older data used a space. Splitting on
-// both keeps the leader-color identity rule correct either way.
-// NOTE: not yet wired into deck validation (the leader-color identity rule is
-// label-only); kept for a future deck-stats check and imported by the committed
-// verify scripts.
-function onePieceColors(colorString) {
+// Split a color string into its colors. Sources join multicolor with "/"
+// ("Green/Red", "Amethyst/Sapphire"); older data used a space. Used by the
+// ink and color identity checks in deck-validator.js.
+function colorList(colorString) {
     return String(colorString || '')
         .split(/[\/\s]+/)
         .map(c => c.trim())
         .filter(Boolean);
 }
 
-// Yu-Gi-Oh! card_type -> deck category. Shared by the registry categorize() above
-// and parseYugiohDeckList in deck-parser.js (single source of truth). Extra-Deck
-// monster types (Fusion/Synchro/XYZ/Link) route into Extra; everything else that
-// is a monster (Effect/Normal/Ritual/Pendulum/Tuner/Flip) stays in Monsters. Side
-// is never derived from card_type - it is import-driven via the deck-list markers.
-function yugiohCategoryFromType(cardType) {
-    const t = (cardType || '').toLowerCase().trim();
-    if (t.includes('spell')) return 'Spells';
-    if (t.includes('trap')) return 'Traps';
-    if (t.includes('fusion') || t.includes('synchro') || t.includes('xyz') || t.includes('link')) return 'Extra';
-    return 'Monsters';
-}
-
-// Gundam card_type -> deck category. Shared by the registry categorize() above
-// and parseGundamDeckList in deck-parser.js (kept here as the single source of
-// truth). card_type values are ALL CAPS in the DB; TOKEN / EX variants and the
-// fullwidth "UNIT・TOKEN" all fall into the right bucket via substring match.
-function gundamCategoryFromType(cardType) {
-    const t = (cardType || '').toUpperCase().trim();
-    if (t.includes('PILOT')) return 'Pilots';
-    if (t.includes('COMMAND')) return 'Commands';
-    if (t.includes('RESOURCE')) return 'Resources'; // RESOURCE, EX RESOURCE
-    if (t.includes('BASE')) return 'Bases';          // BASE, EX BASE
-    return 'Units';                                   // UNIT, UNIT TOKEN, UNIT・TOKEN, fallback
-}
-
-// Universal overlays for games that don't have a dedicated registry entry yet.
-// Both routes are game-agnostic on the server, so they work for any game.
+// Universal overlays every game gets. These routes are game-agnostic on the
+// server, so they work for any game.
 const DEFAULT_OVERLAYS = [
     { label: 'Main Display', route: '/overlay' },
-    { label: 'Deck List', route: '/decklist' }
+    { label: 'Deck List', route: '/decklist' },
+    { label: 'Deck Stats', route: '/deck-stats' },
+    { label: 'Sample Hand', route: '/sample-hand' }
 ];
 
+// The plugin manifest entry for a game id (null for games without a plugin).
+function gamePluginEntry(gameId) {
+    return gamePlugins().find(p => p.id === gameId) || null;
+}
+
 // Resolve the effective config for a game id (never throws on unknown games).
+// A plugin with a match board adds its control button and match overlay; the
+// match overlay is listed right after the Main Display.
 function getGameConfig(gameId) {
     const reg = GAME_REGISTRY[gameId] || {};
+    const plugin = gamePluginEntry(gameId);
+    const match = plugin && plugin.match;
+    const overlays = DEFAULT_OVERLAYS.slice();
+    if (match) overlays.splice(1, 0, { label: `${plugin.label} Match`, route: `/${match}-match` });
     return {
-        name: reg.name || (gameId ? gameId.charAt(0).toUpperCase() + gameId.slice(1) : ''),
-        matchControls: reg.matchControls || [],
-        overlays: (reg.overlays && reg.overlays.length) ? reg.overlays : DEFAULT_OVERLAYS,
+        name: (plugin && plugin.name) || (gameId ? gameId.charAt(0).toUpperCase() + gameId.slice(1) : ''),
+        matchControls: match
+            ? [{ label: `${plugin.label} Match Control`, route: `/${match}-match-control`, style: plugin.style }]
+            : [],
+        overlays,
         deck: reg.deck || null,
         searchMeta: reg.searchMeta || (() => '')
     };
@@ -520,13 +266,8 @@ if (typeof window !== 'undefined') {
     window.deckCardCount = deckCardCount;
     window.deckToText = deckToText;
     window.getDeckCardNameSet = getDeckCardNameSet;
-    window.gundamCategoryFromType = gundamCategoryFromType;
-    window.yugiohCategoryFromType = yugiohCategoryFromType;
-    window.onePieceCategoryFromType = onePieceCategoryFromType;
-    window.onePieceColors = onePieceColors;
-    window.lorcanaCategoryFromType = lorcanaCategoryFromType;
-    window.lorcanaInks = lorcanaInks;
-    window.digimonCategoryFromType = digimonCategoryFromType;
+    window.categoryFromType = categoryFromType;
+    window.colorList = colorList;
 }
 
 // Allow Node (tests/tooling) to require the registry + deck helpers.
@@ -534,8 +275,6 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         GAME_REGISTRY, getGameConfig,
         getDeckCategories, getDeckCategoryArray, getDeckSectionNames,
-        deckCardCount, deckToText, getDeckCardNameSet, gundamCategoryFromType,
-        yugiohCategoryFromType, onePieceCategoryFromType, onePieceColors,
-        lorcanaCategoryFromType, lorcanaInks, digimonCategoryFromType
+        deckCardCount, deckToText, getDeckCardNameSet, categoryFromType, colorList
     };
 }
@@ -9,12 +9,23 @@ let recentCards = [];
 let isOBSConnected = false;
 // Map of gameId -> hasData, populated by loadGames; used by the header dropdown.
 let gameHasData = {};
-// Server port for OBS overlay URLs (refreshed from /api/config in loadConfig).
+// Server port for OBS overlay URLs when the page has no http origin of its own
+// (refreshed from /api/config in loadConfig).
 let serverPort = window.location.port || '3888';
-
-// Build an OBS-friendly overlay URL for a route (e.g. '/overlay').
+// Read-only overlay token (from /api/auth in loadConfig). OBS URLs carry it when
+// the dashboard is opened from another device, so OBS there may load overlays.
+let overlayToken = null;
+const isRemotePage = !/^(localhost|127\.|\[::1\])/.test(window.location.hostname);
+
+// Build an OBS-friendly overlay URL for a route (e.g. '/overlay'). It uses the
+// origin this dashboard was opened on, so a dashboard opened from another PC on
+// the LAN hands out URLs that OBS on that PC can reach too.
 function overlayUrl(route) {
-    return `http://localhost:${serverPort}${route}`;
+    const base = window.location.protocol.startsWith('http')
+        ? `${window.location.origin}${route}`
+        : `http://localhost:${serverPort}${route}`;
+    if (!isRemotePage || !overlayToken) return base;
+    return `${base}${route.includes('?') ? '&' : '?'}token=${overlayToken}`;
 }
 
 // Current deck list - generic, keyed by the active game's registry categories
@@ -27,11 +38,13 @@ let currentDeckList = {
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
+    renderDeckGameOptions();
     initializeEventListeners();
     loadConfig();
     setupKeyboardShortcuts();
     initOBSConnection();
     initVersionAndUpdates();
+    loadPriceStatus();
 
     // Auto-select a sensible default game once the list has ACTUALLY loaded.
     // loadGames() is async (it fetches /api/games, renders the tiles, and fills
@@ -52,11 +65,26 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
+// The deck-import game selector lists every game plugin that reads deck lists.
+function renderDeckGameOptions() {
+    const select = document.getElementById('deckGameSelect');
+    if (!select) return;
+    select.innerHTML = '<option value="">Select game for this deck</option>'
+        + (window.GAME_PLUGINS || [])
+            .filter(plugin => plugin.deck)
+            .map(plugin => `<option value="${plugin.id}">${plugin.name}</option>`)
+            .join('');
+}
+
 // Initialize OBS Connection monitoring
 function initOBSConnection() {
     // Register as main client
     socket.emit('register-main');
     
+    // A session that expired (or was logged out) is refused; log in again
+    // (/js/socket-errors.js).
+    watchSocketErrors(socket);
+
     // Listen for OBS status updates
     socket.on('obs-status', (data) => {
         updateOBSStatus(data.connected);
@@ -223,17 +251,8 @@ function createGameElement(game) {
             : `${fmtCount(cachedImages)}/${fmtCount(totalImages)} imgs cached`)
         : '';
 
-    const gameColors = {
-        pokemon: 'bg-gradient-to-br from-red-500 to-red-600',
-        magic: 'bg-gradient-to-br from-orange-500 to-amber-600',
-        yugioh: 'bg-gradient-to-br from-yellow-500 to-yellow-600',
-        lorcana: 'bg-gradient-to-br from-purple-500 to-pink-600',
-        onepiece: 'bg-gradient-to-br from-red-600 to-orange-600',
-        digimon: 'bg-gradient-to-br from-blue-500 to-cyan-600',
-        gundam: 'bg-gradient-to-br from-sky-600 to-indigo-700',
-        fab: 'bg-gradient-to-br from-rose-500 to-red-600',
-        starwars: 'bg-gradient-to-br from-gray-500 to-slate-600'
-    };
+    // The tile's icon background, from the game plugin (grey for coming-soon games).
+    const badge = (gamePluginEntry(game.id) || {}).badge || 'bg-gradient-to-br from-gray-500 to-slate-600';
     
     // Add opacity for unavailable games
     if (!isAvailable) {
@@ -262,7 +281,7 @@ function createGameElement(game) {
 
     gameItem.innerHTML = `
         <div class="flex items-center gap-2.5 min-w-0">
-            <div class="w-9 h-9 shrink-0 rounded-lg flex items-center justify-center text-white text-base font-bold shadow ${gameColors[game.id] || 'bg-gradient-to-br from-gray-500 to-gray-600'}">
+            <div class="w-9 h-9 shrink-0 rounded-lg flex items-center justify-center text-white text-base font-bold shadow ${badge}">
                 ${game.name[0]}
             </div>
             <div class="min-w-0 flex-1">
@@ -337,8 +356,10 @@ function selectGame(gameId, hasData) {
         exitDeckView();
     }
 
-    // Reset the results pane for the new game
+    // Reset the results pane and filter chips for the new game
     clearSearchResults();
+    activeFacets = {};
+    loadFacets();
 
     // Re-apply the "search imported cards only" filter if it's on
     const deckOnly = document.getElementById('searchDeckOnly');
@@ -348,6 +369,12 @@ function selectGame(gameId, hasData) {
 
     // Refilter the saved-decks list to this game's decks
     if (typeof updateSavedDecksList === 'function') updateSavedDecksList();
+
+    // Offer this game's sets in the pack-opening panel
+    if (typeof renderPackOpening === 'function') renderPackOpening();
+
+    // Show this game's collection totals
+    if (typeof loadCollectionStatus === 'function') loadCollectionStatus();
 }
 
 // Render the Match Controls panel buttons for a game from the registry.
@@ -369,7 +396,11 @@ function renderMatchControls(gameId) {
             <svg xmlns="http://www.w3.org/2000/svg" class="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M13 2 3 14h9l-1 8 10-12h-9l1-8z"/></svg>
             ${c.label}
         </button>
-    `).join('');
+    `).join('') + `
+        <button onclick="window.open('/replay-control?game=${gameId}', '_blank')" class="btn btn-sm btn-ghost w-full gap-2 justify-start">
+            <svg xmlns="http://www.w3.org/2000/svg" class="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/><path d="M12 7v5l4 2"/></svg>
+            Match Replay
+        </button>`;
 }
 
 // Render the OBS Browser Sources list for a game from the registry.
@@ -503,7 +534,8 @@ async function deleteGameData(gameId) {
 
 // Handle search - UPDATED FOR COMING SOON
 async function handleSearch(event) {
-    const query = event.target.value.trim();
+    const query = searchQueryWithFacets(event.target.value);
+    loadFacets();
     
     if (!currentGame || query.length < 2) {
         clearSearchResults();
@@ -512,13 +544,125 @@ async function handleSearch(event) {
         
     try {
         const response = await fetch(`/api/search/${currentGame}?q=${encodeURIComponent(query)}`);
-        searchResults = await response.json();
+        const data = await response.json();
+        if (!response.ok) {
+            // Bad field filters come back as a 400 with a message worth showing
+            displaySearchError(data.error || 'Search failed');
+            return;
+        }
+        searchResults = data;
         displaySearchResults(searchResults);
     } catch (error) {
         console.error('Search error:', error);
     }
 }
 
+// Filter chips. /api/facets/:game counts the set, rarity, type, color and cost
+// values among the cards the current query matches; an active chip adds its
+// field filter (e.g. rarity="Rare", see src/search-query.js) to the typed query,
+// so chips and typed search syntax narrow the same search. One chip per facet.
+const FACET_CHIP_LIMIT = 16;
+let activeFacets = {};      // facet key -> { value, term }
+let facetRequest = 0;
+
+// The typed query plus the active chips' filters.
+function searchQueryWithFacets(typed) {
+    const terms = Object.values(activeFacets).map(facet => facet.term);
+    return [String(typed || '').trim(), ...terms].filter(Boolean).join(' ');
+}
+
+async function loadFacets() {
+    const container = document.getElementById('searchFacets');
+    if (!container) return;
+    if (!currentGame || !gameHasData[currentGame]) {
+        container.innerHTML = '';
+        container.classList.add('hidden');
+        return;
+    }
+
+    const searchInput = document.getElementById('searchInput');
+    const request = ++facetRequest;
+    try {
+        const query = searchQueryWithFacets(searchInput ? searchInput.value : '');
+        const response = await fetch(`/api/facets/${currentGame}?q=${encodeURIComponent(query)}`);
+        const data = await response.json();
+        // Drop the answer when a newer query was sent meanwhile; a rejected
+        // query keeps the old chips (the search panel shows the error).
+        if (request !== facetRequest || !response.ok) return;
+        renderFacetChips(data.facets || []);
+    } catch (error) {
+        console.error('Facets error:', error);
+    }
+}
+
+function renderFacetChips(facets) {
+    const container = document.getElementById('searchFacets');
+    if (!container) return;
+    container.innerHTML = '';
+
+    facets.forEach(facet => {
+        const active = activeFacets[facet.key];
+        const values = facet.values.slice(0, FACET_CHIP_LIMIT);
+        if (active && !values.some(entry => String(entry.value) === String(active.value))) {
+            values.unshift({ value: active.value, count: 0 });
+        }
+        if (!values.length) return;
+
+        const row = document.createElement('div');
+        row.className = 'flex flex-wrap items-center gap-1';
+        const label = document.createElement('span');
+        label.className = 'text-xs text-base-content/50 w-20 shrink-0';
+        label.textContent = facet.label;
+        row.appendChild(label);
+
+        values.forEach(entry => {
+            const isActive = active && String(active.value) === String(entry.value);
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `btn btn-xs gap-1 ${isActive ? 'btn-primary' : 'btn-ghost bg-base-300/60'}`;
+            chip.textContent = entry.value;
+            if (entry.label) chip.title = entry.label;
+            const count = document.createElement('span');
+            count.className = 'opacity-60';
+            count.textContent = entry.count;
+            chip.appendChild(count);
+            chip.addEventListener('click', () => toggleFacet(facet, entry.value));
+            row.appendChild(chip);
+        });
+        container.appendChild(row);
+    });
+
+    if (Object.keys(activeFacets).length) {
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'btn btn-xs btn-ghost text-base-content/60';
+        clear.textContent = 'Clear filters';
+        clear.addEventListener('click', clearFacets);
+        container.appendChild(clear);
+    }
+    container.classList.toggle('hidden', !container.children.length);
+}
+
+function toggleFacet(facet, value) {
+    const current = activeFacets[facet.key];
+    if (current && String(current.value) === String(value)) {
+        delete activeFacets[facet.key];
+    } else {
+        activeFacets[facet.key] = { value, term: `${facet.field}${facet.op}"${value}"` };
+    }
+    rerunSearch();
+}
+
+function clearFacets() {
+    activeFacets = {};
+    rerunSearch();
+}
+
+function rerunSearch() {
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) handleSearch({ target: searchInput });
+}
+
 // Display search results, card preview, recent cards, and the cleared-results
 // state are all rendered by the registry-aware window.* overrides defined in
 // index.html (window.displaySearchResults / window.updateCardPreview /
@@ -607,32 +751,36 @@ async function importDeck() {
     // deckToCategories normalizes ALL of them to { CategoryName: [cards] } and,
     // for Magic, resolves each card's type against the local DB so it buckets
     // into Creatures / Spells / Artifacts / Enchantments / Planeswalkers / Lands.
-    const parsed = await parseDeckList(deckText);
+    let parsed;
+    try {
+        parsed = await parseDeckList(deckText);
+    } catch (error) {
+        alert(`Could not import this deck list: ${error.message}`);
+        return;
+    }
     const { game, categories } = await deckToCategories(parsed);
 
     const catCount = (arr) => arr.reduce((s, c) => s + (c.quantity || 1), 0);
-    const totalCards = Object.values(categories).reduce((sum, arr) => sum + catCount(arr), 0);
 
     // Soft-warn against the active game's main-deck size. Most games compare the
     // whole deck to a single number (e.g. 60); games with separate Extra/Side
     // decks (Yu-Gi-Oh) use a [min,max] range applied to the main categories only.
-    const rules = getGameConfig(game).deck?.rules;
+    const deck = getGameConfig(game).deck;
+    const rules = deck?.rules;
     const target = rules?.main;
     if (target) {
-        // Categories that form a SEPARATE deck and must not count toward the main-deck
-        // size: Yu-Gi-Oh Extra/Side, Digimon Digi-Egg, Gundam Resources, One Piece Leader.
-        const SECONDARY_CATS = new Set(['Extra', 'Side', 'Digi-Egg', 'Resources', 'Leader']);
-        const hasSideDecks = ['extra', 'side', 'egg', 'resources', 'leader'].some(k => rules[k] !== undefined);
-        const mainCount = hasSideDecks
-            ? Object.entries(categories)
-                .filter(([name]) => !SECONDARY_CATS.has(name))
-                .reduce((sum, [, arr]) => sum + catCount(arr), 0)
-            : totalCards;
+        // Categories the plugin declares as separate sections (Yu-Gi-Oh Extra/Side,
+        // Digimon Digi-Egg, Gundam Resources, One Piece Leader, a Sideboard) do not
+        // count toward the main-deck size.
+        const sections = deck.sections || {};
+        const mainCount = Object.entries(categories)
+            .filter(([name]) => !sections[name])
+            .reduce((sum, [, arr]) => sum + catCount(arr), 0);
         const ok = Array.isArray(target)
             ? (mainCount >= target[0] && mainCount <= target[1])
-            : (mainCount === target);
+            : (rules.mainIsMinimum ? mainCount >= target : mainCount === target);
         if (!ok) {
-            const want = Array.isArray(target) ? `${target[0]}-${target[1]}` : target;
+            const want = Array.isArray(target) ? `${target[0]}-${target[1]}` : `${target}${rules.mainIsMinimum ? '+' : ''}`;
             if (!confirm(`Main deck has ${mainCount} cards (should be ${want}). Import anyway?`)) {
                 return;
             }
@@ -780,10 +928,13 @@ function addSelectedToDeck() {
     if (!currentDeckList.categories[category]) currentDeckList.categories[category] = [];
     const bucket = currentDeckList.categories[category];
 
-    // Find if card already exists
+    // Find if card already exists. Flesh and Blood prints red, yellow and blue
+    // versions of a card under one name in the same set; pitch keeps them apart.
+    const pitch = selectedCard.pitch_value != null ? selectedCard.pitch_value : null;
     const existingCard = bucket.find(c =>
         c.name === selectedCard.name &&
-        c.setCode === (selectedCard.set_code || '')
+        c.setCode === (selectedCard.set_code || '') &&
+        (c.pitch != null ? c.pitch : null) === pitch
     );
 
     if (existingCard) {
@@ -794,6 +945,7 @@ function addSelectedToDeck() {
             name: selectedCard.name,
             setCode: selectedCard.set_code || '',
             number: selectedCard.card_number || '',
+            ...(pitch != null ? { pitch } : {}),
             fullName: `${selectedCard.name} ${selectedCard.set_code || ''} ${selectedCard.card_number || ''}`.trim()
         });
     }
@@ -887,6 +1039,8 @@ async function loadConfig() {
         // OBS Browser Sources are rendered per game from the registry; just
         // refresh the port and re-render the current game's links.
         serverPort = config.port || serverPort;
+        const auth = await (await fetch('/api/auth')).json();
+        overlayToken = auth.overlayToken;
         if (currentGame) renderObsSources(currentGame);
     } catch (error) {
         console.error('Error loading config:', error);
@@ -909,6 +1063,8 @@ function setupKeyboardShortcuts() {
         if (e.key === 'Escape') {
             clearSearchResults();
             document.getElementById('searchInput').value = '';
+            activeFacets = {};
+            loadFacets();
         }
         
         // Ctrl+1-5 - Select recent cards
@@ -976,6 +1132,89 @@ socket.on('image-download-error', (data) => {
     alert(`Image pre-download failed: ${data.error}`);
 });
 
+// ============ PRICES ============
+// Imported from local price CSVs (src/price-import.js); cards from the API carry
+// price: { market, low, mid, high, subType } or null.
+
+// '$12.34' from a card's price (market, else mid, else low); '' without one.
+function formatPrice(price) {
+    if (!price) return '';
+    const value = [price.market, price.mid, price.low].find(v => v !== null && v !== undefined);
+    return value === undefined ? '' : `$${Number(value).toFixed(2)}`;
+}
+
+function priceTitle(price) {
+    const part = (label, value) => (value === null || value === undefined ? null : `${label} $${Number(value).toFixed(2)}`);
+    return [part('Market', price.market), part('Low', price.low), part('Mid', price.mid), part('High', price.high)]
+        .filter(Boolean).join(' / ') + (price.subType ? ` (${price.subType})` : '');
+}
+
+async function loadPriceStatus() {
+    try {
+        const response = await fetch('/api/prices');
+        renderPriceStatus(await response.json());
+    } catch (error) {
+        console.error('Error loading price status:', error);
+    }
+}
+
+function renderPriceStatus(stats) {
+    const status = document.getElementById('priceStatus');
+    if (!status || !stats) return;
+    status.textContent = stats.products
+        ? `${stats.products.toLocaleString()} products priced, updated ${new Date(stats.updatedAt).toLocaleDateString()}`
+        : 'No prices imported. Import a price CSV or drop one here.';
+    if (stats.folder) status.title = `Drop folder: ${stats.folder}`;
+}
+
+async function importPriceFile(file) {
+    if (!file) return;
+    try {
+        const response = await fetch(`/api/prices/import?name=${encodeURIComponent(file.name)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/csv' },
+            body: await file.text()
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Import failed');
+        showToast(`Imported ${result.imported.toLocaleString()} prices from ${file.name}`);
+        renderPriceStatus(result);
+    } catch (error) {
+        console.error('Error importing prices:', error);
+        showToast(`Price import failed: ${error.message}`);
+    }
+}
+
+function handlePriceDrop(event) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('dragging');
+    const file = [...(event.dataTransfer.files || [])].find(f => /\.csv$/i.test(f.name));
+    if (file) {
+        importPriceFile(file);
+    } else {
+        showToast('Drop a .csv price file');
+    }
+}
+
+async function scanPriceFolder() {
+    try {
+        const response = await fetch('/api/prices/scan', { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Scan failed');
+        const imported = result.files.filter(file => !file.error);
+        const failed = result.files.filter(file => file.error);
+        showToast(imported.length || failed.length
+            ? `Imported ${imported.length} price file(s)${failed.length ? `, ${failed.length} could not be read` : ''}`
+            : 'No new price files');
+        renderPriceStatus(result);
+    } catch (error) {
+        console.error('Error scanning price folder:', error);
+        showToast('Could not scan the price folder');
+    }
+}
+
+socket.on('prices-changed', renderPriceStatus);
+
 // Utility: Debounce function
 function debounce(func, wait) {
     let timeout;
@@ -991,6 +1230,9 @@ function debounce(func, wait) {
 
 // Make functions globally available for onclick handlers
 window.selectCard = selectCard;
+window.importPriceFile = importPriceFile;
+window.handlePriceDrop = handlePriceDrop;
+window.scanPriceFolder = scanPriceFolder;
 window.importDeck = importDeck;
 window.clearDeckImport = clearDeckImport;
 window.showDeckList = showDeckList;
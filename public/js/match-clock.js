@@ -0,0 +1,57 @@
+// public/js/match-clock.js - Renders the server-owned match clock.
+//
+// The server (src/overlay-server.js, MATCH CLOCK METHODS) owns one round clock
+// per match and broadcasts `match-clock-update` { match, running, duration,
+// remaining, serverTime } whenever it starts, pauses, is set or is reset.
+// Control pages send commands (`timer-start` / `timer-pause` / `timer-reset` /
+// `timer-set` with { match }) and never count on their own; every page just
+// renders the countdown from the last update.
+//
+// Counting from the moment the update ARRIVED (not from serverTime) keeps a
+// skewed machine clock from showing a different second.
+//
+// Loaded by the match overlays and match control pages, after socket.io.
+
+function watchMatchClock(socket, match, render) {
+    let clock = null;
+    let receivedAt = 0;
+    let lastShown = null;
+
+    function secondsLeft() {
+        if (!clock) return null;
+        if (!clock.running) return Math.ceil(clock.remaining);
+        return Math.max(0, Math.ceil(clock.remaining - (Date.now() - receivedAt) / 1000));
+    }
+
+    function tick(force) {
+        const secs = secondsLeft();
+        if (secs === null || (!force && secs === lastShown)) return;
+        lastShown = secs;
+        render(secs, clock);
+    }
+
+    socket.on('match-clock-update', (data) => {
+        if (!data || data.match !== match) return;
+        clock = data;
+        receivedAt = Date.now();
+        tick(true);
+    });
+    setInterval(() => tick(false), 250);
+
+    return {
+        get running() { return !!(clock && clock.running); },
+        get duration() { return clock ? clock.duration : null; },
+        secondsLeft
+    };
+}
+
+// 3000 -> { minutes: 50, seconds: 0 } (the shape the match pages keep in state).
+function clockParts(totalSeconds) {
+    const t = Math.max(0, totalSeconds | 0);
+    return { minutes: Math.floor(t / 60), seconds: t % 60 };
+}
+
+if (typeof window !== 'undefined') {
+    window.watchMatchClock = watchMatchClock;
+    window.clockParts = clockParts;
+}
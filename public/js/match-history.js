@@ -0,0 +1,53 @@
+// public/js/match-history.js - Undo/redo wiring for the match control pages.
+//
+// The server keeps a bounded undo/redo stack per match (src/match-history.js).
+// A control page sends `match-undo` / `match-redo` { match }, and the server
+// re-syncs every overlay plus every control page: `match-history-sync`
+// { match, state, canUndo, canRedo } carries the reverted board, which the page
+// must adopt in place of its local copy (otherwise its next push would re-apply
+// the undone action). `match-history` { match, canUndo, canRedo } keeps the
+// buttons' enabled state current.
+//
+// Wires #undoBtn / #redoBtn when present; Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y)
+// work anywhere except inside text fields, which keep their native undo.
+//
+// Loaded by the match control pages, after socket.io.
+
+function bindMatchHistory(socket, match, onSync) {
+    function setButtons(status) {
+        if (undoBtn) undoBtn.disabled = !status.canUndo;
+        if (redoBtn) redoBtn.disabled = !status.canRedo;
+    }
+
+    const undo = () => socket.emit('match-undo', { match });
+    const redo = () => socket.emit('match-redo', { match });
+
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.addEventListener('click', undo);
+    if (redoBtn) redoBtn.addEventListener('click', redo);
+
+    socket.on('match-history', (status) => {
+        if (status && status.match === match) setButtons(status);
+    });
+    socket.on('match-history-sync', (data) => {
+        if (!data || data.match !== match) return;
+        setButtons(data);
+        if (onSync) onSync(data.state);
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const t = e.target;
+        if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+        else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+    });
+
+    return { undo, redo };
+}
+
+if (typeof window !== 'undefined') {
+    window.bindMatchHistory = bindMatchHistory;
+}
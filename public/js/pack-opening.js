@@ -0,0 +1,217 @@
+/**
+ * CardCast Pack Opening Module
+ * Runs a pack-opening session from the Pack Opening panel: pick the set, then add
+ * each card as it comes out of the pack, either by typing its collector number
+ * (or name) into the panel or by picking it from search and pressing Add. The
+ * server keeps the session (see PACK OPENING METHODS in src/overlay-server.js);
+ * the main overlay reveals every pull and keeps the pulls strip.
+ *
+ * Keys when not typing in a field: P adds the selected card, N starts the next pack.
+ */
+
+// State management for pack opening
+let packState = null;         // last pack-session-update: { session, summary }
+let packSets = [];            // sets of packSetsGame, for the start form
+let packSetsGame = null;
+let packSetCards = null;      // { game, code, cards } of the running session's set
+
+/**
+ * Render the panel for the current game and session
+ */
+window.renderPackOpening = async function() {
+    const panel = document.getElementById('packOpeningPanel');
+    if (!panel) return;
+    const session = packState && packState.session && packState.session.id ? packState.session : null;
+
+    if (!session) {
+        if (!currentGame) {
+            panel.innerHTML = '<p class="text-xs text-center text-base-content/40 pt-1">Select a game to open packs</p>';
+            return;
+        }
+        await loadPackSets(currentGame);
+        panel.innerHTML = packSets.length ? `
+            <select id="packSetSelect" class="select select-bordered select-sm w-full">
+                ${packSets.map(set => `<option value="${set.code}">${set.name}${set.abbreviation ? ` (${set.abbreviation})` : ''}</option>`).join('')}
+            </select>
+            <button class="btn btn-sm btn-primary w-full mt-2" onclick="startPackSession()">Start Session</button>
+        ` : `
+            <p class="text-xs text-center text-base-content/40 pt-1">Download card data to open packs</p>
+        `;
+        return;
+    }
+
+    const summary = packState.summary;
+    const exportUrl = `/api/pack-sessions/${session.game}/${encodeURIComponent(session.id)}`;
+    panel.innerHTML = `
+        <div class="text-sm font-medium">${session.setName || session.setCode || 'Pack Opening'}</div>
+        <div class="text-xs opacity-60">
+            ${session.active ? `Pack ${session.pack}` : 'Session ended'} &middot; ${summary.pulls} pulls in ${summary.packs} packs
+        </div>
+        ${session.active ? `
+            <div class="join w-full mt-2">
+                <input type="text" id="packCardInput" class="input input-bordered input-sm join-item flex-1"
+                       placeholder="Card # or name" onkeydown="if (event.key === 'Enter') addPackCardFromInput()">
+                <button class="btn btn-sm btn-primary join-item" onclick="addPackCardFromInput()">Add</button>
+            </div>
+            <button class="btn btn-sm btn-outline w-full mt-2" onclick="addSelectedToPack()" title="Add the card in the preview (P)">Add Selected Card (P)</button>
+            <div class="grid grid-cols-2 gap-2 mt-2">
+                <button class="btn btn-sm" onclick="socket.emit('pack-next')" title="Start the next pack (N)">Next Pack (N)</button>
+                <button class="btn btn-sm btn-ghost border border-base-content/15" onclick="socket.emit('pack-undo')">Undo Pull</button>
+            </div>
+        ` : ''}
+        ${summary.rarities.length ? `
+            <table class="pack-summary">
+                <thead><tr><th>Rarity</th><th>Pulls</th><th>Hit rate</th></tr></thead>
+                <tbody>
+                    ${summary.rarities.map(entry => `
+                        <tr>
+                            <td>${entry.rarity}</td>
+                            <td>${entry.pulls}</td>
+                            <td title="${entry.packsHit} of ${summary.packs} packs">${Math.round(entry.hitRate * 100)}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+        <div class="grid grid-cols-2 gap-2 mt-2">
+            <a class="btn btn-sm btn-ghost border border-base-content/15" href="${exportUrl}?format=csv&download=1">Export CSV</a>
+            <a class="btn btn-sm btn-ghost border border-base-content/15" href="${exportUrl}?download=1">Export JSON</a>
+        </div>
+        ${session.active
+            ? '<button class="btn btn-sm btn-outline btn-error w-full mt-2" onclick="socket.emit(\'pack-end\')">End Session</button>'
+            : '<button class="btn btn-sm btn-ghost w-full mt-2" onclick="socket.emit(\'pack-clear\')">Clear From Overlay</button>'}
+    `;
+}
+
+window.startPackSession = function() {
+    const select = document.getElementById('packSetSelect');
+    if (!currentGame || !select || !select.value) return;
+    socket.emit('pack-start', { game: currentGame, setCode: select.value });
+}
+
+/**
+ * Add the card shown in the preview (picked from search, the set browser or recent cards)
+ */
+window.addSelectedToPack = function() {
+    const session = packState && packState.session;
+    if (!session || !session.active) return;
+    if (!selectedCard) {
+        showToast('Pick the pulled card first');
+        return;
+    }
+    if (currentGame !== session.game) {
+        showToast(`This session is for ${getGameConfig(session.game).name}`);
+        return;
+    }
+    socket.emit('pack-pull', { cardId: selectedCard.id });
+}
+
+/**
+ * Add the card typed into the panel: a collector number in the session's set
+ * ("45", "045" or "045/198"), else the set card with that name (or whose name
+ * starts with it)
+ */
+window.addPackCardFromInput = async function() {
+    const input = document.getElementById('packCardInput');
+    const session = packState && packState.session;
+    if (!input || !session || !session.active) return;
+    const text = input.value.trim();
+    if (!text) return;
+
+    const cards = await loadPackSetCards(session);
+    const card = findPackCard(cards, text);
+    if (!card) {
+        showToast(`No card "${text}" in ${session.setName || 'this set'}`);
+        return;
+    }
+    socket.emit('pack-pull', { cardId: card.id });
+    input.value = '';
+    input.focus();
+}
+
+// Numbers match exactly first, then ignoring leading zeros, then by their
+// trailing digits ("1" finds OP01-001 or LOB-EN001).
+function findPackCard(cards, text) {
+    const number = text.split('/')[0].trim().toLowerCase();
+    const bare = number.replace(/^0+(?=\d)/, '');
+    const numberOf = card => String(card.card_number || '').toLowerCase().split('/')[0];
+    const byNumber = cards.find(card => numberOf(card) === number) ||
+        cards.find(card => numberOf(card).replace(/^0+(?=\d)/, '') === bare) ||
+        (/^\d+$/.test(bare) && cards.find(card => {
+            const digits = numberOf(card).match(/(\d+)$/);
+            return digits && digits[1].replace(/^0+(?=\d)/, '') === bare;
+        }));
+    if (byNumber) return byNumber;
+    const name = text.toLowerCase();
+    return cards.find(card => card.name.toLowerCase() === name) ||
+        cards.find(card => card.name.toLowerCase().startsWith(name)) || null;
+}
+
+async function loadPackSets(game) {
+    if (packSetsGame === game) return;
+    try {
+        const response = await fetch(`/api/${game}/sets`);
+        const sets = await response.json();
+        if (!response.ok) throw new Error(sets.error || 'Failed to load sets');
+        packSets = sets;
+        // A game without sets yet is asked again (its data may be downloading).
+        packSetsGame = sets.length ? game : null;
+    } catch (error) {
+        console.error('Error loading sets for pack opening:', error);
+        packSets = [];
+    }
+}
+
+async function loadPackSetCards(session) {
+    if (packSetCards && packSetCards.game === session.game && packSetCards.code === session.setCode) {
+        return packSetCards.cards;
+    }
+    try {
+        const response = await fetch(`/api/${session.game}/sets/${encodeURIComponent(session.setCode)}/cards`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load set');
+        packSetCards = { game: session.game, code: session.setCode, cards: data.cards };
+        return data.cards;
+    } catch (error) {
+        console.error('Error loading set cards for pack opening:', error);
+        return [];
+    }
+}
+
+// Re-rendering would wipe a half-typed card number, so keep the input's value
+// and focus across session updates.
+function onPackSessionUpdate(data) {
+    const input = document.getElementById('packCardInput');
+    const typed = input ? input.value : '';
+    const focused = input && document.activeElement === input;
+
+    packState = data;
+    renderPackOpening().then(() => {
+        const next = document.getElementById('packCardInput');
+        if (!next) return;
+        next.value = typed;
+        if (focused) next.focus();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    socket.on('pack-session-update', onPackSessionUpdate);
+    socket.on('pack-error', (data) => showToast(data.message));
+});
+
+document.addEventListener('keydown', (e) => {
+    const session = packState && packState.session;
+    if (!session || !session.active) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const tag = (e.target && e.target.tagName) || '';
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(tag) || (e.target && e.target.isContentEditable)) return;
+
+    if (e.key === 'p' || e.key === 'P') {
+        addSelectedToPack();
+    } else if (e.key === 'n' || e.key === 'N') {
+        socket.emit('pack-next');
+    } else {
+        return;
+    }
+    e.preventDefault();
+});
@@ -0,0 +1,240 @@
+/**
+ * CardCast Set Browser Module
+ * Pages through one set card by card in collector-number order (pack openings
+ * on stream). Uses the same flow as a search result: the card is loaded with
+ * /api/card/:game/:id into the preview, and sending it emits display-card.
+ *
+ * Keys while the browser is open: Left / Right (or Home / End) move through the
+ * set, L sends the card to the overlay's left slot and R to the right slot.
+ */
+
+// State management for the set browser
+let setBrowser = null;       // { game, sets, set, cards, index } while open
+let setBrowserRequest = 0;   // newest /api/card request, so fast paging shows the last card
+let setBrowserLoading = null; // promise for the card being loaded into the preview
+const setBrowserLastSet = {}; // game -> code of the set browsed last
+
+/**
+ * Open the set browser for the current game (on the set browsed last, else the newest set)
+ */
+window.openSetBrowser = async function(code) {
+    if (!currentGame) {
+        showToast('Select a game first');
+        return;
+    }
+    if (typeof isDeckViewMode !== 'undefined' && isDeckViewMode) exitDeckView();
+
+    const game = currentGame;
+    try {
+        const response = await fetch(`/api/${game}/sets`);
+        const sets = await response.json();
+        if (!response.ok) throw new Error(sets.error || 'Failed to load sets');
+
+        setBrowser = { game, sets, set: null, cards: [], index: 0 };
+        if (!sets.length) {
+            renderSetBrowser();
+            return;
+        }
+        const wanted = code || setBrowserLastSet[game];
+        const start = sets.find(set => set.code === wanted) || sets[0];
+        await browseSet(start.code);
+    } catch (error) {
+        console.error('Error opening set browser:', error);
+        showToast('Could not load sets');
+    }
+}
+
+/**
+ * Load a set's cards and show the first one
+ */
+window.browseSet = async function(code) {
+    if (!setBrowser) return;
+    try {
+        const response = await fetch(`/api/${setBrowser.game}/sets/${encodeURIComponent(code)}/cards`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load set');
+
+        setBrowser.set = data.set;
+        setBrowser.cards = data.cards;
+        setBrowser.index = 0;
+        setBrowserLastSet[setBrowser.game] = data.set.code;
+        renderSetBrowser();
+        if (data.cards.length) setBrowserGo(0);
+    } catch (error) {
+        console.error('Error loading set:', error);
+        showToast('Could not load that set');
+    }
+}
+
+window.closeSetBrowser = function() {
+    setBrowser = null;
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput && searchInput.value.trim()) {
+        handleSearch({ target: searchInput });
+    } else {
+        clearSearchResults();
+    }
+}
+
+/**
+ * Move to a card (clamped to the set) and load it into the preview
+ */
+window.setBrowserGo = function(index) {
+    if (!setBrowser || !setBrowser.cards.length) return;
+    setBrowser.index = Math.max(0, Math.min(setBrowser.cards.length - 1, index));
+    updateSetBrowserCurrent();
+    setBrowserLoading = loadBrowsedCard(setBrowser.cards[setBrowser.index]);
+}
+
+/**
+ * Send the current card to the overlay's left or right slot
+ */
+window.setBrowserSend = async function(position) {
+    if (!setBrowser || !setBrowser.cards.length) return;
+    if (setBrowserLoading) await setBrowserLoading;
+    const card = setBrowser.cards[setBrowser.index];
+    if (!selectedCard || selectedCard.id !== card.id) return;
+
+    displayCard(position);
+    addToRecentCards(selectedCard);
+    const status = document.getElementById('setBrowserStatus');
+    if (status) status.textContent = `Sent ${card.name} to the ${position} slot`;
+}
+
+// The full card for the preview and display-card (the list rows are trimmed).
+async function loadBrowsedCard(card) {
+    const request = ++setBrowserRequest;
+    try {
+        const response = await fetch(`/api/card/${setBrowser.game}/${encodeURIComponent(card.id)}`);
+        const fullCard = await response.json();
+        if (!response.ok || request !== setBrowserRequest) return;
+
+        if (!fullCard.image_url && fullCard.display_image) {
+            fullCard.image_url = fullCard.display_image;
+        }
+        selectedCard = fullCard;
+        updateCardPreview(selectedCard);
+        document.getElementById('displayLeft').disabled = false;
+        document.getElementById('displayRight').disabled = false;
+    } catch (error) {
+        console.error('Error loading card:', error);
+    }
+}
+
+function renderSetBrowser() {
+    const resultsDiv = document.getElementById('searchResults');
+    const { sets, set, cards } = setBrowser;
+    const gameName = getGameConfig(setBrowser.game).name;
+
+    if (!sets.length) {
+        resultsDiv.innerHTML = `
+            <div id="setBrowser" class="flex flex-col items-center justify-center py-20 text-center">
+                <h3 class="text-lg font-medium mb-1">No ${gameName} sets yet</h3>
+                <p class="text-sm opacity-60">Download card data to browse sets</p>
+                <button class="btn btn-sm btn-ghost mt-4" onclick="closeSetBrowser()">Back to Search</button>
+            </div>
+        `;
+        return;
+    }
+
+    const options = sets.map(entry => `
+        <option value="${entry.code}" ${set && entry.code === set.code ? 'selected' : ''}>
+            ${entry.name}${entry.abbreviation ? ` (${entry.abbreviation})` : ''} - ${entry.card_count} cards
+        </option>
+    `).join('');
+
+    resultsDiv.innerHTML = `
+        <div id="setBrowser" class="set-browser">
+            <div class="set-browser-header">
+                <select class="select select-bordered select-sm flex-1" onchange="browseSet(this.value); this.blur()">${options}</select>
+                <button class="btn btn-sm btn-ghost" onclick="closeSetBrowser()">Back to Search</button>
+            </div>
+            ${cards.length ? `
+                <div class="set-browser-current">
+                    <img id="setBrowserImage" class="set-browser-image" alt="">
+                    <div class="set-browser-details">
+                        <div id="setBrowserPosition" class="text-sm opacity-60"></div>
+                        <h3 id="setBrowserName" class="text-lg font-medium"></h3>
+                        <div id="setBrowserMeta" class="text-sm opacity-60"></div>
+                        <div class="set-browser-actions">
+                            <button class="btn btn-sm" onclick="setBrowserGo(setBrowser.index - 1)">&larr; Previous</button>
+                            <button class="btn btn-sm" onclick="setBrowserGo(setBrowser.index + 1)">Next &rarr;</button>
+                        </div>
+                        <div class="set-browser-actions">
+                            <button class="btn btn-sm btn-primary" onclick="setBrowserSend('left')">Send Left (L)</button>
+                            <button class="btn btn-sm btn-primary" onclick="setBrowserSend('right')">Send Right (R)</button>
+                        </div>
+                        <div id="setBrowserStatus" class="text-xs opacity-60"></div>
+                        <div class="text-xs opacity-60">&larr; / &rarr; browse &middot; L / R send to overlay &middot; Esc close</div>
+                    </div>
+                </div>
+                <div class="set-browser-thumbs">
+                    ${cards.map((card, i) => `
+                        <button type="button" class="set-browser-thumb" data-index="${i}" onclick="setBrowserGo(${i})" title="${card.card_number || ''} ${card.name}">
+                            <img src="${card.display_image || '/images/card-back.png'}" alt="${card.name}" loading="lazy">
+                            <span>${card.card_number || ''}</span>
+                        </button>
+                    `).join('')}
+                </div>
+            ` : `
+                <p class="text-sm opacity-60 py-20 text-center">No cards stored for this set</p>
+            `}
+        </div>
+    `;
+}
+
+// Update the current-card panel and thumbnail highlight without re-rendering the set.
+function updateSetBrowserCurrent() {
+    const card = setBrowser.cards[setBrowser.index];
+    const image = document.getElementById('setBrowserImage');
+    if (!card || !image) return;
+
+    image.src = card.display_image || '/images/card-back.png';
+    image.alt = card.name;
+    document.getElementById('setBrowserPosition').textContent =
+        `${setBrowser.index + 1} / ${setBrowser.cards.length}${card.card_number ? ` - #${card.card_number}` : ''}`;
+    document.getElementById('setBrowserName').textContent = card.name;
+    document.getElementById('setBrowserMeta').textContent = [card.rarity, card.card_type].filter(Boolean).join(' - ');
+    document.getElementById('setBrowserStatus').textContent = '';
+
+    document.querySelectorAll('.set-browser-thumb').forEach(thumb => {
+        const active = Number(thumb.dataset.index) === setBrowser.index;
+        thumb.classList.toggle('active', active);
+        if (active) thumb.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+// Keyboard paging. Ignored while typing in a field or with a modifier held
+// (Ctrl+R still reloads).
+document.addEventListener('keydown', (e) => {
+    if (!setBrowser || !document.getElementById('setBrowser')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const tag = (e.target && e.target.tagName) || '';
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(tag) || (e.target && e.target.isContentEditable)) return;
+
+    switch (e.key) {
+        case 'ArrowRight':
+            setBrowserGo(setBrowser.index + 1);
+            break;
+        case 'ArrowLeft':
+            setBrowserGo(setBrowser.index - 1);
+            break;
+        case 'Home':
+            setBrowserGo(0);
+            break;
+        case 'End':
+            setBrowserGo(setBrowser.cards.length - 1);
+            break;
+        case 'l':
+        case 'L':
+            setBrowserSend('left');
+            break;
+        case 'r':
+        case 'R':
+            setBrowserSend('right');
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+});
@@ -0,0 +1,73 @@
+// public/js/socket-errors.js - Shows what the server refused instead of failing silently.
+//
+// The server (server.js, src/auth.js) answers a page it does not trust in one of
+// two ways: the socket handshake fails with connect_error 'unauthorized' (no PIN
+// session, a wrong or rotated overlay token), or a single event is refused with
+// `auth-error` { event, error } (an overlay-token socket sending a control
+// event). A match event whose payload breaks its game's rules is refused with
+// `event-rejected` { event, error }; the server then re-sends its board, so the
+// page only has to say why its change did not stick.
+//
+// Control pages go to /login (and come back here after it); overlays cannot log
+// in from OBS, so they show a banner asking for a fresh overlay URL.
+//
+// Loaded by the dashboard, the control pages and the overlays, after socket.io.
+
+function watchSocketErrors(socket, kind = 'control') {
+    let banner = null;
+    const toasts = [];
+
+    function login() {
+        const next = window.location.pathname + window.location.search;
+        window.location.href = `/login?next=${encodeURIComponent(next)}`;
+    }
+
+    function showBanner(message) {
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.style.cssText = 'position:fixed;top:0;left:0;right:0;z-index:99999;padding:10px 16px;'
+                + 'background:#b91c1c;color:#fff;font:600 14px/1.4 system-ui,sans-serif;text-align:center;';
+            document.body.appendChild(banner);
+        }
+        banner.textContent = message;
+    }
+
+    function showToast(message) {
+        const toast = document.createElement('div');
+        toast.textContent = message;
+        toast.style.cssText = 'position:fixed;right:16px;z-index:99999;max-width:420px;padding:10px 14px;'
+            + 'border-radius:8px;background:#7f1d1d;color:#fff;font:500 13px/1.4 system-ui,sans-serif;'
+            + 'box-shadow:0 6px 20px rgba(0,0,0,.35);';
+        document.body.appendChild(toast);
+        toasts.push(toast);
+        const place = () => toasts.forEach((t, i) => { t.style.bottom = `${16 + i * 56}px`; });
+        place();
+        setTimeout(() => {
+            toast.remove();
+            toasts.splice(toasts.indexOf(toast), 1);
+            place();
+        }, 4000);
+    }
+
+    function refused(message) {
+        if (kind === 'overlay') {
+            showBanner(`CardCast refused this overlay: ${message}. Copy its URL from the dashboard again.`);
+        } else {
+            login();
+        }
+    }
+
+    socket.on('connect_error', (error) => {
+        if (error && error.message === 'unauthorized') refused('no valid overlay token');
+    });
+    socket.on('auth-error', (data) => refused((data && data.error) || 'not allowed'));
+    socket.on('event-rejected', (data) => {
+        const message = (data && data.error) || 'change refused';
+        console.warn('Server rejected', data && data.event, message);
+        if (kind !== 'overlay') showToast(`Not applied: ${message}`);
+    });
+}
+
+if (typeof window !== 'undefined') {
+    window.watchSocketErrors = watchSocketErrors;
+}
@@ -56,6 +56,8 @@ const mainFiles = [
     'server.js',
     'index.html',
     ...controlPages,
+    'replay-control.html',
+    'login.html',
     'package.json',
     // Documentation for optional API keys (examples only - never real secrets).
     '.env.example',
@@ -92,7 +94,7 @@ if (fs.existsSync(configPath)) {
             onepiece: { enabled: true, dataPath: null },
             digimon: { enabled: true, dataPath: null },
             gundam: { enabled: true, dataPath: null },
-            fab: { enabled: false, dataPath: null },
+            fab: { enabled: true, dataPath: null },
             starwars: { enabled: false, dataPath: null }
         },
         obs: {
@@ -260,6 +262,7 @@ Add these URLs as browser sources in OBS (one per game you stream):
 - Lorcana Match:   http://localhost:3888/lorcana-match
 - Digimon Match:   http://localhost:3888/digimon-match
 - Gundam Match:    http://localhost:3888/gundam-match
+- FaB Match:       http://localhost:3888/fab-match
 
 Each game has a matching control page you open in your browser:
 - http://localhost:3888/pokemon-match-control
@@ -269,6 +272,7 @@ Each game has a matching control page you open in your browser:
 - http://localhost:3888/lorcana-match-control
 - http://localhost:3888/digimon-match-control
 - http://localhost:3888/gundam-match-control
+- http://localhost:3888/fab-match-control
 
 Settings: 1920x1080, 30 FPS
 
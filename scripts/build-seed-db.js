@@ -20,9 +20,10 @@ const path = require('path');
 const CardDatabase = require('../src/database');
 const TCGApi = require('../src/tcg-api');
 const { loadEnv, readJson, resolveApiKeys } = require('../src/config');
+const gamePlugins = require('../src/games');
 
 const PROJECT_ROOT = path.join(__dirname, '..');
-const DEFAULT_GAMES = ['pokemon', 'magic', 'yugioh', 'lorcana', 'digimon', 'onepiece', 'gundam'];
+const DEFAULT_GAMES = gamePlugins.ids(); // every game with a plugin in src/games
 const DEFAULT_OUTPUT = path.join(PROJECT_ROOT, 'seed-build', 'cardcast.db');
 
 // Remove a database file and its WAL sidecars so we always start clean.
@@ -98,6 +99,8 @@ async function buildSeed(options = {}) {
     db.db.pragma('wal_checkpoint(TRUNCATE)');
     db.db.pragma('journal_mode = DELETE');
     db.db.exec('VACUUM');
+    // VACUUM may renumber card rowids, which the full-text index is keyed on.
+    db.rebuildCardSearchIndex();
     db.close();
 
     const sizeMb = (fs.statSync(outPath).size / 1024 / 1024).toFixed(1);
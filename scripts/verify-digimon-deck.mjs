@@ -1,8 +1,8 @@
 // verify-digimon-deck.mjs - Phase 1 verification for Digimon deck foundation.
 //
-// Exercises the registry (categorize/rules/searchMeta) and parseDigimonDeckList
-// against the REAL cardcast.db. fetch() is shimmed to call the same db methods the
-// server routes use (db.getCard / db.searchCards), so no server/port is needed.
+// Exercises the registry (categorize/rules/searchMeta) and the plugin's
+// deck.parse against the REAL cardcast.db, through the same card lookup
+// POST /api/decks/parse uses (src/deck-import.js), so no server/port is needed.
 //
 // Run: node scripts/verify-digimon-deck.mjs
 import { createRequire } from 'module';
@@ -12,26 +12,10 @@ const path = require('path');
 const CardDatabase = require('../src/database.js');
 const db = new CardDatabase(path.join(process.cwd(), 'data', 'cardcast.db'));
 
-// Faithful fetch shim: resolve relative API URLs against the live DB, mirroring
-// the server's display_image augmentation.
-globalThis.fetch = async (url) => {
-    const u = String(url);
-    if (u.includes('/api/card/digimon/')) {
-        const id = decodeURIComponent(u.split('/').pop());
-        const card = db.getCard('digimon', id);
-        if (card) card.display_image = card.image_url || card.local_image;
-        return { ok: !!card, json: async () => card };
-    }
-    if (u.includes('/api/search/digimon')) {
-        const q = decodeURIComponent((u.split('q=')[1] || '').split('&')[0]);
-        const results = db.searchCards('digimon', q).map(c => ({ ...c, display_image: c.image_url || c.local_image }));
-        return { ok: true, json: async () => results };
-    }
-    return { ok: false, json: async () => null };
-};
-
-const { GAME_REGISTRY, digimonCategoryFromType } = require('../public/js/game-registry.js');
-const { detectGameType, parseDigimonDeckList } = require('../public/js/deck-parser.js');
+const games = require('../src/games');
+const { cardLookup } = require('../src/deck-import.js');
+const { getGameConfig, categoryFromType } = require('../public/js/game-registry.js');
+const detectGameType = (text) => games.detectDeck(text);
 
 let pass = 0, fail = 0;
 const check = (name, cond, detail = '') => {
@@ -40,7 +24,7 @@ const check = (name, cond, detail = '') => {
 };
 
 console.log('\n=== Registry: digimon entry ===');
-const dg = GAME_REGISTRY.digimon;
+const dg = getGameConfig('digimon');
 check('entry exists', !!dg);
 check('matchControls -> /digimon-match-control',
     dg.matchControls.some(m => m.route === '/digimon-match-control'));
@@ -56,19 +40,19 @@ check('banlist has Standard banned/restricted',
     dg.deck.banlist.Standard && Array.isArray(dg.deck.banlist.Standard.banned) && Array.isArray(dg.deck.banlist.Standard.restricted));
 
 console.log('\n=== categorize by card_type ===');
-check('Digimon -> Digimon', digimonCategoryFromType('Digimon') === 'Digimon');
-check('Dual -> Digimon (played as Digimon)', digimonCategoryFromType('Dual') === 'Digimon');
-check('Tamer -> Tamers', digimonCategoryFromType('Tamer') === 'Tamers');
-check('Option -> Options', digimonCategoryFromType('Option') === 'Options');
-check('Digi-Egg -> Digi-Egg (egg deck)', digimonCategoryFromType('Digi-Egg') === 'Digi-Egg');
-check('unknown -> Digimon fallback', digimonCategoryFromType('') === 'Digimon');
+check('Digimon -> Digimon', categoryFromType('digimon', 'Digimon') === 'Digimon');
+check('Dual -> Digimon (played as Digimon)', categoryFromType('digimon', 'Dual') === 'Digimon');
+check('Tamer -> Tamers', categoryFromType('digimon', 'Tamer') === 'Tamers');
+check('Option -> Options', categoryFromType('digimon', 'Option') === 'Options');
+check('Digi-Egg -> Digi-Egg (egg deck)', categoryFromType('digimon', 'Digi-Egg') === 'Digi-Egg');
+check('unknown -> Digimon fallback', categoryFromType('digimon', '') === 'Digimon');
 
 console.log('\n=== searchMeta ===');
 check('shows Cost + DP + Lv', dg.searchMeta({ play_cost: 3, dp: 2000, digimon_level: 3 }) === 'Cost 3 / DP 2000 / Lv.3');
 check('cost only', dg.searchMeta({ play_cost: 5 }) === 'Cost 5');
 check('falls back to colors', dg.searchMeta({ colors: 'Red/Blue' }) === 'Red/Blue');
 
-console.log('\n=== detectGameType ===');
+console.log('\n=== games.detectDeck ===');
 check('BT token -> digimon', detectGameType('4 Agumon BT1-010\n4 Greymon BT1-016') === 'digimon');
 check('BT19 (two-digit set) -> digimon', detectGameType('4 Hornet Eraser BT19-096') === 'digimon');
 check('mixed BT + ST -> digimon (BT wins over Gundam)', detectGameType('1 Gabumon ST1-02\n4 Agumon BT1-010') === 'digimon');
@@ -77,7 +61,7 @@ check('gundam GD token still gundam (no BT)', detectGameType('4 Gundam GD01-001\
 check('pokemon list still pokemon', detectGameType('Pokemon: 4\n4 Pikachu SVI 50') === 'pokemon');
 check('mtg arena export still magic', detectGameType('Deck\n4 Lightning Bolt (JMP) 342\n4 Llanowar Elves (DOM) 168') === 'magic');
 
-console.log('\n=== parseDigimonDeckList (real DB) ===');
+console.log('\n=== deck.parse (real DB) ===');
 const list = [
     'Digimon',
     '4 BT1-009',            // Monodramon, number-only line
@@ -90,7 +74,7 @@ const list = [
     '2 BT1-001'             // Yokomon (Digi-Egg) -> egg deck
 ].join('\n');
 
-const deck = await parseDigimonDeckList(list.split('\n'));
+const deck = await games.get('digimon').deck.parse(list.split('\n'), cardLookup(db, 'digimon'));
 const cats = deck.categories;
 const qty = (cat, name) => {
     const c = (cats[cat] || []).find(x => x.name && x.name.toLowerCase().includes(name.toLowerCase()));
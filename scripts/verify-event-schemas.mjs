@@ -0,0 +1,95 @@
+// Match event checks: the schema helpers (src/event-schemas.js), the plugins'
+// match.schemas and the reducers that merge what a schema lets through. The
+// reducers run on an OverlayServer with a stub socket.io, so this needs no
+// server or browser.
+//
+//   node scripts/verify-event-schemas.mjs   (part of npm run verify)
+//
+// Exits 1 when any check fails.
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const S = require('../src/event-schemas');
+const games = require('../src/games');
+const OverlayServer = require('../src/overlay-server');
+
+const results = [];
+const check = (name, cond, detail = '') => {
+    results.push({ name, ok: !!cond, detail });
+    console.log(`${cond ? 'PASS' : 'FAIL'}  ${name}${cond ? '' : '  <-- ' + detail}`);
+};
+
+// ============ SCHEMA HELPERS ============
+
+const spec = S.obj({
+    player: S.player,
+    life: S.optional(S.int(0, 20)),
+    cards: S.optional(S.cards(2, { power: S.int(0, 9) })),
+    taken: S.optional(S.takenList(3))
+});
+const valid = (value) => S.check(spec, value, '') === null;
+check('schema: a full payload passes', valid({ player: 1, life: 20, cards: [{ name: 'A', power: 3 }, null], taken: [0, 2] }));
+check('schema: optional fields may be missing', valid({ player: 2 }));
+check('schema: card stats may be null', valid({ player: 1, cards: [{ name: 'A', power: null }] }));
+check('schema: player must be 1 or 2', !valid({ player: 3 }));
+check('schema: integers only', !valid({ player: 1, life: 2.5 }) && !valid({ player: 1, life: '5' }));
+check('schema: bounds are inclusive', valid({ player: 1, life: 0 }) && !valid({ player: 1, life: 21 }));
+check('schema: lists are capped', !valid({ player: 1, cards: [null, null, null] }));
+check('schema: taken lists are unique and in range', !valid({ player: 1, taken: [1, 1] }) && !valid({ player: 1, taken: [3] }));
+check('schema: the payload must be an object', !valid(null) && !valid([1]));
+
+// ============ PLUGIN SCHEMAS ============
+
+const rejects = (event, payload, pattern) => {
+    const message = games.validateEvent(event, payload);
+    check(`${event} rejects ${JSON.stringify(payload)}`, message && pattern.test(message), String(message));
+};
+const accepts = (event, payload) => {
+    const message = games.validateEvent(event, payload);
+    check(`${event} accepts ${JSON.stringify(payload)}`, message === null, String(message));
+};
+accepts('onepiece-don-update', { player: 1, don: { active: 6, rested: 4 } });
+rejects('onepiece-don-update', { player: 1, don: { active: 6, rested: 5 } }, /at most 10/);
+// One counter alone is fine; the reducer merges it (see below).
+accepts('onepiece-don-update', { player: 1, don: { active: 10 } });
+rejects('onepiece-don-update', { player: 1, don: { rested: 11 } }, /rested must be an integer from 0 to 10/);
+// A board sync replaces the whole counter, so it must send both.
+rejects('onepiece-match-update', { player1: { don: { active: 3 } } }, /rested is required/);
+rejects('onepiece-match-update', { player1: { life: { total: 4, taken: [4] } } }, /within the Life total/);
+rejects('onepiece-life-taken', { player: 1 }, /index or taken is required/);
+accepts('lorcana-lore-update', { player: 2, lore: 20 });
+rejects('lorcana-lore-update', { player: 2, lore: 31 }, /lore must be an integer from 0 to 30/);
+accepts('fab-equipment-update', { player: 1, slot: 'head', equipment: null });
+rejects('fab-equipment-update', { player: 1, slot: 'feet', equipment: null }, /slot must be one of/);
+rejects('fab-weapon-update', { player: 1, index: '0', weapon: null }, /index/);
+accepts('timer-start', undefined);
+rejects('match-undo', { match: 'chess' }, /match must be one of/);
+accepts('some-event-without-a-schema', { anything: true });
+
+// ============ REDUCERS ============
+
+const sent = [];
+const server = new OverlayServer({ emit: (name, payload) => sent.push([name, payload]) });
+const don = () => ({ ...server.onePieceMatch.player1.don });
+const update = (payload) => {
+    check(`onepiece-don-update ${JSON.stringify(payload)} passes its schema`,
+        games.validateEvent('onepiece-don-update', { player: 1, don: payload }) === null);
+    server.applyMatchEvent('onepiece', 'onepiece-don-update', { player: 1, don: payload });
+};
+
+update({ active: 4, rested: 3 });
+update({ active: 5 });
+check('a partial DON!! update keeps the other counter', don().active === 5 && don().rested === 3, JSON.stringify(don()));
+update({ active: 9 });
+check('a partial update past 10 takes the difference from the other counter',
+    don().active === 9 && don().rested === 1, JSON.stringify(don()));
+update({ rested: 10 });
+check('... whichever counter was left out', don().active === 0 && don().rested === 10, JSON.stringify(don()));
+check('max is kept when omitted', don().max === 10, JSON.stringify(don()));
+const last = sent.filter(([name]) => name === 'onepiece-don-update').pop();
+check('the broadcast carries the merged counter', last && last[1].don.active === 0 && last[1].don.rested === 10,
+    JSON.stringify(last));
+
+const failed = results.filter(r => !r.ok);
+console.log(`\n${results.length - failed.length}/${results.length} checks passed`);
+if (failed.length) process.exit(1);
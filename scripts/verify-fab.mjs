@@ -0,0 +1,162 @@
+// Flesh and Blood checks: the card download from a local copy of the
+// flesh-and-blood-cards JSON dump (src/tcg-api.js, config games.fab.dataPath)
+// and the deck import (the plugin's deck.parse in src/games/fab.js) against
+// the cards it stored. Runs on a throwaway database in a temp folder, so it
+// needs no network, server or browser.
+//
+//   node scripts/verify-fab.mjs   (part of npm run verify)
+//
+// Exits 1 when any check fails.
+import { createRequire } from 'node:module';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const require = createRequire(import.meta.url);
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cardcast-fab-'));
+process.env.CARDCAST_DATA_ROOT = root; // image cache dirs go here, not into the repo
+
+const CardDatabase = require('../src/database');
+const TCGApi = require('../src/tcg-api');
+const games = require('../src/games');
+const { cardLookup } = require('../src/deck-import');
+const { deckToText } = require('../public/js/game-registry');
+
+const results = [];
+const check = (name, cond, detail = '') => {
+    results.push({ name, ok: !!cond, detail });
+    console.log(`${cond ? 'PASS' : 'FAIL'}  ${name}${cond ? '' : '  <-- ' + detail}`);
+};
+
+// ============ FIXTURE ============
+// The dump's shape: stats are strings ("" for none), each card lists its
+// printings, and set.json carries the release dates.
+
+const printing = (id, set, extra = {}) => ({ unique_id: `${id}-${set}-${extra.n || 1}`, id, set_id: set, rarity: 'C', image_url: `https://example.com/${id}.png`, ...extra });
+const cards = [
+    { unique_id: 'katsu', name: 'Katsu, the Wanderer', pitch: '', cost: '', power: '', defense: '', health: '20',
+        types: ['Ninja', 'Hero'], type_text: 'Ninja Hero - Young', printings: [printing('WTR076', 'WTR', { rarity: 'T' })] },
+    { unique_id: 'kodachi', name: 'Harmonized Kodachi', pitch: '', cost: '', power: '1', defense: '',
+        types: ['Ninja', 'Weapon'], type_text: 'Ninja Weapon - Sword (1H)', printings: [printing('WTR078', 'WTR')] },
+    { unique_id: 'mask', name: 'Mask of Momentum', pitch: '', cost: '', power: '', defense: '0',
+        types: ['Ninja', 'Equipment'], type_text: 'Ninja Equipment - Head', printings: [printing('WTR079', 'WTR', { rarity: 'L' })] },
+    // Two printings in one set (say a foil without an image): one row, the one with the image.
+    { unique_id: 'jab-red', name: 'Head Jab', color: 'Red', pitch: '1', cost: '0', power: '3', defense: '3',
+        types: ['Ninja', 'Action', 'Attack'], type_text: 'Ninja Action - Attack',
+        printings: [printing('WTR107', 'WTR', { image_url: '', n: 1 }), printing('WTR107', 'WTR', { n: 2 })] },
+    { unique_id: 'jab-blue', name: 'Head Jab', color: 'Blue', pitch: '3', cost: '0', power: '1', defense: '3',
+        types: ['Ninja', 'Action', 'Attack'], type_text: 'Ninja Action - Attack', printings: [printing('WTR109', 'WTR')] },
+    { unique_id: 'empower', name: 'Ancestral Empowerment', color: 'Red', pitch: '1', cost: '0', power: '', defense: '',
+        types: ['Ninja', 'Instant'], type_text: 'Ninja Instant', printings: [printing('WTR082', 'WTR')] },
+    // Reprinted in a newer set: one row per set.
+    { unique_id: 'sink', name: 'Sink Below', color: 'Red', pitch: '1', cost: '0', power: '', defense: '4',
+        types: ['Generic', 'Defense Reaction'], type_text: 'Generic Defense Reaction',
+        printings: [printing('WTR163', 'WTR'), printing('ARC200', 'ARC')] }
+];
+const sets = [
+    { id: 'WTR', name: 'Welcome to Rathe', printings: [{ initial_release_date: '2019-10-11T00:00:00.000Z' }] },
+    { id: 'ARC', name: 'Arcane Rising', printings: [{ initial_release_date: '2020-03-27T00:00:00.000Z' }] }
+];
+const dumpDir = path.join(root, 'flesh-and-blood-cards');
+fs.mkdirSync(dumpDir);
+fs.writeFileSync(path.join(dumpDir, 'card.json'), JSON.stringify(cards));
+fs.writeFileSync(path.join(dumpDir, 'set.json'), JSON.stringify(sets));
+
+const db = new CardDatabase(path.join(root, 'cardcast.db'));
+const rows = () => db.db.prepare("SELECT * FROM cards WHERE game = 'fab' ORDER BY card_number").all();
+const row = (number) => rows().find(card => card.card_number === number);
+
+try {
+    // ============ LOCAL DUMP DOWNLOAD ============
+
+    const byFolder = new TCGApi(db, { dataPaths: { fab: dumpDir } });
+    const data = await byFolder.loadFabData();
+    check('a folder dataPath reads card.json and set.json', data.cards.length === cards.length && data.sets.length === 2,
+        `${data.cards.length} cards, ${data.sets.length} sets`);
+    check('sets are ordered newest first', JSON.stringify(byFolder.fabSetsByRecency(data)) === '["ARC","WTR"]',
+        JSON.stringify(byFolder.fabSetsByRecency(data)));
+
+    await byFolder.downloadGameData('fab', () => {}, false, '1', { skipImages: true });
+    check('a set count keeps only the newest sets', rows().length === 1 && rows()[0].card_number === 'ARC200',
+        JSON.stringify(rows().map(card => card.card_number)));
+
+    const byFile = new TCGApi(db, { dataPaths: { fab: path.join(dumpDir, 'card.json') } });
+    await byFile.downloadGameData('fab', () => {}, false, 'all', { skipImages: true });
+    check('a card.json dataPath downloads every set', rows().length === 8, `${rows().length} rows`);
+    check('printings of a card in one set are one row, with the image',
+        rows().filter(card => card.card_number === 'WTR107').length === 1 && row('WTR107').product_id === 'WTR107-WTR-2',
+        JSON.stringify(rows().filter(card => card.card_number === 'WTR107').map(card => card.product_id)));
+
+    const jab = row('WTR107');
+    check('pitch, cost, power and defense are numbers',
+        jab.pitch_value === 1 && jab.resource_cost === 0 && jab.fab_attack === 3 && jab.fab_defense === 3, JSON.stringify(jab));
+    check('the pitch color is the card color', jab.colors === 'Red');
+    const katsu = row('WTR076');
+    check('a hero keeps its life and class, with no pitch',
+        katsu.life === 20 && katsu.hero_class === 'Ninja' && katsu.pitch_value === null && katsu.colors === null, JSON.stringify(katsu));
+    check('rarity codes are spelled out', row('WTR079').rarity !== 'L' && !!row('WTR079').rarity, row('WTR079').rarity);
+
+    const setRows = db.db.prepare("SELECT code, name, release_date FROM sets WHERE game = 'fab' ORDER BY code").all();
+    const wtr = setRows.find(set => set.code === 'WTR');
+    check('sets are recorded with their name and release date',
+        wtr && wtr.name === 'Welcome to Rathe' && String(wtr.release_date).startsWith('2019-10-11'), JSON.stringify(setRows));
+
+    // ============ DECK IMPORT ============
+
+    const lookup = cardLookup(db, 'fab');
+    const parse = (text) => games.get('fab').deck.parse(text.split('\n'), lookup);
+    const entries = (deck, category) => deck.categories[category] || [];
+    const entry = (deck, category, name, pitch) => entries(deck, category)
+        .find(card => card.name === name && (pitch === undefined || card.pitch === pitch));
+
+    const fabrary = [
+        'Name: Katsu Test',
+        'Hero: Katsu, the Wanderer',
+        'Format: Classic Constructed',
+        '',
+        'Arena cards',
+        '2x Harmonized Kodachi',
+        '1x Mask of Momentum',
+        '',
+        'Deck cards',
+        '3x Ancestral Empowerment (red)',
+        '2x Head Jab (red)',
+        '3x Head Jab (blue)',
+        '1x Head Jab (red)',
+        '3x Sink Below (red)',
+        '',
+        'See the full deck @ https://fabrary.net/decks/01ABC'
+    ].join('\n');
+    check('a Fabrary export is detected as fab', games.detectDeck(fabrary) === 'fab', games.detectDeck(fabrary));
+
+    const deck = await parse(fabrary);
+    check('the Hero line is the one Hero card', entries(deck, 'Hero').length === 1 && entry(deck, 'Hero', 'Katsu, the Wanderer').quantity === 1,
+        JSON.stringify(deck.categories.Hero));
+    check('arena cards are bucketed by type', entry(deck, 'Weapons', 'Harmonized Kodachi').quantity === 2
+        && entry(deck, 'Equipment', 'Mask of Momentum').quantity === 1, JSON.stringify(deck.categories));
+    check('(red) and (blue) resolve to their own printings',
+        entry(deck, 'Attacks', 'Head Jab', 1).number === 'WTR107' && entry(deck, 'Attacks', 'Head Jab', 3).number === 'WTR109',
+        JSON.stringify(entries(deck, 'Attacks')));
+    check('lines for the same printing are added up', entry(deck, 'Attacks', 'Head Jab', 1).quantity === 3
+        && entry(deck, 'Attacks', 'Head Jab', 3).quantity === 3, JSON.stringify(entries(deck, 'Attacks')));
+    check('instants and reactions get their categories', entry(deck, 'Instants', 'Ancestral Empowerment').quantity === 3
+        && entry(deck, 'Reactions', 'Sink Below').quantity === 3, JSON.stringify(deck.categories));
+    check('name, format and footer lines are skipped', Object.values(deck.categories).flat().length === 7,
+        JSON.stringify(Object.values(deck.categories).flat().map(card => card.name)));
+
+    // CardCast's own export ("Hero: 1" section header, "3 Head Jab WTR WTR107")
+    // reads back to the same deck.
+    const exported = deckToText(deck);
+    check('a CardCast export is detected as fab', games.detectDeck(exported) === 'fab', games.detectDeck(exported));
+    const reread = await parse(exported);
+    const summary = (d) => JSON.stringify(Object.fromEntries(Object.entries(d.categories)
+        .map(([name, list]) => [name, list.map(card => `${card.quantity} ${card.number}`).sort()])));
+    check('a CardCast export round-trips', summary(reread) === summary(deck), `${summary(reread)} vs ${summary(deck)}`);
+} finally {
+    db.close();
+    fs.rmSync(root, { recursive: true, force: true });
+}
+
+const failed = results.filter(r => !r.ok);
+console.log(`\n${results.length - failed.length}/${results.length} checks passed`);
+if (failed.length) process.exit(1);
@@ -48,7 +48,7 @@ try {
                 if (!unitWithAp && c.gd_ap !== null && c.gd_ap !== undefined && c.gd_ap !== '') {
                     unitWithAp = { number: c.card_number, name: c.name, gd_ap: c.gd_ap, gd_hp: c.gd_hp };
                 }
-                const cat = window.gundamCategoryFromType(c.card_type);
+                const cat = window.categoryFromType('gundam', c.card_type);
                 if (!map[cat]) map[cat] = { number: c.card_number, name: c.name, type: c.card_type };
             }
             if (Object.keys(map).length >= 5 && unitWithAp) break;
@@ -1,9 +1,9 @@
 // verify-lorcana-deck.mjs - Phase 1 verification for Disney Lorcana deck foundation.
 //
 // Exercises the registry (categorize/inks/rules/searchMeta) and
-// parseLorcanaDeckList against the REAL cardcast.db. fetch() is shimmed to call
-// the same db methods the server routes use (db.getCard / db.searchCards), so no
-// server/port is needed.
+// the plugin's deck.parse against the REAL cardcast.db, through the same card
+// lookup POST /api/decks/parse uses (src/deck-import.js), so no server/port is
+// needed.
 //
 // Run: node scripts/verify-lorcana-deck.mjs
 import { createRequire } from 'module';
@@ -13,26 +13,10 @@ const path = require('path');
 const CardDatabase = require('../src/database.js');
 const db = new CardDatabase(path.join(process.cwd(), 'data', 'cardcast.db'));
 
-// Faithful fetch shim: resolve relative API URLs against the live DB, mirroring
-// the server's display_image augmentation.
-globalThis.fetch = async (url) => {
-    const u = String(url);
-    if (u.includes('/api/card/lorcana/')) {
-        const id = decodeURIComponent(u.split('/').pop());
-        const card = db.getCard('lorcana', id);
-        if (card) card.display_image = card.image_url || card.local_image;
-        return { ok: !!card, json: async () => card };
-    }
-    if (u.includes('/api/search/lorcana')) {
-        const q = decodeURIComponent((u.split('q=')[1] || '').split('&')[0]);
-        const results = db.searchCards('lorcana', q).map(c => ({ ...c, display_image: c.image_url || c.local_image }));
-        return { ok: true, json: async () => results };
-    }
-    return { ok: false, json: async () => null };
-};
-
-const { GAME_REGISTRY, lorcanaCategoryFromType, lorcanaInks } = require('../public/js/game-registry.js');
-const { detectGameType, parseLorcanaDeckList } = require('../public/js/deck-parser.js');
+const games = require('../src/games');
+const { cardLookup } = require('../src/deck-import.js');
+const { getGameConfig, categoryFromType, colorList } = require('../public/js/game-registry.js');
+const detectGameType = (text) => games.detectDeck(text);
 
 let pass = 0, fail = 0;
 const check = (name, cond, detail = '') => {
@@ -41,7 +25,7 @@ const check = (name, cond, detail = '') => {
 };
 
 console.log('\n=== Registry: lorcana entry ===');
-const lc = GAME_REGISTRY.lorcana;
+const lc = getGameConfig('lorcana');
 check('entry exists', !!lc);
 check('matchControls -> /lorcana-match-control',
     lc.matchControls.some(m => m.route === '/lorcana-match-control'));
@@ -57,24 +41,24 @@ check('banlist has Core banned/restricted',
     lc.deck.banlist.Core && Array.isArray(lc.deck.banlist.Core.banned) && Array.isArray(lc.deck.banlist.Core.restricted));
 
 console.log('\n=== categorize by card_type ===');
-check('Character -> Characters', lorcanaCategoryFromType('Character') === 'Characters');
-check('Action -> Actions', lorcanaCategoryFromType('Action') === 'Actions');
-check('Action / Song -> Actions', lorcanaCategoryFromType('Action / Song') === 'Actions');
-check('Item -> Items', lorcanaCategoryFromType('Item') === 'Items');
-check('Location -> Locations', lorcanaCategoryFromType('Location') === 'Locations');
+check('Character -> Characters', categoryFromType('lorcana', 'Character') === 'Characters');
+check('Action -> Actions', categoryFromType('lorcana', 'Action') === 'Actions');
+check('Action / Song -> Actions', categoryFromType('lorcana', 'Action / Song') === 'Actions');
+check('Item -> Items', categoryFromType('lorcana', 'Item') === 'Items');
+check('Location -> Locations', categoryFromType('lorcana', 'Location') === 'Locations');
 
-console.log('\n=== lorcanaInks (split on / and whitespace) ===');
-check('"Amethyst/Sapphire" -> [Amethyst, Sapphire]', JSON.stringify(lorcanaInks('Amethyst/Sapphire')) === JSON.stringify(['Amethyst', 'Sapphire']));
-check('"Amber Steel" -> [Amber, Steel]', JSON.stringify(lorcanaInks('Amber Steel')) === JSON.stringify(['Amber', 'Steel']));
-check('"Ruby" -> [Ruby]', JSON.stringify(lorcanaInks('Ruby')) === JSON.stringify(['Ruby']));
-check('empty -> []', JSON.stringify(lorcanaInks('')) === JSON.stringify([]));
+console.log('\n=== colorList (split on / and whitespace) ===');
+check('"Amethyst/Sapphire" -> [Amethyst, Sapphire]', JSON.stringify(colorList('Amethyst/Sapphire')) === JSON.stringify(['Amethyst', 'Sapphire']));
+check('"Amber Steel" -> [Amber, Steel]', JSON.stringify(colorList('Amber Steel')) === JSON.stringify(['Amber', 'Steel']));
+check('"Ruby" -> [Ruby]', JSON.stringify(colorList('Ruby')) === JSON.stringify(['Ruby']));
+check('empty -> []', JSON.stringify(colorList('')) === JSON.stringify([]));
 
 console.log('\n=== searchMeta ===');
 check('shows Ink + S/W + Lore', lc.searchMeta({ ink_cost: 3, strength: 2, willpower: 2, lore_value: 2 }) === 'Ink 3 / 2/2 / Lore 2');
 check('ink only', lc.searchMeta({ ink_cost: 5 }) === 'Ink 5');
 check('falls back to colors', lc.searchMeta({ colors: 'Ruby' }) === 'Ruby');
 
-console.log('\n=== detectGameType ===');
+console.log('\n=== games.detectDeck ===');
 check('two subtitle lines -> lorcana', detectGameType('4 Elsa - Snow Queen\n4 Mickey Mouse - Brave Little Tailor') === 'lorcana');
 check('lorcana w/ a plain action line still lorcana', detectGameType('4 Elsa - Snow Queen\n4 Anna - Heir to Arendelle\n4 Dragon Fire') === 'lorcana');
 check('single subtitle line is NOT enough (-> pokemon default)', detectGameType('4 Elsa - Snow Queen') === 'pokemon');
@@ -83,7 +67,7 @@ check('mtg arena export still magic', detectGameType('Deck\n4 Lightning Bolt (JM
 check('onepiece OP token still onepiece', detectGameType('1 Roronoa Zoro OP01-001\n4 Usopp OP01-004') === 'onepiece');
 check('gundam GD token still gundam', detectGameType('4 Gundam GD01-001\n4 Char GD01-002') === 'gundam');
 
-console.log('\n=== parseLorcanaDeckList (real DB) ===');
+console.log('\n=== deck.parse (real DB) ===');
 const list = [
     'Characters',
     '4 Elsa - Concerned Sister',
@@ -93,7 +77,7 @@ const list = [
     '2 Dragon Fire'
 ].join('\n');
 
-const deck = await parseLorcanaDeckList(list.split('\n'));
+const deck = await games.get('lorcana').deck.parse(list.split('\n'), cardLookup(db, 'lorcana'));
 const cats = deck.categories;
 const qty = (cat, name) => {
     const c = (cats[cat] || []).find(x => x.name && x.name.toLowerCase().includes(name.toLowerCase()));
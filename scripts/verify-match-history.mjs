@@ -0,0 +1,115 @@
+// Undo/redo history checks (src/match-history.js): what one Undo reverts. The
+// first half drives MatchHistory with fixed timestamps instead of real waits;
+// the second sends real match events through an OverlayServer with a stub
+// socket.io, back to back as a control page does. No server or browser needed.
+//
+//   node scripts/verify-match-history.mjs   (part of npm run verify)
+//
+// Exits 1 when any check fails.
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const MatchHistory = require('../src/match-history');
+const OverlayServer = require('../src/overlay-server');
+
+const results = [];
+const check = (name, cond, detail = '') => {
+    results.push({ name, ok: !!cond, detail });
+    console.log(`${cond ? 'PASS' : 'FAIL'}  ${name}${cond ? '' : '  <-- ' + detail}`);
+};
+
+// ============ MATCH HISTORY ============
+
+const history = new MatchHistory({ limit: 3 });
+const board = { player1: { life: 20, zone: [null, null] } };
+history.record('m', board, 'load', 0); // first sight: starts tracking, nothing to undo
+check('tracking starts with nothing to undo', !history.status('m').canUndo);
+
+board.player1.life = 18;
+history.record('m', board, 'life:1', 1000);
+board.player1.zone[0] = { name: 'A' };
+history.record('m', board, 'zone:1', 1100); // another event of the same click
+history.undo('m', board);
+check('one click sending two events is one undo step',
+    board.player1.life === 20 && board.player1.zone[0] === null, JSON.stringify(board));
+
+history.redo('m', board);
+check('redo re-applies the whole step', board.player1.life === 18 && board.player1.zone[0].name === 'A', JSON.stringify(board));
+
+board.player1.life = 17;
+history.record('m', board, 'life:1', 5000);
+board.player1.life = 16;
+history.record('m', board, 'life:1', 5100); // the same action again: a second click
+history.undo('m', board);
+check('two quick clicks of the same control are two steps', board.player1.life === 17, JSON.stringify(board));
+
+board.player1.life = 16;
+history.record('m', board, 'life:1', 9000);
+board.player1.life = 15;
+history.record('m', board, 'zone:1', 15000); // outside the window: a step of its own
+history.undo('m', board);
+check('changes far apart are separate steps', board.player1.life === 16, JSON.stringify(board));
+
+board.player1.life = 10;
+history.record('m', board, 'zone:1', 15050); // right after an undo: must not fold into the undone step
+check('a new action clears redo', !history.status('m').canRedo);
+history.undo('m', board);
+check('an action right after undo is not coalesced into it', board.player1.life === 16, JSON.stringify(board));
+
+board.player1.zone = [null, null, null]; // arrays that grow are replaced whole
+history.record('m', board, 'zone:1', 20000);
+history.undo('m', board);
+check('a resized array is restored whole', board.player1.zone.length === 2, JSON.stringify(board));
+
+for (let i = 0; i < 6; i++) {
+    board.player1.life = i;
+    history.record('m', board, 'life:1', 30000 + i * 1000);
+}
+let steps = 0;
+while (history.undo('m', board)) steps++;
+check('the stack is bounded by limit', steps === 3, `undid ${steps} steps`);
+
+// ============ THROUGH THE SERVER ============
+// Each block sends its events within a few milliseconds, well inside the
+// coalescing window, so only the action keys decide what is one step.
+
+const server = new OverlayServer({ emit: () => {} });
+const send = (match, event, data) => server.applyMatchEvent(match, event, data);
+const undoSteps = (match) => {
+    let n = 0;
+    while (server.undoMatch(match)) n++;
+    return n;
+};
+
+send('mtg', 'mtg-life-update', { player: 1, life: 19 });
+send('mtg', 'mtg-life-update', { player: 1, life: 18 });
+server.undoMatch('mtg');
+check('two quick -1 life taps: one undo reverts one tap', server.mtgMatch.player1.life === 19,
+    JSON.stringify(server.mtgMatch.player1.life));
+check('... and a second undo the other', server.undoMatch('mtg') && server.mtgMatch.player1.life === 20,
+    JSON.stringify(server.mtgMatch.player1.life));
+
+// togglePrize on the Pokemon control page: prize-taken, then the board sync.
+const takePrize = (index, taken) => {
+    send('pokemon', 'prize-taken', { player: 1, index });
+    send('pokemon', 'pokemon-match-update', { player1: { prizes: 6 - taken.length, prizesTaken: taken } });
+};
+takePrize(3, [3]);
+takePrize(1, [1, 3]); // the page sends its own (sorted) order
+check('two quick prize clicks are two undo steps', undoSteps('pokemon') === 2);
+check('... and undoing both restores every prize', server.pokemonMatch.player1.prizesTaken.length === 0,
+    JSON.stringify(server.pokemonMatch.player1));
+
+// Pitching a card on the FaB control page sends the pitch zone, then resources.
+send('fab', 'fab-pitch-update', { player: 1, pitch: [{ name: 'Head Jab', pitch: 3 }] });
+send('fab', 'fab-resource-update', { player: 1, resources: 3 });
+check('a click sending two events is one undo step', undoSteps('fab') === 1);
+
+// Switching turns on the Yu-Gi-Oh! page sends the Normal Summon flag for both players.
+send('yugioh', 'yugioh-normal-summon', { player: 1, used: true });
+send('yugioh', 'yugioh-normal-summon', { player: 2, used: true });
+check('the same event for each player in one click is one step', undoSteps('yugioh') === 1);
+
+const failed = results.filter(r => !r.ok);
+console.log(`\n${results.length - failed.length}/${results.length} checks passed`);
+if (failed.length) process.exit(1);
@@ -1,9 +1,9 @@
 // verify-onepiece-deck.mjs - Phase 1 verification for One Piece deck foundation.
 //
 // Exercises the registry (categorize/colors/rules/searchMeta) and
-// parseOnePieceDeckList against the REAL cardcast.db. fetch() is shimmed to call
-// the same db methods the server routes use (db.getCard / db.searchCards), so no
-// server/port is needed.
+// the plugin's deck.parse against the REAL cardcast.db, through the same card
+// lookup POST /api/decks/parse uses (src/deck-import.js), so no server/port is
+// needed.
 //
 // Run: node scripts/verify-onepiece-deck.mjs
 import { createRequire } from 'module';
@@ -13,26 +13,10 @@ const path = require('path');
 const CardDatabase = require('../src/database.js');
 const db = new CardDatabase(path.join(process.cwd(), 'data', 'cardcast.db'));
 
-// Faithful fetch shim: resolve relative API URLs against the live DB, mirroring
-// the server's display_image augmentation.
-globalThis.fetch = async (url) => {
-    const u = String(url);
-    if (u.includes('/api/card/onepiece/')) {
-        const id = decodeURIComponent(u.split('/').pop());
-        const card = db.getCard('onepiece', id);
-        if (card) card.display_image = card.image_url || card.local_image;
-        return { ok: !!card, json: async () => card };
-    }
-    if (u.includes('/api/search/onepiece')) {
-        const q = decodeURIComponent((u.split('q=')[1] || '').split('&')[0]);
-        const results = db.searchCards('onepiece', q).map(c => ({ ...c, display_image: c.image_url || c.local_image }));
-        return { ok: true, json: async () => results };
-    }
-    return { ok: false, json: async () => null };
-};
-
-const { GAME_REGISTRY, onePieceCategoryFromType, onePieceColors } = require('../public/js/game-registry.js');
-const { detectGameType, parseOnePieceDeckList } = require('../public/js/deck-parser.js');
+const games = require('../src/games');
+const { cardLookup } = require('../src/deck-import.js');
+const { getGameConfig, categoryFromType, colorList } = require('../public/js/game-registry.js');
+const detectGameType = (text) => games.detectDeck(text);
 
 let pass = 0, fail = 0;
 const check = (name, cond, detail = '') => {
@@ -41,7 +25,7 @@ const check = (name, cond, detail = '') => {
 };
 
 console.log('\n=== Registry: onepiece entry ===');
-const op = GAME_REGISTRY.onepiece;
+const op = getGameConfig('onepiece');
 check('entry exists', !!op);
 check('matchControls -> /onepiece-match-control',
     op.matchControls.some(m => m.route === '/onepiece-match-control'));
@@ -60,23 +44,23 @@ check('banlist has Standard banned/restricted/bannedPairs',
     Array.isArray(op.deck.banlist.Standard.bannedPairs));
 
 console.log('\n=== categorize by card_type ===');
-check('Leader -> Leader', onePieceCategoryFromType('Leader') === 'Leader');
-check('Character -> Characters', onePieceCategoryFromType('Character') === 'Characters');
-check('Event -> Events', onePieceCategoryFromType('Event') === 'Events');
-check('Stage -> Stages', onePieceCategoryFromType('Stage') === 'Stages');
+check('Leader -> Leader', categoryFromType('onepiece', 'Leader') === 'Leader');
+check('Character -> Characters', categoryFromType('onepiece', 'Character') === 'Characters');
+check('Event -> Events', categoryFromType('onepiece', 'Event') === 'Events');
+check('Stage -> Stages', categoryFromType('onepiece', 'Stage') === 'Stages');
 
-console.log('\n=== onePieceColors (split on / and whitespace) ===');
-check('"Green/Red" -> [Green, Red]', JSON.stringify(onePieceColors('Green/Red')) === JSON.stringify(['Green', 'Red']));
-check('"Green Red" -> [Green, Red]', JSON.stringify(onePieceColors('Green Red')) === JSON.stringify(['Green', 'Red']));
-check('"Red" -> [Red]', JSON.stringify(onePieceColors('Red')) === JSON.stringify(['Red']));
-check('empty -> []', JSON.stringify(onePieceColors('')) === JSON.stringify([]));
+console.log('\n=== colorList (split on / and whitespace) ===');
+check('"Green/Red" -> [Green, Red]', JSON.stringify(colorList('Green/Red')) === JSON.stringify(['Green', 'Red']));
+check('"Green Red" -> [Green, Red]', JSON.stringify(colorList('Green Red')) === JSON.stringify(['Green', 'Red']));
+check('"Red" -> [Red]', JSON.stringify(colorList('Red')) === JSON.stringify(['Red']));
+check('empty -> []', JSON.stringify(colorList('')) === JSON.stringify([]));
 
 console.log('\n=== searchMeta ===');
 check('shows Power + Cost', op.searchMeta({ op_power: 5000, cost: 4 }) === 'Power 5000 / Cost 4');
 check('power only', op.searchMeta({ op_power: 7000 }) === 'Power 7000');
 check('falls back to colors', op.searchMeta({ colors: 'Red' }) === 'Red');
 
-console.log('\n=== detectGameType ===');
+console.log('\n=== games.detectDeck ===');
 check('OP token -> onepiece', detectGameType('1 Roronoa Zoro OP01-001\n4 Usopp OP01-004') === 'onepiece');
 check('PRB token -> onepiece', detectGameType('4 Some Card PRB01-001') === 'onepiece');
 check('OP deck w/ shared ST token still onepiece (OP wins)', detectGameType('OP01-001\n4 Usopp ST01-002') === 'onepiece');
@@ -84,7 +68,7 @@ check('pure Gundam GD token still gundam', detectGameType('4 Gundam GD01-001') =
 check('pokemon list still pokemon', detectGameType('Pokemon: 4\n4 Pikachu SVI 50') === 'pokemon');
 check('yugioh YDK still yugioh', detectGameType('#main\n46986414\n') === 'yugioh');
 
-console.log('\n=== parseOnePieceDeckList (real DB) ===');
+console.log('\n=== deck.parse (real DB) ===');
 const list = [
     'Leader',
     '1 Roronoa Zoro OP01-001',
@@ -99,7 +83,7 @@ const list = [
     '10 DON!! card'
 ].join('\n');
 
-const deck = await parseOnePieceDeckList(list.split('\n'));
+const deck = await games.get('onepiece').deck.parse(list.split('\n'), cardLookup(db, 'onepiece'));
 const cats = deck.categories;
 const qty = (cat, name) => {
     const c = (cats[cat] || []).find(x => x.name && x.name.toLowerCase().includes(name.toLowerCase()));
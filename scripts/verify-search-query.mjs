@@ -0,0 +1,97 @@
+// Search query compiler checks (src/search-query.js). Compiled filters run
+// against a tiny in-memory cards table, so this needs no server or browser.
+//
+//   node scripts/verify-search-query.mjs   (part of npm run verify)
+//
+// Exits 1 when any check fails.
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const Database = require('better-sqlite3');
+const { compileSearchQuery, isStructuredQuery } = require('../src/search-query');
+
+const results = [];
+const check = (name, cond, detail = '') => {
+    results.push({ name, ok: !!cond, detail });
+    console.log(`${cond ? 'PASS' : 'FAIL'}  ${name}${cond ? '' : '  <-- ' + detail}`);
+};
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The checks are about which cards match, not how the SQL happens to be written.
+
+const db = new Database(':memory:');
+db.exec(`
+    CREATE TABLE cards (name TEXT, game TEXT, card_type TEXT, type_line TEXT, colors TEXT,
+        color_identity TEXT, cmc REAL, power TEXT, set_name TEXT, set_code TEXT,
+        set_abbreviation TEXT, card_number TEXT, rarity TEXT, pitch_value INTEGER, hero_class TEXT);
+    CREATE TABLE sets (game TEXT, code TEXT, abbreviation TEXT, name TEXT);
+`);
+const insert = db.prepare(`INSERT INTO cards VALUES (@name, @game, @card_type, @type_line, @colors,
+    @color_identity, @cmc, @power, @set_name, @set_code, @set_abbreviation, @card_number, @rarity, @pitch_value, @hero_class)`);
+const blank = { card_type: null, type_line: null, colors: null, color_identity: null, cmc: null, power: null,
+    set_name: null, set_code: null, set_abbreviation: null, card_number: null, rarity: null, pitch_value: null, hero_class: null };
+[
+    { name: 'Lightning Bolt', game: 'magic', type_line: 'Instant', colors: 'R', cmc: 1, set_name: 'Magic 2010', set_code: 'm10' },
+    { name: 'Izzet Charm', game: 'magic', type_line: 'Instant', colors: 'U,R', cmc: 2, set_name: 'Return to Ravnica', set_code: 'rtr' },
+    { name: 'Tarmogoyf', game: 'magic', type_line: 'Creature — Lhurgoyf', colors: 'G', cmc: 2, power: '*', set_name: 'Future Sight', set_code: 'fut' },
+    { name: 'Grizzly Bears', game: 'magic', type_line: 'Creature — Bear', colors: 'G', cmc: 2, power: '2', set_name: 'Alpha', set_code: 'lea' },
+    { name: 'Sol Ring', game: 'magic', type_line: 'Artifact', colors: '', cmc: 1, set_name: 'Alpha', set_code: 'lea' },
+    { name: 'Dark Magician', game: 'yugioh', card_type: 'Normal Monster', set_name: 'Legend of Blue Eyes White Dragon', set_code: 'LOB-EN005' },
+    { name: 'Head Jab', game: 'fab', card_type: 'Ninja Action - Attack', colors: 'Blue', pitch_value: 3, hero_class: 'Ninja', set_name: 'Welcome to Rathe', set_code: 'WTR' }
+].forEach(card => insert.run({ ...blank, ...card }));
+db.prepare('INSERT INTO sets VALUES (?, ?, ?, ?)').run('yugioh', 'LOB', 'LOB', 'Legend of Blue Eyes White Dragon');
+
+function search(game, query) {
+    const compiled = compileSearchQuery(game, query);
+    if (compiled.error) return compiled;
+    const rows = db.prepare(`SELECT name FROM cards WHERE game = ? AND ${compiled.where} ORDER BY name`)
+        .all(game, ...compiled.params);
+    return { text: compiled.text, names: rows.map(row => row.name) };
+}
+function expectNames(game, query, names) {
+    const got = search(game, query);
+    check(`search ${game} "${query}"`, !got.error && same(got.names, names), JSON.stringify(got));
+}
+
+expectNames('magic', 'c:r', ['Izzet Charm', 'Lightning Bolt']);
+expectNames('magic', 'c=r', ['Lightning Bolt']);
+expectNames('magic', 'c<=ur', ['Izzet Charm', 'Lightning Bolt', 'Sol Ring']);
+expectNames('magic', 'c:c', ['Sol Ring']);
+expectNames('magic', 'c:red', ['Izzet Charm', 'Lightning Bolt']);
+expectNames('magic', 't:creature cmc<=2', ['Grizzly Bears', 'Tarmogoyf']);
+expectNames('magic', '-t:creature cmc=1', ['Lightning Bolt', 'Sol Ring']);
+// Power "*" is not a number, so it matches no numeric comparison.
+expectNames('magic', 'pow>=0', ['Grizzly Bears']);
+expectNames('magic', 'set:"Magic 2010"', ['Lightning Bolt']);
+expectNames('magic', 's=LEA', ['Grizzly Bears', 'Sol Ring']);
+expectNames('magic', 's!=lea cmc>=1', ['Izzet Charm', 'Lightning Bolt', 'Tarmogoyf']);
+// Set codes resolve through the sets catalog (Yu-Gi-Oh! cards carry print codes).
+expectNames('yugioh', 's:LOB', ['Dark Magician']);
+expectNames('fab', 'pitch=3 class:ninja', ['Head Jab']);
+expectNames('fab', 'c=blue', ['Head Jab']);
+
+const mixed = compileSearchQuery('magic', 'bolt c:r "lightning strike"');
+check('free text is kept apart from filters', !mixed.error && mixed.text === 'bolt lightning strike', JSON.stringify(mixed));
+const quoted = compileSearchQuery('pokemon', 'stage:"Stage 2"');
+check('quoted filter values stay one parameter', !quoted.error && quoted.params.includes('%Stage 2%'), JSON.stringify(quoted));
+const hostile = compileSearchQuery('magic', `name:"x' OR 1=1 --"`);
+check('values never reach the SQL text', !hostile.error && !hostile.where.includes('OR 1=1'), JSON.stringify(hostile));
+check('plain words are not a structured query', !isStructuredQuery('lightning bolt') && isStructuredQuery('t:instant'));
+
+const expectError = (game, query, pattern) => {
+    const got = compileSearchQuery(game, query);
+    check(`error for ${game} "${query}"`, got.error && pattern.test(got.error), JSON.stringify(got));
+};
+expectError('magic', 'foo:bar', /Unknown search field "foo".*cmc/);
+expectError('magic', 'cmc>=two', /cmc expects a number/);
+expectError('magic', 'c:xyz', /not a color/);
+expectError('magic', 'name<bolt', /text field/);
+expectError('lorcana', 'inkable:maybe', /yes or no/);
+expectError('magic', 'cmc=""', /needs a value/);
+// A field of one game is unknown to another.
+expectError('pokemon', 'cmc<=3', /Unknown search field "cmc"/);
+
+db.close();
+const failed = results.filter(r => !r.ok);
+console.log(`\n${results.length - failed.length}/${results.length} checks passed`);
+if (failed.length) process.exit(1);
@@ -1,8 +1,8 @@
 // verify-yugioh-deck.mjs - Phase 1 verification for Yu-Gi-Oh deck foundation.
 //
-// Exercises the registry (categorize/rules/searchMeta) and parseYugiohDeckList
-// against the REAL cardcast.db. fetch() is shimmed to call the same db methods
-// the server routes use (db.getCard / db.searchCards), so no server/port needed.
+// Exercises the registry (categorize/rules/searchMeta) and the plugin's
+// deck.parse against the REAL cardcast.db, through the same card lookup
+// POST /api/decks/parse uses (src/deck-import.js), so no server/port needed.
 //
 // Run: node scripts/verify-yugioh-deck.mjs
 import { createRequire } from 'module';
@@ -12,24 +12,10 @@ const path = require('path');
 const CardDatabase = require('../src/database.js');
 const db = new CardDatabase(path.join(process.cwd(), 'data', 'cardcast.db'));
 
-// Faithful fetch shim: resolve relative API URLs against the live DB.
-globalThis.fetch = async (url) => {
-    const u = String(url);
-    if (u.includes('/api/card/yugioh/')) {
-        const id = decodeURIComponent(u.split('/').pop());
-        const card = db.getCard('yugioh', id);
-        return { ok: !!card, json: async () => card };
-    }
-    if (u.includes('/api/search/yugioh')) {
-        const q = decodeURIComponent((u.split('q=')[1] || '').split('&')[0]);
-        const results = db.searchCards('yugioh', q);
-        return { ok: true, json: async () => results };
-    }
-    return { ok: false, json: async () => null };
-};
-
-const { GAME_REGISTRY, yugiohCategoryFromType } = require('../public/js/game-registry.js');
-const { detectGameType, parseYugiohDeckList } = require('../public/js/deck-parser.js');
+const games = require('../src/games');
+const { cardLookup } = require('../src/deck-import.js');
+const { getGameConfig, categoryFromType } = require('../public/js/game-registry.js');
+const detectGameType = (text) => games.detectDeck(text);
 
 let pass = 0, fail = 0;
 const check = (name, cond, detail = '') => {
@@ -38,7 +24,7 @@ const check = (name, cond, detail = '') => {
 };
 
 console.log('\n=== Registry: yugioh entry ===');
-const yg = GAME_REGISTRY.yugioh;
+const yg = getGameConfig('yugioh');
 check('entry exists', !!yg);
 check('matchControls -> /yugioh-match-control',
     yg.matchControls.some(m => m.route === '/yugioh-match-control'));
@@ -57,29 +43,29 @@ check('banlist has Advanced (TCG) forbidden/limited/semiLimited',
     Array.isArray(yg.deck.banlist['Advanced (TCG)'].semiLimited));
 
 console.log('\n=== categorize by card_type ===');
-check('Effect Monster -> Monsters', yugiohCategoryFromType('Effect Monster') === 'Monsters');
-check('Pendulum Effect Monster -> Monsters', yugiohCategoryFromType('Pendulum Effect Monster') === 'Monsters');
-check('Ritual Effect Monster -> Monsters', yugiohCategoryFromType('Ritual Effect Monster') === 'Monsters');
-check('Spell Card -> Spells', yugiohCategoryFromType('Spell Card') === 'Spells');
-check('Trap Card -> Traps', yugiohCategoryFromType('Trap Card') === 'Traps');
-check('Fusion Monster -> Extra', yugiohCategoryFromType('Fusion Monster') === 'Extra');
-check('XYZ Monster -> Extra', yugiohCategoryFromType('XYZ Monster') === 'Extra');
-check('Synchro Monster -> Extra', yugiohCategoryFromType('Synchro Monster') === 'Extra');
-check('Link Monster -> Extra', yugiohCategoryFromType('Link Monster') === 'Extra');
-check('Pendulum Effect Fusion Monster -> Extra', yugiohCategoryFromType('Pendulum Effect Fusion Monster') === 'Extra');
+check('Effect Monster -> Monsters', categoryFromType('yugioh', 'Effect Monster') === 'Monsters');
+check('Pendulum Effect Monster -> Monsters', categoryFromType('yugioh', 'Pendulum Effect Monster') === 'Monsters');
+check('Ritual Effect Monster -> Monsters', categoryFromType('yugioh', 'Ritual Effect Monster') === 'Monsters');
+check('Spell Card -> Spells', categoryFromType('yugioh', 'Spell Card') === 'Spells');
+check('Trap Card -> Traps', categoryFromType('yugioh', 'Trap Card') === 'Traps');
+check('Fusion Monster -> Extra', categoryFromType('yugioh', 'Fusion Monster') === 'Extra');
+check('XYZ Monster -> Extra', categoryFromType('yugioh', 'XYZ Monster') === 'Extra');
+check('Synchro Monster -> Extra', categoryFromType('yugioh', 'Synchro Monster') === 'Extra');
+check('Link Monster -> Extra', categoryFromType('yugioh', 'Link Monster') === 'Extra');
+check('Pendulum Effect Fusion Monster -> Extra', categoryFromType('yugioh', 'Pendulum Effect Fusion Monster') === 'Extra');
 
 console.log('\n=== searchMeta ===');
 check('monster shows ATK/DEF', yg.searchMeta({ attack: 2500, defense: 2100 }) === 'ATK 2500 / DEF 2100');
 check('def-less monster shows ? ', yg.searchMeta({ attack: 3000, defense: null }) === 'ATK 3000 / DEF ?');
 check('spell falls back to card_type', yg.searchMeta({ card_type: 'Spell Card' }) === 'Spell Card');
 
-console.log('\n=== detectGameType ===');
+console.log('\n=== games.detectDeck ===');
 check('YDK #main marker -> yugioh', detectGameType('#created by Tester\n#main\n46986414\n!side\n') === 'yugioh');
 check('#extra marker -> yugioh', detectGameType('#extra\n22061412\n') === 'yugioh');
 check('pokemon list still pokemon', detectGameType('Pokemon: 4\n4 Pikachu SVI 50') === 'pokemon');
 check('gundam token still gundam', detectGameType('4 Gundam GD01-001') === 'gundam');
 
-console.log('\n=== parseYugiohDeckList (real DB) ===');
+console.log('\n=== deck.parse (real DB) ===');
 const ydk = [
     '#created by CardCast Verify',
     '#main',
@@ -98,7 +84,7 @@ const ydk = [
     '5577649'    // Scrap Crash placed in Side via marker
 ].join('\n');
 
-const deck = await parseYugiohDeckList(ydk.split('\n'));
+const deck = await games.get('yugioh').deck.parse(ydk.split('\n'), cardLookup(db, 'yugioh'));
 const cats = deck.categories;
 const qty = (cat, name) => {
     const c = (cats[cat] || []).find(x => x.name && x.name.toLowerCase().includes(name.toLowerCase()));
@@ -10,22 +10,35 @@ const { exec } = require('child_process');
 const Database = require('./src/database');
 const TCGCSVApi = require('./src/tcg-api');
 const OverlayServer = require('./src/overlay-server');
-const { loadEnv, readJson, mergeConfig, resolveApiKeys } = require('./src/config');
+const MatchReplay = require('./src/match-replay');
+const FormatStore = require('./src/format-store');
+const { diffDecks } = require('./src/deck-diff');
+const { compileSearchQuery, isStructuredQuery, facetsFor } = require('./src/search-query');
+const { summarizePackSession, packSessionToCsv } = require('./src/pack-session');
+const { importPriceCsv, importPriceFolder } = require('./src/price-import');
+const { normalizeStack, importCollectionCsv, compareDeckToCollection } = require('./src/collection');
+const { computeDeckStats } = require('./src/deck-stats');
+const { dealSampleHand, describeSampleHand } = require('./src/sample-hand');
+const { parseDeckText } = require('./src/deck-import');
+const { getDeckCategories } = require('./public/js/game-registry');
+const { loadEnv, readJson, mergeConfig, resolveApiKeys, resolveAuth, resolveListen, serverUrls } = require('./src/config');
+const { AccessControl, isSameOrigin } = require('./src/auth');
 const { ensureSeedDatabase } = require('./src/seed-install');
+const games = require('./src/games');
 
 const APP_VERSION = require('./package.json').version;
 const GITHUB_REPO = 'yzRobo/CardCast';
 
-const AVAILABLE_GAMES = ['pokemon', 'magic', 'yugioh', 'lorcana', 'digimon', 'onepiece', 'gundam'];
+// Every game with a plugin in src/games is available; the rest are coming soon.
+const AVAILABLE_GAMES = games.ids();
 
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
+// Sockets are only accepted from CardCast's own pages (or non-browser clients);
+// who may do what once connected is decided by accessControl below.
 const io = socketIo(server, {
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
-    }
+    allowRequest: (req, callback) => callback(null, isSameOrigin(req.headers))
 });
 
 // Load optional .env (gitignored) so API keys can be supplied via env vars.
@@ -45,18 +58,14 @@ const localConfigPath = path.join(DATA_ROOT, 'config.local.json');
 
 const defaultConfig = {
     port: 3888,
+    // Interface to listen on (see resolveListen in src/config.js): null = every
+    // interface, '127.0.0.1' = this PC only, or one LAN address.
+    host: null,
     theme: 'dark',
     autoUpdate: true,
     games: {
-        pokemon: { enabled: true, dataPath: null },
-        magic: { enabled: true, dataPath: null },
-        yugioh: { enabled: true, dataPath: null },
-        lorcana: { enabled: true, dataPath: null },
-        onepiece: { enabled: true, dataPath: null },
-        digimon: { enabled: true, dataPath: null },
-        gundam: { enabled: true, dataPath: null },
-        fab: { enabled: false, dataPath: null },
-        starwars: { enabled: false, dataPath: null }
+        ...Object.fromEntries(games.ids().map(id => [id, { enabled: true, dataPath: null }])),
+        ...Object.fromEntries(games.comingSoon().map(id => [id, { enabled: false, dataPath: null }]))
     },
     obs: {
         mainOverlayPort: 3888,
@@ -73,16 +82,25 @@ if (!diskConfig) {
 const localConfig = readJson(localConfigPath);
 
 let config = mergeConfig(mergeConfig(defaultConfig, diskConfig), localConfig);
-// API keys are resolved separately and must never be persisted into config.json.
+// API keys and the PIN are resolved separately and must never be persisted into config.json.
 delete config.apiKeys;
+delete config.auth;
 
 // Resolve optional API keys (env var wins over config.local.json).
 const apiKeys = resolveApiKeys(localConfig);
 console.log(`Pokemon TCG API key: ${apiKeys.pokemonApiKey ? 'loaded (requests authenticated)' : 'not set (running anonymously)'}`);
 
-// Save config function - strips any apiKeys so secrets are never written to disk.
+// Control vs overlay access for other devices (this PC is always trusted).
+const accessControl = new AccessControl({
+    pin: resolveAuth(localConfig).pin,
+    statePath: path.join(DATA_ROOT, 'data', 'auth.json'),
+    host: resolveListen(config).host
+});
+console.log(`Control PIN: ${accessControl.pin ? 'set (other devices can log in)' : 'not set (only this PC can control CardCast)'}`);
+
+// Save config function - strips any apiKeys / auth so secrets are never written to disk.
 function saveConfig() {
-    const { apiKeys: _ignored, ...safeConfig } = config;
+    const { apiKeys: _ignored, auth: _auth, ...safeConfig } = config;
     fs.writeFileSync(configPath, JSON.stringify(safeConfig, null, 2));
 }
 
@@ -92,12 +110,121 @@ function saveConfig() {
 const dbPath = path.join(DATA_ROOT, 'data', 'cardcast.db');
 let db;
 let tcgApi;
-const overlayServer = new OverlayServer(io);
+// Live match/overlay state is snapshotted next to the database so a crash or an
+// app restart mid-broadcast restores every board instead of resetting it.
+const overlayServer = new OverlayServer(io, {
+    statePath: path.join(DATA_ROOT, 'data', 'overlay-state.json'),
+    // Match event journal -> SQLite (db is opened in bootstrap(); events before
+    // that are not journaled).
+    onMatchEvent: (entry) => {
+        if (db) db.logMatchEvent(entry);
+    },
+    // Pack-opening sessions -> SQLite, so a session can be exported afterwards.
+    onPackSession: (session) => {
+        if (db) db.savePackSession(session);
+    },
+    priceDeck: (deck) => (db ? priceDecklist(deck) : null)
+});
+
+// Price files dropped here are imported on start and by POST /api/prices/scan.
+const pricesDir = path.join(DATA_ROOT, 'data', 'prices');
+
+// Decklist prices for the decklist overlay: the unit market price per card name
+// (lowercased) and the deck total. null when none of the cards has a price.
+function priceDecklist(deck) {
+    const categories = getDeckCategories(deck);
+    const byName = {};
+    let total = 0;
+    let missing = 0;
+    Object.values(categories).forEach(cards => (cards || []).forEach(card => {
+        if (!card || !card.name) return;
+        const key = card.name.toLowerCase();
+        if (!(key in byName)) {
+            const price = db.findCardPrice(deck.game, card);
+            byName[key] = price && price.market !== null ? price.market : null;
+        }
+        const quantity = card.quantity || card.count || 1;
+        if (byName[key] === null) {
+            missing += quantity;
+        } else {
+            total += byName[key] * quantity;
+        }
+    }));
+    if (!Object.values(byName).some(price => price !== null)) return null;
+    return { total: Math.round(total * 100) / 100, byName, missing };
+}
+
+// Format definitions (set pools, banlists, rotation dates) as editable JSON, one
+// file per game, seeded from the registry until a list is imported.
+const formatStore = new FormatStore(path.join(DATA_ROOT, 'data', 'formats'));
+
+// Match replays play back on their own namespace: overlays opened with
+// ?replay=1 connect to /replay, so live overlays and control pages never see
+// a replayed event.
+const replayIo = io.of('/replay');
+const matchReplay = new MatchReplay(replayIo, overlayServer, {
+    loadFrames: (game, matchId) => (db ? db.getMatchReplayFrames(game, matchId) : []),
+    onStatus: (status) => io.emit('replay-status', status)
+});
 
 // Middleware
-app.use(express.json());
+// Deck library imports post a whole browser library at once (default cap is 100kb).
+app.use(express.json({ limit: '10mb' }));
+
+// The game plugins' browser-side half (names, match links, deck rules, search
+// meta), read by public/js/game-registry.js. Public like the rest
+// of public/js: it holds no state.
+const GAME_PLUGINS_JS = `window.GAME_PLUGINS = ${JSON.stringify(games.clientManifest())};\n`;
+app.get('/js/game-plugins.js', (req, res) => {
+    res.type('application/javascript').send(GAME_PLUGINS_JS);
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Access control (src/auth.js). Everything below needs the control role, except
+// the login page and, for overlay tokens, the overlay pages and /cache images.
+const OVERLAY_PAGE = /^\/(overlay|decklist|deck-stats|sample-hand|[a-z]+-match)$/;
+app.use(accessControl.middleware({
+    isPublic: (req) => req.path === '/login' || req.path.startsWith('/api/auth'),
+    isPage: (req) => req.method === 'GET' && !req.path.startsWith('/api/') && !req.path.startsWith('/cache/'),
+    isOverlayPage: (req) => OVERLAY_PAGE.test(req.path)
+}));
+
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'login.html'));
+});
+
+// This client's role; control clients also get the overlay token for OBS URLs.
+app.get('/api/auth', (req, res) => {
+    res.json({
+        role: req.role,
+        pinSet: !!accessControl.pin,
+        overlayToken: req.role === 'control' ? accessControl.overlayToken : null
+    });
+});
+
+app.post('/api/auth/login', (req, res) => {
+    const result = accessControl.login((req.body || {}).pin, req.socket.remoteAddress);
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    accessControl.setSessionCookie(res, result.token);
+    res.json({ success: true, token: result.token });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    accessControl.logout(accessControl.sessionToken(req));
+    accessControl.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+// New overlay token; OBS sources on other devices need their URLs updated.
+app.post('/api/auth/overlay-token', (req, res) => {
+    if (req.role !== 'control') {
+        return res.status(401).json({ error: 'Log in to use CardCast from this device' });
+    }
+    res.json({ success: true, overlayToken: accessControl.rotateOverlayToken() });
+});
+
 // Lazy image resolution for cached card images. Three tiers:
 //   1. file already on disk  -> fall through to express.static below
 //   2. file missing but the card has a stored remote URL -> download + cache,
@@ -159,7 +286,7 @@ app.get('/api/config', (req, res) => {
 });
 
 app.post('/api/config', (req, res) => {
-    const { apiKeys: _ignored, ...incoming } = req.body || {};
+    const { apiKeys: _ignored, auth: _auth, ...incoming } = req.body || {};
     config = { ...config, ...incoming };
     saveConfig();
     res.json({ success: true, config });
@@ -167,18 +294,7 @@ app.post('/api/config', (req, res) => {
 
 // Helper function to get game name
 function getGameName(gameId) {
-    const names = {
-        pokemon: 'Pokemon',
-        magic: 'Magic: The Gathering',
-        yugioh: 'Yu-Gi-Oh!',
-        lorcana: 'Disney Lorcana',
-        onepiece: 'One Piece Card Game',
-        digimon: 'Digimon Card Game',
-        gundam: 'Gundam Card Game',
-        fab: 'Flesh and Blood',
-        starwars: 'Star Wars Unlimited'
-    };
-    return names[gameId] || gameId;
+    return games.name(gameId);
 }
 
 // Count cached image files on disk for a game (cache/images/<game>).
@@ -260,28 +376,57 @@ app.get('/api/pokemon/set-mappings', (req, res) => {
     }
 });
 
-// Pokemon sets endpoint
-app.get('/api/pokemon/sets', (req, res) => {
+// Set catalog for any game (sets table, filled by the card downloaders):
+// [{ code, abbreviation, name, release_date, card_count, icon_url }], newest first.
+app.get('/api/:game/sets', (req, res) => {
+    const { game } = req.params;
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+
     try {
-        const query = `
-            SELECT DISTINCT 
-                set_name,
-                set_code,
-                set_abbreviation,
-                COUNT(*) as card_count
-            FROM cards 
-            WHERE game = 'pokemon' 
-                AND set_name IS NOT NULL
-            GROUP BY set_name, set_code, set_abbreviation
-            ORDER BY set_name
-        `;
-        
-        const sets = db.db.prepare(query).all();
-        res.json(sets);
-        
+        const sets = db.getSets(game);
+        // /api/pokemon/sets predates the catalog; its rows also keep their old
+        // set_name / set_code / set_abbreviation fields for outside callers.
+        res.json(game !== 'pokemon' ? sets : sets.map(set => ({
+            ...set,
+            set_name: set.name,
+            set_code: set.code,
+            set_abbreviation: set.abbreviation
+        })));
+    } catch (error) {
+        console.error(`Error fetching ${game} sets:`, error);
+        res.status(500).json({ error: `Failed to fetch ${getGameName(game)} sets` });
+    }
+});
+
+// One set's cards in collector-number order, for the set browser.
+app.get('/api/:game/sets/:code/cards', (req, res) => {
+    const { game, code } = req.params;
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+
+    try {
+        const result = db.getSetCards(game, code);
+        if (!result) {
+            return res.status(404).json({ error: `Unknown ${getGameName(game)} set: ${code}` });
+        }
+        res.json({
+            set: result.set,
+            cards: db.attachPrices(game, result.cards.map(card => ({ ...card, display_image: card.image_url || card.local_image })))
+        });
     } catch (error) {
-        console.error('Error fetching Pokemon sets:', error);
-        res.status(500).json({ error: 'Failed to fetch Pokemon sets' });
+        console.error(`Error fetching ${game} set ${code}:`, error);
+        res.status(500).json({ error: 'Failed to fetch set cards' });
     }
 });
 
@@ -508,8 +653,19 @@ app.get('/api/search/:game', (req, res) => {
     }
     
     try {
-        // Use the database's searchCards method which now handles set abbreviations
-        const results = db.searchCards(game, q);
+        // Field filters (t:creature cmc<=3, see src/search-query.js) go through the
+        // structured search; anything else keeps the name/set-code search.
+        let results;
+        if (isStructuredQuery(q)) {
+            const compiled = compileSearchQuery(game, q);
+            if (compiled.error) {
+                return res.status(400).json({ error: compiled.error });
+            }
+            results = db.searchCardsStructured(game, compiled);
+        } else {
+            // Use the database's searchCards method which now handles set abbreviations
+            results = db.searchCards(game, q);
+        }
         
         // Use local_image if available, otherwise fall back to image_url
         const processedResults = results.map(card => ({
@@ -517,13 +673,42 @@ app.get('/api/search/:game', (req, res) => {
             display_image: card.image_url || card.local_image
         }));
         
-        res.json(processedResults);
+        res.json(db.attachOwned(game, db.attachPrices(game, processedResults)));
     } catch (error) {
         console.error('Search error:', error);
         res.json([]);
     }
 });
 
+// Facet counts for the search panel's filter chips: distinct set / rarity / type /
+// color / cost values and how many cards have each, among the cards the current
+// query (free text and field filters alike) matches. An empty query counts the whole game.
+app.get('/api/facets/:game', (req, res) => {
+    const { game } = req.params;
+    const q = String(req.query.q || '').trim();
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+
+    const compiled = isStructuredQuery(q)
+        ? compileSearchQuery(game, q)
+        : { text: q, where: '1', params: [] };
+    if (compiled.error) {
+        return res.status(400).json({ error: compiled.error });
+    }
+
+    try {
+        res.json({ game, query: q, facets: db.getFacetCounts(game, compiled, facetsFor(game)) });
+    } catch (error) {
+        console.error('Facets error:', error);
+        res.status(500).json({ error: 'Failed to count facets' });
+    }
+});
+
 // Get card by ID - UPDATED FOR COMING SOON
 app.get('/api/card/:game/:id', (req, res) => {
     const { game, id } = req.params;
@@ -545,6 +730,9 @@ app.get('/api/card/:game/:id', (req, res) => {
         
         // Add display_image field that uses local if available
         card.display_image = card.image_url || card.local_image;
+        db.attachPrices(game, [card]);
+        db.attachOwned(game, [card]);
+        card.collection = db.getCollectionForCard(game, card.id);
         
         res.json(card);
     } catch (error) {
@@ -595,61 +783,530 @@ app.get('/api/stats/:game', (req, res) => {
     }
 });
 
-// Overlay endpoints
-app.get('/pokemon-match', (req, res) => {
-    res.sendFile(path.join(__dirname, 'overlays', 'pokemon-match.html'));
+// Deck library (replaces the browser-only localStorage.savedDecks). Decks are
+// the deck objects the UI builds, stored whole; every change is announced to
+// open pages with a decks-changed { game } socket event so deck pickers refresh.
+function deckInputError(deck) {
+    if (!deck || typeof deck !== 'object' || Array.isArray(deck)) return 'Deck must be an object';
+    if (!AVAILABLE_GAMES.includes(deck.game)) return `Unknown game: ${deck.game}`;
+    if (typeof deck.name !== 'string' || !deck.name.trim()) return 'Deck name is required';
+    return null;
+}
+
+// "Name (copy)", "Name (copy 2)", ... - the first name not yet used for that game.
+function uniqueDeckName(game, base) {
+    let name = `${base} (copy)`;
+    for (let n = 2; db.findDeck(game, name); n++) {
+        name = `${base} (copy ${n})`;
+    }
+    return name;
+}
+
+app.get('/api/decks', (req, res) => {
+    res.json(db.listDecks(req.query.game));
+});
+
+app.get('/api/decks/:id', (req, res) => {
+    const deck = db.getDeck(req.params.id);
+    if (!deck) return res.status(404).json({ error: 'Deck not found' });
+    res.json(deck);
+});
+
+app.post('/api/decks', (req, res) => {
+    const error = deckInputError(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const deck = { ...req.body, name: req.body.name.trim() };
+    if (db.findDeck(deck.game, deck.name)) {
+        return res.status(409).json({ error: `A ${getGameName(deck.game)} deck named "${deck.name}" already exists` });
+    }
+    const created = db.createDeck(deck);
+    if (!created) return res.status(500).json({ error: 'Failed to save deck' });
+    io.emit('decks-changed', { game: created.game });
+    res.status(201).json(created);
+});
+
+app.put('/api/decks/:id', (req, res) => {
+    const existing = db.getDeck(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Deck not found' });
+    const error = deckInputError(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const deck = { ...req.body, name: req.body.name.trim() };
+    const clash = db.findDeck(deck.game, deck.name);
+    if (clash && clash.id !== existing.id) {
+        return res.status(409).json({ error: `A ${getGameName(deck.game)} deck named "${deck.name}" already exists` });
+    }
+    const updated = db.updateDeck(existing.id, deck);
+    if (!updated) return res.status(500).json({ error: 'Failed to save deck' });
+    io.emit('decks-changed', { game: updated.game });
+    if (existing.game !== updated.game) io.emit('decks-changed', { game: existing.game });
+    res.json(updated);
+});
+
+app.delete('/api/decks/:id', (req, res) => {
+    const existing = db.getDeck(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Deck not found' });
+    if (!db.deleteDeck(existing.id)) return res.status(500).json({ error: 'Failed to delete deck' });
+    io.emit('decks-changed', { game: existing.game });
+    res.json({ success: true });
+});
+
+app.post('/api/decks/:id/duplicate', (req, res) => {
+    const existing = db.getDeck(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Deck not found' });
+
+    const requested = req.body && typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (requested && db.findDeck(existing.game, requested)) {
+        return res.status(409).json({ error: `A ${getGameName(existing.game)} deck named "${requested}" already exists` });
+    }
+    const copy = db.createDeck({
+        ...existing,
+        name: requested || uniqueDeckName(existing.game, existing.name),
+        dateAdded: new Date().toISOString()
+    });
+    if (!copy) return res.status(500).json({ error: 'Failed to duplicate deck' });
+    io.emit('decks-changed', { game: copy.game });
+    res.status(201).json(copy);
+});
+
+// Deck revisions. Every save that changes a deck stores a numbered revision;
+// /diff compares two of them per category (default: the latest against the one
+// before it).
+app.get('/api/decks/:id/revisions', (req, res) => {
+    const deck = db.getDeck(req.params.id);
+    if (!deck) return res.status(404).json({ error: 'Deck not found' });
+    res.json(db.listDeckRevisions(deck.id));
+});
+
+app.get('/api/decks/:id/revisions/:revision', (req, res) => {
+    const revision = db.getDeckRevision(req.params.id, Number(req.params.revision));
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    res.json(revision);
+});
+
+app.get('/api/decks/:id/diff', (req, res) => {
+    const diff = deckRevisionDiff(req.params.id, req.query.from, req.query.to);
+    if (diff.error) return res.status(diff.status).json({ error: diff.error });
+    const { newer, ...body } = diff;
+    res.json(body);
+});
+
+// Which of the deck's cards the collection covers: owned, proxy and missing
+// counts per category and in total (see compareDeckToCollection).
+app.get('/api/decks/:id/collection', (req, res) => {
+    const deck = db.getDeck(req.params.id);
+    if (!deck) return res.status(404).json({ error: 'Deck not found' });
+    res.json({
+        deckId: deck.id,
+        name: deck.name,
+        ...compareDeckToCollection(deck, db.getCollectionHoldings(deck.game))
+    });
+});
+
+// Deck analytics (src/deck-stats.js): cost curve, colors, types and draw odds.
+// ?hand=N changes the opening hand size the odds are computed for.
+app.get('/api/decks/:id/stats', (req, res) => {
+    const result = savedDeckStats(req.params.id, req.query.hand);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+});
+
+function savedDeckStats(deckId, hand) {
+    const deck = db.getDeck(deckId);
+    if (!deck) return { status: 404, error: 'Deck not found' };
+    const handSize = hand !== undefined && hand !== '' ? Number(hand) : undefined;
+    if (handSize !== undefined && (!Number.isInteger(handSize) || handSize < 1 || handSize > 20)) {
+        return { status: 400, error: 'hand must be a whole number from 1 to 20' };
+    }
+    const stats = computeDeckStats(deck, (entry) => db.findDeckCard(deck.game, entry), { hand: handSize });
+    return { deckId: deck.id, ...stats };
+}
+
+// A one-off simulated opening hand (src/sample-hand.js) for the deck, with the
+// game's automatic rules applied (Pokemon redraws, Prizes, Life, Security).
+// ?hand=N changes the hand size. The sample-hand overlay is driven over sockets.
+app.get('/api/decks/:id/sample-hand', (req, res) => {
+    const result = savedSampleHand(req.params.id, req.query.hand);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(describeSampleHand(result.hand));
+});
+
+function savedSampleHand(deckId, hand) {
+    const deck = db.getDeck(deckId);
+    if (!deck) return { status: 404, error: 'Deck not found' };
+    const handSize = hand !== undefined && hand !== '' ? Number(hand) : undefined;
+    if (handSize !== undefined && (!Number.isInteger(handSize) || handSize < 1 || handSize > 20)) {
+        return { status: 400, error: 'hand must be a whole number from 1 to 20' };
+    }
+    return { hand: dealSampleHand(deck, (entry) => db.findDeckCard(deck.game, entry), { hand: handSize }) };
+}
+
+// Resolve from/to (revision numbers; to defaults to the latest, from to the one
+// before to) and diff them. Returns { status, error } when either is missing.
+function deckRevisionDiff(deckId, from, to) {
+    const deck = db.getDeck(deckId);
+    if (!deck) return { status: 404, error: 'Deck not found' };
+    const revisions = db.listDeckRevisions(deck.id);
+    if (!revisions.length) return { status: 404, error: 'Deck has no revisions' };
+
+    const toRev = to !== undefined && to !== '' ? Number(to) : revisions[revisions.length - 1].revision;
+    const fromRev = from !== undefined && from !== '' ? Number(from) : Math.max(1, toRev - 1);
+    if (!Number.isInteger(toRev) || !Number.isInteger(fromRev)) {
+        return { status: 400, error: 'from and to must be revision numbers' };
+    }
+    const older = db.getDeckRevision(deck.id, fromRev);
+    const newer = db.getDeckRevision(deck.id, toRev);
+    if (!older || !newer) {
+        return { status: 404, error: `Revision ${older ? toRev : fromRev} not found` };
+    }
+    return { deckId: deck.id, game: deck.game, name: newer.name, from: fromRev, to: toRev, newer, ...diffDecks(older, newer) };
+}
+
+// Parse a pasted deck list ({ text }) with the plugin whose detect rules match
+// it. Cards are resolved against the local DB only. Answers { game, deck },
+// deck in the plugin's shape; the page normalizes it with deckToCategories.
+app.post('/api/decks/parse', async (req, res) => {
+    const text = req.body && req.body.text;
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'Expected { text: "deck list" }' });
+    }
+    try {
+        const parsed = await parseDeckText(db, text);
+        if (!parsed) return res.status(400).json({ error: 'No game recognizes this deck list' });
+        res.json(parsed);
+    } catch (error) {
+        console.error('Deck parse error:', error);
+        res.status(500).json({ error: 'Failed to parse deck list' });
+    }
+});
+
+// One-time upload of a browser's old localStorage library ({ game: [deck, ...] }).
+// Decks whose name already exists for that game are skipped, so re-running it
+// (or running it from two browsers) never duplicates or overwrites anything.
+app.post('/api/decks/import', (req, res) => {
+    const library = req.body && req.body.decks;
+    if (!library || typeof library !== 'object' || Array.isArray(library)) {
+        return res.status(400).json({ error: 'Expected { decks: { game: [deck, ...] } }' });
+    }
+
+    let imported = 0;
+    let skipped = 0;
+    Object.keys(library).forEach(game => {
+        (Array.isArray(library[game]) ? library[game] : []).forEach(raw => {
+            const deck = { ...raw, game: (raw && raw.game) || game };
+            if (deckInputError(deck) || db.findDeck(deck.game, deck.name.trim())) {
+                skipped++;
+                return;
+            }
+            if (db.createDeck({ ...deck, name: deck.name.trim() })) imported++;
+            else skipped++;
+        });
+    });
+    if (imported) io.emit('decks-changed', { game: null });
+    console.log(`Deck library import: ${imported} imported, ${skipped} skipped`);
+    res.json({ imported, skipped });
 });
 
-app.get('/pokemon-match-control', (req, res) => {
-    res.sendFile(path.join(__dirname, 'pokemon-match-control.html'));
+// Format definitions. GET returns the game's current format file (?download=1
+// sends it as an attachment for export); PUT replaces it with an imported file;
+// DELETE goes back to the built-in seed. Changes are announced with a
+// formats-changed { game } socket event.
+app.get('/api/formats/:game', (req, res) => {
+    const { game } = req.params;
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({ error: `Unknown game: ${game}` });
+    }
+    const data = formatStore.get(game);
+    if (req.query.download) {
+        res.attachment(`cardcast-formats-${game}-${data.version}.json`);
+        return res.send(JSON.stringify(data, null, 2));
+    }
+    res.json(data);
 });
 
-app.get('/mtg-match-control', (req, res) => {
-    res.sendFile(path.join(__dirname, 'mtg-match-control.html'));
+app.put('/api/formats/:game', (req, res) => {
+    const { game } = req.params;
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({ error: `Unknown game: ${game}` });
+    }
+    const { data, error, status } = formatStore.save(game, req.body);
+    if (error) return res.status(status).json({ error });
+    io.emit('formats-changed', { game });
+    res.json(data);
 });
 
-app.get('/mtg-match', (req, res) => {
-    res.sendFile(path.join(__dirname, 'overlays', 'mtg-match.html'));
+app.delete('/api/formats/:game', (req, res) => {
+    const { game } = req.params;
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({ error: `Unknown game: ${game}` });
+    }
+    const data = formatStore.reset(game);
+    io.emit('formats-changed', { game });
+    res.json(data);
 });
 
-app.get('/gundam-match', (req, res) => {
-    res.sendFile(path.join(__dirname, 'overlays', 'gundam-match.html'));
+// Match event journal. GET /api/match-log/:game lists the logged matches;
+// GET /api/match-log/:game/:matchId returns one match's events ('current' = the
+// match in progress). ?format=csv returns CSV instead of JSON, and ?download=1
+// sends either as a file attachment.
+app.get('/api/match-log/:game', (req, res) => {
+    const { game } = req.params;
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+
+    res.json({
+        game,
+        currentMatchId: overlayServer.getCurrentMatchId(game),
+        matches: db.getMatchLogs(game)
+    });
 });
 
-app.get('/gundam-match-control', (req, res) => {
-    res.sendFile(path.join(__dirname, 'gundam-match-control.html'));
+app.get('/api/match-log/:game/:matchId', (req, res) => {
+    const { game } = req.params;
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+
+    const matchId = req.params.matchId === 'current'
+        ? overlayServer.getCurrentMatchId(game)
+        : req.params.matchId;
+    const events = db.getMatchEvents(game, matchId);
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+
+    if (req.query.download) {
+        res.attachment(`${matchId}.${format}`);
+    }
+    if (format === 'csv') {
+        res.type('text/csv').send(matchEventsToCsv(events));
+    } else {
+        res.json({ game, matchId, events });
+    }
 });
 
-app.get('/yugioh-match', (req, res) => {
-    res.sendFile(path.join(__dirname, 'overlays', 'yugioh-match.html'));
+// Card prices from local price files (src/price-import.js). GET /api/prices
+// reports what is loaded; POST /api/prices/import takes one CSV as the request
+// body (?name= labels it); POST /api/prices/scan imports new or changed files
+// from the data/prices folder. Both re-price the decklist overlay.
+app.get('/api/prices', (req, res) => {
+    res.json({ ...db.getPriceStats(), folder: pricesDir });
 });
 
-app.get('/yugioh-match-control', (req, res) => {
-    res.sendFile(path.join(__dirname, 'yugioh-match-control.html'));
+app.post('/api/prices/import', express.text({ type: () => true, limit: '100mb' }), async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'Send the price CSV as the request body' });
+    }
+    try {
+        const result = await importPriceCsv(db, req.body, req.query.name || 'upload.csv');
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        overlayServer.repriceDecklist();
+        io.emit('prices-changed', db.getPriceStats());
+        res.json({ ...result, ...db.getPriceStats() });
+    } catch (error) {
+        console.error('Price import error:', error);
+        res.status(400).json({ error: `Could not read the price file: ${error.message}` });
+    }
 });
 
-app.get('/onepiece-match', (req, res) => {
-    res.sendFile(path.join(__dirname, 'overlays', 'onepiece-match.html'));
+app.post('/api/prices/scan', async (req, res) => {
+    try {
+        const files = await importPriceFolder(db, pricesDir);
+        if (files.some(file => !file.error)) {
+            overlayServer.repriceDecklist();
+            io.emit('prices-changed', db.getPriceStats());
+        }
+        res.json({ files, ...db.getPriceStats(), folder: pricesDir });
+    } catch (error) {
+        console.error('Price folder import error:', error);
+        res.status(500).json({ error: 'Failed to import the price folder' });
+    }
 });
 
-app.get('/onepiece-match-control', (req, res) => {
-    res.sendFile(path.join(__dirname, 'onepiece-match-control.html'));
+// Collection (src/collection.js). GET /api/collection/:game lists every stack
+// with totals; GET /api/collection/:game/:cardId returns one card's stacks.
+// PUT /api/collection/:game/:cardId sets a stack's { quantity } or adds
+// { delta } to it, the stack picked by { condition, foil, language }.
+// POST /api/collection/:game/import takes a CSV as the request body, adding to
+// the collection (?mode=replace clears it first). Changes are announced with a
+// collection-changed { game } socket event.
+app.get('/api/collection/:game', (req, res) => {
+    const { game } = req.params;
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+
+    res.json({ game, ...db.getCollectionStats(game), stacks: db.getCollection(game) });
 });
 
-app.get('/lorcana-match', (req, res) => {
-    res.sendFile(path.join(__dirname, 'overlays', 'lorcana-match.html'));
+app.get('/api/collection/:game/:cardId', (req, res) => {
+    const { game, cardId } = req.params;
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+
+    res.json({ game, cardId, stacks: db.getCollectionForCard(game, cardId) });
+});
+
+app.put('/api/collection/:game/:cardId', (req, res) => {
+    const { game, cardId } = req.params;
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+
+    const body = req.body || {};
+    const hasQuantity = body.quantity !== undefined;
+    const amount = Number(hasQuantity ? body.quantity : body.delta);
+    if (!Number.isInteger(amount) || (hasQuantity && amount < 0)) {
+        return res.status(400).json({ error: 'Expected a whole quantity (0 or more) or delta' });
+    }
+    if (!db.matchCardId(game, { id: cardId })) {
+        return res.status(404).json({ error: 'Card not found' });
+    }
+
+    try {
+        const stack = normalizeStack(body);
+        const quantity = hasQuantity
+            ? db.setCollectionQuantity(game, cardId, stack, amount)
+            : db.adjustCollection(game, cardId, stack, amount);
+        io.emit('collection-changed', { game });
+        res.json({ game, cardId, ...stack, quantity, stacks: db.getCollectionForCard(game, cardId) });
+    } catch (error) {
+        console.error('Collection update error:', error);
+        res.status(500).json({ error: 'Failed to update the collection' });
+    }
+});
+
+app.post('/api/collection/:game/import', express.text({ type: () => true, limit: '20mb' }), async (req, res) => {
+    const { game } = req.params;
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'Send the collection CSV as the request body' });
+    }
+
+    try {
+        const result = await importCollectionCsv(db, game, req.body, { replace: req.query.mode === 'replace' });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        io.emit('collection-changed', { game });
+        res.json({ ...result, ...db.getCollectionStats(game) });
+    } catch (error) {
+        console.error('Collection import error:', error);
+        res.status(400).json({ error: `Could not read the collection file: ${error.message}` });
+    }
 });
 
-app.get('/lorcana-match-control', (req, res) => {
-    res.sendFile(path.join(__dirname, 'lorcana-match-control.html'));
+// Pack-opening sessions. GET /api/pack-sessions/:game lists a game's sessions;
+// GET /api/pack-sessions/:game/:id returns one with its pulls and per-rarity
+// summary ('current' = the session on the overlay). ?format=csv and ?download=1
+// work as for the match log.
+app.get('/api/pack-sessions/:game', (req, res) => {
+    const { game } = req.params;
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+
+    res.json({ game, sessions: db.getPackSessions(game) });
 });
 
-app.get('/digimon-match', (req, res) => {
-    res.sendFile(path.join(__dirname, 'overlays', 'digimon-match.html'));
+app.get('/api/pack-sessions/:game/:id', (req, res) => {
+    const { game } = req.params;
+
+    if (!AVAILABLE_GAMES.includes(game)) {
+        return res.status(400).json({
+            error: `${getGameName(game)} support is coming soon!`,
+            comingSoon: true
+        });
+    }
+
+    const id = req.params.id === 'current' ? overlayServer.packSession.id : req.params.id;
+    const session = id ? db.getPackSession(game, id) : null;
+    if (!session) {
+        return res.status(404).json({ error: 'Pack session not found' });
+    }
+
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    if (req.query.download) {
+        res.attachment(`${session.id}.${format}`);
+    }
+    if (format === 'csv') {
+        res.type('text/csv').send(packSessionToCsv(session));
+    } else {
+        res.json({ game, session, summary: summarizePackSession(session) });
+    }
 });
 
-app.get('/digimon-match-control', (req, res) => {
-    res.sendFile(path.join(__dirname, 'digimon-match-control.html'));
+// One row per event; before/after stay JSON so multi-field changes fit one cell.
+function matchEventsToCsv(events) {
+    const cell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const clockText = (secs) => {
+        if (secs === null || secs === undefined) return '';
+        const t = Math.round(secs);
+        return `${Math.floor(t / 60)}:${String(t % 60).padStart(2, '0')}`;
+    };
+    const header = ['id', 'game', 'match_id', 'wall_time', 'match_clock_elapsed', 'match_clock_remaining',
+        'action', 'player', 'before', 'after'];
+    const rows = events.map(e => [
+        e.id,
+        e.game,
+        e.matchId,
+        new Date(e.wallTime).toISOString(),
+        clockText(e.clockElapsed),
+        clockText(e.clockRemaining),
+        e.action,
+        e.player,
+        JSON.stringify(e.before),
+        JSON.stringify(e.after)
+    ].map(cell).join(','));
+    return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Overlay endpoints. Each match board has an overlay (overlays/<key>-match.html)
+// and a control page (<key>-match-control.html).
+games.matches().forEach(({ match }) => {
+    app.get(`/${match.key}-match`, (req, res) => {
+        res.sendFile(path.join(__dirname, 'overlays', `${match.key}-match.html`));
+    });
+
+    app.get(`/${match.key}-match-control`, (req, res) => {
+        res.sendFile(path.join(__dirname, `${match.key}-match-control.html`));
+    });
 });
 
 // Main card-display overlay (dual card display controlled from the dashboard)
@@ -662,6 +1319,18 @@ app.get('/decklist', (req, res) => {
     res.sendFile(path.join(__dirname, 'overlays', 'decklist.html'));
 });
 
+app.get('/deck-stats', (req, res) => {
+    res.sendFile(path.join(__dirname, 'overlays', 'deck-stats.html'));
+});
+
+app.get('/sample-hand', (req, res) => {
+    res.sendFile(path.join(__dirname, 'overlays', 'sample-hand.html'));
+});
+
+app.get('/replay-control', (req, res) => {
+    res.sendFile(path.join(__dirname, 'replay-control.html'));
+});
+
 // Track overlay connections
 let overlayClients = new Set();
 let mainClients = new Set();
@@ -671,20 +1340,75 @@ let controlClients = new Set();
 let overlaySocketType = new Map();
 let overlayTypeSockets = new Map();
 let overlayStates = {
-    'pokemon-match': false,
     'decklist': false,
     'main': false,
-    'mtg-match': false,
-    'gundam-match': false,
-    'yugioh-match': false,
-    'onepiece-match': false,
-    'lorcana-match': false,
-    'digimon-match': false
+    ...Object.fromEntries(games.matches().map(({ match }) => [`${match.key}-match`, false]))
 };
 
+// Overlay/control page type ('digimon-match') -> match key ('digimon').
+// Other page types (decklist, main) are not matches and give null.
+function matchKeyForType(type) {
+    return typeof type === 'string' && type.endsWith('-match') ? type.slice(0, -'-match'.length) : null;
+}
+
+// Match clock + undo/redo availability for one page.
+function sendMatchMeta(socket, type) {
+    const match = matchKeyForType(type);
+    const clock = match && overlayServer.getClockState(match);
+    if (clock) socket.emit('match-clock-update', clock);
+    const history = match && overlayServer.getHistoryStatus(match);
+    if (history) socket.emit('match-history', history);
+}
+
+// Everything a freshly-loaded match overlay needs to render the live board.
+function sendMatchState(socket, type) {
+    const match = matchKeyForType(type);
+    if (!match) return;
+    sendMatchMeta(socket, type);
+    overlayServer.getMatchSyncEvents(match).forEach(([event, payload]) => socket.emit(event, payload));
+}
+
+// Sockets get the same roles as HTTP requests; a handshake with neither is refused.
+const authorizeSocket = (socket, next) => {
+    socket.data.role = accessControl.socketRole(socket.handshake);
+    next(socket.data.role ? undefined : new Error('unauthorized'));
+};
+io.use(authorizeSocket);
+replayIo.use(authorizeSocket);
+
 // Socket.io events
 io.on('connection', (socket) => {
     console.log('Client connected:', socket.id);
+
+    // Overlay sockets are read-only: anything but registering and requesting
+    // state is dropped, and the sender gets an error (as the ack, if it asked).
+    socket.use(([event, ...args], next) => {
+        if (accessControl.canEmit(socket.data.role, event)) return next();
+        console.warn(`Refused ${event} from ${socket.data.role} socket ${socket.id}`);
+        const error = { success: false, error: `Not allowed: ${event} needs a control page` };
+        const ack = args[args.length - 1];
+        if (typeof ack === 'function') ack(error);
+        socket.emit('auth-error', { event, ...error });
+    });
+
+    // Match events are checked against their game plugin's schemas (see
+    // src/event-schemas.js) before any handler touches the state, so a bad
+    // payload never reaches the overlays. The sender gets the error and the
+    // server's board back, so a control page that already showed the refused
+    // value snaps back to what the overlay shows.
+    socket.use(([event, ...args], next) => {
+        const message = games.validateEvent(event, args[0]);
+        if (!message) return next();
+        console.warn(`Rejected ${message}`);
+        const error = { success: false, error: message };
+        const ack = args[args.length - 1];
+        if (typeof ack === 'function') ack(error);
+        socket.emit('event-rejected', { event, ...error });
+        const match = games.eventMatch(event, args[0]);
+        if (match) {
+            overlayServer.getMatchResyncEvents(match).forEach(([name, payload]) => socket.emit(name, payload));
+        }
+    });
     
     // Send initial state
     socket.emit('state', overlayServer.getState());
@@ -709,72 +1433,18 @@ io.on('connection', (socket) => {
         io.emit('obs-status', { connected: true });
         
         // Send current state to the overlay
-        const state = overlayServer.getState();
-        if (type === 'pokemon-match') {
-            socket.emit('pokemon-match-state', state.pokemonMatch);
-            // Also send as update for compatibility
-            socket.emit('pokemon-match-update', {
-                player1: state.pokemonMatch.player1,
-                player2: state.pokemonMatch.player2,
-                stadium: state.pokemonMatch.stadium
-            });
-        } else if (type === 'decklist') {
-            socket.emit('decklist-state', state);
-        } else if (type === 'mtg-match') {
-            socket.emit('state-update', { mtgMatch: state.mtgMatch });
-        } else if (type === 'gundam-match') {
-            socket.emit('gundam-match-state', state.gundamMatch);
-            // Also send as update so a freshly-loaded overlay renders immediately
-            socket.emit('gundam-match-update', {
-                player1: state.gundamMatch.player1,
-                player2: state.gundamMatch.player2,
-                currentTurn: state.gundamMatch.currentTurn,
-                gameNumber: state.gundamMatch.gameNumber,
-                matchFormat: state.gundamMatch.matchFormat
-            });
-        } else if (type === 'yugioh-match') {
-            socket.emit('yugioh-match-state', state.yugiohMatch);
-            // Also send as update so a freshly-loaded overlay renders immediately
-            socket.emit('yugioh-match-update', {
-                player1: state.yugiohMatch.player1,
-                player2: state.yugiohMatch.player2,
-                currentTurn: state.yugiohMatch.currentTurn,
-                currentPhase: state.yugiohMatch.currentPhase,
-                gameNumber: state.yugiohMatch.gameNumber,
-                matchFormat: state.yugiohMatch.matchFormat
-            });
-        } else if (type === 'onepiece-match') {
-            socket.emit('onepiece-match-state', state.onePieceMatch);
-            // Also send as update so a freshly-loaded overlay renders immediately
-            socket.emit('onepiece-match-update', {
-                player1: state.onePieceMatch.player1,
-                player2: state.onePieceMatch.player2,
-                currentTurn: state.onePieceMatch.currentTurn,
-                gameNumber: state.onePieceMatch.gameNumber,
-                matchFormat: state.onePieceMatch.matchFormat
-            });
-        } else if (type === 'lorcana-match') {
-            socket.emit('lorcana-match-state', state.lorcanaMatch);
-            // Also send as update so a freshly-loaded overlay renders immediately
-            socket.emit('lorcana-match-update', {
-                player1: state.lorcanaMatch.player1,
-                player2: state.lorcanaMatch.player2,
-                currentTurn: state.lorcanaMatch.currentTurn,
-                gameNumber: state.lorcanaMatch.gameNumber,
-                matchFormat: state.lorcanaMatch.matchFormat
-            });
-        } else if (type === 'digimon-match') {
-            socket.emit('digimon-match-state', state.digimonMatch);
-            // Also send as update so a freshly-loaded overlay renders immediately
-            // (memory is the SHARED gauge, sent at the top level).
-            socket.emit('digimon-match-update', {
-                memory: state.digimonMatch.memory,
-                player1: state.digimonMatch.player1,
-                player2: state.digimonMatch.player2,
-                currentTurn: state.digimonMatch.currentTurn,
-                gameNumber: state.digimonMatch.gameNumber,
-                matchFormat: state.digimonMatch.matchFormat
-            });
+        sendMatchState(socket, type);
+        if (type === 'decklist') {
+            socket.emit('decklist-state', overlayServer.getState());
+        }
+        if (type === 'main') {
+            socket.emit('pack-session-update', overlayServer.getPackState());
+        }
+        if (type === 'deck-stats') {
+            socket.emit('deck-stats-update', overlayServer.getDeckStatsState());
+        }
+        if (type === 'sample-hand') {
+            socket.emit('sample-hand-update', overlayServer.getSampleHandState());
         }
     });
 
@@ -782,6 +1452,7 @@ io.on('connection', (socket) => {
     socket.on('register-control', (type) => {
         controlClients.add(socket.id);
         console.log(`Control panel registered: ${type} (${socket.id})`);
+        sendMatchMeta(socket, type);
         
         // Send current overlay connection states
         Object.keys(overlayStates).forEach(overlayType => {
@@ -797,75 +1468,17 @@ io.on('connection', (socket) => {
         
         // Send current OBS status to this client
         socket.emit('obs-status', { connected: overlayClients.size > 0 });
+        socket.emit('pack-session-update', overlayServer.getPackState());
     });
     
     // Request state (from overlays)
     socket.on('request-state', (type) => {
         console.log(`State requested for ${type}`);
-        const state = overlayServer.getState();
-        
+        sendMatchState(socket, type);
         if (type === 'decklist') {
-            socket.emit('decklist-update', {
-                deck: state.decklist,
-                show: true
-            });
-        } else if (type === 'pokemon-match') {
-            // Send the pokemonMatch state from the overlay server
-            socket.emit('pokemon-match-state', state.pokemonMatch);
-            // Also send as update for compatibility
-            socket.emit('pokemon-match-update', {
-                player1: state.pokemonMatch.player1,
-                player2: state.pokemonMatch.player2,
-                stadium: state.pokemonMatch.stadium
-            });
-        } else if (type === 'mtg-match') {
-            socket.emit('state-update', { mtgMatch: state.mtgMatch });
-        } else if (type === 'gundam-match') {
-            socket.emit('gundam-match-state', state.gundamMatch);
-            socket.emit('gundam-match-update', {
-                player1: state.gundamMatch.player1,
-                player2: state.gundamMatch.player2,
-                currentTurn: state.gundamMatch.currentTurn,
-                gameNumber: state.gundamMatch.gameNumber,
-                matchFormat: state.gundamMatch.matchFormat
-            });
-        } else if (type === 'yugioh-match') {
-            socket.emit('yugioh-match-state', state.yugiohMatch);
-            socket.emit('yugioh-match-update', {
-                player1: state.yugiohMatch.player1,
-                player2: state.yugiohMatch.player2,
-                currentTurn: state.yugiohMatch.currentTurn,
-                currentPhase: state.yugiohMatch.currentPhase,
-                gameNumber: state.yugiohMatch.gameNumber,
-                matchFormat: state.yugiohMatch.matchFormat
-            });
-        } else if (type === 'onepiece-match') {
-            socket.emit('onepiece-match-state', state.onePieceMatch);
-            socket.emit('onepiece-match-update', {
-                player1: state.onePieceMatch.player1,
-                player2: state.onePieceMatch.player2,
-                currentTurn: state.onePieceMatch.currentTurn,
-                gameNumber: state.onePieceMatch.gameNumber,
-                matchFormat: state.onePieceMatch.matchFormat
-            });
-        } else if (type === 'lorcana-match') {
-            socket.emit('lorcana-match-state', state.lorcanaMatch);
-            socket.emit('lorcana-match-update', {
-                player1: state.lorcanaMatch.player1,
-                player2: state.lorcanaMatch.player2,
-                currentTurn: state.lorcanaMatch.currentTurn,
-                gameNumber: state.lorcanaMatch.gameNumber,
-                matchFormat: state.lorcanaMatch.matchFormat
-            });
-        } else if (type === 'digimon-match') {
-            socket.emit('digimon-match-state', state.digimonMatch);
-            socket.emit('digimon-match-update', {
-                memory: state.digimonMatch.memory,
-                player1: state.digimonMatch.player1,
-                player2: state.digimonMatch.player2,
-                currentTurn: state.digimonMatch.currentTurn,
-                gameNumber: state.digimonMatch.gameNumber,
-                matchFormat: state.digimonMatch.matchFormat
+            const state = overlayServer.getState();
+            [state.decklist, state.decklist2].forEach((deck, i) => {
+                socket.emit('decklist-update', { deck, show: !!deck.show, player: i + 1 });
             });
         }
     });
@@ -904,468 +1517,227 @@ io.on('connection', (socket) => {
         io.emit('clear-card', { position: 'both' });
     });
     
-    // Pokemon Match events
-    socket.on('pokemon-match-update', (data) => {
-        console.log('Pokemon match update:', data);
-        overlayServer.updatePokemonMatch(data);  // Store in overlay server
-        io.emit('pokemon-match-update', data);
-    });
-    
-    socket.on('active-pokemon', (data) => {
-        console.log('Active pokemon update for player', data.player);
-        overlayServer.updateActivePokemon(data.player, data.pokemon);  // Store in overlay server
-        io.emit('active-pokemon', data);
-    });
-    
-    socket.on('bench-update', (data) => {
-        console.log('Bench update for player', data.player);
-        overlayServer.updateBench(data.player, data.bench);  // Store in overlay server
-        io.emit('bench-update', data);
-    });
-    
-    socket.on('prize-taken', (data) => {
-        console.log('Prize taken:', data);
-        overlayServer.takePrize(data.player, data.index);
-        io.emit('prize-taken', data);
+    // Pack opening (see PACK OPENING METHODS in src/overlay-server.js). Pulls name
+    // a card by id; the server looks it up so the session records the card as
+    // stored (rarity included), whatever the page sent. Failures come back to the
+    // sending page as pack-error.
+    socket.on('pack-start', (data) => {
+        const game = data && data.game;
+        if (!AVAILABLE_GAMES.includes(game)) {
+            socket.emit('pack-error', { message: `${getGameName(game)} support is coming soon!` });
+            return;
+        }
+        const set = data.setCode ? db.getSet(game, data.setCode) : null;
+        overlayServer.startPackSession({
+            game,
+            setCode: set ? set.code : data.setCode,
+            setName: set ? set.name : data.setName
+        });
     });
-    
-    socket.on('prizes-reset', () => {
-        console.log('Prizes reset');
-        overlayServer.resetPrizes();
-        io.emit('prizes-reset');
+
+    socket.on('pack-pull', (data) => {
+        const session = overlayServer.packSession;
+        if (!session.active) {
+            socket.emit('pack-error', { message: 'Start a pack session first' });
+            return;
+        }
+        const card = data && data.cardId ? db.getCard(session.game, data.cardId) : null;
+        if (!card) {
+            socket.emit('pack-error', { message: 'Card not found' });
+            return;
+        }
+        console.log('Pack pull:', card.name);
+        overlayServer.addPackPull(card);
     });
-    
+
+    socket.on('pack-next', () => overlayServer.nextPack());
+    socket.on('pack-undo', () => overlayServer.undoPackPull());
+    socket.on('pack-end', () => overlayServer.endPackSession());
+    socket.on('pack-clear', () => overlayServer.clearPackSession());
+
     socket.on('turn-switch', (data) => {
         console.log('Turn switch:', data);
         io.emit('turn-switch', data);
     });
     
-    socket.on('timer-start', () => {
-        console.log('Timer start');
-        io.emit('timer-start');
+    // Match clock commands. data.match names the clock ('pokemon', 'mtg',
+    // 'digimon', ...); the server owns the count and broadcasts
+    // match-clock-update. A bare emit (no payload) drives the Pokemon clock,
+    // which these events were first written for.
+    const clockMatch = (data) => (data && data.match) || 'pokemon';
+
+    socket.on('timer-start', (data) => {
+        console.log('Timer start:', clockMatch(data));
+        overlayServer.startClock(clockMatch(data));
     });
     
-    socket.on('timer-pause', () => {
-        console.log('Timer pause');
-        io.emit('timer-pause');
+    socket.on('timer-pause', (data) => {
+        console.log('Timer pause:', clockMatch(data));
+        overlayServer.pauseClock(clockMatch(data));
     });
     
-    socket.on('timer-reset', () => {
-        console.log('Timer reset');
-        io.emit('timer-reset');
+    socket.on('timer-reset', (data) => {
+        console.log('Timer reset:', clockMatch(data));
+        overlayServer.resetClock(clockMatch(data));
     });
 
     socket.on('timer-set', (data) => {
         console.log('Timer set:', data);
-        io.emit('timer-set', data);
+        if (!data) return;
+        const seconds = (parseInt(data.minutes) || 0) * 60 + (parseInt(data.seconds) || 0);
+        overlayServer.setClock(clockMatch(data), seconds);
     });
     
-    socket.on('match-reset', () => {
-        console.log('Match reset');
-        io.emit('match-reset');
-    });
-    
-    socket.on('match-settings', (data) => {
-        console.log('Match settings:', data);
-        io.emit('match-settings', data);
-    });
-    
-    socket.on('toggle-pokemon-match', (data) => {
-        console.log('Toggle pokemon match overlay:', data.show);
-        io.emit('toggle-pokemon-match', data);
+    // Undo/redo for any match: { match: 'pokemon' | 'mtg' | 'digimon' | ... }.
+    // The server reverts its board and re-syncs every overlay and control page.
+    socket.on('match-undo', (data) => {
+        overlayServer.undoMatch(data && data.match);
     });
 
-    // Stadium events
-    socket.on('stadium-update', (data) => {
-        console.log('Stadium update:', data.stadium);
-        overlayServer.updateStadium(data.stadium);
-        io.emit('stadium-update', data);
+    socket.on('match-redo', (data) => {
+        overlayServer.redoMatch(data && data.match);
     });
-    
-    // Player record events
-    socket.on('record-update', (data) => {
-        console.log('Record update for player', data.player, ':', data.record);
-        overlayServer.updatePlayerRecord(data.player, data.record);
-        io.emit('record-update', data);
-    });
-    
-    // Match score events
-    socket.on('match-score-update', (data) => {
-        console.log('Match score update for player', data.player, ':', data.score);
-        overlayServer.updateMatchScore(data.player, data.score);
-        io.emit('match-score-update', data);
-    });
-    
-    // Turn actions events
-    socket.on('turn-actions-update', (data) => {
-        console.log('Turn actions update for player', data.player, ':', data.actions);
-        overlayServer.updateTurnActions(data.player, data.actions);
-        io.emit('turn-actions-update', data);
-    });
-    
-    socket.on('turn-actions-reset', () => {
-        console.log('Turn actions reset');
-        overlayServer.resetTurnActions();
-        io.emit('turn-actions-reset');
+
+    // Match replay transport (replay-control.html). Status comes back to every
+    // page as replay-status.
+    socket.on('replay-load', (data) => {
+        const game = data && data.game;
+        const matchId = data && data.matchId === 'current' ? overlayServer.getCurrentMatchId(game) : data && data.matchId;
+        if (!matchReplay.load(game, matchId)) {
+            socket.emit('replay-error', { message: `Nothing to replay for ${matchId || 'that match'}` });
+        }
     });
-    
-    // Bench size events
-    socket.on('bench-size-update', (data) => {
-        console.log('Bench size update for player', data.player, ':', data.size);
-        overlayServer.updateBenchSize(data.player, data.size);
-        io.emit('bench-size-update', data);
+    socket.on('replay-play', (data) => matchReplay.play(data && data.speed));
+    socket.on('replay-pause', () => matchReplay.pause());
+    socket.on('replay-seek', (data) => matchReplay.seek(data && data.position));
+    socket.on('replay-speed', (data) => matchReplay.setSpeed(data && data.speed));
+    socket.on('replay-stop', () => matchReplay.stop());
+    socket.on('replay-status-request', () => socket.emit('replay-status', matchReplay.getStatus()));
+
+    socket.on('match-settings', (data) => {
+        console.log('Match settings:', data);
+        io.emit('match-settings', data);
     });
     
-    // Decklist events
+    // Decklist events. Each carries player: 1 | 2 for the decklist slot
+    // (default 1); the overlay server broadcasts the result to every overlay.
     socket.on('decklist-update', (data) => {
-        console.log('Update decklist');
+        console.log(`Update decklist (player ${data.player === 2 ? 2 : 1})`);
         overlayServer.updateDecklist(data);
-        io.emit('decklist-update', data);
     });
     
     socket.on('decklist-add-card', (data) => {
         console.log('Add card to decklist:', data.card?.name);
-        overlayServer.addCardToDeck(data.category, data.card);
+        overlayServer.addCardToDeck(data.category, data.card, data.player);
+    });
+
+    // Put a library deck in a player's decklist slot ({ deckId } or { game, name },
+    // plus player and show): the dashboard's deck library and the match control
+    // pages' deck pickers.
+    socket.on('decklist-load', (data) => {
+        if (!db || !data) return;
+        const deck = data.deckId ? db.getDeck(data.deckId) : db.findDeck(data.game, data.name);
+        if (!deck) {
+            console.error('Decklist load failed: deck not found', data.deckId || `${data.game}/${data.name}`);
+            return;
+        }
+        console.log(`Decklist (player ${data.player === 2 ? 2 : 1}): ${deck.name}`);
+        overlayServer.updateDecklist({
+            deck: { title: deck.name, game: deck.game, format: deck.format || 'Standard', categories: getDeckCategories(deck) },
+            show: data.show !== undefined ? data.show : true,
+            player: data.player
+        });
     });
     
-    socket.on('decklist-clear', () => {
-        console.log('Clear decklist');
-        overlayServer.clearDecklist();
-        io.emit('decklist-clear');
-    });
-
-    // MTG Match events
-    socket.on('mtg-life-update', (data) => {
-        overlayServer.updateMTGLife(data.player, data.life);
-    });
-
-    socket.on('mtg-poison-update', (data) => {
-        overlayServer.updateMTGPoison(data.player, data.poison);
-    });
-
-    socket.on('mtg-lands-update', (data) => {
-        overlayServer.updateLands(data.player, data.lands);
-    });
-
-    socket.on('mtg-permanent-add', (data) => {
-        overlayServer.addFeaturedPermanent(data.player, data.card);
-    });
-
-    socket.on('mtg-permanent-remove', (data) => {
-        overlayServer.removeFeaturedPermanent(data.player, data.index);
-    });
-
-    socket.on('mtg-phase-update', (data) => {
-        overlayServer.updatePhase(data.phase);
-    });
-
-    socket.on('mtg-player-name-update', (data) => {
-        overlayServer.updateMTGPlayerName(data.player, data.name);
-    });
-
-    socket.on('mtg-player-record-update', (data) => {
-        overlayServer.updateMTGPlayerRecord(data.player, data.record);
-    });
-
-    socket.on('mtg-games-won-update', (data) => {
-        overlayServer.updateMTGGamesWon(data.player, data.gamesWon);
-    });
-
-    socket.on('mtg-turn-action', (data) => {
-        overlayServer.setMTGTurnAction(data.player, data.action, data.value);
-    });
-
-    socket.on('mtg-player-switch', (data) => {
-        overlayServer.switchMTGActivePlayer(data && data.activePlayer);
-    });
-
-    socket.on('mtg-format-update', (data) => {
-        overlayServer.updateMTGFormat(data.format);
-    });
-
-    socket.on('mtg-timer-update', (data) => {
-        overlayServer.updateMTGTimer(data.seconds);
-    });
-
-    socket.on('mtg-match-reset', () => {
-        overlayServer.resetMTGMatch();
-    });
-
-    socket.on('toggle-mtg-match', (data) => {
-        console.log('Toggle mtg match overlay:', data.show);
-        io.emit('toggle-mtg-match', data);
-    });
-
-    // Gundam Match events (the overlay-server mutators re-broadcast to overlays)
-    socket.on('gundam-match-update', (data) => {
-        overlayServer.updateGundamMatch(data);
-    });
-
-    socket.on('gundam-unit-update', (data) => {
-        overlayServer.setGundamUnit(data.player, data.index, data.unit);
-    });
-
-    socket.on('gundam-unit-hp', (data) => {
-        overlayServer.setGundamUnitHp(data.player, data.index, data.currentHp, data.maxHp);
-    });
-
-    socket.on('gundam-pilot-pair', (data) => {
-        overlayServer.setGundamPilot(data.player, data.index, data.pilot);
-    });
-
-    socket.on('gundam-base-update', (data) => {
-        overlayServer.setGundamBase(data.player, data.base);
-    });
-
-    socket.on('gundam-base-hp', (data) => {
-        overlayServer.setGundamBaseHp(data.player, data.currentHp, data.maxHp);
-    });
-
-    socket.on('gundam-resource-update', (data) => {
-        overlayServer.setGundamResources(data.player, data.resources);
-    });
-
-    socket.on('gundam-shield-taken', (data) => {
-        if (Array.isArray(data.shieldsTaken)) overlayServer.setGundamShields(data.player, data.shieldsTaken);
-        else overlayServer.takeGundamShield(data.player, data.index);
-    });
-
-    socket.on('gundam-shields-reset', () => {
-        overlayServer.resetGundamShields();
-    });
-
-    socket.on('gundam-record-update', (data) => {
-        overlayServer.updateGundamRecord(data.player, data.record);
-    });
-
-    socket.on('gundam-games-won-update', (data) => {
-        overlayServer.updateGundamGamesWon(data.player, data.gamesWon);
-    });
-
-    socket.on('gundam-match-reset', () => {
-        overlayServer.resetGundamMatch();
-    });
-
-    socket.on('toggle-gundam-match', (data) => {
-        console.log('Toggle gundam match overlay:', data.show);
-        io.emit('toggle-gundam-match', data);
-    });
-
-    // Yu-Gi-Oh! Match events (the overlay-server mutators re-broadcast to overlays)
-    socket.on('yugioh-match-update', (data) => {
-        overlayServer.updateYugiohMatch(data);
-    });
-
-    socket.on('yugioh-life-update', (data) => {
-        overlayServer.updateYugiohLife(data.player, data.lifePoints);
-    });
-
-    socket.on('yugioh-monster-update', (data) => {
-        overlayServer.setYugiohMonster(data.player, data.index, data.monster);
-    });
-
-    socket.on('yugioh-monster-position', (data) => {
-        overlayServer.setYugiohMonsterPosition(data.player, data.index, data.position);
-    });
-
-    socket.on('yugioh-spelltrap-update', (data) => {
-        overlayServer.setYugiohSpellTrap(data.player, data.index, data.card);
-    });
-
-    socket.on('yugioh-field-update', (data) => {
-        overlayServer.setYugiohField(data.player, data.field);
-    });
-
-    socket.on('yugioh-counts-update', (data) => {
-        overlayServer.setYugiohCounts(data.player, data.counts);
-    });
-
-    socket.on('yugioh-normal-summon', (data) => {
-        overlayServer.setYugiohNormalSummon(data.player, data.used);
-    });
-
-    socket.on('yugioh-phase-update', (data) => {
-        overlayServer.updateYugiohPhase(data.phase);
-    });
-
-    socket.on('yugioh-record-update', (data) => {
-        overlayServer.updateYugiohRecord(data.player, data.record);
-    });
-
-    socket.on('yugioh-games-won-update', (data) => {
-        overlayServer.updateYugiohGamesWon(data.player, data.gamesWon);
-    });
-
-    socket.on('yugioh-match-reset', () => {
-        overlayServer.resetYugiohMatch();
-    });
-
-    socket.on('toggle-yugioh-match', (data) => {
-        console.log('Toggle yugioh match overlay:', data.show);
-        io.emit('toggle-yugioh-match', data);
-    });
-
-    // One Piece Match events (the overlay-server mutators re-broadcast to overlays)
-    socket.on('onepiece-match-update', (data) => {
-        overlayServer.updateOnePieceMatch(data);
-    });
-
-    socket.on('onepiece-leader-update', (data) => {
-        overlayServer.setOnePieceLeader(data.player, data.leader, data.seedLife !== false);
-    });
-
-    socket.on('onepiece-life-total', (data) => {
-        overlayServer.setOnePieceLifeTotal(data.player, data.total);
-    });
-
-    socket.on('onepiece-life-taken', (data) => {
-        if (Array.isArray(data.taken)) overlayServer.setOnePieceLife(data.player, data.taken);
-        else overlayServer.takeOnePieceLife(data.player, data.index);
-    });
-
-    socket.on('onepiece-life-reset', () => {
-        overlayServer.resetOnePieceLife();
-    });
-
-    socket.on('onepiece-don-update', (data) => {
-        overlayServer.setOnePieceDon(data.player, data.don);
-    });
-
-    socket.on('onepiece-character-update', (data) => {
-        overlayServer.setOnePieceCharacter(data.player, data.index, data.character);
-    });
-
-    socket.on('onepiece-character-power', (data) => {
-        overlayServer.setOnePieceCharacterPower(data.player, data.index, data.power);
-    });
-
-    socket.on('onepiece-don-attach', (data) => {
-        overlayServer.setOnePieceDonAttach(data.player, data.index, data.donAttached);
-    });
-
-    socket.on('onepiece-stage-update', (data) => {
-        overlayServer.setOnePieceStage(data.player, data.stage);
-    });
-
-    socket.on('onepiece-record-update', (data) => {
-        overlayServer.updateOnePieceRecord(data.player, data.record);
-    });
-
-    socket.on('onepiece-games-won-update', (data) => {
-        overlayServer.updateOnePieceGamesWon(data.player, data.gamesWon);
-    });
-
-    socket.on('onepiece-match-reset', () => {
-        overlayServer.resetOnePieceMatch();
-    });
-
-    socket.on('toggle-onepiece-match', (data) => {
-        console.log('Toggle one piece match overlay:', data.show);
-        io.emit('toggle-onepiece-match', data);
-    });
-
-    // Disney Lorcana Match events (the overlay-server mutators re-broadcast to overlays)
-    socket.on('lorcana-match-update', (data) => {
-        overlayServer.updateLorcanaMatch(data);
-    });
-
-    socket.on('lorcana-lore-update', (data) => {
-        overlayServer.setLorcanaLore(data.player, data.lore);
-    });
-
-    socket.on('lorcana-ink-update', (data) => {
-        overlayServer.setLorcanaInk(data.player, data.ink);
-    });
-
-    socket.on('lorcana-character-update', (data) => {
-        overlayServer.setLorcanaCharacter(data.player, data.index, data.character);
-    });
-
-    socket.on('lorcana-character-damage', (data) => {
-        overlayServer.setLorcanaCharacterDamage(data.player, data.index, data.damage);
-    });
-
-    socket.on('lorcana-character-exert', (data) => {
-        overlayServer.setLorcanaCharacterExert(data.player, data.index, data.exerted);
-    });
-
-    socket.on('lorcana-location-update', (data) => {
-        overlayServer.setLorcanaLocation(data.player, data.index, data.location);
-    });
-
-    socket.on('lorcana-item-update', (data) => {
-        overlayServer.setLorcanaItems(data.player, data.items);
-    });
-
-    socket.on('lorcana-record-update', (data) => {
-        overlayServer.updateLorcanaRecord(data.player, data.record);
-    });
-
-    socket.on('lorcana-games-won-update', (data) => {
-        overlayServer.updateLorcanaGamesWon(data.player, data.gamesWon);
-    });
-
-    socket.on('lorcana-match-reset', () => {
-        overlayServer.resetLorcanaMatch();
-    });
-
-    socket.on('toggle-lorcana-match', (data) => {
-        console.log('Toggle lorcana match overlay:', data.show);
-        io.emit('toggle-lorcana-match', data);
-    });
-
-    // Digimon Match events (the overlay-server mutators re-broadcast to overlays)
-    socket.on('digimon-match-update', (data) => {
-        overlayServer.updateDigimonMatch(data);
+    // Show what changed between two revisions of a library deck on the decklist
+    // overlay ({ deckId, from, to, show }). Any later decklist-update leaves diff mode.
+    socket.on('decklist-diff', (data) => {
+        if (!db || !data) return;
+        const diff = deckRevisionDiff(data.deckId, data.from, data.to);
+        if (diff.error) {
+            console.error('Decklist diff failed:', diff.error);
+            return;
+        }
+        console.log(`Decklist diff: ${diff.name} rev ${diff.from} -> ${diff.to}`);
+        overlayServer.updateDecklist({
+            deck: {
+                title: diff.name,
+                game: diff.game,
+                categories: getDeckCategories(diff.newer),
+                diff: { from: diff.from, to: diff.to, categories: diff.categories, totals: diff.totals }
+            },
+            show: data.show !== undefined ? data.show : true,
+            player: data.player
+        });
     });
 
-    // The SHARED memory gauge (single widget for both players).
-    socket.on('digimon-memory-update', (data) => {
-        overlayServer.setDigimonMemory(data.memory);
+    // Show a library deck's analytics on the deck-stats overlay ({ deckId, hand? }).
+    socket.on('deck-stats-show', (data) => {
+        if (!db || !data) return;
+        const result = savedDeckStats(data.deckId, data.hand);
+        if (result.error) {
+            console.error('Deck stats failed:', result.error);
+            return;
+        }
+        console.log(`Deck stats: ${result.name}`);
+        overlayServer.showDeckStats(result);
     });
 
-    // Single take/set event: an array sets the whole taken-list, an index toggles one
-    // (mirrors gundam-shield-taken / onepiece-life-taken).
-    socket.on('digimon-security-taken', (data) => {
-        if (Array.isArray(data.securityTaken)) overlayServer.setDigimonSecurity(data.player, data.securityTaken);
-        else overlayServer.takeDigimonSecurity(data.player, data.index);
+    socket.on('deck-stats-hide', () => {
+        overlayServer.hideDeckStats();
     });
 
-    socket.on('digimon-security-reset', () => {
-        overlayServer.resetDigimonSecurity();
+    // Sample hand: deal a library deck's opening hand ({ deckId, hand?, show? }),
+    // then mulligan, alter ({ indices }: Lorcana), draw and show/hide it.
+    socket.on('sample-hand-deal', (data) => {
+        if (!db || !data) return;
+        const result = savedSampleHand(data.deckId, data.hand);
+        if (result.error) {
+            console.error('Sample hand failed:', result.error);
+            return;
+        }
+        console.log(`Sample hand: ${result.hand.name}`);
+        overlayServer.setSampleHand(result.hand, data.show);
     });
 
-    socket.on('digimon-battle-update', (data) => {
-        overlayServer.setDigimonBattle(data.player, data.index, data.unit);
+    socket.on('sample-hand-mulligan', () => {
+        overlayServer.mulliganSampleHand();
     });
 
-    socket.on('digimon-breeding-update', (data) => {
-        overlayServer.setDigimonBreeding(data.player, data.breeding);
+    socket.on('sample-hand-alter', (data) => {
+        overlayServer.alterSampleHand(data && data.indices);
     });
 
-    socket.on('digimon-tamer-update', (data) => {
-        overlayServer.setDigimonTamers(data.player, data.tamers);
+    socket.on('sample-hand-draw', () => {
+        overlayServer.drawSampleCard();
     });
 
-    socket.on('digimon-counts-update', (data) => {
-        overlayServer.setDigimonCounts(data.player, data.counts);
+    socket.on('sample-hand-show', (data) => {
+        overlayServer.showSampleHand(!data || data.show !== false);
     });
 
-    socket.on('digimon-record-update', (data) => {
-        overlayServer.updateDigimonRecord(data.player, data.record);
+    socket.on('decklist-clear', (data) => {
+        console.log('Clear decklist');
+        overlayServer.clearDecklist(data && data.player);
     });
 
-    socket.on('digimon-games-won-update', (data) => {
-        overlayServer.updateDigimonGamesWon(data.player, data.gamesWon);
-    });
+    // Match board events. Each game plugin's reducers (src/games/<game>.js)
+    // apply its events to the board and re-broadcast to the overlays.
+    games.matches().forEach(({ name, match }) => {
+        Object.keys(match.reducers).forEach(event => {
+            socket.on(event, (data) => {
+                overlayServer.applyMatchEvent(match.key, event, data);
+            });
+        });
 
-    socket.on('digimon-match-reset', () => {
-        overlayServer.resetDigimonMatch();
-    });
+        socket.on(`${match.key}-match-reset`, () => {
+            overlayServer.resetMatch(match.key);
+        });
 
-    socket.on('toggle-digimon-match', (data) => {
-        console.log('Toggle digimon match overlay:', data.show);
-        io.emit('toggle-digimon-match', data);
+        socket.on(`toggle-${match.key}-match`, (data) => {
+            console.log(`Toggle ${name} match overlay:`, data && data.show);
+            io.emit(`toggle-${match.key}-match`, data);
+        });
     });
 
     // Handle disconnect
@@ -1406,8 +1778,17 @@ io.on('connection', (socket) => {
     });
 });
 
-// Start server (after the first-run seed install + DB init)
-const PORT = config.port || 3888;
+// Replay overlays only register; everything they render comes from matchReplay.
+replayIo.on('connection', (socket) => {
+    const sendBoard = (type) => matchReplay.sendCurrentBoard(socket, matchKeyForType(type));
+    socket.on('register-overlay', sendBoard);
+    socket.on('request-state', sendBoard);
+});
+
+// Start server (after the first-run seed install + DB init). Pages and overlays
+// connect back to whatever origin served them, so any port or host works.
+const { port: PORT, host: HOST } = resolveListen(config);
+const URLS = serverUrls({ port: PORT, host: HOST });
 
 async function bootstrap() {
     // On a fresh install (no data/cardcast.db yet) try to fetch the metadata seed
@@ -1427,51 +1808,47 @@ async function bootstrap() {
     }
 
     db = new Database(dbPath);
-    tcgApi = new TCGCSVApi(db, apiKeys);
+    // Local card-data dumps (config.games.<id>.dataPath) are read in place of the network.
+    const dataPaths = Object.fromEntries(Object.entries(config.games || {}).map(([id, game]) => [id, (game && game.dataPath) || null]));
+    tcgApi = new TCGCSVApi(db, { ...apiKeys, dataPaths });
+
+    // Pick up price files dropped into data/prices since the last start.
+    try {
+        await importPriceFolder(db, pricesDir);
+    } catch (error) {
+        console.error('Could not import price files:', error.message);
+    }
+}
+
+// Startup banner lines: '  - item' (or another marker) per entry.
+function bannerList(items, marker = '-') {
+    return items.map(item => `  ${marker} ${item}`).join('\n');
 }
 
 bootstrap().then(() => {
-server.listen(PORT, () => {
+server.listen(PORT, HOST || undefined, () => {
     console.log(`
 ╔═══════════════════════════════════════╗
 ║          CardCast v${APP_VERSION}              ║
 ║     TCG Streaming Overlay Tool        ║
 ╚═══════════════════════════════════════╝
 
-Server running on http://localhost:${PORT}
+Server running on ${URLS.local}${URLS.lan.length ? `
+On your network: ${URLS.lan.join(', ')}` : ''}
 
 OBS Overlays:
-  - Main: http://localhost:${PORT}/overlay
-  - Decklist: http://localhost:${PORT}/decklist
-  - Pokemon Match: http://localhost:${PORT}/pokemon-match
-  - MTG Match: http://localhost:${PORT}/mtg-match
-  - Gundam Match: http://localhost:${PORT}/gundam-match
-  - Yu-Gi-Oh Match: http://localhost:${PORT}/yugioh-match
-  - One Piece Match: http://localhost:${PORT}/onepiece-match
-  - Lorcana Match: http://localhost:${PORT}/lorcana-match
-  - Digimon Match: http://localhost:${PORT}/digimon-match
+  - Main: ${URLS.local}/overlay
+  - Decklist: ${URLS.local}/decklist
+${bannerList(games.matches().map(plugin => `${games.label(plugin.id)} Match: ${URLS.local}/${plugin.match.key}-match`))}
 
 Control Panels:
-  - Pokemon: http://localhost:${PORT}/pokemon-match-control
-  - MTG: http://localhost:${PORT}/mtg-match-control
-  - Gundam: http://localhost:${PORT}/gundam-match-control
-  - Yu-Gi-Oh: http://localhost:${PORT}/yugioh-match-control
-  - One Piece: http://localhost:${PORT}/onepiece-match-control
-  - Lorcana: http://localhost:${PORT}/lorcana-match-control
-  - Digimon: http://localhost:${PORT}/digimon-match-control
+${bannerList(games.matches().map(plugin => `${games.label(plugin.id)}: ${URLS.local}/${plugin.match.key}-match-control`))}
 
 Currently Available:
-  ✓ Pokemon TCG (20,000+ cards)
-  ✓ Magic: The Gathering
-  ✓ Yu-Gi-Oh!
-  ✓ Disney Lorcana
-  ✓ Digimon Card Game
-  ✓ One Piece Card Game
-  ✓ Gundam Card Game
+${bannerList(games.list().map(plugin => plugin.name), '✓')}
 
 Coming Soon:
-  ○ Flesh and Blood
-  ○ Star Wars Unlimited
+${bannerList(games.comingSoon().map(id => games.name(id)), '○')}
 
 Cache directory: ${path.join(DATA_ROOT, 'cache')}
 Database: ${dbPath}
@@ -1482,7 +1859,7 @@ ${process.env.CARDCAST_ELECTRON ? 'Running inside the CardCast desktop app.' : '
     // Auto-open the default browser, unless we are running inside the Electron
     // desktop shell, which opens its own window pointed at this server.
     if (!process.env.CARDCAST_ELECTRON) {
-        const url = `http://localhost:${PORT}`;
+        const url = URLS.local;
         switch (process.platform) {
             case 'win32':
                 exec(`start ${url}`);
@@ -1504,11 +1881,18 @@ ${process.env.CARDCAST_ELECTRON ? 'Running inside the CardCast desktop app.' : '
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\nShutting down CardCast...');
+    overlayServer.flushState();
     if (db) db.close();
     server.close();
     process.exit(0);
 });
 
+// Electron quits the process without SIGINT; write any pending snapshot on the
+// way out regardless of how the process ends.
+process.on('exit', () => {
+    overlayServer.flushState();
+});
+
 process.on('uncaughtException', (error) => {
     console.error('Uncaught Exception:', error);
 });
@@ -0,0 +1,284 @@
+// src/auth.js - Who may drive the broadcast: control vs overlay access.
+//
+// Every HTTP request and socket gets one of two roles, or none:
+//
+//   control  may load the dashboard and control pages, call the REST API and
+//            emit any socket event
+//   overlay  read-only: may load overlay pages and card images, register as an
+//            overlay and request state, nothing else
+//
+// Requests from this PC (loopback) are always control, so a single-PC setup and
+// the desktop app need no login. From another device:
+//
+//   - a producer logs in at /login with the PIN (CARDCAST_PIN, or auth.pin in
+//     config.local.json); the session token comes back as a cookie, and REST
+//     clients can send it as "Authorization: Bearer <token>" instead
+//   - OBS uses the overlay URLs from the dashboard, which carry ?token=<overlay
+//     token>; the page request stores it in a cookie so the overlay's socket and
+//     image requests are read-only too
+//
+// With no PIN set, other devices can only use overlay URLs. Sessions and the
+// overlay token are kept in DATA_ROOT/data/auth.json so a restart does not log
+// anyone out. Browsers only get to open a socket from a CardCast page (same
+// origin), and loopback trust also needs a Host this server answers to
+// (localhost, the bind host or a LAN address), so another website open on this
+// PC cannot borrow it - not even by DNS-rebinding its own name to 127.0.0.1.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+
+const SESSION_COOKIE = 'cardcast_session';
+const OVERLAY_COOKIE = 'cardcast_overlay';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_SESSIONS = 50;
+
+// Failed PIN attempts per address before a short lockout.
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 60 * 1000;
+
+// The only socket events an overlay socket may send.
+const OVERLAY_EVENTS = new Set(['register-overlay', 'request-state']);
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+function sameSecret(a, b) {
+    const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+function isLoopback(address) {
+    const value = String(address || '');
+    return value === '::1' || value.startsWith('127.') || value.startsWith('::ffff:127.');
+}
+
+// Lowercase hostname of a Host header ("localhost:3888" -> "localhost",
+// "[::1]:3888" -> "[::1]"), or null when it does not parse.
+function hostName(host) {
+    if (!host) return null;
+    try {
+        return new URL(`http://${host}`).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Hostnames this server answers to: loopback names, the configured bind host
+// and every address of this PC's network interfaces.
+function localHostNames(bindHost) {
+    const names = new Set(['localhost', '127.0.0.1', '[::1]']);
+    const bind = bindHost && hostName(bindHost.includes(':') && !bindHost.startsWith('[') ? `[${bindHost}]` : bindHost);
+    if (bind) names.add(bind);
+    Object.values(os.networkInterfaces()).forEach(addresses => {
+        (addresses || []).forEach(({ address }) => {
+            const name = hostName(address.includes(':') ? `[${address}]` : address);
+            if (name) names.add(name);
+        });
+    });
+    return names;
+}
+
+// true when a browser request comes from a page on this server (or from no page
+// at all, e.g. curl or OBS). Compared by host, so any port or address works.
+function isSameOrigin(headers) {
+    if (!headers.origin) return true;
+    try {
+        return new URL(headers.origin).host === headers.host;
+    } catch (error) {
+        return false;
+    }
+}
+
+class AccessControl {
+    // options.pin: the control PIN (null = no remote control); options.statePath:
+    // where sessions and the overlay token are kept.
+    // options.host: the configured bind host, trusted as a Host header name.
+    constructor({ pin = null, statePath = null, host = null } = {}) {
+        this.pin = pin ? String(pin) : null;
+        this.statePath = statePath;
+        this.bindHost = host;
+        this.hostNames = localHostNames(host);
+        this.sessions = new Map(); // token -> created (ms)
+        this.overlayToken = null;
+        this.failedLogins = new Map(); // address -> { count, until }
+        this.load();
+        if (!this.overlayToken) {
+            this.overlayToken = newToken();
+            this.save();
+        }
+    }
+
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            this.overlayToken = saved.overlayToken || null;
+            Object.entries(saved.sessions || {}).forEach(([token, created]) => {
+                if (Date.now() - created < SESSION_MAX_AGE) this.sessions.set(token, created);
+            });
+        } catch (error) {
+            console.error('Error loading auth state:', error.message);
+        }
+    }
+
+    save() {
+        if (!this.statePath) return;
+        try {
+            fs.writeFileSync(this.statePath, JSON.stringify({
+                overlayToken: this.overlayToken,
+                sessions: Object.fromEntries(this.sessions)
+            }, null, 2));
+        } catch (error) {
+            console.error('Error saving auth state:', error.message);
+        }
+    }
+
+    // ============ LOGIN ============
+
+    // Returns { token } for the right PIN, or { error, status }.
+    login(pin, address) {
+        if (!this.pin) {
+            return { status: 403, error: 'No PIN is set on this CardCast server, so it can only be controlled from that PC' };
+        }
+        const failed = this.failedLogins.get(address) || { count: 0, until: 0 };
+        if (failed.until > Date.now()) {
+            return { status: 429, error: 'Too many wrong PINs, try again in a minute' };
+        }
+        if (!pin || !sameSecret(pin, this.pin)) {
+            failed.count++;
+            if (failed.count >= MAX_FAILED_LOGINS) {
+                failed.count = 0;
+                failed.until = Date.now() + LOGIN_LOCKOUT_MS;
+            }
+            this.failedLogins.set(address, failed);
+            return { status: 401, error: 'Wrong PIN' };
+        }
+        this.failedLogins.delete(address);
+
+        const token = newToken();
+        this.sessions.set(token, Date.now());
+        // Keep the newest sessions only.
+        [...this.sessions.keys()].slice(0, Math.max(0, this.sessions.size - MAX_SESSIONS))
+            .forEach(old => this.sessions.delete(old));
+        this.save();
+        return { token };
+    }
+
+    logout(token) {
+        if (token && this.sessions.delete(token)) this.save();
+    }
+
+    // A new overlay token; OBS sources with the old one must be updated.
+    rotateOverlayToken() {
+        this.overlayToken = newToken();
+        this.save();
+        return this.overlayToken;
+    }
+
+    isSession(token) {
+        const created = token && this.sessions.get(token);
+        if (!created) return false;
+        if (Date.now() - created >= SESSION_MAX_AGE) {
+            this.sessions.delete(token);
+            this.save();
+            return false;
+        }
+        return true;
+    }
+
+    isOverlayToken(token) {
+        return !!token && sameSecret(token, this.overlayToken);
+    }
+
+    // ============ ROLES ============
+
+    // true when a Host header names this server. Unknown names re-read the
+    // network interfaces once, so a LAN address picked up after start works.
+    isLocalHost(host) {
+        const name = hostName(host);
+        if (!name) return false;
+        if (this.hostNames.has(name)) return true;
+        this.hostNames = localHostNames(this.bindHost);
+        return this.hostNames.has(name);
+    }
+
+    // 'control', 'overlay' or null, from the peer address, the cookies and any
+    // token the client sent (Bearer header, socket auth or ?token=).
+    role({ address, headers, token }) {
+        const cookies = parseCookies(headers.cookie);
+        const bearer = /^Bearer\s+(\S+)/i.exec(headers.authorization || '');
+        if (isLoopback(address) && this.isLocalHost(headers.host) && isSameOrigin(headers)) return 'control';
+        if (this.isSession(cookies[SESSION_COOKIE]) || this.isSession(bearer && bearer[1])) return 'control';
+        if (this.isOverlayToken(token) || this.isOverlayToken(cookies[OVERLAY_COOKIE])) return 'overlay';
+        return null;
+    }
+
+    requestRole(req) {
+        return this.role({ address: req.socket.remoteAddress, headers: req.headers, token: req.query.token });
+    }
+
+    socketRole(handshake) {
+        const token = (handshake.auth && handshake.auth.token) || handshake.query.token;
+        return this.role({ address: handshake.address, headers: handshake.headers, token });
+    }
+
+    canEmit(role, event) {
+        return role === 'control' || (role === 'overlay' && OVERLAY_EVENTS.has(event));
+    }
+
+    // ============ EXPRESS ============
+
+    // Express middleware. isPublic(req) lists what needs no role (the login
+    // page), isPage(req) the pages that redirect to /login instead of a 401, and
+    // isOverlayPage(req) what the overlay role may load besides /cache images.
+    middleware({ isPublic, isPage, isOverlayPage }) {
+        return (req, res, next) => {
+            if (!isSameOrigin(req.headers) && !['GET', 'HEAD'].includes(req.method)) {
+                return res.status(403).json({ error: 'Cross-origin request refused' });
+            }
+            const role = this.requestRole(req);
+            req.role = role;
+            if (this.isOverlayToken(req.query.token)) {
+                res.cookie(OVERLAY_COOKIE, req.query.token, { httpOnly: true, sameSite: 'lax', maxAge: SESSION_MAX_AGE });
+            }
+            if (role === 'control' || isPublic(req)) return next();
+            if (role === 'overlay' && ['GET', 'HEAD'].includes(req.method) &&
+                (req.path.startsWith('/cache/') || isOverlayPage(req))) {
+                return next();
+            }
+            if (isPage(req)) {
+                return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+            }
+            return res.status(401).json({ error: role === 'overlay' ? 'Overlay access is read-only' : 'Log in to use CardCast from this device' });
+        };
+    }
+
+    setSessionCookie(res, token) {
+        res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'lax', maxAge: SESSION_MAX_AGE });
+    }
+
+    clearSessionCookie(res) {
+        res.clearCookie(SESSION_COOKIE);
+    }
+
+    sessionToken(req) {
+        const bearer = /^Bearer\s+(\S+)/i.exec(req.headers.authorization || '');
+        return parseCookies(req.headers.cookie)[SESSION_COOKIE] || (bearer && bearer[1]) || null;
+    }
+}
+
+module.exports = { AccessControl, OVERLAY_EVENTS, isLoopback, isSameOrigin };
@@ -0,0 +1,187 @@
+// src/collection.js - Personal collection: stack normalization, CSV import and
+// the deck-vs-collection comparison.
+//
+// The collection table (see COLLECTION in src/database.js) holds one row per
+// stack of a card: the same card id in a given condition, finish and language.
+// A stack in condition PROXY is a stand-in the owner printed or marked up
+// rather than a real copy; deck comparisons count those separately.
+//
+// CSV imports use csv-parser with loosely matched headers (case, spaces and
+// punctuation ignored). A row needs a quantity and something to find the card
+// by: its CardCast id, a set code plus collector number, or a name.
+//
+//   id         id, card id, cardcast id
+//   name       name, card name
+//   set        set, set code, edition, set abbreviation
+//   number     number, collector number, card number, no
+//   quantity   quantity, qty, count, owned              (default 1)
+//   condition  condition, cond                          (default NM)
+//   foil       foil, finish, printing                   (foil / yes / true / 1)
+//   language   language, lang                           (default EN)
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { getDeckCategories } = require('../public/js/game-registry');
+
+const CONDITIONS = ['NM', 'LP', 'MP', 'HP', 'DMG', 'PROXY'];
+
+const CONDITION_NAMES = {
+    nearmint: 'NM', mint: 'NM', m: 'NM',
+    lightlyplayed: 'LP', excellent: 'LP', ex: 'LP',
+    moderatelyplayed: 'MP', played: 'MP', good: 'MP', gd: 'MP',
+    heavilyplayed: 'HP', poor: 'HP',
+    damaged: 'DMG', dmg: 'DMG', d: 'DMG',
+    proxy: 'PROXY', proxied: 'PROXY', playtest: 'PROXY'
+};
+
+const LANGUAGE_NAMES = {
+    english: 'EN', japanese: 'JA', jp: 'JA', german: 'DE', french: 'FR', italian: 'IT',
+    spanish: 'ES', portuguese: 'PT', korean: 'KO', chinese: 'ZH', russian: 'RU'
+};
+
+const COLUMN_ALIASES = {
+    id: ['id', 'cardid', 'cardcastid'],
+    name: ['name', 'cardname'],
+    set: ['set', 'setcode', 'edition', 'setabbreviation'],
+    number: ['number', 'collectornumber', 'cardnumber', 'no'],
+    quantity: ['quantity', 'qty', 'count', 'owned'],
+    condition: ['condition', 'cond'],
+    foil: ['foil', 'finish', 'printing'],
+    language: ['language', 'lang']
+};
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// { condition, foil, language } from loose input ('Near Mint', 'foil', 'Japanese').
+// Unknown conditions fall back to NM; languages to a two-letter code.
+function normalizeStack(input = {}) {
+    const conditionKey = normalizeHeader(input.condition || '');
+    const condition = CONDITIONS.includes(conditionKey.toUpperCase())
+        ? conditionKey.toUpperCase()
+        : (CONDITION_NAMES[conditionKey] || 'NM');
+
+    const foilText = String(input.foil === undefined || input.foil === null ? '' : input.foil).trim().toLowerCase();
+    const foil = input.foil === true || /^(1|yes|y|true|foil|etched|holo|holofoil|reverse holofoil)$/.test(foilText);
+
+    const languageText = String(input.language || '').trim().toLowerCase();
+    const language = LANGUAGE_NAMES[languageText] || (languageText ? languageText.slice(0, 5).toUpperCase() : 'EN');
+
+    return { condition, foil, language };
+}
+
+// Parse a collection CSV (text). Resolves { rows: [{ id, name, set, number,
+// quantity, condition, foil, language }], skipped } or { error }.
+function readCollectionCsv(text) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        let skipped = 0;
+        let columns = null;
+        let failed = false;
+
+        const parser = csv();
+        parser.on('headers', (headers) => {
+            const byNormal = new Map(headers.map(header => [normalizeHeader(header), header]));
+            columns = {};
+            Object.keys(COLUMN_ALIASES).forEach(key => {
+                const alias = COLUMN_ALIASES[key].find(name => byNormal.has(name));
+                if (alias) columns[key] = byNormal.get(alias);
+            });
+            if (!columns.id && !columns.name && !(columns.set && columns.number)) {
+                failed = true;
+                parser.destroy();
+                resolve({ error: 'No card column (expected id, name, or set and number)' });
+            }
+        });
+        parser.on('data', (record) => {
+            if (failed) return;
+            const value = (key) => (columns[key] ? String(record[columns[key]] || '').trim() : '');
+            const quantity = columns.quantity ? parseInt(value('quantity'), 10) : 1;
+            const row = {
+                id: value('id'),
+                name: value('name'),
+                set: value('set'),
+                number: value('number'),
+                quantity,
+                ...normalizeStack({ condition: value('condition'), foil: value('foil'), language: value('language') })
+            };
+            if (!Number.isInteger(quantity) || quantity <= 0 || (!row.id && !row.name && !(row.set && row.number))) {
+                skipped++;
+                return;
+            }
+            rows.push(row);
+        });
+        parser.on('end', () => {
+            if (failed) return;
+            resolve(columns ? { rows, skipped } : { error: 'The collection file is empty' });
+        });
+        parser.on('error', reject);
+        Readable.from([text]).pipe(parser);
+    });
+}
+
+// Import a collection CSV into a game's collection. Quantities add to what is
+// already there unless options.replace is set (the game's collection is
+// cleared first). Returns { imported, copies, skipped, unmatched } or { error };
+// unmatched lists (up to 50) rows no card was found for.
+async function importCollectionCsv(db, game, text, options = {}) {
+    const result = await readCollectionCsv(text);
+    if (result.error) return result;
+
+    const unmatched = [];
+    const entries = [];
+    result.rows.forEach(row => {
+        const cardId = db.matchCardId(game, { id: row.id, setCode: row.set, number: row.number, name: row.name });
+        if (!cardId) {
+            unmatched.push([row.set, row.number, row.name || row.id].filter(Boolean).join(' '));
+            return;
+        }
+        entries.push({ cardId, quantity: row.quantity, condition: row.condition, foil: row.foil, language: row.language });
+    });
+
+    const imported = db.importCollection(game, entries, !!options.replace);
+    const copies = entries.reduce((n, entry) => n + entry.quantity, 0);
+    console.log(`Imported ${imported} ${game} collection rows (${copies} copies, ${unmatched.length} unmatched)`);
+    return { imported, copies, skipped: result.skipped, unmatched: unmatched.slice(0, 50), unmatchedCount: unmatched.length };
+}
+
+// Compare a deck with the collection. holdings maps a lowercased card name to
+// { owned, proxy } (every printing counts: any copy of the card is playable).
+// Copies are handed out category by category, so a sideboard copy only counts
+// as owned when the main deck left one over. Real copies go first, then proxies;
+// the rest are missing.
+function compareDeckToCollection(deck, holdings) {
+    const remaining = new Map();
+    const available = (name) => {
+        const key = name.toLowerCase();
+        if (!remaining.has(key)) {
+            const held = holdings.get(key) || { owned: 0, proxy: 0 };
+            remaining.set(key, { owned: held.owned, proxy: held.proxy });
+        }
+        return remaining.get(key);
+    };
+
+    const totals = { cards: 0, owned: 0, proxy: 0, missing: 0 };
+    const categories = Object.entries(getDeckCategories(deck)).map(([name, cards]) => ({
+        name,
+        cards: cards.filter(card => card && card.name).map(card => {
+            const quantity = card.quantity || card.count || 1;
+            const left = available(card.name);
+            const owned = Math.min(quantity, left.owned);
+            left.owned -= owned;
+            const proxy = Math.min(quantity - owned, left.proxy);
+            left.proxy -= proxy;
+            const missing = quantity - owned - proxy;
+
+            totals.cards += quantity;
+            totals.owned += owned;
+            totals.proxy += proxy;
+            totals.missing += missing;
+            return { name: card.name, quantity, owned, proxy, missing };
+        })
+    }));
+
+    return { game: deck.game, complete: totals.missing === 0 && totals.proxy === 0, totals, categories };
+}
+
+module.exports = { CONDITIONS, normalizeStack, importCollectionCsv, compareDeckToCollection };
@@ -4,6 +4,7 @@
 // config.local.json and .env are gitignored and may hold secrets; config.json is the committed,
 // secret-free default. API keys are NEVER persisted back into config.json.
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const ROOT = path.join(__dirname, '..');
@@ -76,4 +77,43 @@ function resolveApiKeys(localConfig) {
     };
 }
 
-module.exports = { ROOT, loadEnv, readJson, mergeConfig, resolveApiKeys };
+// Resolve the control PIN for other devices (see src/auth.js). Like API keys it is
+// a secret, so only CARDCAST_PIN and config.local.json's auth.pin are read.
+function resolveAuth(localConfig) {
+    const fromLocal = (localConfig && localConfig.auth) || {};
+    const pin = process.env.CARDCAST_PIN || fromLocal.pin;
+    return { pin: pin ? String(pin) : null };
+}
+
+// Where the server listens. CARDCAST_PORT / CARDCAST_HOST override config.port /
+// config.host. host null (the default) listens on every interface, so control
+// pages and OBS on other PCs in the LAN can reach it; '127.0.0.1' keeps it to
+// this PC, and a LAN address (e.g. '192.168.1.20') listens on that network only.
+function resolveListen(config) {
+    const port = Number(process.env.CARDCAST_PORT) || Number(config.port) || 3888;
+    const host = process.env.CARDCAST_HOST || config.host || null;
+    return { port, host };
+}
+
+const isWildcardHost = (host) => !host || host === '0.0.0.0' || host === '::';
+
+// Base URLs to reach the server from this PC (local) and from the LAN (lan; empty
+// when it only listens on loopback).
+function serverUrls({ port, host }) {
+    if (!isWildcardHost(host)) {
+        const url = `http://${host.includes(':') ? `[${host}]` : host}:${port}`;
+        const loopback = host === 'localhost' || host.startsWith('127.') || host === '::1';
+        return { local: url, lan: loopback ? [] : [url] };
+    }
+    const lan = [];
+    Object.values(os.networkInterfaces()).forEach(addresses => {
+        (addresses || []).forEach(address => {
+            if (address.family === 'IPv4' || address.family === 4) {
+                if (!address.internal) lan.push(`http://${address.address}:${port}`);
+            }
+        });
+    });
+    return { local: `http://localhost:${port}`, lan };
+}
+
+module.exports = { ROOT, loadEnv, readJson, mergeConfig, resolveApiKeys, resolveAuth, resolveListen, serverUrls };
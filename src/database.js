@@ -2,6 +2,31 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const games = require('./games');
+
+// Columns copied from a cards row into its cards_fts row (see addCardSearchIndex).
+const CARD_FTS_COLUMNS = `
+    rowid,
+    game,
+    name,
+    trim(coalesce(set_name, '') || ' ' || coalesce(set_abbreviation, '') || ' ' || coalesce(card_number, '')),
+    trim(coalesce(card_type, '') || ' ' || coalesce(card_text, ''))
+`;
+
+// Game-specific cards columns, declared by each game plugin (src/games):
+// { column: SQL type }. Columns of games without a plugin yet (the coming-soon
+// ones) arrive with their plugin.
+const GAME_COLUMNS = games.columns();
+
+// The card_type and game-specific stat columns a search result carries, as a
+// SELECT list (prefix 'c.' when the cards table is joined).
+function searchColumnList(prefix = '') {
+    return ['card_type', ...games.searchColumns()].map(column => prefix + column).join(', ');
+}
+
+// Name matches outrank set matches, which outrank rules-text matches
+// (bm25 weights for the game, name, set_text and body columns).
+const CARD_FTS_RANK = 'bm25(cards_fts, 0.0, 10.0, 3.0, 1.0)';
 
 class CardDatabase {
     constructor(dbPath) {
@@ -34,10 +59,19 @@ class CardDatabase {
         // Add source_image_url column (the remote CDN URL) if it doesn't exist
         this.addSourceImageUrlColumn();
 
+        // Add the replay columns to a match_events table created without them
+        this.addMatchEventReplayColumns();
+
         // Add all game-specific columns if they don't exist (migration for existing
         // DBs). Must run before prepareStatements(), which references these columns.
         this.addGameColumns();
 
+        // Full-text search index over the cards (built once for existing DBs)
+        this.addCardSearchIndex();
+
+        // Fill the set catalog for games downloaded before it existed
+        this.addMissingSets();
+
         // Initialize games
         this.initializeGames();
         
@@ -59,7 +93,7 @@ class CardDatabase {
             )
         `);
         
-        // Main cards table with all common fields and game-specific attributes
+        // Main cards table with all common fields and every game plugin's columns
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS cards (
                 id TEXT PRIMARY KEY,
@@ -78,99 +112,8 @@ class CardDatabase {
                 card_text TEXT,
                 search_text TEXT,
                 
-                -- Pokemon specific fields
-                hp INTEGER,
-                stage TEXT,
-                evolves_from TEXT,
-                weakness TEXT,
-                resistance TEXT,
-                retreat_cost TEXT,
-                ability_name TEXT,
-                ability_text TEXT,
-                attack1_name TEXT,
-                attack1_cost TEXT,
-                attack1_damage TEXT,
-                attack1_text TEXT,
-                attack2_name TEXT,
-                attack2_cost TEXT,
-                attack2_damage TEXT,
-                attack2_text TEXT,
-                attack3_name TEXT,
-                attack3_cost TEXT,
-                attack3_damage TEXT,
-                attack3_text TEXT,
-                
-                -- Magic specific fields
-                mana_cost TEXT,
-                cmc INTEGER,
-                power TEXT,
-                toughness TEXT,
-                loyalty INTEGER,
-                colors TEXT,
-                color_identity TEXT,
-                type_line TEXT,
-                oracle_text TEXT,
-                flavor_text TEXT,
-                
-                -- Yu-Gi-Oh specific fields
-                attack INTEGER,
-                defense INTEGER,
-                level INTEGER,
-                rank INTEGER,
-                link_value INTEGER,
-                pendulum_scale INTEGER,
-                attribute TEXT,
-                monster_type TEXT,
-                
-                -- Lorcana specific fields
-                ink_cost INTEGER,
-                strength INTEGER,
-                willpower INTEGER,
-                lore_value INTEGER,
-                inkable BOOLEAN,
-                
-                -- One Piece specific fields
-                cost INTEGER,
-                op_power INTEGER,
-                counter INTEGER,
-                life INTEGER,
-                don_value INTEGER,
-                trigger_text TEXT,
-                
-                -- Digimon specific fields
-                play_cost INTEGER,
-                digivolve_cost INTEGER,
-                digivolve_color TEXT,
-                dp INTEGER,
-                digimon_level INTEGER,
-                digimon_type TEXT,
-                digimon_attribute TEXT,
-                
-                -- Flesh and Blood specific fields
-                pitch_value INTEGER,
-                fab_defense INTEGER,
-                fab_attack INTEGER,
-                resource_cost INTEGER,
-                
-                -- Star Wars Unlimited specific fields
-                sw_cost INTEGER,
-                sw_power INTEGER,
-                sw_hp INTEGER,
-                aspect TEXT,
-                arena TEXT,
-
-                -- Gundam Card Game specific fields
-                gd_level INTEGER,
-                gd_cost INTEGER,
-                gd_color TEXT,
-                gd_zone TEXT,
-                gd_trait TEXT,
-                gd_link TEXT,
-                gd_ap INTEGER,
-                gd_hp INTEGER,
-                gd_source_title TEXT,
-                gd_block_icon TEXT,
-                gd_sp TEXT,
+                -- Game-specific fields (src/games)
+                ${Object.entries(GAME_COLUMNS).map(([column, type]) => `${column} ${type},`).join('\n                ')}
 
                 -- Metadata
                 created_at INTEGER DEFAULT (strftime('%s', 'now')),
@@ -213,8 +156,146 @@ class CardDatabase {
                 FOREIGN KEY (card_id) REFERENCES cards(id)
             )
         `);
+
+        // Match event journal: one row per state change on a match board, written
+        // by OverlayServer (see logMatchEvent there). before/after are JSON objects
+        // keyed by the changed field path; created_at is epoch ms; the clock
+        // columns are seconds on the match's round clock at that moment. payload
+        // (the event as broadcast) and state (the board after it) drive replays.
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS match_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                game TEXT NOT NULL,
+                match_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                player INTEGER,
+                before_value TEXT,
+                after_value TEXT,
+                created_at INTEGER NOT NULL,
+                clock_elapsed REAL,
+                clock_remaining REAL,
+                payload TEXT,
+                state TEXT
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_match_events_match ON match_events(game, match_id);
+        `);
+
+        // Pack-opening sessions, saved by OverlayServer after every pull (see PACK
+        // OPENING METHODS there). pulls is the session's pull list as JSON; times
+        // are epoch ms.
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS pack_sessions (
+                id TEXT PRIMARY KEY,
+                game TEXT NOT NULL,
+                set_code TEXT,
+                set_name TEXT,
+                packs INTEGER NOT NULL DEFAULT 0,
+                pulls TEXT NOT NULL,
+                started_at INTEGER NOT NULL,
+                ended_at INTEGER
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_pack_sessions_game ON pack_sessions(game, started_at);
+        `);
+
+        // Card prices imported from local TCGplayer / TCGCSV price files (see
+        // src/price-import.js), joined to cards on product_id. A product can have
+        // one row per printing (sub_type: Normal, Holofoil, Foil, ...; '' when the
+        // file has none). price_imports remembers which dropped files were read.
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS prices (
+                product_id TEXT NOT NULL,
+                sub_type TEXT NOT NULL DEFAULT '',
+                market_price REAL,
+                low_price REAL,
+                mid_price REAL,
+                high_price REAL,
+                source TEXT,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (product_id, sub_type)
+            );
+
+            CREATE TABLE IF NOT EXISTS price_imports (
+                file TEXT PRIMARY KEY,
+                modified_at INTEGER NOT NULL,
+                rows INTEGER NOT NULL,
+                imported_at INTEGER NOT NULL
+            );
+        `);
+
+        // The owner's collection (see src/collection.js): one row per stack of a
+        // card id in a condition, finish and language. condition PROXY marks
+        // stand-ins, which deck comparisons count apart from real copies.
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS collection (
+                game TEXT NOT NULL,
+                card_id TEXT NOT NULL,
+                condition TEXT NOT NULL DEFAULT 'NM',
+                foil INTEGER NOT NULL DEFAULT 0,
+                language TEXT NOT NULL DEFAULT 'EN',
+                quantity INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (game, card_id, condition, foil, language)
+            );
+        `);
+
+        // Deck library. data is the whole deck object as the UI builds it (generic
+        // { categories } or a legacy per-game shape; see getDeckCategories in
+        // public/js/game-registry.js); name/format are copied out for listing.
+        // Names are unique per game.
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS decks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                game TEXT NOT NULL,
+                name TEXT NOT NULL,
+                format TEXT,
+                data TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL,
+                UNIQUE (game, name)
+            )
+        `);
+
+        // Every saved version of a deck (1, 2, ...), written by createDeck and by
+        // each updateDeck that changes it. data is the deck JSON as in decks.data.
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS deck_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                deck_id INTEGER NOT NULL,
+                revision INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                data TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                UNIQUE (deck_id, revision)
+            );
+
+            -- Decks saved before revisions existed start from their current state.
+            INSERT INTO deck_revisions (deck_id, revision, name, data, created_at)
+            SELECT id, 1, name, data, updated_at FROM decks
+            WHERE id NOT IN (SELECT deck_id FROM deck_revisions);
+        `);
+
+        // Set catalog for every game, written by the card downloaders (src/tcg-api.js)
+        // with what each source knows about a set, and completed from the cards
+        // themselves by refreshSets(). card_count is the number of cards stored.
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS sets (
+                game TEXT NOT NULL,
+                code TEXT NOT NULL,
+                abbreviation TEXT,
+                name TEXT NOT NULL,
+                release_date TEXT,
+                card_count INTEGER DEFAULT 0,
+                icon_url TEXT,
+                updated_at INTEGER,
+                PRIMARY KEY (game, code)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_cards_set_name ON cards(game, set_name);
+        `);
     }
-    
+
     addSetAbbreviationColumn() {
         try {
             // Check if column exists
@@ -251,95 +332,85 @@ class CardDatabase {
         }
     }
 
-    // Add every game-specific column to an existing cards table. CREATE TABLE
+    addMatchEventReplayColumns() {
+        try {
+            const existing = new Set(
+                this.db.prepare('PRAGMA table_info(match_events)').all().map(col => col.name)
+            );
+            ['payload', 'state'].forEach(name => {
+                if (!existing.has(name)) {
+                    this.db.prepare(`ALTER TABLE match_events ADD COLUMN ${name} TEXT`).run();
+                }
+            });
+        } catch (error) {
+            console.error('Error adding match_events replay columns:', error);
+        }
+    }
+
+    // cards_fts mirrors every card for ranked full-text search. Its rowid is the
+    // cards rowid; insertCard() and clearGameData() keep the two in step (cards
+    // has no other writers). A database created before the index existed - or a
+    // seed DB built without it - is indexed here once.
+    addCardSearchIndex() {
+        try {
+            const exists = this.db.prepare(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'cards_fts'"
+            ).get();
+            if (exists) return;
+
+            this.db.exec(`
+                CREATE VIRTUAL TABLE cards_fts USING fts5(
+                    game, name, set_text, body,
+                    tokenize = 'unicode61 remove_diacritics 2',
+                    prefix = '2 3'
+                )
+            `);
+            this.rebuildCardSearchIndex();
+        } catch (error) {
+            console.error('Error creating the card search index:', error);
+        }
+    }
+
+    addMissingSets() {
+        try {
+            const games = this.db.prepare(
+                'SELECT DISTINCT game FROM cards WHERE game NOT IN (SELECT game FROM sets)'
+            ).all();
+            games.forEach(({ game }) => this.refreshSets(game));
+        } catch (error) {
+            console.error('Error building the set catalog:', error);
+        }
+    }
+
+    // Re-index every card. Needed after VACUUM, which may renumber the rowids of
+    // a table without an INTEGER PRIMARY KEY (cards is keyed by a TEXT id).
+    rebuildCardSearchIndex() {
+        const count = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM cards_fts').run();
+            return this.db.prepare(`
+                INSERT INTO cards_fts (rowid, game, name, set_text, body)
+                SELECT ${CARD_FTS_COLUMNS} FROM cards
+            `).run().changes;
+        })();
+        if (count) console.log(`Indexed ${count} cards for full-text search`);
+        return count;
+    }
+
+    // Add every game plugin's columns to an existing cards table. CREATE TABLE
     // IF NOT EXISTS never alters a table that already exists, so installs created
-    // before these games were supported keep their old schema and are missing
-    // these columns. prepareStatements() references them, and better-sqlite3
-    // validates column names at prepare() time, so a legacy DB would throw on
-    // boot without this migration. We diff the full set of game-specific columns
-    // (the columns added to CREATE TABLE after the legacy v1 schema) against
-    // PRAGMA table_info(cards) and ALTER in any that are missing. The common /
-    // Pokemon columns plus set_abbreviation and source_image_url are handled by
+    // before a game was supported (or before its plugin gained a column) are
+    // missing them. prepareStatements() references them, and better-sqlite3
+    // validates column names at prepare() time, so such a DB would throw on boot
+    // without this migration. We diff the plugins' columns (games.columns())
+    // against PRAGMA table_info(cards) and ALTER in any that are missing. The
+    // common columns plus set_abbreviation and source_image_url are handled by
     // the base CREATE TABLE and their own dedicated migrations.
     addGameColumns() {
         try {
-            const gameColumns = {
-                // Magic: The Gathering
-                mana_cost: 'TEXT',
-                cmc: 'INTEGER',
-                power: 'TEXT',
-                toughness: 'TEXT',
-                loyalty: 'INTEGER',
-                colors: 'TEXT',
-                color_identity: 'TEXT',
-                type_line: 'TEXT',
-                oracle_text: 'TEXT',
-                flavor_text: 'TEXT',
-
-                // Yu-Gi-Oh
-                attack: 'INTEGER',
-                defense: 'INTEGER',
-                level: 'INTEGER',
-                rank: 'INTEGER',
-                link_value: 'INTEGER',
-                pendulum_scale: 'INTEGER',
-                attribute: 'TEXT',
-                monster_type: 'TEXT',
-
-                // Lorcana
-                ink_cost: 'INTEGER',
-                strength: 'INTEGER',
-                willpower: 'INTEGER',
-                lore_value: 'INTEGER',
-                inkable: 'BOOLEAN',
-
-                // One Piece
-                cost: 'INTEGER',
-                op_power: 'INTEGER',
-                counter: 'INTEGER',
-                life: 'INTEGER',
-                don_value: 'INTEGER',
-                trigger_text: 'TEXT',
-
-                // Digimon
-                play_cost: 'INTEGER',
-                digivolve_cost: 'INTEGER',
-                digivolve_color: 'TEXT',
-                dp: 'INTEGER',
-                digimon_level: 'INTEGER',
-                digimon_type: 'TEXT',
-                digimon_attribute: 'TEXT',
-
-                // Flesh and Blood
-                pitch_value: 'INTEGER',
-                fab_defense: 'INTEGER',
-                fab_attack: 'INTEGER',
-                resource_cost: 'INTEGER',
-
-                // Star Wars Unlimited
-                sw_cost: 'INTEGER',
-                sw_power: 'INTEGER',
-                sw_hp: 'INTEGER',
-                aspect: 'TEXT',
-                arena: 'TEXT',
-
-                // Gundam Card Game
-                gd_level: 'INTEGER',
-                gd_cost: 'INTEGER',
-                gd_color: 'TEXT',
-                gd_zone: 'TEXT',
-                gd_trait: 'TEXT',
-                gd_link: 'TEXT',
-                gd_ap: 'INTEGER',
-                gd_hp: 'INTEGER',
-                gd_source_title: 'TEXT',
-                gd_block_icon: 'TEXT',
-                gd_sp: 'TEXT'
-            };
             const existing = new Set(
                 this.db.prepare('PRAGMA table_info(cards)').all().map(col => col.name)
             );
-            for (const [name, type] of Object.entries(gameColumns)) {
+            for (const [name, type] of Object.entries(GAME_COLUMNS)) {
                 if (!existing.has(name)) {
                     console.log(`Adding ${name} column to cards table...`);
                     this.db.prepare(`ALTER TABLE cards ADD COLUMN ${name} ${type}`).run();
@@ -351,25 +422,15 @@ class CardDatabase {
     }
 
     initializeGames() {
-        // Initialize all supported games
-        const games = [
-            { id: 'pokemon', name: 'Pokemon' },
-            { id: 'magic', name: 'Magic: The Gathering' },
-            { id: 'yugioh', name: 'Yu-Gi-Oh!' },
-            { id: 'lorcana', name: 'Disney Lorcana' },
-            { id: 'onepiece', name: 'One Piece Card Game' },
-            { id: 'digimon', name: 'Digimon Card Game' },
-            { id: 'fab', name: 'Flesh and Blood' },
-            { id: 'starwars', name: 'Star Wars Unlimited' },
-            { id: 'gundam', name: 'Gundam Card Game' }
-        ];
+        // Initialize all supported (and coming-soon) games
+        const rows = [...games.ids(), ...games.comingSoon()].map(id => ({ id, name: games.name(id) }));
         
         const stmt = this.db.prepare(`
             INSERT OR IGNORE INTO games (id, name, last_update, card_count)
             VALUES (?, ?, 0, 0)
         `);
         
-        games.forEach(game => {
+        rows.forEach(game => {
             stmt.run(game.id, game.name);
         });
     }
@@ -383,11 +444,8 @@ class CardDatabase {
         
         // Search statement
         this.searchStmt = this.db.prepare(`
-            SELECT id, name, set_name, set_abbreviation, card_number, image_url, local_image, rarity, card_type,
-                   hp, mana_cost, attack, defense, cost, gd_ap, gd_hp, gd_color,
-                   op_power, counter, life, colors,
-                   ink_cost, strength, willpower, lore_value, inkable,
-                   play_cost, digivolve_cost, digivolve_color, dp, digimon_level
+            SELECT id, name, set_name, set_abbreviation, card_number, image_url, local_image, rarity,
+                   ${searchColumnList()}
             FROM cards
             WHERE game = ? AND search_text LIKE ?
             ORDER BY
@@ -396,13 +454,36 @@ class CardDatabase {
             LIMIT 50
         `);
 
+        // Ranked full-text search (the MATCH expression is built by ftsQuery()).
+        // Exact and starts-with name matches come first, then BM25 order.
+        this.ftsSearchStmt = this.db.prepare(`
+            SELECT c.id, c.name, c.set_name, c.set_abbreviation, c.card_number, c.image_url, c.local_image, c.rarity,
+                   ${searchColumnList('c.')}
+            FROM cards_fts
+            JOIN cards c ON c.rowid = cards_fts.rowid
+            WHERE cards_fts MATCH ? AND c.game = ?
+            ORDER BY
+                CASE WHEN lower(c.name) = ? THEN 0 WHEN lower(c.name) LIKE ? THEN 1 ELSE 2 END,
+                ${CARD_FTS_RANK},
+                c.name
+            LIMIT 50
+        `);
+
+        // Keep cards_fts in step with cards
+        this.cardRowidStmt = this.db.prepare('SELECT rowid FROM cards WHERE id = ?');
+        this.ftsDeleteStmt = this.db.prepare('DELETE FROM cards_fts WHERE rowid = ?');
+        this.ftsInsertStmt = this.db.prepare(`
+            INSERT INTO cards_fts (rowid, game, name, set_text, body)
+            SELECT ${CARD_FTS_COLUMNS} FROM cards WHERE id = ?
+        `);
+        this.ftsClearStmt = this.db.prepare(
+            'DELETE FROM cards_fts WHERE rowid IN (SELECT rowid FROM cards WHERE game = ?)'
+        );
+
         // Search with set abbreviation
         this.searchWithSetStmt = this.db.prepare(`
-            SELECT id, name, set_name, set_abbreviation, card_number, image_url, local_image, rarity, card_type,
-                   hp, mana_cost, attack, defense, cost, gd_ap, gd_hp, gd_color,
-                   op_power, counter, life, colors,
-                   ink_cost, strength, willpower, lore_value, inkable,
-                   play_cost, digivolve_cost, digivolve_color, dp, digimon_level
+            SELECT id, name, set_name, set_abbreviation, card_number, image_url, local_image, rarity,
+                   ${searchColumnList()}
             FROM cards
             WHERE game = ?
                 AND name LIKE ?
@@ -414,11 +495,8 @@ class CardDatabase {
 
         // Search with set abbreviation but no number
         this.searchWithSetNoNumberStmt = this.db.prepare(`
-            SELECT id, name, set_name, set_abbreviation, card_number, image_url, local_image, rarity, card_type,
-                   hp, mana_cost, attack, defense, cost, gd_ap, gd_hp, gd_color,
-                   op_power, counter, life, colors,
-                   ink_cost, strength, willpower, lore_value, inkable,
-                   play_cost, digivolve_cost, digivolve_color, dp, digimon_level
+            SELECT id, name, set_name, set_abbreviation, card_number, image_url, local_image, rarity,
+                   ${searchColumnList()}
             FROM cards
             WHERE game = ?
                 AND name LIKE ?
@@ -438,6 +516,42 @@ class CardDatabase {
                 AND set_abbreviation IS NOT NULL
         `);
         
+        // Set catalog. A downloader's value only replaces a stored one when it has
+        // one, so a later source without release dates or icons keeps them.
+        this.upsertSetStmt = this.db.prepare(`
+            INSERT INTO sets (game, code, abbreviation, name, release_date, card_count, icon_url, updated_at)
+            VALUES (@game, @code, @abbreviation, @name, @release_date, @card_count, @icon_url, @updated_at)
+            ON CONFLICT (game, code) DO UPDATE SET
+                abbreviation = COALESCE(excluded.abbreviation, abbreviation),
+                name = excluded.name,
+                release_date = COALESCE(excluded.release_date, release_date),
+                card_count = COALESCE(excluded.card_count, card_count),
+                icon_url = COALESCE(excluded.icon_url, icon_url),
+                updated_at = excluded.updated_at
+        `);
+        // Cards join their set by name, so a recorded set replaces a catalog row
+        // of the same name under another code (e.g. one derived from the cards).
+        this.replaceSetNameStmt = this.db.prepare('DELETE FROM sets WHERE game = ? AND name = ? AND code != ?');
+        this.listSetsStmt = this.db.prepare(`
+            SELECT code, abbreviation, name, release_date, card_count, icon_url
+            FROM sets
+            WHERE game = ?
+            ORDER BY release_date IS NULL, release_date DESC, name
+        `);
+        this.getSetStmt = this.db.prepare(`
+            SELECT code, abbreviation, name, release_date, card_count, icon_url
+            FROM sets
+            WHERE game = ? AND (code = ? COLLATE NOCASE OR abbreviation = ? COLLATE NOCASE)
+            ORDER BY code = ? COLLATE NOCASE DESC
+            LIMIT 1
+        `);
+
+        this.setCardsStmt = this.db.prepare(`
+            SELECT id, name, set_name, set_code, set_abbreviation, card_number, image_url, local_image, rarity, card_type
+            FROM cards
+            WHERE game = ? AND (set_name = ? OR set_code = ?)
+        `);
+
         // Get set name from abbreviation
         this.getSetNameFromAbbrevStmt = this.db.prepare(`
             SELECT DISTINCT set_name 
@@ -448,34 +562,16 @@ class CardDatabase {
         `);
         
         // Insert card statement - now with set_abbreviation
+        // Common columns, then every game plugin's columns (GAME_COLUMNS order)
+        const gameColumns = Object.keys(GAME_COLUMNS);
         this.insertCardStmt = this.db.prepare(`
             INSERT OR REPLACE INTO cards
             (id, game, product_id, name, set_name, set_code, set_abbreviation, card_number, image_url, local_image, source_image_url,
              rarity, card_type, card_text, search_text,
-             hp, stage, evolves_from, weakness, resistance, retreat_cost,
-             ability_name, ability_text, attack1_name, attack1_cost, attack1_damage, attack1_text,
-             attack2_name, attack2_cost, attack2_damage, attack2_text,
-             attack3_name, attack3_cost, attack3_damage, attack3_text,
-             mana_cost, cmc, power, toughness, loyalty, colors, color_identity, type_line, oracle_text, flavor_text,
-             attack, defense, level, rank, link_value, pendulum_scale, attribute, monster_type,
-             ink_cost, strength, willpower, lore_value, inkable,
-             cost, op_power, counter, life, don_value, trigger_text,
-             play_cost, digivolve_cost, digivolve_color, dp, digimon_level, digimon_type, digimon_attribute,
-             pitch_value, fab_defense, fab_attack, resource_cost,
-             sw_cost, sw_power, sw_hp, aspect, arena,
-             gd_level, gd_cost, gd_color, gd_zone, gd_trait, gd_link, gd_ap, gd_hp, gd_source_title, gd_block_icon, gd_sp,
+             ${gameColumns.join(', ')},
              updated_at)
             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
-                    ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
-                    ?, ?, ?, ?, ?, ?, ?, ?,
-                    ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
-                    ?, ?, ?, ?, ?, ?, ?, ?,
-                    ?, ?, ?, ?, ?,
-                    ?, ?, ?, ?, ?, ?,
-                    ?, ?, ?, ?, ?, ?, ?,
-                    ?, ?, ?, ?,
-                    ?, ?, ?, ?, ?,
-                    ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                    ${gameColumns.map(() => '?').join(', ')},
                     strftime('%s', 'now'))
         `);
         
@@ -491,6 +587,7 @@ class CardDatabase {
         
         // Clear game data statements
         this.clearCardsStmt = this.db.prepare('DELETE FROM cards WHERE game = ?');
+        this.clearSetsStmt = this.db.prepare('DELETE FROM sets WHERE game = ?');
         this.clearRecentStmt = this.db.prepare('DELETE FROM recent_cards WHERE game = ?');
         this.resetGameStmt = this.db.prepare('UPDATE games SET card_count = 0, last_update = 0 WHERE id = ?');
         
@@ -563,9 +660,7 @@ class CardDatabase {
                 // If still no results, try just the name
                 if (results.length === 0) {
                     console.log(`[DB] Falling back to name-only search...`);
-                    const searchTerm = `%${cardName.toLowerCase()}%`;
-                    const startTerm = `${cardName.toLowerCase()}%`;
-                    results = this.searchStmt.all(game, searchTerm, startTerm);
+                    results = this.rankedSearch(game, cardName);
                     console.log(`[DB] Found ${results.length} name matches`);
                 }
                 
@@ -592,9 +687,7 @@ class CardDatabase {
                 // If no results, fall back to regular search
                 if (results.length === 0) {
                     console.log(`[DB] Falling back to name-only search...`);
-                    const searchTerm = `%${cardName.toLowerCase()}%`;
-                    const startTerm = `${cardName.toLowerCase()}%`;
-                    results = this.searchStmt.all(game, searchTerm, startTerm);
+                    results = this.rankedSearch(game, cardName);
                     console.log(`[DB] Found ${results.length} name matches`);
                 }
                 
@@ -603,9 +696,7 @@ class CardDatabase {
             
             // Pattern 3: Regular search (just the name)
             console.log(`[DB] Regular search for: "${query}"`);
-            const searchTerm = `%${query.toLowerCase()}%`;
-            const startTerm = `${query.toLowerCase()}%`;
-            const results = this.searchStmt.all(game, searchTerm, startTerm);
+            const results = this.rankedSearch(game, query);
             console.log(`[DB] Found ${results.length} matches`);
             
             return results;
@@ -615,6 +706,162 @@ class CardDatabase {
             return [];
         }
     }
+
+    // Search with a compiled structured query (src/search-query.js): its WHERE
+    // clause and parameters, plus any free text matched through the full-text
+    // index. Results are in name order since there is no text rank to sort by.
+    searchCardsStructured(game, compiled) {
+        try {
+            const filter = this.structuredFilter(game, compiled);
+            return this.db.prepare(`
+                SELECT id, name, set_name, set_abbreviation, card_number, image_url, local_image, rarity,
+                       ${searchColumnList()}
+                FROM cards
+                WHERE ${filter.sql}
+                ORDER BY name, set_name
+                LIMIT 50
+            `).all(...filter.params);
+        } catch (error) {
+            console.error(`[DB] Error running structured search for ${game}:`, error);
+            return [];
+        }
+    }
+
+    // WHERE clause (and its parameters) for a compiled query over one game's cards.
+    structuredFilter(game, compiled) {
+        const params = [game];
+        let sql = 'game = ?';
+        const words = this.searchWords(compiled.text);
+        if (words.length) {
+            sql += ' AND rowid IN (SELECT rowid FROM cards_fts WHERE cards_fts MATCH ?)';
+            params.push(this.ftsQuery(game, words));
+        }
+        params.push(...compiled.params);
+        return { sql: `${sql} AND (${compiled.where})`, params };
+    }
+
+    // Distinct values and card counts for each facet (see facetsFor() in
+    // src/search-query.js) among the cards a compiled query matches. Values are
+    // listed by count, numeric facets in value order; each list is capped.
+    getFacetCounts(game, compiled, facets, limit = 60) {
+        try {
+            const filter = this.structuredFilter(game, compiled);
+            return facets.map(facet => {
+                const rows = this.db.prepare(`
+                    SELECT ${facet.column} AS value, ${facet.labelColumn ? `MAX(${facet.labelColumn})` : 'NULL'} AS label,
+                           COUNT(*) AS count
+                    FROM cards
+                    WHERE ${filter.sql} AND ${facet.column} IS NOT NULL AND ${facet.column} != ''
+                    GROUP BY value
+                `).all(...filter.params);
+
+                const counts = new Map();
+                rows.forEach(row => {
+                    const values = facet.split ? facet.split(String(row.value)) : [row.value];
+                    new Set(values).forEach(value => {
+                        if (value === '' || value === null) return;
+                        const entry = counts.get(value) || { value, label: row.label || null, count: 0 };
+                        entry.count += row.count;
+                        counts.set(value, entry);
+                    });
+                });
+
+                const values = [...counts.values()].sort(facet.numeric
+                    ? (a, b) => a.value - b.value
+                    : (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+                return {
+                    key: facet.key,
+                    label: facet.label,
+                    field: facet.field,
+                    op: facet.op,
+                    values: values.slice(0, limit)
+                };
+            });
+        } catch (error) {
+            console.error(`[DB] Error counting facets for ${game}:`, error);
+            return [];
+        }
+    }
+
+    // Full-text search: every word must match (as a prefix, so results show up
+    // while typing), ranked by BM25. A query that matches nothing falls back to
+    // the old substring scan (for a word fragment such as "zard"), then to a
+    // spelling-corrected query, so "Charzard ex" still finds Charizard ex.
+    rankedSearch(game, text) {
+        const words = this.searchWords(text);
+        if (!words.length) return [];
+
+        const lower = text.trim().toLowerCase();
+        const run = (terms) => this.ftsSearchStmt.all(this.ftsQuery(game, terms), game, lower, `${lower}%`);
+
+        let results = run(words);
+        if (results.length) return results;
+
+        results = this.searchStmt.all(game, `%${lower}%`, `${lower}%`);
+        if (results.length) return results;
+
+        const corrected = this.correctSearchWords(game, words);
+        if (corrected) {
+            console.log(`[DB] No matches; trying "${corrected.join(' ')}"`);
+            results = run(corrected);
+        }
+        return results;
+    }
+
+    // Lowercased words as the FTS tokenizer sees them (letters and digits).
+    searchWords(text) {
+        return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    // Each word is quoted (so FTS syntax characters in a query are inert) and
+    // prefix-matched; the game column filter keeps other games out.
+    ftsQuery(game, words) {
+        return `game : "${game}" AND ` + words.map(word => `"${word}"*`).join(' AND ');
+    }
+
+    // Replace each word that is not in the game's card names with the closest
+    // name word (edit distance 1 for short words, 2 otherwise; ties go to the
+    // most common word). Returns null when nothing could be corrected.
+    correctSearchWords(game, words) {
+        const vocabulary = this.nameVocabulary(game);
+        let changed = false;
+        const corrected = words.map(word => {
+            if (vocabulary.has(word) || word.length < 3 || /^\d+$/.test(word)) return word;
+            const maxDistance = word.length <= 4 ? 1 : 2;
+            let best = null;
+            let bestDistance = maxDistance + 1;
+            let bestCount = 0;
+            vocabulary.forEach((count, candidate) => {
+                if (Math.abs(candidate.length - word.length) > maxDistance) return;
+                const distance = editDistance(word, candidate, maxDistance);
+                if (distance > maxDistance) return;
+                if (distance < bestDistance || (distance === bestDistance && count > bestCount)) {
+                    best = candidate;
+                    bestDistance = distance;
+                    bestCount = count;
+                }
+            });
+            if (best && best !== word) changed = true;
+            return best || word;
+        });
+        return changed ? corrected : null;
+    }
+
+    // Word -> number of cards whose name has it, per game. Built on the first
+    // misspelled search and dropped whenever the game's cards change.
+    nameVocabulary(game) {
+        if (!this.nameVocabularies) this.nameVocabularies = new Map();
+        if (!this.nameVocabularies.has(game)) {
+            const vocabulary = new Map();
+            this.db.prepare('SELECT name FROM cards WHERE game = ?').all(game).forEach(row => {
+                new Set(this.searchWords(row.name)).forEach(word => {
+                    vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+                });
+            });
+            this.nameVocabularies.set(game, vocabulary);
+        }
+        return this.nameVocabularies.get(game);
+    }
     
     getCard(game, cardId) {
         try {
@@ -630,6 +877,112 @@ class CardDatabase {
         }
     }
     
+    // Record sets a downloader fetched: [{ code, abbreviation?, name, releaseDate?,
+    // cardCount?, iconUrl? }]. Sets without a code or name are skipped.
+    upsertSets(game, sets) {
+        try {
+            const now = Date.now();
+            const upsert = this.db.transaction((list) => {
+                list.forEach(set => {
+                    if (!set || !set.code || !set.name) return;
+                    this.replaceSetNameStmt.run(game, String(set.name), String(set.code));
+                    this.upsertSetStmt.run({
+                        game,
+                        code: String(set.code),
+                        abbreviation: set.abbreviation ? String(set.abbreviation) : null,
+                        name: String(set.name),
+                        release_date: set.releaseDate ? String(set.releaseDate).replace(/\//g, '-').slice(0, 10) : null,
+                        card_count: Number.isFinite(set.cardCount) ? set.cardCount : null,
+                        icon_url: set.iconUrl || null,
+                        updated_at: now
+                    });
+                });
+            });
+            upsert(sets || []);
+        } catch (error) {
+            console.error(`Error saving sets for ${game}:`, error);
+        }
+    }
+
+    // Add a catalog row for every set the stored cards name that no downloader
+    // recorded, then recount each set's cards. A game whose set codes are per
+    // print (setCode: 'print', Yu-Gi-Oh!'s LOB-EN001) uses the prefix before the
+    // dash as the set code.
+    refreshSets(game) {
+        try {
+            const plugin = games.get(game);
+            const perPrint = !!plugin && plugin.setCode === 'print';
+            const code = perPrint
+                ? "CASE WHEN instr(MIN(set_code), '-') > 0 THEN substr(MIN(set_code), 1, instr(MIN(set_code), '-') - 1) ELSE MIN(set_code) END"
+                : 'MIN(set_code)';
+            const abbreviation = perPrint ? code : 'MAX(set_abbreviation)';
+            const refresh = this.db.transaction(() => {
+                const now = Date.now();
+                const derived = this.db.prepare(`
+                    SELECT set_name AS name, ${code} AS code, ${abbreviation} AS abbreviation
+                    FROM cards
+                    WHERE game = ? AND set_name IS NOT NULL AND set_name != ''
+                        AND set_name NOT IN (SELECT name FROM sets WHERE game = ?)
+                    GROUP BY set_name
+                `).all(game, game);
+                const insert = this.db.prepare(`
+                    INSERT OR IGNORE INTO sets (game, code, abbreviation, name, updated_at)
+                    VALUES (?, ?, ?, ?, ?)
+                `);
+                derived.forEach(set => insert.run(game, set.code || set.name, set.abbreviation || null, set.name, now));
+
+                const counts = this.db.prepare(
+                    'SELECT set_name, COUNT(*) AS count FROM cards WHERE game = ? GROUP BY set_name'
+                ).all(game);
+                const byName = new Map(counts.map(row => [row.set_name, row.count]));
+                const sets = this.db.prepare('SELECT code, name FROM sets WHERE game = ?').all(game);
+                const update = this.db.prepare('UPDATE sets SET card_count = ? WHERE game = ? AND code = ?');
+                sets.forEach(set => update.run(byName.get(set.name) || 0, game, set.code));
+                return derived.length;
+            });
+            const added = refresh();
+            if (added) console.log(`Added ${added} ${game} sets to the set catalog`);
+        } catch (error) {
+            console.error(`Error refreshing sets for ${game}:`, error);
+        }
+    }
+
+    getSets(game) {
+        try {
+            return this.listSetsStmt.all(game);
+        } catch (error) {
+            console.error(`Error getting sets for ${game}:`, error);
+            return [];
+        }
+    }
+
+    // One set by code or abbreviation (a code match wins).
+    getSet(game, code) {
+        try {
+            return this.getSetStmt.get(game, code, code, code) || null;
+        } catch (error) {
+            console.error(`Error getting set ${code} for ${game}:`, error);
+            return null;
+        }
+    }
+
+    // Every card in a set, in collector-number order ("2" before "10", "TG01"
+    // after the numbered cards). Cards are matched by set name, or by set code for
+    // cards saved before the catalog knew the set.
+    getSetCards(game, code) {
+        try {
+            const set = this.getSet(game, code);
+            if (!set) return null;
+            const cards = this.setCardsStmt.all(game, set.name, set.code);
+            const collator = new Intl.Collator('en', { numeric: true, sensitivity: 'base' });
+            cards.sort((a, b) => collator.compare(a.card_number || '', b.card_number || '') || collator.compare(a.name, b.name));
+            return { set, cards };
+        } catch (error) {
+            console.error(`Error getting cards of set ${code} for ${game}:`, error);
+            return null;
+        }
+    }
+
     getSetMappings(game) {
         try {
             return this.getSetMappingsStmt.all(game);
@@ -665,7 +1018,7 @@ class CardDatabase {
                 return { action: 'skipped', id: existing.id };
             }
             
-            // Prepare all the parameters (lots of them!)
+            // Prepare all the parameters, in insertCardStmt's column order
             const params = [
                 cardData.id,
                 cardData.game,
@@ -683,102 +1036,18 @@ class CardDatabase {
                 cardData.card_text,
                 searchText,
                 
-                // Pokemon fields
-                keep0(cardData.hp),
-                cardData.stage || null,
-                cardData.evolves_from || null,
-                cardData.weakness || null,
-                cardData.resistance || null,
-                cardData.retreat_cost || null,
-                cardData.ability_name || null,
-                cardData.ability_text || null,
-                cardData.attack1_name || null,
-                cardData.attack1_cost || null,
-                cardData.attack1_damage || null,
-                cardData.attack1_text || null,
-                cardData.attack2_name || null,
-                cardData.attack2_cost || null,
-                cardData.attack2_damage || null,
-                cardData.attack2_text || null,
-                cardData.attack3_name || null,
-                cardData.attack3_cost || null,
-                cardData.attack3_damage || null,
-                cardData.attack3_text || null,
-                
-                // Magic fields
-                cardData.mana_cost || null,
-                keep0(cardData.cmc),
-                cardData.power || null,
-                cardData.toughness || null,
-                keep0(cardData.loyalty),
-                cardData.colors || null,
-                cardData.color_identity || null,
-                cardData.type_line || null,
-                cardData.oracle_text || null,
-                cardData.flavor_text || null,
-                
-                // Yu-Gi-Oh fields
-                keep0(cardData.attack),
-                keep0(cardData.defense),
-                keep0(cardData.level),
-                keep0(cardData.rank),
-                keep0(cardData.link_value),
-                keep0(cardData.pendulum_scale),
-                cardData.attribute || null,
-                cardData.monster_type || null,
-                
-                // Lorcana fields
-                keep0(cardData.ink_cost),
-                keep0(cardData.strength),
-                keep0(cardData.willpower),
-                keep0(cardData.lore_value),
-                keep0(cardData.inkable),
-                
-                // One Piece fields
-                keep0(cardData.cost),
-                keep0(cardData.op_power),
-                keep0(cardData.counter),
-                keep0(cardData.life),
-                keep0(cardData.don_value),
-                cardData.trigger_text || null,
-                
-                // Digimon fields
-                keep0(cardData.play_cost),
-                keep0(cardData.digivolve_cost),
-                cardData.digivolve_color || null,
-                keep0(cardData.dp),
-                keep0(cardData.digimon_level),
-                cardData.digimon_type || null,
-                cardData.digimon_attribute || null,
-                
-                // Flesh and Blood fields
-                keep0(cardData.pitch_value),
-                keep0(cardData.fab_defense),
-                keep0(cardData.fab_attack),
-                keep0(cardData.resource_cost),
-                
-                // Star Wars Unlimited fields
-                keep0(cardData.sw_cost),
-                keep0(cardData.sw_power),
-                keep0(cardData.sw_hp),
-                cardData.aspect || null,
-                cardData.arena || null,
-
-                // Gundam Card Game fields
-                keep0(cardData.gd_level),
-                keep0(cardData.gd_cost),
-                cardData.gd_color || null,
-                cardData.gd_zone || null,
-                cardData.gd_trait || null,
-                cardData.gd_link || null,
-                keep0(cardData.gd_ap),
-                keep0(cardData.gd_hp),
-                cardData.gd_source_title || null,
-                cardData.gd_block_icon || null,
-                cardData.gd_sp || null
+                // Game plugin fields: numeric / boolean stats keep 0 and false,
+                // text fields treat '' as absent.
+                ...Object.entries(GAME_COLUMNS).map(([column, type]) => (
+                    type === 'TEXT' ? cardData[column] || null : keep0(cardData[column])
+                ))
             ];
             
+            const previous = this.cardRowidStmt.get(cardData.id);
             this.insertCardStmt.run(...params);
+            if (previous) this.ftsDeleteStmt.run(previous.rowid);
+            this.ftsInsertStmt.run(cardData.id);
+            if (this.nameVocabularies) this.nameVocabularies.delete(cardData.game);
             
             return { action: existing ? 'updated' : 'inserted', id: cardData.id };
         } catch (error) {
@@ -870,6 +1139,8 @@ class CardDatabase {
                 const recentResult = this.clearRecentStmt.run(game);
                 console.log(`Deleted ${recentResult.changes} recent cards for ${game}`);
                 
+                this.ftsClearStmt.run(game);
+                this.clearSetsStmt.run(game);
                 const cardsResult = this.clearCardsStmt.run(game);
                 console.log(`Deleted ${cardsResult.changes} cards for ${game}`);
                 
@@ -883,6 +1154,8 @@ class CardDatabase {
             }
         });
         
+        if (this.nameVocabularies) this.nameVocabularies.delete(game);
+
         try {
             clearTransaction();
             console.log(`Successfully cleared all data for ${game}`);
@@ -895,6 +1168,8 @@ class CardDatabase {
                 try {
                     this.db.pragma('foreign_keys = OFF');
                     this.clearRecentStmt.run(game);
+                    this.ftsClearStmt.run(game);
+                    this.clearSetsStmt.run(game);
                     this.clearCardsStmt.run(game);
                     this.resetGameStmt.run(game);
                     this.db.pragma('foreign_keys = ON');
@@ -1023,7 +1298,717 @@ class CardDatabase {
             return new Set();
         }
     }
-    
+
+    // ============ MATCH EVENT JOURNAL ============
+
+    logMatchEvent(event) {
+        try {
+            this.db.prepare(`
+                INSERT INTO match_events
+                    (game, match_id, action, player, before_value, after_value,
+                     created_at, clock_elapsed, clock_remaining, payload, state)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                event.game,
+                event.matchId,
+                event.action,
+                event.player || null,
+                JSON.stringify(event.before || {}),
+                JSON.stringify(event.after || {}),
+                event.wallTime || Date.now(),
+                Number.isFinite(event.clockElapsed) ? event.clockElapsed : null,
+                Number.isFinite(event.clockRemaining) ? event.clockRemaining : null,
+                event.payload === undefined ? null : JSON.stringify(event.payload),
+                event.state === undefined ? null : JSON.stringify(event.state)
+            );
+        } catch (error) {
+            console.error(`Error logging match event for ${event.game}:`, error);
+        }
+    }
+
+    // Every event of one match, oldest first, with before/after parsed back.
+    getMatchEvents(game, matchId) {
+        try {
+            return this.db.prepare(`
+                SELECT * FROM match_events
+                WHERE game = ? AND match_id = ?
+                ORDER BY id
+            `).all(game, matchId).map(row => ({
+                id: row.id,
+                game: row.game,
+                matchId: row.match_id,
+                action: row.action,
+                player: row.player,
+                before: JSON.parse(row.before_value || '{}'),
+                after: JSON.parse(row.after_value || '{}'),
+                wallTime: row.created_at,
+                clockElapsed: row.clock_elapsed,
+                clockRemaining: row.clock_remaining
+            }));
+        } catch (error) {
+            console.error(`Error getting match events for ${game}/${matchId}:`, error);
+            return [];
+        }
+    }
+
+    // The replayable frames of one match, oldest first: each event as broadcast
+    // plus the board after it. Rows journaled without a board are skipped.
+    getMatchReplayFrames(game, matchId) {
+        try {
+            return this.db.prepare(`
+                SELECT action, payload, state, created_at, clock_elapsed, clock_remaining
+                FROM match_events
+                WHERE game = ? AND match_id = ? AND state IS NOT NULL
+                ORDER BY id
+            `).all(game, matchId).map(row => ({
+                action: row.action,
+                payload: row.payload === null ? null : JSON.parse(row.payload),
+                state: JSON.parse(row.state),
+                wallTime: row.created_at,
+                clockElapsed: row.clock_elapsed,
+                clockRemaining: row.clock_remaining
+            }));
+        } catch (error) {
+            console.error(`Error getting replay frames for ${game}/${matchId}:`, error);
+            return [];
+        }
+    }
+
+    // One summary row per logged match of a game, newest first.
+    getMatchLogs(game) {
+        try {
+            return this.db.prepare(`
+                SELECT match_id AS matchId,
+                       COUNT(*) AS events,
+                       MIN(created_at) AS startedAt,
+                       MAX(created_at) AS endedAt
+                FROM match_events
+                WHERE game = ?
+                GROUP BY match_id
+                ORDER BY startedAt DESC
+            `).all(game);
+        } catch (error) {
+            console.error(`Error getting match logs for ${game}:`, error);
+            return [];
+        }
+    }
+
+    // ============ PRICES ============
+
+    // rows: [{ productId, subType, market, low, mid, high }]. Existing prices for
+    // the same product and printing are replaced. Returns the number written.
+    upsertPrices(rows, source) {
+        const stmt = this.db.prepare(`
+            INSERT INTO prices (product_id, sub_type, market_price, low_price, mid_price, high_price, source, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(product_id, sub_type) DO UPDATE SET
+                market_price = excluded.market_price,
+                low_price = excluded.low_price,
+                mid_price = excluded.mid_price,
+                high_price = excluded.high_price,
+                source = excluded.source,
+                updated_at = excluded.updated_at
+        `);
+        const now = Date.now();
+        const write = this.db.transaction(() => {
+            rows.forEach(row => stmt.run(
+                String(row.productId),
+                row.subType || '',
+                row.market, row.low, row.mid, row.high,
+                source || null,
+                now
+            ));
+        });
+        try {
+            write();
+            return rows.length;
+        } catch (error) {
+            console.error('Error saving prices:', error);
+            return 0;
+        }
+    }
+
+    // A card's price shown everywhere: the Normal (or unlabeled) printing when
+    // the file has one, otherwise the first printing with a market price.
+    priceFromRow(row) {
+        if (!row) return null;
+        return {
+            market: row.market_price,
+            low: row.low_price,
+            mid: row.mid_price,
+            high: row.high_price,
+            subType: row.sub_type || null,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Adds card.price (or null) to every card of a game (search results, set
+    // listings, a single card), joining on the cards' product_id.
+    attachPrices(game, cards) {
+        const ids = [...new Set(cards.map(card => card.id).filter(Boolean).map(String))];
+        const byCard = new Map();
+        try {
+            for (let i = 0; i < ids.length; i += 500) {
+                const chunk = ids.slice(i, i + 500);
+                this.db.prepare(`
+                    SELECT c.id AS card_id, p.* FROM cards c
+                    JOIN prices p ON p.product_id = c.product_id
+                    WHERE c.game = ? AND c.id IN (${chunk.map(() => '?').join(',')})
+                    ORDER BY c.id, p.sub_type IN ('', 'Normal') DESC, p.market_price IS NULL, p.sub_type
+                `).all(game, ...chunk).forEach(row => {
+                    if (!byCard.has(row.card_id)) byCard.set(row.card_id, this.priceFromRow(row));
+                });
+            }
+        } catch (error) {
+            console.error(`Error getting ${game} prices:`, error);
+        }
+        cards.forEach(card => {
+            card.price = byCard.get(String(card.id)) || null;
+        });
+        return cards;
+    }
+
+    // Price of a decklist entry ({ id?, name, setCode?, number? }): the exact
+    // printing when the entry names one, otherwise the cheapest priced printing
+    // of the card name.
+    findCardPrice(game, card) {
+        const order = `ORDER BY p.sub_type IN ('', 'Normal') DESC, p.market_price IS NULL`;
+        const select = `SELECT p.* FROM cards c JOIN prices p ON p.product_id = c.product_id WHERE c.game = ?`;
+        try {
+            let row = null;
+            if (card.id) {
+                row = this.db.prepare(`${select} AND c.id = ? ${order} LIMIT 1`).get(game, String(card.id));
+            }
+            if (!row && card.setCode && card.number) {
+                row = this.db.prepare(`
+                    ${select}
+                      AND (c.set_code = ? COLLATE NOCASE OR c.set_abbreviation = ? COLLATE NOCASE)
+                      AND (c.card_number = ? COLLATE NOCASE OR ltrim(c.card_number, '0') = ltrim(?, '0'))
+                    ${order} LIMIT 1
+                `).get(game, card.setCode, card.setCode, String(card.number), String(card.number));
+            }
+            if (!row && card.name) {
+                row = this.db.prepare(`
+                    ${select} AND c.name = ? COLLATE NOCASE AND p.market_price IS NOT NULL
+                    ORDER BY p.market_price LIMIT 1
+                `).get(game, card.name);
+            }
+            return this.priceFromRow(row);
+        } catch (error) {
+            console.error(`Error pricing ${card.name}:`, error);
+            return null;
+        }
+    }
+
+    getPriceStats() {
+        try {
+            return this.db.prepare(`
+                SELECT COUNT(*) AS prices,
+                       COUNT(DISTINCT product_id) AS products,
+                       MAX(updated_at) AS updatedAt
+                FROM prices
+            `).get();
+        } catch (error) {
+            console.error('Error getting price stats:', error);
+            return { prices: 0, products: 0, updatedAt: null };
+        }
+    }
+
+    getPriceImport(file) {
+        return this.db.prepare('SELECT * FROM price_imports WHERE file = ?').get(file) || null;
+    }
+
+    recordPriceImport(file, modifiedAt, rows) {
+        this.db.prepare(`
+            INSERT INTO price_imports (file, modified_at, rows, imported_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT(file) DO UPDATE SET
+                modified_at = excluded.modified_at,
+                rows = excluded.rows,
+                imported_at = excluded.imported_at
+        `).run(file, modifiedAt, rows, Date.now());
+    }
+
+    // ============ COLLECTION ============
+
+    // stack: { condition, foil, language } as normalized by normalizeStack in
+    // src/collection.js.
+    collectionStackFromRow(row) {
+        return {
+            cardId: row.card_id,
+            condition: row.condition,
+            foil: !!row.foil,
+            language: row.language,
+            quantity: row.quantity,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Every stack of a game's collection with the card it holds, by card name.
+    getCollection(game) {
+        try {
+            return this.db.prepare(`
+                SELECT col.*, c.name, c.set_name, c.set_code, c.card_number, c.rarity, c.image_url, c.local_image
+                FROM collection col
+                JOIN cards c ON c.game = col.game AND c.id = col.card_id
+                WHERE col.game = ?
+                ORDER BY c.name COLLATE NOCASE, c.set_name, c.card_number, col.condition, col.foil, col.language
+            `).all(game).map(row => ({
+                ...this.collectionStackFromRow(row),
+                name: row.name,
+                set_name: row.set_name,
+                set_code: row.set_code,
+                card_number: row.card_number,
+                rarity: row.rarity,
+                display_image: row.image_url || row.local_image
+            }));
+        } catch (error) {
+            console.error(`Error getting ${game} collection:`, error);
+            return [];
+        }
+    }
+
+    getCollectionForCard(game, cardId) {
+        try {
+            return this.db.prepare(`
+                SELECT * FROM collection WHERE game = ? AND card_id = ?
+                ORDER BY condition = 'PROXY', foil, condition, language
+            `).all(game, String(cardId)).map(row => this.collectionStackFromRow(row));
+        } catch (error) {
+            console.error(`Error getting collection for ${cardId}:`, error);
+            return [];
+        }
+    }
+
+    // Set one stack to quantity (0 or less removes it).
+    setCollectionQuantity(game, cardId, stack, quantity) {
+        const key = [game, String(cardId), stack.condition, stack.foil ? 1 : 0, stack.language];
+        if (!(quantity > 0)) {
+            this.db.prepare(`
+                DELETE FROM collection WHERE game = ? AND card_id = ? AND condition = ? AND foil = ? AND language = ?
+            `).run(...key);
+            return 0;
+        }
+        this.db.prepare(`
+            INSERT INTO collection (game, card_id, condition, foil, language, quantity, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(game, card_id, condition, foil, language) DO UPDATE SET
+                quantity = excluded.quantity,
+                updated_at = excluded.updated_at
+        `).run(...key, quantity, Date.now());
+        return quantity;
+    }
+
+    // Add delta copies to one stack (negative removes). Returns the new quantity.
+    adjustCollection(game, cardId, stack, delta) {
+        const row = this.db.prepare(`
+            SELECT quantity FROM collection
+            WHERE game = ? AND card_id = ? AND condition = ? AND foil = ? AND language = ?
+        `).get(game, String(cardId), stack.condition, stack.foil ? 1 : 0, stack.language);
+        return this.setCollectionQuantity(game, cardId, stack, (row ? row.quantity : 0) + delta);
+    }
+
+    // entries: [{ cardId, quantity, condition, foil, language }], added to the
+    // existing stacks, or written over an emptied collection when replace is set.
+    // Returns the number of entries written.
+    importCollection(game, entries, replace) {
+        const write = this.db.transaction(() => {
+            if (replace) this.db.prepare('DELETE FROM collection WHERE game = ?').run(game);
+            entries.forEach(entry => this.adjustCollection(game, entry.cardId, entry, entry.quantity));
+        });
+        try {
+            write();
+            return entries.length;
+        } catch (error) {
+            console.error(`Error importing ${game} collection:`, error);
+            return 0;
+        }
+    }
+
+    clearCollection(game) {
+        return this.db.prepare('DELETE FROM collection WHERE game = ?').run(game).changes;
+    }
+
+    // Adds card.owned (real copies) and card.proxies to every card of a game.
+    attachOwned(game, cards) {
+        const ids = [...new Set(cards.map(card => card.id).filter(Boolean).map(String))];
+        const byCard = new Map();
+        try {
+            for (let i = 0; i < ids.length; i += 500) {
+                const chunk = ids.slice(i, i + 500);
+                this.db.prepare(`
+                    SELECT card_id,
+                           SUM(CASE WHEN condition = 'PROXY' THEN 0 ELSE quantity END) AS owned,
+                           SUM(CASE WHEN condition = 'PROXY' THEN quantity ELSE 0 END) AS proxies
+                    FROM collection
+                    WHERE game = ? AND card_id IN (${chunk.map(() => '?').join(',')})
+                    GROUP BY card_id
+                `).all(game, ...chunk).forEach(row => byCard.set(row.card_id, row));
+            }
+        } catch (error) {
+            console.error(`Error getting ${game} collection counts:`, error);
+        }
+        cards.forEach(card => {
+            const held = byCard.get(String(card.id));
+            card.owned = held ? held.owned : 0;
+            card.proxies = held ? held.proxies : 0;
+        });
+        return cards;
+    }
+
+    // Lowercased card name -> { owned, proxy }, every printing of a name pooled
+    // (for compareDeckToCollection in src/collection.js).
+    getCollectionHoldings(game) {
+        const holdings = new Map();
+        try {
+            this.db.prepare(`
+                SELECT lower(c.name) AS name,
+                       SUM(CASE WHEN col.condition = 'PROXY' THEN 0 ELSE col.quantity END) AS owned,
+                       SUM(CASE WHEN col.condition = 'PROXY' THEN col.quantity ELSE 0 END) AS proxy
+                FROM collection col
+                JOIN cards c ON c.game = col.game AND c.id = col.card_id
+                WHERE col.game = ?
+                GROUP BY lower(c.name)
+            `).all(game).forEach(row => holdings.set(row.name, { owned: row.owned, proxy: row.proxy }));
+        } catch (error) {
+            console.error(`Error getting ${game} collection holdings:`, error);
+        }
+        return holdings;
+    }
+
+    getCollectionStats(game) {
+        try {
+            return this.db.prepare(`
+                SELECT COUNT(DISTINCT card_id) AS cards,
+                       COALESCE(SUM(CASE WHEN condition = 'PROXY' THEN 0 ELSE quantity END), 0) AS copies,
+                       COALESCE(SUM(CASE WHEN condition = 'PROXY' THEN quantity ELSE 0 END), 0) AS proxies
+                FROM collection WHERE game = ?
+            `).get(game);
+        } catch (error) {
+            console.error(`Error getting ${game} collection stats:`, error);
+            return { cards: 0, copies: 0, proxies: 0 };
+        }
+    }
+
+    // Card id for an imported collection row or a deck entry ({ id?, setCode?,
+    // number?, name? }): the id itself, else the printing with that set and
+    // collector number, else the newest printing of the name. null when nothing
+    // matches.
+    matchCardId(game, card) {
+        try {
+            let row = null;
+            if (card.id) {
+                row = this.db.prepare('SELECT id FROM cards WHERE game = ? AND id = ?').get(game, String(card.id));
+            }
+            if (!row && card.setCode && card.number) {
+                row = this.db.prepare(`
+                    SELECT id FROM cards
+                    WHERE game = ?
+                      AND (set_code = ? COLLATE NOCASE OR set_abbreviation = ? COLLATE NOCASE OR set_name = ? COLLATE NOCASE)
+                      AND (card_number = ? COLLATE NOCASE OR ltrim(card_number, '0') = ltrim(?, '0'))
+                    LIMIT 1
+                `).get(game, card.setCode, card.setCode, card.setCode, String(card.number), String(card.number));
+            }
+            if (!row && card.name && card.setCode) {
+                row = this.db.prepare(`
+                    SELECT id FROM cards
+                    WHERE game = ? AND name = ? COLLATE NOCASE
+                      AND (set_code = ? COLLATE NOCASE OR set_abbreviation = ? COLLATE NOCASE OR set_name = ? COLLATE NOCASE)
+                    LIMIT 1
+                `).get(game, card.name, card.setCode, card.setCode, card.setCode);
+            }
+            if (!row && card.name) {
+                row = this.db.prepare(`
+                    SELECT c.id FROM cards c
+                    LEFT JOIN sets s ON s.game = c.game AND s.name = c.set_name
+                    WHERE c.game = ? AND c.name = ? COLLATE NOCASE
+                    ORDER BY s.release_date DESC
+                    LIMIT 1
+                `).get(game, card.name);
+            }
+            return row ? row.id : null;
+        } catch (error) {
+            console.error(`Error matching collection card ${card.name || card.id}:`, error);
+            return null;
+        }
+    }
+
+    // The stored card row for a deck entry (see matchCardId), for deck stats.
+    // Unlike getCard this does not touch the recent cards.
+    findDeckCard(game, entry) {
+        const id = this.matchCardId(game, entry);
+        if (!id) return null;
+        try {
+            return this.db.prepare('SELECT * FROM cards WHERE game = ? AND id = ?').get(game, id) || null;
+        } catch (error) {
+            console.error(`Error getting deck card ${entry.name}:`, error);
+            return null;
+        }
+    }
+
+    // ============ PACK SESSIONS ============
+
+    savePackSession(session) {
+        try {
+            this.db.prepare(`
+                INSERT INTO pack_sessions (id, game, set_code, set_name, packs, pulls, started_at, ended_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(id) DO UPDATE SET
+                    packs = excluded.packs,
+                    pulls = excluded.pulls,
+                    ended_at = excluded.ended_at
+            `).run(
+                session.id,
+                session.game,
+                session.setCode || null,
+                session.setName || null,
+                session.pack || 0,
+                JSON.stringify(session.pulls || []),
+                session.startedAt || Date.now(),
+                session.endedAt || null
+            );
+        } catch (error) {
+            console.error(`Error saving pack session ${session.id}:`, error);
+        }
+    }
+
+    // Row -> the session shape OverlayServer keeps.
+    packSessionFromRow(row) {
+        if (!row) return null;
+        let pulls = [];
+        try {
+            pulls = JSON.parse(row.pulls) || [];
+        } catch (error) {
+            console.error(`Pack session ${row.id} has unreadable pulls:`, error.message);
+        }
+        return {
+            id: row.id,
+            active: false,
+            game: row.game,
+            setCode: row.set_code,
+            setName: row.set_name,
+            pack: row.packs,
+            pulls,
+            startedAt: row.started_at,
+            endedAt: row.ended_at
+        };
+    }
+
+    // A game's sessions, newest first, without their pull lists.
+    getPackSessions(game) {
+        try {
+            return this.db.prepare(`
+                SELECT id, set_code AS setCode, set_name AS setName, packs,
+                       json_array_length(pulls) AS pulls,
+                       started_at AS startedAt, ended_at AS endedAt
+                FROM pack_sessions
+                WHERE game = ?
+                ORDER BY started_at DESC
+            `).all(game);
+        } catch (error) {
+            console.error(`Error getting pack sessions for ${game}:`, error);
+            return [];
+        }
+    }
+
+    getPackSession(game, id) {
+        try {
+            return this.packSessionFromRow(
+                this.db.prepare('SELECT * FROM pack_sessions WHERE game = ? AND id = ?').get(game, id)
+            );
+        } catch (error) {
+            console.error(`Error getting pack session ${game}/${id}:`, error);
+            return null;
+        }
+    }
+
+    // ============ DECK LIBRARY ============
+
+    // Row -> the deck object the UI works with, plus its library id/timestamps.
+    deckFromRow(row) {
+        if (!row) return null;
+        let data = {};
+        try {
+            data = JSON.parse(row.data) || {};
+        } catch (error) {
+            console.error(`Deck ${row.id} has unreadable data:`, error.message);
+        }
+        return {
+            ...data,
+            id: row.id,
+            game: row.game,
+            name: row.name,
+            format: row.format || data.format || null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Library fields never go into the stored JSON (they live in their columns).
+    deckData(deck) {
+        const { id, createdAt, updatedAt, ...data } = deck;
+        return JSON.stringify(data);
+    }
+
+    listDecks(game) {
+        try {
+            const rows = game
+                ? this.db.prepare('SELECT * FROM decks WHERE game = ? ORDER BY name COLLATE NOCASE').all(game)
+                : this.db.prepare('SELECT * FROM decks ORDER BY game, name COLLATE NOCASE').all();
+            return rows.map(row => this.deckFromRow(row));
+        } catch (error) {
+            console.error('Error listing decks:', error);
+            return [];
+        }
+    }
+
+    getDeck(id) {
+        try {
+            return this.deckFromRow(this.db.prepare('SELECT * FROM decks WHERE id = ?').get(id));
+        } catch (error) {
+            console.error(`Error getting deck ${id}:`, error);
+            return null;
+        }
+    }
+
+    findDeck(game, name) {
+        try {
+            return this.deckFromRow(
+                this.db.prepare('SELECT * FROM decks WHERE game = ? AND name = ?').get(game, name)
+            );
+        } catch (error) {
+            console.error(`Error finding deck ${game}/${name}:`, error);
+            return null;
+        }
+    }
+
+    // Returns the stored deck, or null when it could not be written (e.g. the
+    // name is already taken for that game).
+    createDeck(deck) {
+        try {
+            const now = Date.now();
+            const data = this.deckData(deck);
+            const id = this.db.transaction(() => {
+                const result = this.db.prepare(`
+                    INSERT INTO decks (game, name, format, data, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `).run(deck.game, deck.name, deck.format || null, data, now, now);
+                this.addDeckRevision(result.lastInsertRowid, deck.name, data, now);
+                return result.lastInsertRowid;
+            })();
+            return this.getDeck(id);
+        } catch (error) {
+            console.error(`Error creating deck ${deck.game}/${deck.name}:`, error.message);
+            return null;
+        }
+    }
+
+    // Saves a new revision when the deck actually changed.
+    updateDeck(id, deck) {
+        try {
+            const now = Date.now();
+            const data = this.deckData(deck);
+            const changes = this.db.transaction(() => {
+                const result = this.db.prepare(`
+                    UPDATE decks SET game = ?, name = ?, format = ?, data = ?, updated_at = ?
+                    WHERE id = ?
+                `).run(deck.game, deck.name, deck.format || null, data, now, id);
+                const latest = this.db.prepare(
+                    'SELECT data FROM deck_revisions WHERE deck_id = ? ORDER BY revision DESC LIMIT 1'
+                ).get(id);
+                if (result.changes > 0 && (!latest || latest.data !== data)) {
+                    this.addDeckRevision(id, deck.name, data, now);
+                }
+                return result.changes;
+            })();
+            return changes > 0 ? this.getDeck(id) : null;
+        } catch (error) {
+            console.error(`Error updating deck ${id}:`, error.message);
+            return null;
+        }
+    }
+
+    deleteDeck(id) {
+        try {
+            return this.db.transaction(() => {
+                this.db.prepare('DELETE FROM deck_revisions WHERE deck_id = ?').run(id);
+                return this.db.prepare('DELETE FROM decks WHERE id = ?').run(id).changes > 0;
+            })();
+        } catch (error) {
+            console.error(`Error deleting deck ${id}:`, error);
+            return false;
+        }
+    }
+
+    // Append the next revision number for a deck (call inside a transaction).
+    addDeckRevision(deckId, name, data, createdAt) {
+        const { next } = this.db.prepare(
+            'SELECT COALESCE(MAX(revision), 0) + 1 AS next FROM deck_revisions WHERE deck_id = ?'
+        ).get(deckId);
+        this.db.prepare(`
+            INSERT INTO deck_revisions (deck_id, revision, name, data, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(deckId, next, name, data, createdAt);
+    }
+
+    // Revision summaries for a deck, oldest first.
+    listDeckRevisions(deckId) {
+        try {
+            return this.db.prepare(`
+                SELECT revision, name, created_at AS createdAt
+                FROM deck_revisions WHERE deck_id = ? ORDER BY revision
+            `).all(deckId);
+        } catch (error) {
+            console.error(`Error listing revisions for deck ${deckId}:`, error);
+            return [];
+        }
+    }
+
+    // The deck as it was at one revision (null when there is no such revision).
+    getDeckRevision(deckId, revision) {
+        try {
+            const row = this.db.prepare(`
+                SELECT r.*, d.game FROM deck_revisions r
+                JOIN decks d ON d.id = r.deck_id
+                WHERE r.deck_id = ? AND r.revision = ?
+            `).get(deckId, revision);
+            if (!row) return null;
+            return {
+                ...JSON.parse(row.data),
+                id: row.deck_id,
+                game: row.game,
+                name: row.name,
+                revision: row.revision,
+                createdAt: row.created_at
+            };
+        } catch (error) {
+            console.error(`Error getting revision ${revision} of deck ${deckId}:`, error);
+            return null;
+        }
+    }
+}
+
+// Levenshtein distance with adjacent transpositions, giving up (returning
+// max + 1) as soon as every path exceeds max.
+function editDistance(a, b, max) {
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
 }
 
-module.exports = CardDatabase;
\ No newline at end of file
+module.exports = CardDatabase;
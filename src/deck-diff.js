@@ -0,0 +1,58 @@
+// src/deck-diff.js - Per-category diff between two saved deck revisions.
+//
+// Both decks are normalized with getDeckCategories() (public/js/game-registry.js),
+// so any stored shape - generic { categories } or a legacy per-game shape -
+// compares the same way. Within a category cards are matched by name
+// (case-insensitive, quantities of duplicate rows summed), so a reprint swap
+// with the same name is not a change. A card moved between categories shows as
+// removed from one and added to the other.
+const { getDeckCategories } = require('../public/js/game-registry');
+
+function tally(cards) {
+    const counts = new Map();
+    (cards || []).forEach(card => {
+        if (!card || !card.name) return;
+        const key = card.name.toLowerCase();
+        const entry = counts.get(key) || { name: card.name, quantity: 0 };
+        entry.quantity += card.quantity || card.count || 1;
+        counts.set(key, entry);
+    });
+    return counts;
+}
+
+// Returns { categories: [{ name, added, removed, changed }], totals } where
+// added/removed are [{ name, quantity }] and changed is [{ name, from, to }].
+// Only categories with at least one change are listed, in the newer deck's order.
+function diffDecks(older, newer) {
+    const before = getDeckCategories(older);
+    const after = getDeckCategories(newer);
+    const names = [...Object.keys(after)];
+    Object.keys(before).forEach(name => { if (!names.includes(name)) names.push(name); });
+
+    const totals = { added: 0, removed: 0, changed: 0 };
+    const categories = [];
+    names.forEach(name => {
+        const was = tally(before[name]);
+        const now = tally(after[name]);
+        const added = [];
+        const removed = [];
+        const changed = [];
+        now.forEach((entry, key) => {
+            const old = was.get(key);
+            if (!old) added.push({ name: entry.name, quantity: entry.quantity });
+            else if (old.quantity !== entry.quantity) changed.push({ name: entry.name, from: old.quantity, to: entry.quantity });
+        });
+        was.forEach((entry, key) => {
+            if (!now.has(key)) removed.push({ name: entry.name, quantity: entry.quantity });
+        });
+        if (added.length || removed.length || changed.length) {
+            categories.push({ name, added, removed, changed });
+            totals.added += added.length;
+            totals.removed += removed.length;
+            totals.changed += changed.length;
+        }
+    });
+    return { categories, totals };
+}
+
+module.exports = { diffDecks };
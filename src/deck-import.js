@@ -0,0 +1,45 @@
+// src/deck-import.js - Turns pasted deck-list text into a deck.
+//
+// The game is picked by the plugins' deck.detect rules (games.detectDeck) and
+// the list is read by that plugin's deck.parse(lines, lookup). The lookup
+// resolves tokens against the local card DB only - the same rows
+// /api/search/:game and /api/card/:game/:id return - so importing a deck
+// never calls out to a card API.
+const games = require('./games');
+const { getGameConfig } = require('../public/js/game-registry');
+
+function withImage(card) {
+    return card ? { ...card, display_image: card.image_url || card.local_image } : null;
+}
+
+// The lookup a plugin's deck.parse gets: search(q) -> rows, card(id) -> row or
+// null, categorize(card) -> the game's deck category.
+function cardLookup(db, game) {
+    const deck = getGameConfig(game).deck;
+    return {
+        async search(q) {
+            if (!q || q.length < 2) return [];
+            try {
+                return (db.searchCards(game, q) || []).map(withImage);
+            } catch (error) {
+                console.error(`Deck import search error for "${q}":`, error);
+                return [];
+            }
+        },
+        async card(id) {
+            return withImage(db.getCard(game, id));
+        },
+        categorize: (card) => (deck ? deck.categorize(card) : null)
+    };
+}
+
+// Returns { game, deck } - deck in the plugin's own shape (see main.js
+// deckToCategories) - or null when no plugin reads the list.
+async function parseDeckText(db, text) {
+    const game = games.detectDeck(text);
+    if (!game) return null;
+    const deck = await games.get(game).deck.parse(text.split('\n'), cardLookup(db, game));
+    return { game, deck };
+}
+
+module.exports = { cardLookup, parseDeckText };
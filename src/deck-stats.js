@@ -0,0 +1,204 @@
+// src/deck-stats.js - Deck analytics for deck-tech segments.
+//
+// computeDeckStats() takes any saved deck (see getDeckCategories in
+// public/js/game-registry.js) and a lookup(entry) that returns the stored card
+// row for a deck entry ({ name, setCode?, number?, id? }), and returns:
+//
+//   categories  cards per deck category (main: false for sideboards, Extra Deck, ...)
+//   curve       the cost curve of the main deck (mana value, ink cost, cost,
+//               play cost), with its average; null for games without costs
+//   colors      copies per color / ink / attribute (a two-color card counts for both)
+//   types       copies per card type (Magic: Creature, Instant, ... from the type line)
+//   odds        game-specific draw odds ("Basic Pokemon in the opening 7",
+//               "at least one 3-drop by turn 3")
+//   cards       per card: the chance to see at least one copy in the opening hand
+//
+// Every probability is hypergeometric over the main deck. "By turn N" assumes
+// you are on the play: the opening hand plus one draw for each turn after the
+// first. Cards the lookup cannot find still count toward categories and card
+// odds, and are listed in unresolved.
+
+const { getDeckCategories, categoryFromType } = require('../public/js/game-registry');
+const games = require('./games');
+const { has, lower } = require('./games/_shared');
+
+// A game's stats declaration (its plugin's stats, see src/games/index.js): the
+// cost column and its label (curveMax = the last, open-ended bucket),
+// colors(card) and type(card), plus extra odds as { label, test(card),
+// atLeast?, turn? }. The opening hand size is its sampleHand's, and a plugin
+// without type() counts types by deck category.
+function statsConfig(game) {
+    const plugin = games.get(game);
+    const stats = plugin && plugin.stats;
+    if (!stats) return { hand: 7, colors: () => [], type: (card) => card.card_type || 'Other', odds: [] };
+    return {
+        ...stats,
+        hand: (plugin.sampleHand && plugin.sampleHand.hand) || 7,
+        type: stats.type || ((card) => categoryFromType(game, card.card_type)),
+        odds: stats.odds || []
+    };
+}
+
+const CURVE_TURNS = 4; // "at least one N-drop by turn N" for N = 1..4
+
+// C(n, k) as a float (exact enough for decks up to a few hundred cards).
+function choose(n, k) {
+    if (k < 0 || k > n) return 0;
+    k = Math.min(k, n - k);
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+        result = result * (n - k + i) / i;
+    }
+    return result;
+}
+
+// P(at least atLeast of the successes among draws cards drawn from population).
+function hypergeometric(population, successes, draws, atLeast = 1) {
+    draws = Math.min(draws, population);
+    if (atLeast <= 0) return 1;
+    if (successes < atLeast || population <= 0) return 0;
+    const total = choose(population, draws);
+    let miss = 0;
+    for (let k = 0; k < atLeast; k++) {
+        miss += choose(successes, k) * choose(population - successes, draws - k);
+    }
+    return Math.max(0, Math.min(1, 1 - miss / total));
+}
+
+// Whether a deck category is drawn from (false for the plugin's deck.sections:
+// sideboards, the Extra Deck, the Leader, Digi-Eggs, Gundam resources, ...).
+function isMainCategory(game, category) {
+    const plugin = games.get(game);
+    const sections = (plugin && plugin.deck && plugin.deck.sections) || {};
+    return !Object.prototype.hasOwnProperty.call(sections, category);
+}
+
+function round(value, places = 3) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Count copies into a { name: count } map and return it sorted, largest first.
+function tally(entries) {
+    const counts = new Map();
+    entries.forEach(([name, count]) => counts.set(name, (counts.get(name) || 0) + count));
+    return [...counts.entries()]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// options.hand overrides the game's opening hand size.
+function computeDeckStats(deck, lookup, options = {}) {
+    const config = statsConfig(deck.game);
+    const hand = Number.isInteger(options.hand) && options.hand > 0 ? options.hand : config.hand;
+
+    const rows = new Map();
+    const unresolved = [];
+    const resolve = (entry) => {
+        const key = lower(entry.name);
+        if (!rows.has(key)) {
+            const row = lookup(entry) || null;
+            rows.set(key, row);
+            if (!row) unresolved.push(entry.name);
+        }
+        return rows.get(key);
+    };
+
+    // Main-deck entries (one per distinct name) with their quantities.
+    const categories = [];
+    const main = new Map();
+    Object.entries(getDeckCategories(deck)).forEach(([name, cards]) => {
+        const isMain = isMainCategory(deck.game, name);
+        let count = 0;
+        cards.filter(card => card && card.name).forEach(card => {
+            const quantity = card.quantity || card.count || 1;
+            count += quantity;
+            if (!isMain) return;
+            const key = lower(card.name);
+            const entry = main.get(key) || { name: card.name, quantity: 0, card: resolve(card) };
+            entry.quantity += quantity;
+            main.set(key, entry);
+        });
+        categories.push({ name, count, main: isMain });
+    });
+
+    const entries = [...main.values()];
+    const population = entries.reduce((n, entry) => n + entry.quantity, 0);
+    const known = entries.filter(entry => entry.card);
+    const copiesWhere = (test) => known.filter(entry => test(entry.card)).reduce((n, entry) => n + entry.quantity, 0);
+
+    // Cost curve
+    let curve = null;
+    if (config.cost) {
+        const buckets = Array.from({ length: config.curveMax + 1 }, (_, cost) => ({
+            cost: cost === config.curveMax ? `${cost}+` : String(cost),
+            count: 0
+        }));
+        let costed = 0;
+        let costTotal = 0;
+        known.forEach(entry => {
+            const cost = entry.card[config.cost];
+            if (!has(cost) || !Number.isFinite(Number(cost))) return;
+            if (config.curveSkip && config.curveSkip(entry.card)) return;
+            const value = Math.max(0, Math.floor(Number(cost)));
+            buckets[Math.min(value, config.curveMax)].count += entry.quantity;
+            costed += entry.quantity;
+            costTotal += value * entry.quantity;
+        });
+        curve = {
+            label: config.costLabel,
+            cards: costed,
+            average: costed ? round(costTotal / costed, 2) : null,
+            buckets
+        };
+    }
+
+    const colors = tally(known.flatMap(entry => config.colors(entry.card).map(color => [color, entry.quantity])));
+    const types = tally(known.map(entry => [config.type(entry.card), entry.quantity]));
+
+    // Odds: the game's own, then the curve ("a 3-drop by turn 3")
+    const odd = (label, successes, draws, atLeast = 1) => ({
+        label,
+        successes,
+        draws,
+        atLeast,
+        probability: round(hypergeometric(population, successes, draws, atLeast), 4)
+    });
+    const odds = config.odds.map(spec => {
+        const draws = spec.turn ? hand + spec.turn - 1 : hand;
+        return odd(spec.label, copiesWhere(spec.test), draws, spec.atLeast || 1);
+    }).filter(entry => entry.successes > 0);
+    if (curve) {
+        for (let turn = 1; turn <= CURVE_TURNS; turn++) {
+            const successes = curve.buckets[turn] ? curve.buckets[turn].count : 0;
+            if (successes) {
+                odds.push(odd(`At least one ${turn}-cost card by turn ${turn}`, successes, hand + turn - 1));
+            }
+        }
+    }
+
+    const cards = entries
+        .map(entry => ({
+            name: entry.name,
+            quantity: entry.quantity,
+            opening: round(hypergeometric(population, entry.quantity, hand, 1), 4)
+        }))
+        .sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name));
+
+    return {
+        game: deck.game,
+        name: deck.name || deck.title || '',
+        total: categories.reduce((n, category) => n + category.count, 0),
+        mainDeck: population,
+        hand,
+        categories,
+        curve,
+        colors,
+        types,
+        odds,
+        cards,
+        unresolved
+    };
+}
+
+module.exports = { isMainCategory, hypergeometric, computeDeckStats };
@@ -0,0 +1,159 @@
+// src/event-schemas.js - Payload schemas for the match socket events.
+//
+// Control pages send match events straight into the match reducers, and
+// whatever they carry is broadcast to OBS. Every match event therefore has a
+// declarative schema, checked centrally (see the socket.use middleware in
+// server.js) before any handler runs. A payload that fails is never applied:
+// the sending page gets the error as its ack (when it asked for one) and as an
+// event-rejected event.
+//
+// This module holds the field types and the schemas every match shares (clock,
+// undo/redo, show/hide). Each game plugin (src/games) declares the schemas for
+// its own events, with bounds from its rules (match.rules) and headroom where
+// card effects can go past the printed numbers; src/games/index.js merges them
+// into one table.
+//
+// A schema is built from the field types below. Objects list the fields they
+// check; fields they do not list pass through unchecked, so a control page's
+// extra bookkeeping (deckId, timer, ...) in a bulk *-match-update still works.
+// Events without a schema (decklists, packs, replays, ...) are not checked here.
+
+// ============ FIELD TYPES ============
+
+const int = (min, max) => ({ type: 'integer', min, max });
+const bool = () => ({ type: 'boolean' });
+const str = (max) => ({ type: 'string', max });
+const oneOf = (...values) => ({ type: 'enum', values });
+const list = (item, max, options = {}) => ({ type: 'array', item, max, unique: !!options.unique });
+const obj = (props, refine = null) => ({ type: 'object', props, refine });
+const either = (...specs) => ({ type: 'either', specs });
+const optional = (spec) => ({ ...spec, optional: true });
+const nullable = (spec) => ({ ...spec, nullable: true });
+
+function describe(spec) {
+    switch (spec.type) {
+        case 'integer': return `an integer from ${spec.min} to ${spec.max}`;
+        case 'boolean': return 'true or false';
+        case 'string': return `text of at most ${spec.max} characters`;
+        case 'enum': return `one of ${spec.values.join(', ')}`;
+        case 'array': return `a list of at most ${spec.max} entries`;
+        case 'object': return 'an object';
+        default: return 'valid';
+    }
+}
+
+// The first problem with value, as "<path> must be ...", or null. path is ''
+// for the payload itself.
+function check(spec, value, path) {
+    const label = path || 'payload';
+    if (value === undefined) return spec.optional ? null : `${label} is required`;
+    if (value === null) return spec.nullable ? null : `${label} must not be empty`;
+
+    switch (spec.type) {
+        case 'integer':
+            if (!Number.isInteger(value) || value < spec.min || value > spec.max) return `${label} must be ${describe(spec)}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${label} must be ${describe(spec)}`;
+        case 'string':
+            return typeof value === 'string' && value.length <= spec.max ? null : `${label} must be ${describe(spec)}`;
+        case 'enum':
+            return spec.values.includes(value) ? null : `${label} must be ${describe(spec)}`;
+        case 'array': {
+            if (!Array.isArray(value) || value.length > spec.max) return `${label} must be ${describe(spec)}`;
+            if (spec.unique && new Set(value).size !== value.length) return `${label} must not repeat an entry`;
+            for (let i = 0; i < value.length; i++) {
+                const error = check(spec.item, value[i], `${path}[${i}]`);
+                if (error) return error;
+            }
+            return null;
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return `${label} must be ${describe(spec)}`;
+            for (const [key, field] of Object.entries(spec.props)) {
+                const error = check(field, value[key], path ? `${path}.${key}` : key);
+                if (error) return error;
+            }
+            return spec.refine ? spec.refine(value, label) : null;
+        }
+        case 'either': {
+            const errors = spec.specs.map(option => check({ ...option, optional: spec.optional, nullable: spec.nullable }, value, path));
+            return errors.includes(null) ? null : errors[0];
+        }
+        default:
+            return null;
+    }
+}
+
+// ============ SHARED FIELDS ============
+
+const player = int(1, 2);
+const name = str(60);
+const record = obj({ wins: int(0, 999), losses: int(0, 999), ties: int(0, 999) });
+const gamesWon = int(0, 9);
+const turn = int(1, 2);
+const gameNumber = int(1, 9);
+const matchFormat = str(60);
+const slot = (count) => int(0, count - 1);
+const takenList = (count) => list(int(0, count - 1), count, { unique: true });
+// A card on the board (null = empty slot). props are its game-specific numbers,
+// each of which may be missing or null (a card without that stat).
+const card = (props = {}) => nullable(obj({
+    name: optional(nullable(str(200))),
+    ...Object.fromEntries(Object.entries(props).map(([key, spec]) => [key, optional(nullable(spec))]))
+}));
+const cards = (max, props) => list(card(props), max);
+
+// The control page's full board, as sent by the bulk *-match-update events.
+const board = (props) => optional(obj({
+    name: optional(name),
+    record: optional(record),
+    gamesWon: optional(gamesWon),
+    ...props
+}));
+const bulkUpdate = (boardProps, extra = {}) => obj({
+    player1: board(boardProps),
+    player2: board(boardProps),
+    currentTurn: optional(turn),
+    gameNumber: optional(gameNumber),
+    matchFormat: optional(matchFormat),
+    ...extra
+});
+
+const playerField = (field, spec) => obj({ player, [field]: spec });
+const slotField = (count, field, spec) => obj({ player, index: slot(count), [field]: spec });
+
+// ============ EVENT SCHEMAS ============
+
+// The events every match shares, for the match keys in play ('pokemon', 'mtg', ...).
+function coreSchemas(matchKeys) {
+    const match = oneOf(...matchKeys);
+    return {
+        'timer-start': optional(obj({ match: optional(match) })),
+        'timer-pause': optional(obj({ match: optional(match) })),
+        'timer-reset': optional(obj({ match: optional(match) })),
+        'timer-set': obj({ match: optional(match), minutes: optional(int(0, 999)), seconds: optional(int(0, 59)) }),
+        'match-undo': obj({ match }),
+        'match-redo': obj({ match }),
+        'match-settings': obj({ gameNumber: optional(gameNumber), matchFormat: optional(matchFormat) }),
+        'turn-switch': obj({ currentTurn: turn }),
+        ...Object.fromEntries(matchKeys.map(key => [`toggle-${key}-match`, obj({ show: bool() })]))
+    };
+}
+
+// null when the payload is fine (or the event has no schema in schemas), else
+// the reason it was rejected, e.g. "lorcana-lore-update: lore must be an
+// integer from 0 to 30".
+function validateEvent(schemas, event, payload) {
+    const schema = schemas[event];
+    if (!schema) return null;
+    const error = check(schema, payload, '');
+    return error ? `${event}: ${error}` : null;
+}
+
+module.exports = {
+    int, bool, str, oneOf, list, obj, either, optional, nullable, check,
+    player, name, record, gamesWon, turn, gameNumber, matchFormat, slot, takenList,
+    card, cards, board, bulkUpdate, playerField, slotField,
+    coreSchemas, validateEvent
+};
@@ -0,0 +1,179 @@
+// src/format-store.js - Editable format definitions (set pools, banlists, rotation).
+//
+// The registry (public/js/game-registry.js) ships a seed of each game's formats,
+// banlist and formatSets, but a tournament organizer needs the current list the
+// day it is announced, not with the next CardCast release. Each game's formats
+// therefore live in DATA_ROOT/data/formats/<game>.json:
+//
+//   {
+//     "schemaVersion": 1,
+//     "game": "yugioh",
+//     "version": "2026-10-01",          // the list's own version/label
+//     "updatedAt": "2026-10-19T12:00:00.000Z",
+//     "formats": {
+//       "Advanced (TCG)": {
+//         "sets": "*" | ["SET1", ...],   // legal set codes ("*" = every set)
+//         "banned": [], "limited": [], "semiLimited": [], "restricted": [],
+//         "bannedPairs": [["Card A", "Card B"]],
+//         "legalFrom": "2026-10-01", "rotatesOn": null   // ISO dates, informational
+//       }
+//     }
+//   }
+//
+// Format order in the file is the order the UI lists them. A game with no file
+// yet gets the registry seed. Saving keeps the replaced file under
+// formats/history/ so an import can be rolled back by hand.
+const fs = require('fs');
+const path = require('path');
+const { GAME_REGISTRY } = require('../public/js/game-registry');
+
+const SCHEMA_VERSION = 1;
+const LIST_KEYS = ['banned', 'limited', 'semiLimited', 'restricted'];
+const DATE_KEYS = ['legalFrom', 'rotatesOn'];
+
+class FormatStore {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(path.join(dir, 'history'), { recursive: true });
+    }
+
+    filePath(game) {
+        return path.join(this.dir, `${game}.json`);
+    }
+
+    // The registry seed as a format file. Registry banlists come in a few shapes
+    // (a plain array of banned names for MTG, forbidden/limited/semiLimited for
+    // Yu-Gi-Oh, banned/restricted elsewhere); they are folded into one.
+    defaults(game) {
+        const deck = (GAME_REGISTRY[game] && GAME_REGISTRY[game].deck) || {};
+        const formats = {};
+        (deck.formats || []).forEach(name => {
+            const seed = (deck.banlist || {})[name];
+            const list = Array.isArray(seed) ? { banned: seed } : (seed || {});
+            formats[name] = {
+                sets: (deck.formatSets || {})[name] || '*',
+                banned: [...(list.banned || []), ...(list.forbidden || [])],
+                limited: list.limited || [],
+                semiLimited: list.semiLimited || [],
+                restricted: list.restricted || [],
+                bannedPairs: list.bannedPairs || [],
+                legalFrom: null,
+                rotatesOn: null
+            };
+        });
+        return { schemaVersion: SCHEMA_VERSION, game, version: 'builtin', updatedAt: null, formats };
+    }
+
+    // The game's current format file, or the registry seed when there is none
+    // (or it cannot be read - a bad file never takes the legality panel down).
+    get(game) {
+        const file = this.filePath(game);
+        try {
+            if (fs.existsSync(file)) {
+                const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+                const error = this.validate(game, data);
+                if (!error) return this.normalize(game, data);
+                console.error(`Ignoring invalid format file ${file}: ${error}`);
+            }
+        } catch (error) {
+            console.error(`Could not read format file ${file}:`, error.message);
+        }
+        return this.defaults(game);
+    }
+
+    // Returns an error message for an unusable import, or null.
+    validate(game, data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return 'Format file must be a JSON object';
+        if (data.schemaVersion !== undefined && data.schemaVersion > SCHEMA_VERSION) {
+            return `Format file schema ${data.schemaVersion} is newer than this CardCast supports (${SCHEMA_VERSION})`;
+        }
+        if (data.game !== undefined && data.game !== game) return `Format file is for ${data.game}, not ${game}`;
+        if (!data.formats || typeof data.formats !== 'object' || Array.isArray(data.formats)) {
+            return 'Format file needs a "formats" object';
+        }
+        const names = Object.keys(data.formats);
+        if (!names.length) return 'Format file defines no formats';
+        for (const name of names) {
+            const format = data.formats[name];
+            if (!format || typeof format !== 'object' || Array.isArray(format)) return `Format "${name}" must be an object`;
+            if (format.sets !== undefined && format.sets !== '*' && !Array.isArray(format.sets)) {
+                return `Format "${name}": sets must be "*" or a list of set codes`;
+            }
+            for (const key of LIST_KEYS) {
+                if (format[key] !== undefined && !Array.isArray(format[key])) return `Format "${name}": ${key} must be a list`;
+            }
+            if (format.bannedPairs !== undefined &&
+                (!Array.isArray(format.bannedPairs) || format.bannedPairs.some(pair => !Array.isArray(pair) || pair.length !== 2))) {
+                return `Format "${name}": bannedPairs must be a list of [cardA, cardB]`;
+            }
+            for (const key of DATE_KEYS) {
+                if (format[key] && Number.isNaN(Date.parse(format[key]))) return `Format "${name}": ${key} is not a date`;
+            }
+        }
+        return null;
+    }
+
+    // Fill in every field so readers never need to guard for missing keys.
+    normalize(game, data) {
+        const formats = {};
+        Object.keys(data.formats).forEach(name => {
+            const format = data.formats[name];
+            formats[name] = {
+                sets: Array.isArray(format.sets) ? format.sets.map(code => String(code).toUpperCase()) : '*',
+                banned: format.banned || [],
+                limited: format.limited || [],
+                semiLimited: format.semiLimited || [],
+                restricted: format.restricted || [],
+                bannedPairs: format.bannedPairs || [],
+                legalFrom: format.legalFrom || null,
+                rotatesOn: format.rotatesOn || null
+            };
+        });
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            game,
+            version: data.version ? String(data.version) : new Date().toISOString().slice(0, 10),
+            updatedAt: data.updatedAt || null,
+            formats
+        };
+    }
+
+    // Validate, normalize and write an imported file. Returns { data } or
+    // { error, status } (400 for a bad file, 500 when it could not be written).
+    save(game, input) {
+        const error = this.validate(game, input);
+        if (error) return { error, status: 400 };
+
+        const data = { ...this.normalize(game, input), updatedAt: new Date().toISOString() };
+        const file = this.filePath(game);
+        try {
+            this.archive(game);
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+            fs.renameSync(`${file}.tmp`, file);
+            console.log(`Saved ${game} formats (version ${data.version})`);
+            return { data };
+        } catch (err) {
+            console.error(`Could not save format file ${file}:`, err.message);
+            return { error: 'Could not write the format file', status: 500 };
+        }
+    }
+
+    // Drop the game's file so it falls back to the registry seed (the old file is archived).
+    reset(game) {
+        try {
+            this.archive(game);
+        } catch (error) {
+            console.error(`Could not reset ${game} formats:`, error.message);
+        }
+        return this.get(game);
+    }
+
+    archive(game) {
+        const file = this.filePath(game);
+        if (!fs.existsSync(file)) return;
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        fs.renameSync(file, path.join(this.dir, 'history', `${game}-${stamp}.json`));
+    }
+}
+
+module.exports = FormatStore;
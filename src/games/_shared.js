@@ -0,0 +1,136 @@
+// src/games/_shared.js - Helpers shared by the game plugins.
+//
+// Files starting with "_" are not plugins; src/games/index.js skips them.
+
+const PLAYERS = ['player1', 'player2'];
+
+// A fresh two-player match: blank boards (freshPlayer(name)) that keep the
+// players' names and the match format of the match being reset (previous is
+// undefined on first start). extra adds the game's own top-level fields.
+function freshMatch(freshPlayer, previous, extra = {}) {
+    return {
+        ...extra,
+        player1: freshPlayer(previous ? previous.player1.name : 'Player 1'),
+        player2: freshPlayer(previous ? previous.player2.name : 'Player 2'),
+        currentTurn: 1,
+        gameNumber: 1,
+        matchFormat: (previous && previous.matchFormat) || 'Best of 3'
+    };
+}
+
+// Bulk update from a control page (on load and on show): each player board is
+// merged over the current one, and the listed top-level fields are replaced
+// when present.
+function mergeBoard(state, data, fields = ['currentTurn', 'gameNumber', 'matchFormat']) {
+    PLAYERS.forEach(p => {
+        if (data[p]) state[p] = { ...state[p], ...data[p] };
+    });
+    fields.forEach(field => {
+        if (data[field] !== undefined) state[field] = data[field];
+    });
+}
+
+// Toggle index in a taken-list (prizes, shields, security, Life): taken if it
+// was not, restored if it was.
+function toggleTaken(taken, index) {
+    const i = taken.indexOf(index);
+    if (i === -1) taken.push(index);
+    else taken.splice(i, 1);
+}
+
+// Set or clear (null) one slot of a fixed-size board row (units, monsters,
+// characters, ...) and broadcast it as { player, index, [field] }.
+function slotReducer(event, row, field, size) {
+    return (state, data, { emit }) => {
+        const p = state[`player${data.player}`];
+        if (!p || data.index < 0 || data.index >= size) return;
+        p[row][data.index] = data[field];
+        emit(event, { player: data.player, index: data.index, [field]: data[field], timestamp: Date.now() });
+    };
+}
+
+// Set or clear (null) a single-card slot of a player board (base, stage, ...)
+// sent as data[as], and broadcast it as { player, [as] }.
+function fieldReducer(event, field, as = field) {
+    return (state, data, { emit }) => {
+        const p = state[`player${data.player}`];
+        if (!p) return;
+        p[field] = data[as];
+        emit(event, { player: data.player, [as]: data[as], timestamp: Date.now() });
+    };
+}
+
+// The record and games-won events every game but MTG sends the same way.
+function recordReducers(key) {
+    return {
+        [`${key}-record-update`]: (state, data, { emit }) => {
+            const p = state[`player${data.player}`];
+            if (p) p.record = data.record;
+            emit(`${key}-record-update`, { player: data.player, record: data.record, timestamp: Date.now() });
+        },
+        [`${key}-games-won-update`]: (state, data, { emit }) => {
+            const p = state[`player${data.player}`];
+            if (p) p.gamesWon = data.gamesWon;
+            emit(`${key}-games-won-update`, { player: data.player, gamesWon: data.gamesWon, timestamp: Date.now() });
+        }
+    };
+}
+
+// ============ DECK LISTS ============
+
+// Resolve a deck-list token ({ number?, name? }) to a card row through the
+// parser's lookup.search (the rows /api/search/:game returns): an exact card
+// number wins, then an exact name (pick chooses among same-named printings),
+// then the first result.
+async function resolveCard(lookup, token, pick = (named) => named[0]) {
+    const q = token.number || token.name;
+    if (!q || q.length < 2) return null;
+    const results = await lookup.search(q);
+    if (!results.length) return null;
+
+    if (token.number) {
+        const want = token.number.toUpperCase();
+        const exact = results.find(c => (c.card_number || '').toUpperCase() === want);
+        if (exact) return exact;
+    }
+    if (token.name) {
+        const want = token.name.toLowerCase();
+        const named = results.filter(c => (c.name || '').toLowerCase() === want);
+        if (named.length) return pick(named) || named[0];
+    }
+    return results[0];
+}
+
+// ============ SEARCH FACETS ============
+// Facets for /api/facets/:game (see facetsFor in src/search-query.js): the
+// column counted, and the filter a chip for one of its values adds to the query
+// (`${field}${op}"${value}"`). split turns a stored value into the values it
+// counts towards ("U,R" -> U and R).
+
+const SET_FACET = {
+    key: 'set', label: 'Set', field: 'set', op: '=',
+    column: "COALESCE(NULLIF(set_abbreviation, ''), set_code)", labelColumn: 'set_name'
+};
+// For games whose set codes are per print (setCode: 'print'), sets are counted by name.
+const PRINT_SET_FACET = { key: 'set', label: 'Set', field: 'set', op: '=', column: 'set_name' };
+const RARITY_FACET = { key: 'rarity', label: 'Rarity', field: 'rarity', op: '=', column: 'rarity' };
+const TYPE_FACET = { key: 'type', label: 'Type', field: 'type', op: '=', column: 'card_type' };
+const splitOn = (separator) => (value) => value.split(separator).map(part => part.trim());
+const costFacet = (field, column, label = 'Cost') => ({ key: 'cost', label, field, op: '=', column, numeric: true });
+const colorFacet = (field, column, label = 'Color', separator = '/') => ({
+    key: 'color', label, field, op: ':', column, split: splitOn(separator)
+});
+
+// ============ CARD FIELDS ============
+// For the stats and sampleHand declarations.
+
+const has = (value) => value !== undefined && value !== null && value !== '';
+const lower = (value) => String(value || '').toLowerCase();
+const splitList = (value) => String(value || '').split(/[\/,]/).map(part => part.trim()).filter(Boolean);
+
+module.exports = {
+    PLAYERS, freshMatch, mergeBoard, toggleTaken, slotReducer, fieldReducer, recordReducers,
+    resolveCard,
+    SET_FACET, PRINT_SET_FACET, RARITY_FACET, TYPE_FACET, splitOn, costFacet, colorFacet,
+    has, lower, splitList
+};
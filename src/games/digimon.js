@@ -0,0 +1,295 @@
+// src/games/digimon.js - Digimon Card Game plugin (see src/games/index.js).
+//
+// Match board (mirrors Gundam/Lorcana). TWO Digimon-unique mechanics drive the
+// design: a per-player 5-card SECURITY stack (the loss track, mirrors Gundam
+// shields) and a SINGLE SHARED MEMORY gauge in the center running -10 (P1
+// side) .. 0 .. +10 (P2 side) - NOT a per-player value. Plus a Battle Area row
+// (Digimon shown as digivolution stacks with DP+level), a Breeding Area slot,
+// Tamer chips, and optional zone counts.
+const S = require('../event-schemas');
+const {
+    freshMatch, mergeBoard, toggleTaken, slotReducer, fieldReducer, recordReducers,
+    resolveCard, SET_FACET, RARITY_FACET, TYPE_FACET, costFacet, colorFacet, splitList
+} = require('./_shared');
+
+const RULES = { battle: 6, security: 5, memory: 10 }; // memory -10 (player 1) .. 10 (player 2)
+
+// A blank Digimon player board. security is the fixed 5-pip loss track (mirrors
+// Gundam shields). battle is a fixed 6-slot row (null = empty); each entry is a
+// digivolution stack rendered as one card with DP/level and a stack-depth badge.
+// breeding is the single egg-incubator slot; tamers is a free chip list.
+function freshPlayer(name) {
+    return {
+        name,
+        record: { wins: 0, losses: 0, ties: 0 },
+        gamesWon: 0,
+        security: RULES.security,
+        securityTaken: [],
+        battle: [null, null, null, null, null, null], // {id,name,image,dp,level,colors,stack}
+        breeding: null,                                // {id,name,image,dp,level,colors}|null
+        tamers: [],                                    // {id,name,image}
+        counts: { hand: 0, deck: 0, trash: 0, eggDeck: 0 }
+    };
+}
+
+const clampMemory = (value) => Math.max(-RULES.memory, Math.min(RULES.memory, value | 0));
+
+const unit = { dp: S.int(0, 99999), level: S.int(0, 7), stack: S.int(0, 99) };
+const counts = S.obj({
+    hand: S.optional(S.int(0, 99)), deck: S.optional(S.int(0, 60)), trash: S.optional(S.int(0, 99)), eggDeck: S.optional(S.int(0, 5))
+});
+const memory = S.int(-RULES.memory, RULES.memory);
+
+// digimoncard.io / digimonmeta / untap / official sim exports. Card-number-keyed
+// and tolerant: each non-header line is matched for a leading quantity and a
+// Digimon-style number (BT/EX/ST/P/LM/AD/RB; 1-2 digits before the dash and 2-3
+// after, e.g. BT7-112 / ST3-06 / P-050), resolved against the DB, and bucketed
+// by its card_type; lines with no number fall back to a name lookup.
+async function parseDeckList(lines, lookup) {
+    const deck = { game: 'digimon', categories: { Digimon: [], Tamers: [], Options: [], 'Digi-Egg': [] } };
+
+    const QTY = /^(\d+)\s*x?\s+/i;
+    const NUM = /\b([A-Z]{1,3}\d{0,2}-\d{2,3}[A-Za-z]?)\b/;
+    const HEADER = /^(digimon|tamers?|options?|digi-?egg(?:\s*deck)?|egg deck|main deck|deck|total cards|total|cards)\s*:?\s*\d*\s*$/i;
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+        if (line.startsWith('//') || line.startsWith('#')) continue;
+        if (HEADER.test(line)) continue;
+
+        const qtyM = line.match(QTY);
+        const quantity = qtyM ? parseInt(qtyM[1], 10) : 1;
+
+        const numM = line.match(NUM);
+        let resolved = numM ? await resolveCard(lookup, { number: numM[1] }) : null;
+        if (!resolved) {
+            const name = line.replace(QTY, '').replace(NUM, '').replace(/\s+/g, ' ').trim();
+            if (name) resolved = await resolveCard(lookup, { name });
+        }
+        if (!resolved) continue;
+
+        const category = lookup.categorize(resolved);
+        if (!deck.categories[category]) deck.categories[category] = [];
+        const bucket = deck.categories[category];
+
+        const number = resolved.card_number || (numM ? numM[1] : '');
+        const existing = bucket.find(c => (number && c.number === number) || c.name === resolved.name);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            bucket.push({
+                quantity,
+                name: resolved.name,
+                setCode: resolved.set_abbreviation || resolved.set_code || '',
+                number,
+                cardType: resolved.card_type || '',
+                colors: resolved.colors || '',
+                image: resolved.display_image || resolved.image_url || resolved.local_image || '',
+                fullName: `${quantity} ${resolved.name} ${number}`.trim()
+            });
+        }
+    }
+
+    return deck;
+}
+
+module.exports = {
+    id: 'digimon',
+    name: 'Digimon Card Game',
+    order: 50,
+
+    fetcher: {
+        source: 'digimoncard.io',
+        fetchCards: (api, progress, incremental, setCount) => api.fetchDigimonCards(progress, incremental, setCount),
+        // No set listing endpoint: sets are ordered by the newest card each one holds.
+        async orderedSetCodes(api, { clean, headers }) {
+            const resp = await api.getWithRetry('https://digimoncard.io/api-public/search.php',
+                { params: { sort: 'name', sortdirection: 'asc', series: 'Digimon Card Game' }, timeout: 60000, headers });
+            const list = Array.isArray(resp.data) ? resp.data : [];
+            const setOf = (id) => { const m = String(id || '').match(/^([A-Za-z]+\d*)-/); return m ? m[1].toUpperCase() : 'OTHER'; };
+            const setDate = {};
+            list.forEach(c => { const s = setOf(c.id); const d = c.date_added || ''; if (!setDate[s] || d > setDate[s]) setDate[s] = d; });
+            const ordered = Object.keys(setDate).sort((a, b) => (setDate[a] === setDate[b] ? (a < b ? 1 : -1) : (setDate[a] < setDate[b] ? 1 : -1)));
+            return clean(ordered);
+        }
+    },
+
+    columns: {
+        play_cost: 'INTEGER',
+        digivolve_cost: 'INTEGER',
+        digivolve_color: 'TEXT',
+        dp: 'INTEGER',
+        digimon_level: 'INTEGER',
+        digimon_type: 'TEXT',
+        digimon_attribute: 'TEXT',
+        colors: 'TEXT'
+    },
+    searchColumns: ['play_cost', 'digivolve_cost', 'digivolve_color', 'dp', 'digimon_level', 'colors'],
+
+    match: {
+        key: 'digimon',
+        slice: 'digimonMatch',
+        clock: 50 * 60,
+        rules: RULES,
+
+        fresh: (previous) => freshMatch(freshPlayer, previous, { memory: 0 }),
+        syncFields: ['memory'],
+
+        reducers: {
+            // Bulk update (shared memory / player boards / turn / game / format) - control
+            // load + show. memory is the SHARED gauge, so it lives at the top level.
+            'digimon-match-update': (state, data, { emit }) => {
+                if (data.memory !== undefined) state.memory = clampMemory(data.memory);
+                mergeBoard(state, data);
+                emit('digimon-match-update', data);
+            },
+            // The SHARED memory gauge (one widget for both players): negative = Player
+            // 1's side, positive = Player 2's side, 0 = neutral center.
+            'digimon-memory-update': (state, data, { emit }) => {
+                state.memory = clampMemory(data.memory);
+                emit('digimon-memory-update', { memory: state.memory, timestamp: Date.now() });
+            },
+            // An array sets the whole taken-list; an index toggles one security card
+            // (mirrors gundam-shield-taken / onepiece-life-taken).
+            'digimon-security-taken': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                const set = Array.isArray(data.securityTaken);
+                if (set) p.securityTaken = data.securityTaken;
+                else toggleTaken(p.securityTaken, data.index);
+                p.security = RULES.security - p.securityTaken.length;
+                emit('digimon-security-taken', {
+                    player: data.player,
+                    index: set ? null : data.index,
+                    securityTaken: p.securityTaken,
+                    security: p.security,
+                    timestamp: Date.now()
+                });
+            },
+            'digimon-security-reset': (state, data, { emit }) => {
+                ['player1', 'player2'].forEach(p => {
+                    state[p].securityTaken = [];
+                    state[p].security = RULES.security;
+                });
+                emit('digimon-security-reset', { timestamp: Date.now() });
+            },
+            // Set, clear (unit=null), or edit (full object incl dp/level/stack) a Battle
+            // Area slot (0-5). A digivolution stack is one unit with a stack-depth count.
+            'digimon-battle-update': slotReducer('digimon-battle-update', 'battle', 'unit', RULES.battle),
+            'digimon-breeding-update': fieldReducer('digimon-breeding-update', 'breeding'),
+            // Replace the Tamer chip list wholesale.
+            'digimon-tamer-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.tamers = Array.isArray(data.tamers) ? data.tamers : [];
+                emit('digimon-tamer-update', { player: data.player, tamers: p.tamers, timestamp: Date.now() });
+            },
+            'digimon-counts-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.counts = { ...p.counts, ...data.counts };
+                emit('digimon-counts-update', { player: data.player, counts: p.counts, timestamp: Date.now() });
+            },
+            ...recordReducers('digimon')
+        },
+
+        schemas: {
+            'digimon-match-update': S.bulkUpdate({
+                security: S.optional(S.int(0, RULES.security)),
+                securityTaken: S.optional(S.takenList(RULES.security)),
+                battle: S.optional(S.cards(RULES.battle, unit)),
+                breeding: S.optional(S.card(unit)),
+                tamers: S.optional(S.cards(20)),
+                counts: S.optional(counts)
+            }, { memory: S.optional(memory) }),
+            'digimon-memory-update': S.obj({ memory }),
+            'digimon-security-taken': S.obj({ player: S.player, index: S.optional(S.slot(RULES.security)), securityTaken: S.optional(S.takenList(RULES.security)) },
+                (data) => (data.index === undefined && data.securityTaken === undefined ? 'index or securityTaken is required' : null)),
+            'digimon-battle-update': S.slotField(RULES.battle, 'unit', S.card(unit)),
+            'digimon-breeding-update': S.playerField('breeding', S.card(unit)),
+            'digimon-tamer-update': S.playerField('tamers', S.cards(20)),
+            'digimon-counts-update': S.playerField('counts', counts),
+            'digimon-record-update': S.playerField('record', S.record),
+            'digimon-games-won-update': S.playerField('gamesWon', S.gamesWon)
+        }
+    },
+
+    deck: {
+        parse: parseDeckList,
+        detect: [
+            // The BT (Booster) prefix is unique to Digimon (ST / EB / EX are shared
+            // with Gundam and One Piece), so it is checked before Gundam, whose ST/EX
+            // check would otherwise swallow a Digimon deck. Numbers run 1-2 digits
+            // before the dash and 2-3 after (BT7-112, BT19-096). KNOWN LIMIT: a pure
+            // starter deck with no BT card (all ST/EX) can fall through to Gundam.
+            { priority: 20, patterns: [/\bBT\d{1,2}-\d{2,3}\b/i] }
+        ],
+        // Main deck = Digimon + Tamers + Options (exactly 50). The Digi-Egg deck
+        // (0-5) is a separate mini-deck, NOT part of the 50. Dual cards are played
+        // as Digimon, so they bucket there.
+        categories: ['Digimon', 'Tamers', 'Options', 'Digi-Egg'],
+        categorize: {
+            rules: [['egg', 'Digi-Egg'], ['tamer', 'Tamers'], ['option', 'Options']],
+            otherwise: 'Digimon'
+        },
+        rules: { main: 50, egg: 5, copyLimit: 4 },
+        sections: { 'Digi-Egg': { rule: 'egg' } },
+        copies: { by: 'number' },
+        // Color is informational only - multi-color decks are legal and there is no
+        // color-identity limit (unlike OP/Lorcana/Gundam).
+        formats: ['Standard', 'Unlimited'],
+        // Bandai restriction snapshot. Seeded empty; fill from the official B&R list
+        // (world.digimoncard.com/rule/restriction_card). Restricted = 1 copy.
+        banlist: {
+            Standard: { banned: [], restricted: [] },
+            Unlimited: { banned: [], restricted: [] }
+        }
+    },
+
+    registry: {
+        label: 'Digimon',
+        style: 'btn-accent',
+        badge: 'bg-gradient-to-br from-blue-500 to-cyan-600',
+        searchMeta: { parts: ['Cost {play_cost}', 'DP {dp}', 'Lv.{digimon_level}'], otherwise: ['colors', 'card_type'] }
+    },
+
+    search: {
+        fields: {
+            c: { column: 'colors', kind: 'text' },
+            color: 'c',
+            cost: { column: 'play_cost', kind: 'number' },
+            dp: { column: 'dp', kind: 'number' },
+            lv: { column: 'digimon_level', kind: 'number' },
+            level: 'lv',
+            evo: { column: 'digivolve_cost', kind: 'number' },
+            dtype: { column: 'digimon_type', kind: 'text' },
+            attr: { column: 'digimon_attribute', kind: 'text' },
+            attribute: 'attr'
+        },
+        facets: [SET_FACET, RARITY_FACET, TYPE_FACET, colorFacet('c', 'colors'), costFacet('cost', 'play_cost')]
+    },
+
+    stats: {
+        cost: 'play_cost',
+        costLabel: 'Play cost',
+        curveMax: 12,
+        colors: (card) => splitList(card.colors),
+        type: (card) => card.card_type || 'Other',
+        odds: [
+            { label: 'Level 3 Digimon in the opening 5', test: (card) => card.digimon_level === 3 }
+        ]
+    },
+
+    // One mulligan; 5 cards set aside as the Security stack
+    sampleHand: { hand: 5, mulligan: 'once', setAside: { label: 'Security', count: RULES.security } },
+
+    overlaySettings: {
+        showMemory: true,
+        memoryGauge: 10,
+        showBreedingArea: true,
+        showSecurity: true,
+        securityCount: 5,
+        categories: ['Digimon', 'Tamers', 'Options', 'Digi-Egg']
+    }
+};
@@ -0,0 +1,341 @@
+// src/games/fab.js - Flesh and Blood plugin (see src/games/index.js).
+//
+// Match board: a featured Hero whose health seeds a 40-ish LIFE total counting
+// down, four equipment slots plus an off-hand, two weapon slots, a single
+// Arsenal card (face up or down), and the PITCH ZONE - the cards pitched this
+// turn, with the resource points still floating from them. The pitch zone and
+// floating resources are emptied together at the end of each turn.
+const S = require('../event-schemas');
+const {
+    PLAYERS, freshMatch, mergeBoard, slotReducer, fieldReducer, recordReducers,
+    resolveCard, SET_FACET, RARITY_FACET, TYPE_FACET, costFacet, lower, splitList
+} = require('./_shared');
+
+const RULES = { life: 99, weapons: 2, pitch: 20, resources: 99 };
+const EQUIPMENT_SLOTS = ['head', 'chest', 'arms', 'legs', 'offHand'];
+
+// A blank Flesh and Blood player board. life is a plain counter (40 until a
+// Hero is assigned); equipment is keyed by slot and weapons is a fixed 2-slot
+// row (null = empty). pitch is the list of cards pitched this turn.
+function freshPlayer(name) {
+    return {
+        name,
+        record: { wins: 0, losses: 0, ties: 0 },
+        gamesWon: 0,
+        hero: null,                                   // {id,name,image,life,heroClass}
+        life: 40,
+        equipment: { head: null, chest: null, arms: null, legs: null, offHand: null }, // {id,name,image,defense}
+        weapons: [null, null],                        // {id,name,image,power}
+        arsenal: null,                                // {id,name,image,pitch,faceDown}
+        pitch: [],                                    // {id,name,image,pitch}
+        resources: 0
+    };
+}
+
+const clampLife = (value) => Math.max(0, Math.min(RULES.life, value | 0));
+
+const hero = { life: S.int(0, RULES.life), heroClass: S.str(60) };
+const equipmentCard = S.card({ defense: S.int(0, 9) });
+const equipment = S.obj(Object.fromEntries(EQUIPMENT_SLOTS.map(slot => [slot, S.optional(equipmentCard)])));
+const weapon = { power: S.int(0, 99) };
+const pitched = { pitch: S.int(0, 3) };
+const arsenal = { pitch: S.int(0, 3), faceDown: S.bool() };
+
+const PITCH_VALUE = { red: 1, yellow: 2, blue: 3 };
+
+// Fabrary text exports and CardCast's own. Fabrary opens with "Name:", "Hero:"
+// and "Format:" lines, then lists "Arena cards" (weapons + equipment) and "Deck
+// cards" as "3x Card Name (red)"; the pitch color in brackets tells the red,
+// yellow and blue printings apart. The Hero line becomes the single Hero card;
+// every other line is resolved against the DB (by card number when the line
+// ends with one) and bucketed by its card_type.
+async function parseDeckList(lines, lookup) {
+    const deck = {
+        game: 'fab',
+        categories: { Hero: [], Weapons: [], Equipment: [], Attacks: [], Actions: [], Reactions: [], Instants: [] }
+    };
+
+    const QTY = /^(\d+)\s*x?\s+/i;
+    const PITCH = /\s*\((red|yellow|blue)\)\s*$/i;
+    // Trailing "SET NUMBER" from a CardCast export ("WTR WTR098"), or a bare number.
+    const NUM = /\s+(?:[A-Z0-9]{2,4}\s+)?([A-Z]{3}\d{3})\s*$/;
+    // Fabrary's "Hero: Name" line (a CardCast "Hero: 1" section header is a count).
+    const HERO = /^hero\s*:\s*(.*\D.*)$/i;
+    // Deck name / format / footer lines and section headers. Skipped.
+    const META = /^(name|format|deck build|made with|see the full deck)\b.*$/i;
+    const HEADER = /^(hero|heroes|weapons?|equipment|attacks?|actions?|reactions?|instants?|arena cards|deck cards|main deck|deck|total cards|total|cards)\s*:?\s*\d*\s*$/i;
+
+    const add = (resolved, quantity) => {
+        const category = lookup.categorize(resolved);
+        if (!deck.categories[category]) deck.categories[category] = [];
+        const bucket = deck.categories[category];
+
+        const number = resolved.card_number || '';
+        const pitch = resolved.pitch_value != null ? resolved.pitch_value : null;
+        const color = resolved.colors ? ` (${resolved.colors.toLowerCase()})` : '';
+        const existing = bucket.find(c => (number && c.number === number) || (c.name === resolved.name && c.pitch === pitch));
+        if (existing) {
+            existing.quantity += quantity;
+            existing.fullName = `${existing.quantity} ${existing.name}${color}`;
+        } else {
+            bucket.push({
+                quantity,
+                name: resolved.name,
+                setCode: resolved.set_abbreviation || resolved.set_code || '',
+                number,
+                pitch,
+                cardType: resolved.card_type || '',
+                colors: resolved.colors || '',
+                image: resolved.display_image || resolved.image_url || resolved.local_image || '',
+                fullName: `${quantity} ${resolved.name}${color}`
+            });
+        }
+    };
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+        if (line.startsWith('//') || line.startsWith('#')) continue;
+        if (/^https?:\/\//i.test(line) || META.test(line) || HEADER.test(line)) continue;
+
+        const heroM = line.match(HERO);
+        if (heroM) {
+            const hero = await resolveCard(lookup, { name: heroM[1].trim() });
+            if (hero) add(hero, 1);
+            continue;
+        }
+
+        const qtyM = line.match(QTY);
+        const quantity = qtyM ? parseInt(qtyM[1], 10) : 1;
+        let name = (qtyM ? line.slice(qtyM[0].length) : line).trim();
+
+        const pitchM = name.match(PITCH);
+        const pitch = pitchM ? PITCH_VALUE[pitchM[1].toLowerCase()] : null;
+        if (pitchM) name = name.slice(0, pitchM.index).trim();
+        const numM = name.match(NUM);
+        if (numM) name = name.slice(0, numM.index).trim();
+        if (!name && !numM) continue;
+
+        // Most cards are printed in all three pitch colors under one name
+        let resolved = numM ? await resolveCard(lookup, { number: numM[1] }) : null;
+        if (!resolved && name) {
+            resolved = await resolveCard(lookup, { name },
+                (named) => (pitch != null ? named.find(c => c.pitch_value === pitch) : named[0]));
+        }
+        if (!resolved) continue;
+
+        add(resolved, quantity);
+    }
+
+    return deck;
+}
+
+module.exports = {
+    id: 'fab',
+    name: 'Flesh and Blood',
+    order: 80,
+
+    fetcher: {
+        source: 'the-fab-cube/flesh-and-blood-cards',
+        fetchCards: (api, progress, incremental, setCount) => api.fetchFabCards(progress, incremental, setCount),
+        // Same card data (and local dump) the downloader uses, ordered by release date.
+        async orderedSetCodes(api, { clean }) {
+            return clean(api.fabSetsByRecency(await api.loadFabData()));
+        }
+    },
+
+    columns: {
+        pitch_value: 'INTEGER',
+        resource_cost: 'INTEGER',
+        fab_attack: 'INTEGER',
+        fab_defense: 'INTEGER',
+        hero_class: 'TEXT',
+        life: 'INTEGER',
+        colors: 'TEXT'
+    },
+    searchColumns: ['pitch_value', 'resource_cost', 'fab_attack', 'fab_defense', 'hero_class', 'colors'],
+
+    match: {
+        key: 'fab',
+        slice: 'fabMatch',
+        clock: 55 * 60,
+        rules: RULES,
+
+        fresh: (previous) => freshMatch(freshPlayer, previous),
+
+        reducers: {
+            // Bulk update (player boards / turn / game / format) - control load + show.
+            'fab-match-update': (state, data, { emit }) => {
+                mergeBoard(state, data);
+                emit('fab-match-update', data);
+            },
+            // Set or clear (hero=null) the Hero. Assigning a Hero resets life to the
+            // Hero's health unless seedLife is explicitly false.
+            'fab-hero-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.hero = data.hero;
+                if (data.hero && data.seedLife !== false && data.hero.life != null) {
+                    p.life = clampLife(data.hero.life);
+                }
+                emit('fab-hero-update', { player: data.player, hero: data.hero, life: p.life, timestamp: Date.now() });
+            },
+            'fab-life-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.life = clampLife(data.life);
+                emit('fab-life-update', { player: data.player, life: p.life, timestamp: Date.now() });
+            },
+            // Set or clear (equipment=null) one equipment slot (head/chest/arms/legs/offHand).
+            'fab-equipment-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p || !EQUIPMENT_SLOTS.includes(data.slot)) return;
+                p.equipment[data.slot] = data.equipment;
+                emit('fab-equipment-update', { player: data.player, slot: data.slot, equipment: data.equipment, timestamp: Date.now() });
+            },
+            // Set or clear (weapon=null) a weapon slot (0-1); a 2H weapon uses slot 0.
+            'fab-weapon-update': slotReducer('fab-weapon-update', 'weapons', 'weapon', RULES.weapons),
+            // The single Arsenal card; faceDown hides it on the overlay.
+            'fab-arsenal-update': fieldReducer('fab-arsenal-update', 'arsenal'),
+            // Replace this turn's pitch zone wholesale.
+            'fab-pitch-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.pitch = Array.isArray(data.pitch) ? data.pitch : [];
+                emit('fab-pitch-update', { player: data.player, pitch: p.pitch, timestamp: Date.now() });
+            },
+            // Resource points floating from pitched cards, not yet spent.
+            'fab-resource-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.resources = Math.max(0, data.resources | 0);
+                emit('fab-resource-update', { player: data.player, resources: p.resources, timestamp: Date.now() });
+            },
+            // End of turn: pitched cards go to the bottom of the deck and unspent
+            // resources are lost, for both players.
+            'fab-pitch-reset': (state, data, { emit }) => {
+                PLAYERS.forEach(p => {
+                    state[p].pitch = [];
+                    state[p].resources = 0;
+                });
+                emit('fab-pitch-reset', { timestamp: Date.now() });
+            },
+            ...recordReducers('fab')
+        },
+
+        schemas: {
+            'fab-match-update': S.bulkUpdate({
+                hero: S.optional(S.card(hero)),
+                life: S.optional(S.int(0, RULES.life)),
+                equipment: S.optional(equipment),
+                weapons: S.optional(S.cards(RULES.weapons, weapon)),
+                arsenal: S.optional(S.card(arsenal)),
+                pitch: S.optional(S.cards(RULES.pitch, pitched)),
+                resources: S.optional(S.int(0, RULES.resources))
+            }),
+            'fab-hero-update': S.obj({
+                player: S.player,
+                hero: S.card(hero),
+                seedLife: S.optional(S.bool())
+            }),
+            'fab-life-update': S.playerField('life', S.int(0, RULES.life)),
+            'fab-equipment-update': S.obj({ player: S.player, slot: S.oneOf(...EQUIPMENT_SLOTS), equipment: equipmentCard }),
+            'fab-weapon-update': S.slotField(RULES.weapons, 'weapon', S.card(weapon)),
+            'fab-arsenal-update': S.playerField('arsenal', S.card(arsenal)),
+            'fab-pitch-update': S.playerField('pitch', S.cards(RULES.pitch, pitched)),
+            'fab-resource-update': S.playerField('resources', S.int(0, RULES.resources)),
+            'fab-record-update': S.playerField('record', S.record),
+            'fab-games-won-update': S.playerField('gamesWon', S.gamesWon)
+        }
+    },
+
+    deck: {
+        parse: parseDeckList,
+        detect: [
+            // Fabrary exports open with "Hero:" / "Format:" lines and list cards as
+            // "3x Name (red)" under "Arena cards" / "Deck cards" headers; none of
+            // that appears in the other games' exports.
+            { priority: 45, patterns: [/^\s*Hero:\s*\S/mi, /^\s*(?:Arena|Deck) cards\s*$/mi, /^\s*\d+\s*x\s+.+\((?:red|yellow|blue)\)\s*$/mi] },
+            // A headerless list of "3 Name WTR WTR098" lines (the shape of a CardCast
+            // export); the 3-letter set + 3-digit number ends the line. Ahead of
+            // Pokemon's "name SET number" rule, which would match across line breaks.
+            { priority: 75, min: 2, patterns: [/^\s*\d+\s*x?\s+.+\s[A-Z]{3}\d{3}\s*$/gm] }
+        ],
+        // Hero + Weapons + Equipment are the arena cards; the rest is the deck
+        // proper. card_type is the printed type line: "Warrior Hero - Young",
+        // "Generic Equipment - Head", "Ninja Action - Attack", "Wizard Instant".
+        categories: ['Hero', 'Weapons', 'Equipment', 'Attacks', 'Actions', 'Reactions', 'Instants'],
+        categorize: {
+            rules: [
+                ['hero', 'Hero'], ['weapon', 'Weapons'], ['equipment', 'Equipment'],
+                ['reaction', 'Reactions'], ['instant', 'Instants'], ['attack', 'Attacks']
+            ],
+            otherwise: 'Actions' // non-attack actions, auras, items
+        },
+        // Classic Constructed: exactly 1 Hero and 60+ deck cards besides the
+        // arena cards, max 3 copies per card.
+        rules: { main: 60, mainIsMinimum: true, hero: 1, copyLimit: 3 },
+        sections: { Hero: { rule: 'hero', exact: true }, Weapons: { rule: 'weapons' }, Equipment: { rule: 'equipment' } },
+        // The red, yellow and blue printings count separately (three red plus
+        // three blue is legal).
+        copies: { perPitch: true },
+        formats: ['Classic Constructed'],
+        // LSS banned snapshot. Seeded empty; fill from the official list
+        // (fabtcg.com/resources/rules-and-policy-center/banned-suspended-lists).
+        banlist: {
+            'Classic Constructed': []
+        }
+    },
+
+    registry: {
+        label: 'FaB',
+        style: 'btn-accent',
+        badge: 'bg-gradient-to-br from-rose-500 to-red-600',
+        searchMeta: { parts: ['Pitch {pitch_value}', 'Pow {fab_attack}', 'Def {fab_defense}'], otherwise: ['hero_class', 'card_type'] }
+    },
+
+    search: {
+        fields: {
+            pitch: { column: 'pitch_value', kind: 'number' },
+            p: 'pitch',
+            c: { column: 'colors', kind: 'text' },
+            color: 'c',
+            cost: { column: 'resource_cost', kind: 'number' },
+            pow: { column: 'fab_attack', kind: 'number' },
+            power: 'pow',
+            def: { column: 'fab_defense', kind: 'number' },
+            defense: 'def',
+            class: { column: 'hero_class', kind: 'text' },
+            life: { column: 'life', kind: 'number' }
+        },
+        facets: [
+            SET_FACET, RARITY_FACET, TYPE_FACET,
+            { key: 'color', label: 'Pitch color', field: 'c', op: '=', column: 'colors' },
+            costFacet('cost', 'resource_cost')
+        ]
+    },
+
+    // Colors are the pitch colors; types are the deck categories.
+    stats: {
+        cost: 'resource_cost',
+        costLabel: 'Cost',
+        curveMax: 6,
+        colors: (card) => splitList(card.colors),
+        odds: [
+            { label: 'Blue (3-pitch) card in the opening 4', test: (card) => card.pitch_value === 3 },
+            { label: '2+ attacks in the opening 4', atLeast: 2, test: (card) => lower(card.card_type).includes('attack') && !lower(card.card_type).includes('reaction') }
+        ]
+    },
+
+    // The usual hero intellect, no mulligan
+    sampleHand: { hand: 4 },
+
+    overlaySettings: {
+        showLife: true,
+        lifeTotal: 40,
+        showPitch: true,
+        showArsenal: true,
+        showChainLink: true,
+        categories: ['Hero', 'Weapons', 'Equipment', 'Attacks', 'Actions', 'Reactions', 'Instants']
+    }
+};
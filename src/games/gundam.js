@@ -0,0 +1,276 @@
+// src/games/gundam.js - Gundam Card Game plugin (see src/games/index.js).
+//
+// Match board (mirrors Pokemon; locked design): an equal 6-unit grid, 6
+// Shields, per-player Base + Resources, no turn-flag row.
+const S = require('../event-schemas');
+const {
+    freshMatch, mergeBoard, toggleTaken, slotReducer, fieldReducer, recordReducers,
+    resolveCard, SET_FACET, RARITY_FACET, TYPE_FACET, costFacet, colorFacet, splitList
+} = require('./_shared');
+
+const RULES = { units: 6, shields: 6, resources: 15, hp: 99 };
+
+// A blank Gundam player board. units is a fixed 6-slot grid (null = empty cell).
+function freshPlayer(name) {
+    return {
+        name,
+        record: { wins: 0, losses: 0, ties: 0 },
+        gamesWon: 0,
+        shields: RULES.shields,
+        shieldsTaken: [],
+        resources: { active: 0, total: 0, ex: false },
+        units: [null, null, null, null, null, null],
+        base: null
+    };
+}
+
+const unitStats = { currentHp: S.int(0, RULES.hp), maxHp: S.int(0, RULES.hp) };
+const resources = S.obj({
+    active: S.optional(S.int(0, RULES.resources)),
+    total: S.optional(S.int(0, RULES.resources)),
+    ex: S.optional(S.bool())
+});
+
+// ExBurst / EGMAN / official builder exports. Card-number-keyed and tolerant:
+// each non-header line is matched for a leading quantity and a GDxx-NNN style
+// number, resolved against the DB, and bucketed by its card_type. Lines with
+// no number fall back to a name lookup.
+async function parseDeckList(lines, lookup) {
+    const deck = { categories: { Units: [], Pilots: [], Commands: [], Bases: [], Resources: [] } };
+
+    const QTY = /^(\d+)\s*x?\s+/i;
+    const NUM = /([A-Z]{2,4}\d{2}-\d{3}[A-Za-z0-9_]*)/;
+    const HEADER = /^(resource deck|main deck|deck|sideboard|total cards|total|cards)\b/i;
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+        if (line.startsWith('//') || line.startsWith('#')) continue;
+        if (HEADER.test(line)) continue;
+
+        const qtyM = line.match(QTY);
+        const quantity = qtyM ? parseInt(qtyM[1], 10) : 1;
+
+        const numM = line.match(NUM);
+        let resolved = numM ? await resolveCard(lookup, { number: numM[1] }) : null;
+        if (!resolved) {
+            const name = line.replace(QTY, '').replace(NUM, '').replace(/\s+/g, ' ').trim();
+            if (name) resolved = await resolveCard(lookup, { name });
+        }
+        if (!resolved) continue;
+
+        const category = lookup.categorize(resolved);
+        if (!deck.categories[category]) deck.categories[category] = [];
+        const bucket = deck.categories[category];
+
+        const number = resolved.card_number || (numM ? numM[1] : '');
+        const existing = bucket.find(c => (number && c.number === number) || c.name === resolved.name);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            bucket.push({
+                quantity,
+                name: resolved.name,
+                setCode: resolved.set_abbreviation || resolved.set_code || '',
+                number,
+                cardType: resolved.card_type || '',
+                fullName: `${quantity} ${resolved.name} ${number}`.trim()
+            });
+        }
+    }
+
+    return deck;
+}
+
+module.exports = {
+    id: 'gundam',
+    name: 'Gundam Card Game',
+    order: 70,
+
+    // No public API: cards are scraped from the official site instead.
+    fetcher: {
+        source: 'gundam-gcg.com',
+        fetchCards: (api, progress, incremental, setCount) => api.fetchGundamCards(progress, incremental, setCount),
+        // The site lists code-less promo/basic "packages" first; clean() drops them.
+        async orderedSetCodes(api, { clean }) {
+            const packages = (await api.gundamScraper.getPackages()).slice().reverse();
+            return clean(packages.map(p => (p.code || '').toUpperCase()));
+        }
+    },
+
+    columns: {
+        gd_level: 'INTEGER',
+        gd_cost: 'INTEGER',
+        gd_color: 'TEXT',
+        gd_zone: 'TEXT',
+        gd_trait: 'TEXT',
+        gd_link: 'TEXT',
+        gd_ap: 'INTEGER',
+        gd_hp: 'INTEGER',
+        gd_source_title: 'TEXT',
+        gd_block_icon: 'TEXT',
+        gd_sp: 'TEXT'
+    },
+    searchColumns: ['gd_ap', 'gd_hp', 'gd_color'],
+
+    match: {
+        key: 'gundam',
+        slice: 'gundamMatch',
+        clock: 50 * 60,
+        rules: RULES,
+
+        fresh: (previous) => freshMatch(freshPlayer, previous),
+
+        reducers: {
+            // Bulk update (player boards / turn / game / format) - used on control load + show.
+            'gundam-match-update': (state, data, { emit }) => {
+                mergeBoard(state, data);
+                emit('gundam-match-update', data);
+            },
+            // Set or clear (unit=null) a battle-area grid cell.
+            'gundam-unit-update': slotReducer('gundam-unit-update', 'units', 'unit', RULES.units),
+            'gundam-unit-hp': (state, data, { emit }) => {
+                const unit = state[`player${data.player}`] && state[`player${data.player}`].units[data.index];
+                if (!unit) return;
+                unit.currentHp = data.currentHp;
+                if (data.maxHp !== undefined) unit.maxHp = data.maxHp;
+                emit('gundam-unit-hp', { player: data.player, index: data.index, currentHp: data.currentHp, maxHp: unit.maxHp, timestamp: Date.now() });
+            },
+            // Pair (pilot object) or unpair (pilot=null) a Pilot onto a unit.
+            'gundam-pilot-pair': (state, data, { emit }) => {
+                const unit = state[`player${data.player}`] && state[`player${data.player}`].units[data.index];
+                if (!unit) return;
+                unit.pilot = data.pilot;
+                emit('gundam-pilot-pair', { player: data.player, index: data.index, pilot: data.pilot, timestamp: Date.now() });
+            },
+            'gundam-base-update': fieldReducer('gundam-base-update', 'base'),
+            'gundam-base-hp': (state, data, { emit }) => {
+                const base = state[`player${data.player}`] && state[`player${data.player}`].base;
+                if (!base) return;
+                base.currentHp = data.currentHp;
+                if (data.maxHp !== undefined) base.maxHp = data.maxHp;
+                emit('gundam-base-hp', { player: data.player, currentHp: data.currentHp, maxHp: base.maxHp, timestamp: Date.now() });
+            },
+            'gundam-resource-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.resources = { ...p.resources, ...data.resources };
+                emit('gundam-resource-update', { player: data.player, resources: p.resources, timestamp: Date.now() });
+            },
+            // An array sets the whole taken-list; an index toggles one shield
+            // as taken/restored (mirrors the prize-card take logic).
+            'gundam-shield-taken': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                const set = Array.isArray(data.shieldsTaken);
+                if (set) p.shieldsTaken = data.shieldsTaken;
+                else toggleTaken(p.shieldsTaken, data.index);
+                p.shields = RULES.shields - p.shieldsTaken.length;
+                emit('gundam-shield-taken', {
+                    player: data.player,
+                    index: set ? null : data.index,
+                    shieldsTaken: p.shieldsTaken,
+                    shields: p.shields,
+                    timestamp: Date.now()
+                });
+            },
+            'gundam-shields-reset': (state, data, { emit }) => {
+                ['player1', 'player2'].forEach(p => {
+                    state[p].shieldsTaken = [];
+                    state[p].shields = RULES.shields;
+                });
+                emit('gundam-shields-reset', { timestamp: Date.now() });
+            },
+            ...recordReducers('gundam')
+        },
+
+        schemas: {
+            'gundam-match-update': S.bulkUpdate({
+                shields: S.optional(S.int(0, RULES.shields)),
+                shieldsTaken: S.optional(S.takenList(RULES.shields)),
+                resources: S.optional(resources),
+                units: S.optional(S.cards(RULES.units, unitStats)),
+                base: S.optional(S.card(unitStats))
+            }),
+            'gundam-unit-update': S.slotField(RULES.units, 'unit', S.card(unitStats)),
+            'gundam-unit-hp': S.obj({ player: S.player, index: S.slot(RULES.units), currentHp: S.int(0, RULES.hp), maxHp: S.optional(S.int(0, RULES.hp)) }),
+            'gundam-pilot-pair': S.slotField(RULES.units, 'pilot', S.card()),
+            'gundam-base-update': S.playerField('base', S.card(unitStats)),
+            'gundam-base-hp': S.obj({ player: S.player, currentHp: S.int(0, RULES.hp), maxHp: S.optional(S.int(0, RULES.hp)) }),
+            'gundam-resource-update': S.playerField('resources', resources),
+            'gundam-shield-taken': S.obj({ player: S.player, index: S.optional(S.slot(RULES.shields)), shieldsTaken: S.optional(S.takenList(RULES.shields)) },
+                (data) => (data.index === undefined && data.shieldsTaken === undefined ? 'index or shieldsTaken is required' : null)),
+            'gundam-record-update': S.playerField('record', S.record),
+            'gundam-games-won-update': S.playerField('gamesWon', S.gamesWon)
+        }
+    },
+
+    deck: {
+        parse: parseDeckList,
+        detect: [
+            // Card numbers like GD01-001 / ST01-012 / EB01-003 / EX01-001, or a
+            // "Resource Deck" section header (builder exports). ST / EB / EX are
+            // shared with One Piece and Digimon, which are checked first on their
+            // own unambiguous prefixes.
+            { priority: 30, patterns: [/\b(?:GD|ST|EB|EX)\d{2}-\d{3}/i, /^\s*resource deck\b/mi] }
+        ],
+        categories: ['Units', 'Pilots', 'Commands', 'Bases', 'Resources'],
+        // card_type is ALL CAPS; TOKEN / EX variants and the fullwidth
+        // "UNIT・TOKEN" land in the right bucket by substring.
+        categorize: {
+            rules: [['pilot', 'Pilots'], ['command', 'Commands'], ['resource', 'Resources'], ['base', 'Bases']],
+            otherwise: 'Units'
+        },
+        // Main deck = Units+Pilots+Commands+Bases (50). Resource deck = 10. Max 4 copies/number.
+        rules: { main: 50, resources: 10, copyLimit: 4 },
+        // The resource deck is uniform cards, so the copy limit does not apply to it.
+        sections: { Resources: { rule: 'resources', exact: true, uncapped: true } },
+        copies: { by: 'number' },
+        // formatSets limit each format to its set pool in deck-validator.js.
+        formats: ['Unlimited', 'GD04 Standard', 'GD03', 'GD02', 'GD01'],
+        // Best-effort set pools for the legality check (cards are matched on setCode).
+        // TODO: verify exact set membership against egmanevents.com/gundam-gdXX-format.
+        formatSets: {
+            Unlimited: '*',
+            'GD04 Standard': ['GD01', 'GD02', 'GD03', 'GD04', 'ST01', 'ST02', 'ST03', 'ST04', 'ST05', 'ST06', 'ST07', 'ST08', 'ST09', 'ST10', 'EB01'],
+            GD03: ['GD01', 'GD02', 'GD03', 'ST01', 'ST02', 'ST03', 'ST04', 'ST05', 'ST06', 'EB01'],
+            GD02: ['GD01', 'GD02', 'ST01', 'ST02', 'ST03', 'ST04', 'EB01'],
+            GD01: ['GD01', 'ST01', 'ST02', 'ST03', 'ST04']
+        }
+    },
+
+    registry: {
+        label: 'Gundam',
+        style: 'btn-info',
+        badge: 'bg-gradient-to-br from-sky-600 to-indigo-700',
+        searchMeta: { parts: ['AP {gd_ap}', 'HP {gd_hp}'], otherwise: ['card_type'] }
+    },
+
+    search: {
+        fields: {
+            c: { column: 'gd_color', kind: 'text' },
+            color: 'c',
+            cost: { column: 'gd_cost', kind: 'number' },
+            lv: { column: 'gd_level', kind: 'number' },
+            level: 'lv',
+            ap: { column: 'gd_ap', kind: 'number' },
+            hp: { column: 'gd_hp', kind: 'number' },
+            zone: { column: 'gd_zone', kind: 'text' },
+            trait: { column: 'gd_trait', kind: 'text' },
+            link: { column: 'gd_link', kind: 'text' }
+        },
+        facets: [SET_FACET, RARITY_FACET, TYPE_FACET, colorFacet('c', 'gd_color'), costFacet('cost', 'gd_cost')]
+    },
+
+    stats: {
+        cost: 'gd_cost',
+        costLabel: 'Cost',
+        curveMax: 7,
+        colors: (card) => splitList(card.gd_color || card.colors),
+        type: (card) => card.card_type || 'Other',
+        odds: []
+    },
+
+    // One redraw; 6 Shields
+    sampleHand: { hand: 5, mulligan: 'once', setAside: { label: 'Shields', count: 6 } }
+};
@@ -0,0 +1,256 @@
+// src/games/index.js - Game plugin discovery.
+//
+// Every supported game is one module in this folder (src/games/<id>.js) that
+// declares everything the core needs to know about it:
+//
+//   id, name, order   game id as used by the REST API and the database, display
+//                     name, and sort order in game lists
+//   fetcher           { source, fetchCards(api, progress, incremental, setCount),
+//                     orderedSetCodes(api) } - card download (src/tcg-api.js)
+//   columns           { column: SQL type } of its cards table columns, and
+//   searchColumns     the ones search results carry (src/database.js)
+//   match             the match board, when the game has one:
+//                       key        match key in events and routes ('mtg')
+//                       slice      OverlayServer state key ('mtgMatch')
+//                       clock      default round length (s)
+//                       rules      the bounds its schemas check
+//                       fresh(previous) a new match state (previous = the one
+//                                  being reset, undefined on first start)
+//                       reducers   { event: (state, data, ctx) } applying each
+//                                  socket event to the state; ctx.emit
+//                                  broadcasts, ctx.adjustClock moves the clock
+//                                  and ctx.restart resets clock and match log
+//                       schemas    { event: schema } (src/event-schemas.js)
+//                       sync(state) / syncFields  what a freshly-loaded overlay
+//                                  receives (see getMatchSyncEvents)
+//   deck              the deck lists and deck builder:
+//                       parse(lines, lookup)  a pasted list -> the saved deck
+//                                  shape; lookup is { search(q), card(id),
+//                                  categorize(card) } (src/deck-import.js)
+//                       detect / fallback  the patterns that pick this game
+//                                  for a pasted list (see detectDeck)
+//                       categories, categorize  the deck builder's buckets and
+//                                  { fields?, rules: [[substring(s), category]],
+//                                  otherwise } to sort a card row into them
+//                       rules, formats, banlist?, formatSets?  legality checks
+//                       sections   { category: { rule, exact?, uncapped? } }
+//                                  kept out of the main deck count
+//                       copies?    { by: 'number', perPitch } how the copy
+//                                  limit tells cards apart
+//                       basics?    RegExp of card names with no copy limit
+//                       colorIdentity?  category whose card's colors every
+//                                  other card must share (One Piece's Leader)
+//   registry          { label, style, badge, searchMeta } for the main page's
+//                     match links, game tile and the stat line on search results
+//                     (public/js/game-registry.js); searchMeta is
+//                     { parts: ['HP {hp}', { template, missing }], otherwise:
+//                     [column, ...] }
+//   search            { fields, facets } - the search syntax's field aliases and
+//                     the filter chips (src/search-query.js)
+//   stats             { cost, costLabel, curveMax, curveSkip?, colors(card),
+//                     type?(card), odds } for src/deck-stats.js
+//   sampleHand        { hand, mulligan?, alter?, basic?, setAside? } for
+//                     src/sample-hand.js
+//   overlaySettings   the main overlay's gameSettings (src/overlay-server.js)
+//   setCode           'print' when set codes name a print (LOB-EN001) rather
+//                     than a set (src/database.js refreshSets)
+//
+// Everything that reaches the browser goes through clientManifest(), so those
+// declarations are plain data.
+//
+// Plugins are discovered when this module is first required; files starting
+// with "_" are helpers, not plugins. A plugin that fails to load or is missing
+// a required field is logged and skipped, so one broken game never takes the
+// others down. Match pages are served from overlays/<key>-match.html and
+// <key>-match-control.html.
+const fs = require('fs');
+const path = require('path');
+const { coreSchemas, validateEvent } = require('../event-schemas');
+
+// Games listed (and shown as coming soon) before they have a plugin.
+const COMING_SOON = {
+    starwars: 'Star Wars Unlimited'
+};
+
+// The first thing wrong with a plugin, or null.
+function pluginError(plugin) {
+    if (!plugin || typeof plugin !== 'object') return 'does not export a plugin object';
+    if (typeof plugin.id !== 'string' || !/^[a-z0-9]+$/.test(plugin.id)) return 'needs a lowercase id';
+    if (typeof plugin.name !== 'string' || !plugin.name) return 'needs a name';
+    if (plugin.fetcher && typeof plugin.fetcher.fetchCards !== 'function') return 'fetcher needs fetchCards()';
+    const match = plugin.match;
+    if (match) {
+        if (typeof match.key !== 'string' || !/^[a-z0-9]+$/.test(match.key)) return 'match needs a lowercase key';
+        if (typeof match.slice !== 'string') return 'match needs a state slice';
+        if (typeof match.fresh !== 'function') return 'match needs fresh()';
+        if (!match.reducers || typeof match.reducers !== 'object') return 'match needs reducers';
+    }
+    if (plugin.deck && typeof plugin.deck.parse !== 'function') return 'deck needs parse()';
+    return null;
+}
+
+class GameRegistry {
+    constructor(dir) {
+        this.plugins = [];
+        this.load(dir);
+        this.schemas = {
+            ...coreSchemas(this.matches().map(plugin => plugin.match.key)),
+            ...Object.assign({}, ...this.matches().map(plugin => plugin.match.schemas || {}))
+        };
+    }
+
+    load(dir) {
+        const files = fs.readdirSync(dir)
+            .filter(file => file.endsWith('.js') && file !== 'index.js' && !file.startsWith('_'))
+            .sort();
+        files.forEach(file => {
+            let plugin;
+            try {
+                plugin = require(path.join(dir, file));
+            } catch (error) {
+                console.error(`Could not load game plugin ${file}:`, error.message);
+                return;
+            }
+            const error = pluginError(plugin)
+                || (this.has(plugin.id) && `repeats the game id ${plugin.id}`)
+                || (plugin.match && this.match(plugin.match.key) && `repeats the match key ${plugin.match.key}`);
+            if (error) {
+                console.error(`Skipping game plugin ${file}: ${error}`);
+                return;
+            }
+            this.plugins.push(plugin);
+        });
+        this.plugins.sort((a, b) => (a.order || 0) - (b.order || 0));
+    }
+
+    list() {
+        return this.plugins;
+    }
+
+    ids() {
+        return this.plugins.map(plugin => plugin.id);
+    }
+
+    has(id) {
+        return this.plugins.some(plugin => plugin.id === id);
+    }
+
+    get(id) {
+        return this.plugins.find(plugin => plugin.id === id) || null;
+    }
+
+    // Display name for any game id, including the coming-soon ones.
+    name(id) {
+        const plugin = this.get(id);
+        return plugin ? plugin.name : (COMING_SOON[id] || id);
+    }
+
+    // Short label for links and lists ('MTG'); the name when the plugin has none.
+    label(id) {
+        const plugin = this.get(id);
+        return (plugin && plugin.registry && plugin.registry.label) || this.name(id);
+    }
+
+    comingSoon() {
+        return Object.keys(COMING_SOON).filter(id => !this.has(id));
+    }
+
+    // Plugins with a match board.
+    matches() {
+        return this.plugins.filter(plugin => plugin.match);
+    }
+
+    // Plugin by match key ('mtg'), or null.
+    match(key) {
+        return this.plugins.find(plugin => plugin.match && plugin.match.key === key) || null;
+    }
+
+    // Every plugin's cards columns, { column: SQL type }. Games may share a
+    // column (colors, cost); the first declaration wins.
+    columns() {
+        const columns = {};
+        this.plugins.forEach(plugin => {
+            Object.entries(plugin.columns || {}).forEach(([column, type]) => {
+                if (!(column in columns)) columns[column] = type;
+                else if (columns[column] !== type) {
+                    console.error(`Game plugin ${plugin.id} declares ${column} as ${type}, already ${columns[column]}`);
+                }
+            });
+        });
+        return columns;
+    }
+
+    searchColumns() {
+        return [...new Set(this.plugins.flatMap(plugin => plugin.searchColumns || []))];
+    }
+
+    validateEvent(event, payload) {
+        return validateEvent(this.schemas, event, payload);
+    }
+
+    // Match key an event is about: the plugin that handles it, else the
+    // { match } of a shared event (timer-start, match-undo, ...), or null.
+    eventMatch(event, payload) {
+        const plugin = this.matches().find(p => p.match.reducers[event] || (p.match.schemas && p.match.schemas[event]));
+        if (plugin) return plugin.match.key;
+        const key = payload && typeof payload === 'object' ? payload.match : null;
+        return this.match(key) ? key : null;
+    }
+
+    // Which game a pasted deck list is for. Each plugin's deck.detect rules are
+    // tried in priority order (lowest first): a rule matches when any of its
+    // patterns does, or - with min - when its pattern matches at least min lines.
+    // The order matters: One Piece (OP/PRB) and Digimon (BT) card numbers are
+    // checked before Gundam, which shares the ST/EB/EX prefixes with both, and
+    // explicit Pokemon/MTG export markers win over Lorcana's " - " subtitle lines.
+    // Lists nothing claims go to the fallback plugin (Pokemon).
+    detectDeck(text) {
+        const decks = this.plugins.filter(plugin => plugin.deck);
+        const rules = decks
+            .flatMap(plugin => (plugin.deck.detect || []).map(rule => ({ ...rule, game: plugin.id })))
+            .sort((a, b) => a.priority - b.priority);
+        const count = (re) => (text.match(new RegExp(re.source, re.flags.includes('g') ? re.flags : re.flags + 'g')) || []).length;
+
+        for (const rule of rules) {
+            const matched = rule.min > 1
+                ? rule.patterns.some(re => count(re) >= rule.min)
+                : rule.patterns.some(re => new RegExp(re.source, re.flags.replace('g', '')).test(text));
+            if (matched) return rule.game;
+        }
+        const fallback = decks.find(plugin => plugin.deck.fallback);
+        return fallback ? fallback.id : null;
+    }
+
+    // What the browser needs (served as /js/game-plugins.js): plain JSON, with
+    // regular expressions as { source, flags }.
+    clientManifest() {
+        const pattern = (re) => (re ? { source: re.source, flags: re.flags } : null);
+        return this.plugins.map(plugin => {
+            const deck = plugin.deck;
+            const registry = plugin.registry || {};
+            return {
+                id: plugin.id,
+                name: plugin.name,
+                match: plugin.match ? plugin.match.key : null,
+                label: this.label(plugin.id),
+                style: registry.style || 'btn-primary',
+                badge: registry.badge || null,
+                searchMeta: registry.searchMeta || null,
+                deck: deck ? {
+                    categories: deck.categories || [],
+                    categorize: deck.categorize || null,
+                    rules: deck.rules || {},
+                    formats: deck.formats || [],
+                    banlist: deck.banlist,
+                    formatSets: deck.formatSets,
+                    sections: deck.sections || {},
+                    copies: deck.copies || {},
+                    basics: pattern(deck.basics),
+                    colorIdentity: deck.colorIdentity || null
+                } : null
+            };
+        });
+    }
+}
+
+module.exports = new GameRegistry(__dirname);
@@ -0,0 +1,286 @@
+// src/games/lorcana.js - Disney Lorcana plugin (see src/games/index.js).
+//
+// Match board (mirrors One Piece): NO life total - the headline is a LORE race
+// counting UP to 20 (first to 20 wins). Each player also has an Ink resource
+// (available/total), a row of up to 6 Characters (Strength/Willpower/Lore +
+// accumulated damage toward Willpower + ready/exerted), up to 3 Locations
+// (Willpower + Lore/turn), and optional Items. No turn-flag row.
+const S = require('../event-schemas');
+const {
+    freshMatch, mergeBoard, slotReducer, recordReducers,
+    resolveCard, SET_FACET, RARITY_FACET, TYPE_FACET, costFacet, colorFacet, splitList
+} = require('./_shared');
+
+// 20 lore wins; effects can raise the goal
+const RULES = { characters: 6, locations: 3, lore: 30, ink: 60 };
+
+// A blank Lorcana player board. lore counts UP toward loreGoal (20 = win) - it
+// is NOT a depleting life total. characters is a fixed 6-slot row and locations
+// a fixed 3-slot row (null = empty); items is a free list of chips.
+function freshPlayer(name) {
+    return {
+        name,
+        record: { wins: 0, losses: 0, ties: 0 },
+        gamesWon: 0,
+        lore: 0,
+        loreGoal: 20,
+        ink: { available: 0, total: 0 },
+        characters: [null, null, null, null, null, null], // {id,name,image,strength,willpower,lore,damage,exerted}
+        locations: [null, null, null],                     // {id,name,image,willpower,lore}
+        items: []                                          // {id,name,image}
+    };
+}
+
+const character = { strength: S.int(0, 99), willpower: S.int(0, 99), lore: S.int(0, 99), damage: S.int(0, 99), exerted: S.bool() };
+const location = { willpower: S.int(0, 99), lore: S.int(0, 99) };
+const ink = S.obj({
+    available: S.optional(S.int(0, RULES.ink)),
+    total: S.optional(S.int(0, RULES.ink))
+}, (value, path) => (value.available !== undefined && value.total !== undefined && value.available > value.total
+    ? `${path}.available must be at most the ink total`
+    : null));
+
+// Dreamborn / Pixelborn / inkdecks / Ravensburger app exports: "quantity name"
+// lines, where names usually carry a " - " version subtitle. The name after the
+// quantity is resolved against the DB; when that misses, a trailing set/number
+// token (Dreamborn sometimes appends one) is stripped and the name retried.
+async function parseDeckList(lines, lookup) {
+    const deck = { game: 'lorcana', categories: { Characters: [], Actions: [], Items: [], Locations: [] } };
+
+    const QTY = /^(\d+)\s*x?\s+/i;
+    // Section headers some exports emit (grouped by type or ink). Skipped.
+    const HEADER = /^(deck|mainboard|main deck|sideboard|characters?|actions?|songs?|items?|locations?|total cards?|total|cards|ink(?:able)?|amber|amethyst|emerald|ruby|sapphire|steel)\s*:?\s*\d*\s*$/i;
+    // Trailing set/number tokens to strip on a failed name lookup. "(TFC) 42" or "TFC 42".
+    const TRAIL_PARENS = /\s*\([A-Z0-9]{1,4}\)\s*\d+[a-z]?$/i;
+    const TRAIL_PLAIN = /\s+[A-Z0-9]{1,4}\s+\d+[a-z]?$/i;
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+        if (line.startsWith('//') || line.startsWith('#')) continue;
+        if (HEADER.test(line)) continue;
+
+        const qtyM = line.match(QTY);
+        const quantity = qtyM ? parseInt(qtyM[1], 10) : 1;
+        const name = (qtyM ? line.slice(qtyM[0].length) : line).trim();
+        if (!name) continue;
+
+        let resolved = await resolveCard(lookup, { name });
+        if (!resolved) {
+            let stripped = name.replace(TRAIL_PARENS, '').trim();
+            if (stripped === name) stripped = name.replace(TRAIL_PLAIN, '').trim();
+            if (stripped && stripped !== name) resolved = await resolveCard(lookup, { name: stripped });
+        }
+        if (!resolved) continue;
+
+        const category = lookup.categorize(resolved);
+        if (!deck.categories[category]) deck.categories[category] = [];
+        const bucket = deck.categories[category];
+
+        const existing = bucket.find(c => c.name === resolved.name);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            bucket.push({
+                quantity,
+                name: resolved.name,
+                setCode: resolved.set_abbreviation || resolved.set_code || '',
+                number: resolved.card_number || '',
+                cardType: resolved.card_type || '',
+                colors: resolved.colors || '',
+                image: resolved.display_image || resolved.image_url || resolved.local_image || '',
+                fullName: `${quantity} ${resolved.name}`.trim()
+            });
+        }
+    }
+
+    return deck;
+}
+
+module.exports = {
+    id: 'lorcana',
+    name: 'Disney Lorcana',
+    order: 40,
+
+    fetcher: {
+        source: 'Lorcast',
+        fetchCards: (api, progress, incremental, setCount) => api.fetchLorcanaCards(progress, incremental, setCount),
+        async orderedSetCodes(api, { clean, headers }) {
+            const now = new Date();
+            const resp = await api.getWithRetry('https://api.lorcast.com/v0/sets', { timeout: 30000, headers });
+            const sets = (resp.data?.results || [])
+                .filter(s => s.released_at && new Date(s.released_at) <= now)
+                .sort((a, b) => new Date(b.released_at) - new Date(a.released_at));
+            return clean(sets.map(s => s.code));
+        }
+    },
+
+    columns: {
+        ink_cost: 'INTEGER',
+        strength: 'INTEGER',
+        willpower: 'INTEGER',
+        lore_value: 'INTEGER',
+        inkable: 'BOOLEAN',
+        colors: 'TEXT'
+    },
+    searchColumns: ['ink_cost', 'strength', 'willpower', 'lore_value', 'inkable', 'colors'],
+
+    match: {
+        key: 'lorcana',
+        slice: 'lorcanaMatch',
+        clock: 50 * 60,
+        rules: RULES,
+
+        fresh: (previous) => freshMatch(freshPlayer, previous),
+
+        reducers: {
+            // Bulk update (player boards / turn / game / format) - control load + show.
+            'lorcana-match-update': (state, data, { emit }) => {
+                mergeBoard(state, data);
+                emit('lorcana-match-update', data);
+            },
+            // The LORE race headline: counts UP toward loreGoal (20 = win). Clamped to
+            // [0, loreGoal]; never a depleting life total.
+            'lorcana-lore-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                const goal = p.loreGoal || 20;
+                p.lore = Math.max(0, Math.min(goal, data.lore | 0));
+                emit('lorcana-lore-update', { player: data.player, lore: p.lore, loreGoal: goal, timestamp: Date.now() });
+            },
+            // Ink resource readout: { available, total }. Partial updates merge; available
+            // is clamped to total.
+            'lorcana-ink-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.ink = { ...p.ink, ...data.ink };
+                p.ink.total = Math.max(0, p.ink.total | 0);
+                p.ink.available = Math.max(0, Math.min(p.ink.total, p.ink.available | 0));
+                emit('lorcana-ink-update', { player: data.player, ink: p.ink, timestamp: Date.now() });
+            },
+            // Set or clear (character=null) a Character row slot (0-5).
+            'lorcana-character-update': slotReducer('lorcana-character-update', 'characters', 'character', RULES.characters),
+            // Accumulated damage toward Willpower (banished when damage >= willpower).
+            'lorcana-character-damage': (state, data, { emit }) => {
+                const c = state[`player${data.player}`] && state[`player${data.player}`].characters[data.index];
+                if (!c) return;
+                c.damage = Math.max(0, data.damage | 0);
+                emit('lorcana-character-damage', { player: data.player, index: data.index, damage: c.damage, timestamp: Date.now() });
+            },
+            // Ready/exerted (upright/tilted) state - quested or challenged this turn.
+            'lorcana-character-exert': (state, data, { emit }) => {
+                const c = state[`player${data.player}`] && state[`player${data.player}`].characters[data.index];
+                if (!c) return;
+                c.exerted = !!data.exerted;
+                emit('lorcana-character-exert', { player: data.player, index: data.index, exerted: c.exerted, timestamp: Date.now() });
+            },
+            // Set or clear (location=null) a Location row slot (0-2).
+            'lorcana-location-update': slotReducer('lorcana-location-update', 'locations', 'location', RULES.locations),
+            // Replace the optional Items chip list wholesale.
+            'lorcana-item-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.items = Array.isArray(data.items) ? data.items : [];
+                emit('lorcana-item-update', { player: data.player, items: p.items, timestamp: Date.now() });
+            },
+            ...recordReducers('lorcana')
+        },
+
+        schemas: {
+            'lorcana-match-update': S.bulkUpdate({
+                lore: S.optional(S.int(0, RULES.lore)),
+                loreGoal: S.optional(S.int(1, RULES.lore)),
+                ink: S.optional(ink),
+                characters: S.optional(S.cards(RULES.characters, character)),
+                locations: S.optional(S.cards(RULES.locations, location)),
+                items: S.optional(S.cards(20))
+            }),
+            'lorcana-lore-update': S.playerField('lore', S.int(0, RULES.lore)),
+            'lorcana-ink-update': S.playerField('ink', ink),
+            'lorcana-character-update': S.slotField(RULES.characters, 'character', S.card(character)),
+            'lorcana-character-damage': S.slotField(RULES.characters, 'damage', S.int(0, 99)),
+            'lorcana-character-exert': S.slotField(RULES.characters, 'exerted', S.bool()),
+            'lorcana-location-update': S.slotField(RULES.locations, 'location', S.card(location)),
+            'lorcana-item-update': S.playerField('items', S.cards(20)),
+            'lorcana-record-update': S.playerField('record', S.record),
+            'lorcana-games-won-update': S.playerField('gamesWon', S.gamesWon)
+        }
+    },
+
+    deck: {
+        parse: parseDeckList,
+        detect: [
+            // Exports are "quantity name" lines, and Lorcana card names carry a
+            // " - " version subtitle (e.g. "4 Elsa - Snow Queen"). Two or more such
+            // lines is a signal the other games' exports never produce; checked
+            // after the explicit Pokemon/MTG markers so a tagged export still wins.
+            { priority: 70, min: 2, patterns: [/^\s*\d+\s*x?\s+.+\s+-\s+.+$/gmi] }
+        ],
+        // Action and Action / Song both bucket into Actions.
+        categories: ['Characters', 'Actions', 'Items', 'Locations'],
+        categorize: {
+            rules: [['location', 'Locations'], ['item', 'Items'], [['action', 'song'], 'Actions']],
+            otherwise: 'Characters'
+        },
+        // 60-card minimum, max 4 copies per full name, up to 2 inks per deck
+        // (the inks are the card's colors, split on "/").
+        rules: { main: 60, mainIsMinimum: true, copyLimit: 4, maxInks: 2 },
+        // Core = current rotation (default competitive); Infinity = all sets.
+        formats: ['Core', 'Infinity'],
+        // Ravensburger banned/restricted snapshot. Seeded empty; fill from the
+        // official list (disneylorcana.com). Restricted = 1 copy.
+        banlist: {
+            Core: { banned: [], restricted: [] },
+            Infinity: { banned: [], restricted: [] }
+        }
+    },
+
+    registry: {
+        label: 'Lorcana',
+        style: 'btn-secondary',
+        badge: 'bg-gradient-to-br from-purple-500 to-pink-600',
+        searchMeta: {
+            parts: ['Ink {ink_cost}', { template: '{strength}/{willpower}', missing: '-' }, 'Lore {lore_value}'],
+            otherwise: ['colors', 'card_type']
+        }
+    },
+
+    search: {
+        fields: {
+            ink: { column: 'colors', kind: 'text' },
+            c: 'ink',
+            color: 'ink',
+            cost: { column: 'ink_cost', kind: 'number' },
+            str: { column: 'strength', kind: 'number' },
+            strength: 'str',
+            will: { column: 'willpower', kind: 'number' },
+            willpower: 'will',
+            lore: { column: 'lore_value', kind: 'number' },
+            inkable: { column: 'inkable', kind: 'bool' }
+        },
+        facets: [SET_FACET, RARITY_FACET, TYPE_FACET, colorFacet('ink', 'colors', 'Ink'), costFacet('cost', 'ink_cost')]
+    },
+
+    stats: {
+        cost: 'ink_cost',
+        costLabel: 'Ink cost',
+        curveMax: 8,
+        colors: (card) => splitList(card.colors),
+        type: (card) => String(card.card_type || 'Other').split(/\s*\/\s*/)[0] || 'Other',
+        odds: [
+            { label: '3+ inkable cards in the opening 7', atLeast: 3, test: (card) => !!card.inkable }
+        ]
+    },
+
+    // One alter step before the first draw
+    sampleHand: { hand: 7, alter: true },
+
+    overlaySettings: {
+        showInkwell: true,
+        showLore: true,
+        loreToWin: 20,
+        showCharacters: true,
+        showItems: true,
+        categories: ['Characters', 'Actions', 'Items', 'Locations']
+    }
+};
@@ -0,0 +1,346 @@
+// src/games/magic.js - Magic: The Gathering plugin (see src/games/index.js).
+//
+// MTG proper: 60-card constructed, 20 life, no Commander. The match key is
+// 'mtg' (mtg-match, mtg-* events), and a few events are broadcast under other
+// names than they arrive with (mtg-permanent-add -> mtg-permanent-added, ...)
+// because the overlay was written against those.
+const S = require('../event-schemas');
+const { SET_FACET, RARITY_FACET, costFacet, colorFacet, lower, splitList } = require('./_shared');
+
+const RULES = { poison: 10, permanents: 6 };
+const PHASES = ['untap', 'upkeep', 'draw', 'main1', 'combat', 'main2', 'end'];
+
+// A blank MTG player board. 20 starting life; poison is the alt loss
+// condition (overlay hides it until > 0). No Commander damage / 40-life.
+function freshPlayer(name) {
+    return {
+        name,
+        record: '0-0-0',
+        gamesWon: 0,
+        life: 20,
+        poison: 0,
+        lands: 0,
+        featuredPermanents: [],
+        turnActions: { landPlayed: false, spellCast: false }
+    };
+}
+
+const MAGIC_COLORS = { W: 'White', U: 'Blue', B: 'Black', R: 'Red', G: 'Green' };
+const MAGIC_TYPES = ['Creature', 'Planeswalker', 'Battle', 'Instant', 'Sorcery', 'Artifact', 'Enchantment', 'Land'];
+
+const typeLine = (card) => card.type_line || card.card_type || '';
+const isLand = (card) => lower(typeLine(card)).includes('land');
+
+// MTG Arena / Moxfield / Archidekt / TCGplayer exports, in the saved Magic
+// shape { cards, sideboard }. Cards stay as listed; the main page buckets them
+// by type when the deck is imported.
+function parseDeckList(lines) {
+    const deck = { cards: [], sideboard: [] };
+    let section = 'cards';
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        const lowered = line.toLowerCase();
+
+        // Comments and metadata
+        if (!line || line.startsWith('//') || line.startsWith('#')
+            || lowered.startsWith('about') || lowered.startsWith('name ')) continue;
+
+        if (['deck', 'mainboard', 'main deck'].includes(lowered)) { section = 'cards'; continue; }
+        if (['sideboard', 'side board'].includes(lowered)) { section = 'sideboard'; continue; }
+        // Commander / Companion lines are not read yet
+        if (lowered.startsWith('commander:') || lowered.startsWith('companion:')) continue;
+
+        let card = null;
+
+        // "4 Lightning Bolt (JMP) 342", promos as "3 Quantum Riddler (PEOE) 72p"
+        const arena = line.match(/^(\d+)\s+(.+?)\s+\(([A-Z0-9]+)\)\s+(\d+[a-z]?)$/);
+        if (arena) {
+            const [, quantity, name, setCode, number] = arena;
+            card = { quantity: parseInt(quantity), name: name.trim(), setCode, number, fullName: `${name.trim()} (${setCode}) ${number}` };
+        }
+
+        // "4 Lightning Bolt" or "4x Lightning Bolt"
+        const simple = !card && line.match(/^(\d+)x?\s+(.+)$/);
+        if (simple) {
+            const name = simple[2].trim();
+            card = { quantity: parseInt(simple[1]), name, setCode: '', number: '', fullName: name };
+        }
+
+        // "1 Sol Ring [Commander Legends]" (a set name, not a code)
+        const tcgplayer = !card && line.match(/^(\d+)x?\s+(.+?)\s+\[([^\]]+)\]$/);
+        if (tcgplayer) {
+            const [, quantity, name, setName] = tcgplayer;
+            card = {
+                quantity: parseInt(quantity),
+                name: name.trim(),
+                setCode: '',
+                setName: setName.trim(),
+                number: '',
+                fullName: `${name.trim()} [${setName.trim()}]`
+            };
+        }
+
+        if (card) deck[section].push(card);
+    }
+
+    return deck;
+}
+
+module.exports = {
+    id: 'magic',
+    name: 'Magic: The Gathering',
+    order: 20,
+
+    fetcher: {
+        source: 'Scryfall',
+        fetchCards: (api, progress, incremental, setCount) => api.fetchMagicCards(progress, incremental, setCount),
+        async orderedSetCodes(api, { clean, headers }) {
+            const now = new Date();
+            const resp = await api.getWithRetry('https://api.scryfall.com/sets', { timeout: 30000, headers });
+            const sets = (resp.data?.data || [])
+                .filter(s => ['core', 'expansion', 'masters', 'draft_innovation'].includes(s.set_type))
+                .filter(s => (s.card_count || 0) > 0 && (!s.released_at || new Date(s.released_at) <= now))
+                .sort((a, b) => new Date(b.released_at) - new Date(a.released_at));
+            return clean(sets.map(s => s.code));
+        }
+    },
+
+    columns: {
+        mana_cost: 'TEXT',
+        cmc: 'INTEGER',
+        power: 'TEXT',
+        toughness: 'TEXT',
+        loyalty: 'INTEGER',
+        colors: 'TEXT',
+        color_identity: 'TEXT',
+        type_line: 'TEXT',
+        oracle_text: 'TEXT',
+        flavor_text: 'TEXT'
+    },
+    searchColumns: ['mana_cost', 'colors'],
+
+    match: {
+        key: 'mtg',
+        slice: 'mtgMatch',
+        clock: 50 * 60,
+        rules: RULES,
+
+        fresh: (previous) => ({
+            player1: freshPlayer(previous ? previous.player1.name : 'Player 1'),
+            player2: freshPlayer(previous ? previous.player2.name : 'Player 2'),
+            activePlayer: 1,
+            currentPhase: 'main1',
+            matchFormat: previous ? previous.matchFormat : 'Standard'
+        }),
+
+        sync: (s) => [['state-update', { mtgMatch: s }]],
+
+        reducers: {
+            'mtg-life-update': (state, data, { emit }) => {
+                state[`player${data.player}`].life = data.life;
+                emit('mtg-life-update', { player: data.player, life: data.life, timestamp: Date.now() });
+                console.log(`Player ${data.player} life updated to ${data.life}`);
+            },
+            // Poison counters (alt loss condition; 10 poison = lethal)
+            'mtg-poison-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                p.poison = Math.max(0, data.poison);
+                emit('mtg-poison-update', { player: data.player, poison: p.poison, timestamp: Date.now() });
+            },
+            'mtg-lands-update': (state, data, { emit }) => {
+                state[`player${data.player}`].lands = data.lands;
+                emit('mtg-lands-update', { player: data.player, lands: data.lands, timestamp: Date.now() });
+            },
+            'mtg-permanent-add': (state, data, { emit }) => {
+                const permanents = state[`player${data.player}`].featuredPermanents;
+                if (permanents.length >= RULES.permanents) {
+                    console.log(`Player ${data.player} already has ${RULES.permanents} featured permanents`);
+                    return;
+                }
+                permanents.push(data.card);
+                emit('mtg-permanent-added', {
+                    player: data.player,
+                    card: data.card,
+                    featuredPermanents: permanents,
+                    timestamp: Date.now()
+                });
+            },
+            'mtg-permanent-remove': (state, data, { emit }) => {
+                const permanents = state[`player${data.player}`].featuredPermanents;
+                if (data.index < 0 || data.index >= permanents.length) return;
+                const removed = permanents.splice(data.index, 1)[0];
+                emit('mtg-permanent-removed', {
+                    player: data.player,
+                    index: data.index,
+                    card: removed,
+                    featuredPermanents: permanents,
+                    timestamp: Date.now()
+                });
+            },
+            'mtg-phase-update': (state, data, { emit }) => {
+                state.currentPhase = data.phase;
+                emit('mtg-phase-update', { phase: data.phase, timestamp: Date.now() });
+            },
+            'mtg-player-name-update': (state, data, { emit }) => {
+                state[`player${data.player}`].name = data.name;
+                emit('mtg-player-name-update', { player: data.player, name: data.name, timestamp: Date.now() });
+            },
+            'mtg-player-record-update': (state, data, { emit }) => {
+                state[`player${data.player}`].record = data.record;
+                emit('mtg-record-update', { player: data.player, record: data.record, timestamp: Date.now() });
+            },
+            'mtg-games-won-update': (state, data, { emit }) => {
+                state[`player${data.player}`].gamesWon = data.gamesWon;
+                emit('mtg-games-won-update', { player: data.player, gamesWon: data.gamesWon, timestamp: Date.now() });
+            },
+            'mtg-turn-action': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                p.turnActions[data.action] = data.value;
+                emit('mtg-turn-actions-update', { player: data.player, actions: p.turnActions, timestamp: Date.now() });
+            },
+            // An explicit 1/2 sets the active player directly (so "Set Active"
+            // buttons work); no target toggles.
+            'mtg-player-switch': (state, data, { emit }) => {
+                state.activePlayer = data.activePlayer === 1 || data.activePlayer === 2
+                    ? data.activePlayer
+                    : (state.activePlayer === 1 ? 2 : 1);
+                emit('mtg-player-switch', { activePlayer: state.activePlayer, timestamp: Date.now() });
+                console.log(`Active player set to Player ${state.activePlayer}`);
+            },
+            // Format is a label only in MTG proper - it never changes life (always 20).
+            'mtg-format-update': (state, data, { emit }) => {
+                state.matchFormat = data.format;
+                emit('mtg-format-update', { format: data.format, timestamp: Date.now() });
+            },
+            // Older control builds pushed the count every second. It is now a
+            // command that moves the time left on the MTG clock.
+            'mtg-timer-update': (state, data, { adjustClock }) => {
+                adjustClock(data.seconds);
+            }
+        },
+
+        schemas: {
+            'mtg-life-update': S.playerField('life', S.int(-999, 99999)),
+            'mtg-poison-update': S.playerField('poison', S.int(0, RULES.poison)),
+            'mtg-lands-update': S.playerField('lands', S.int(0, 99)),
+            'mtg-permanent-add': S.playerField('card', S.obj({ name: S.str(200) })),
+            'mtg-permanent-remove': S.obj({ player: S.player, index: S.slot(RULES.permanents) }),
+            'mtg-phase-update': S.obj({ phase: S.oneOf(...PHASES) }),
+            'mtg-player-name-update': S.playerField('name', S.name),
+            'mtg-player-record-update': S.playerField('record', S.str(20)),
+            'mtg-games-won-update': S.playerField('gamesWon', S.gamesWon),
+            'mtg-turn-action': S.obj({ player: S.player, action: S.oneOf('landPlayed', 'spellCast'), value: S.bool() }),
+            'mtg-player-switch': S.optional(S.obj({ activePlayer: S.optional(S.player) })),
+            'mtg-format-update': S.obj({ format: S.matchFormat }),
+            'mtg-timer-update': S.obj({ seconds: S.int(-86400, 86400) })
+        }
+    },
+
+    deck: {
+        parse: parseDeckList,
+        detect: [
+            // "(ABC) 123" set + collector number, the Arena "Deck" header and a
+            // Sideboard section are all unique to MTG exports
+            { priority: 60, patterns: [/\([A-Z0-9]{3,5}\)\s+\d+/, /^Deck\s*$/m, /^Sideboard\s*$/mi] }
+        ],
+        categories: ['Creatures', 'Spells', 'Artifacts', 'Enchantments', 'Planeswalkers', 'Lands'],
+        categorize: {
+            fields: ['card_type', 'type_line'],
+            rules: [
+                ['land', 'Lands'], ['creature', 'Creatures'], ['planeswalker', 'Planeswalkers'],
+                ['artifact', 'Artifacts'], ['enchantment', 'Enchantments']
+            ],
+            otherwise: 'Spells'
+        },
+        // 60-card minimum main deck, up to 15 sideboard; basic lands are unlimited.
+        rules: { main: 60, mainIsMinimum: true, sideboard: 15, copyLimit: 4 },
+        sections: { Sideboard: { rule: 'sideboard' } },
+        basics: /^(snow-covered\s+)?(plains|island|swamp|mountain|forest|wastes)$/i,
+        // Commander is intentionally dropped - CardCast Magic is MTG proper (60-card,
+        // 20 life); re-add it later as its own format if needed.
+        formats: ['Standard', 'Pioneer', 'Modern', 'Legacy'],
+        // Per-format banned cards for the legality check. Seeded
+        // empty; fill from the official B&R list (magic.wizards.com/en/banned-restricted-list).
+        banlist: {
+            Standard: [],
+            Pioneer: [],
+            Modern: [],
+            Legacy: []
+        }
+    },
+
+    registry: {
+        label: 'MTG',
+        style: 'btn-warning',
+        badge: 'bg-gradient-to-br from-orange-500 to-amber-600',
+        searchMeta: { otherwise: ['mana_cost', 'card_type'] }
+    },
+
+    search: {
+        fields: {
+            t: { column: 'type_line', kind: 'text' },
+            type: 't',
+            cmc: { column: 'cmc', kind: 'number' },
+            mv: 'cmc',
+            c: { column: 'colors', kind: 'colors' },
+            color: 'c',
+            id: { column: 'color_identity', kind: 'colors' },
+            identity: 'id',
+            ci: 'id',
+            m: { column: 'mana_cost', kind: 'text' },
+            mana: 'm',
+            pow: { column: 'power', kind: 'number', numericText: true },
+            power: 'pow',
+            tou: { column: 'toughness', kind: 'number', numericText: true },
+            toughness: 'tou',
+            loy: { column: 'loyalty', kind: 'number' },
+            loyalty: 'loy',
+            o: { column: 'oracle_text', kind: 'text' },
+            oracle: 'o',
+            text: 'o',
+            flavor: { column: 'flavor_text', kind: 'text' }
+        },
+        facets: [
+            SET_FACET, RARITY_FACET,
+            // Type lines are counted per card type word ("Legendary Creature - Elf" -> Legendary, Creature)
+            {
+                key: 'type', label: 'Type', field: 't', op: ':', column: 'type_line',
+                split: (value) => value.split('//').flatMap(face => face.split('—')[0].trim().split(/\s+/))
+            },
+            colorFacet('c', 'colors', 'Color', ','),
+            costFacet('cmc', 'cmc', 'Mana value')
+        ]
+    },
+
+    stats: {
+        cost: 'cmc',
+        costLabel: 'Mana value',
+        curveMax: 7,
+        curveSkip: isLand,
+        colors: (card) => {
+            if (isLand(card)) return [];
+            const colors = splitList(card.colors).map(color => MAGIC_COLORS[color.toUpperCase()] || color);
+            return colors.length ? colors : ['Colorless'];
+        },
+        type: (card) => MAGIC_TYPES.find(type => typeLine(card).includes(type)) || 'Other',
+        odds: [
+            { label: '2+ lands in the opening 7', atLeast: 2, test: isLand },
+            { label: '3+ lands in the opening 7', atLeast: 3, test: isLand },
+            { label: '4 lands by turn 4', atLeast: 4, turn: 4, test: isLand }
+        ]
+    },
+
+    // London mulligan: draw 7 again, then bottom one per mulligan
+    sampleHand: { hand: 7, mulligan: 'london' },
+
+    overlaySettings: {
+        showLife: true,
+        lifeTotal: 20,
+        showCommander: true,
+        showGraveyard: true,
+        showExile: true,
+        showMana: true,
+        categories: ['Creatures', 'Spells', 'Artifacts', 'Enchantments', 'Planeswalkers', 'Lands']
+    }
+};
@@ -0,0 +1,344 @@
+// src/games/onepiece.js - One Piece Card Game plugin (see src/games/index.js).
+//
+// Match board (mirrors Gundam): featured Leader + Power, a variable-length Life
+// pip-track seeded from the Leader's life, a DON!! X/10 active/rested counter
+// with per-character attach, a Character Area row of up to 5, and a single
+// Stage slot. No turn-flag row.
+const S = require('../event-schemas');
+const {
+    freshMatch, mergeBoard, toggleTaken, slotReducer, fieldReducer, recordReducers,
+    resolveCard, SET_FACET, RARITY_FACET, TYPE_FACET, costFacet, colorFacet, has, splitList
+} = require('./_shared');
+
+const RULES = { characters: 5, life: 10, don: 10 }; // 4-5 Life from the Leader, more from effects
+
+// A blank One Piece player board. characters is a fixed 5-slot row (null =
+// empty). Life total defaults to 4 and is reseeded from the Leader's life when
+// a Leader is assigned. DON!! is a ramping active/rested counter out of 10.
+function freshPlayer(name) {
+    return {
+        name,
+        record: { wins: 0, losses: 0, ties: 0 },
+        gamesWon: 0,
+        leader: null,                                 // {id,name,image,power,colors}
+        life: { total: 4, taken: [] },                // total seeded from leader.life
+        don: { active: 0, rested: 0, max: RULES.don },
+        characters: [null, null, null, null, null],   // {id,name,image,power,counter,donAttached}
+        stage: null                                   // {id,name,image}|null
+    };
+}
+
+const character = { power: S.int(0, 99999), donAttached: S.int(0, RULES.don) };
+const leader = { power: S.int(0, 99999), life: S.int(0, RULES.life) };
+const life = S.obj({
+    total: S.optional(S.int(0, RULES.life)),
+    taken: S.optional(S.takenList(RULES.life))
+}, (value, path) => ((value.taken || []).some(i => i >= (value.total === undefined ? RULES.life : value.total))
+    ? `${path}.taken must be within the Life total`
+    : null));
+// Active plus rested DON!! can never be more than the 10-card DON!! deck. On
+// onepiece-don-update either counter may be sent alone (the reducer merges it and
+// keeps the stored sum in range); a board sync replaces the whole counter, so
+// there both are required.
+const donCounter = (partial) => {
+    const count = partial ? S.optional(S.int(0, RULES.don)) : S.int(0, RULES.don);
+    return S.obj({ active: count, rested: count, max: S.optional(S.int(0, RULES.don)) },
+        (value, path) => ((value.active || 0) + (value.rested || 0) > RULES.don
+            ? `${path} active + rested must be at most ${RULES.don}`
+            : null));
+};
+
+// ExBurst / EGMAN / onepiece.gg / official sim exports. Card-number-keyed and
+// tolerant: each non-header line is matched for a leading quantity and an
+// OP/ST/EB/EX/PRB-style number, resolved against the DB, and bucketed by its
+// card_type; lines with no number fall back to a name lookup. The first Leader
+// also becomes deck.leader (it sets the deck colors and starting Life). The
+// uniform 10-card DON!! deck is not part of the categories.
+async function parseDeckList(lines, lookup) {
+    const deck = { game: 'onepiece', leader: null, categories: { Leader: [], Characters: [], Events: [], Stages: [] } };
+
+    const QTY = /^(\d+)\s*x?\s+/i;
+    const NUM = /([A-Z]{2,4}\d{2}-\d{3}[A-Za-z0-9_]*)/;
+    const HEADER = /^(leader|character|characters|event|events|stage|stages|don|don deck|main deck|deck|total cards|total|cards)\s*:?\s*\d*\s*$/i;
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+        if (line.startsWith('//') || line.startsWith('#')) continue;
+        if (HEADER.test(line)) continue;
+
+        const qtyM = line.match(QTY);
+        const quantity = qtyM ? parseInt(qtyM[1], 10) : 1;
+
+        const numM = line.match(NUM);
+
+        // Real cards always carry a number; a numberless "DON!!" line ("10 DON!!
+        // card", "DON!! x10") is the DON!! deck, skipped so a loose name match
+        // cannot smuggle it into Characters.
+        if (!numM && /\bdon!!/i.test(line)) continue;
+
+        let resolved = numM ? await resolveCard(lookup, { number: numM[1] }) : null;
+        if (!resolved) {
+            const name = line.replace(QTY, '').replace(NUM, '').replace(/\s+/g, ' ').trim();
+            if (name) resolved = await resolveCard(lookup, { name });
+        }
+        if (!resolved) continue;
+
+        const category = lookup.categorize(resolved);
+        if (!deck.categories[category]) deck.categories[category] = [];
+        const bucket = deck.categories[category];
+
+        const number = resolved.card_number || (numM ? numM[1] : '');
+        const image = resolved.display_image || resolved.image_url || resolved.local_image || '';
+        const existing = bucket.find(c => (number && c.number === number) || c.name === resolved.name);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            bucket.push({
+                quantity,
+                name: resolved.name,
+                setCode: resolved.set_abbreviation || resolved.set_code || '',
+                number,
+                cardType: resolved.card_type || '',
+                colors: resolved.colors || '',
+                image,
+                fullName: `${quantity} ${resolved.name} ${number}`.trim()
+            });
+        }
+
+        if (category === 'Leader' && !deck.leader) {
+            deck.leader = {
+                id: resolved.id,
+                name: resolved.name,
+                number,
+                image,
+                power: resolved.op_power != null ? resolved.op_power : null,
+                life: resolved.life != null ? resolved.life : 4,
+                colors: resolved.colors || ''
+            };
+        }
+    }
+
+    return deck;
+}
+
+module.exports = {
+    id: 'onepiece',
+    name: 'One Piece Card Game',
+    order: 60,
+
+    fetcher: {
+        source: 'optcgapi.com',
+        fetchCards: (api, progress, incremental, setCount) => api.fetchOnePieceCards(progress, incremental, setCount),
+        // allSets lists oldest first.
+        async orderedSetCodes(api, { clean, headers }) {
+            const resp = await api.getWithRetry('https://optcgapi.com/api/allSets/', { timeout: 30000, headers });
+            return clean((Array.isArray(resp.data) ? resp.data : []).map(x => x.set_id).reverse());
+        }
+    },
+
+    columns: {
+        cost: 'INTEGER',
+        op_power: 'INTEGER',
+        counter: 'INTEGER',
+        life: 'INTEGER',
+        don_value: 'INTEGER',
+        trigger_text: 'TEXT',
+        colors: 'TEXT'
+    },
+    searchColumns: ['cost', 'op_power', 'counter', 'life', 'colors'],
+
+    match: {
+        key: 'onepiece',
+        slice: 'onePieceMatch',
+        clock: 50 * 60,
+        rules: RULES,
+
+        fresh: (previous) => freshMatch(freshPlayer, previous),
+
+        reducers: {
+            // Bulk update (player boards / turn / game / format) - control load + show.
+            'onepiece-match-update': (state, data, { emit }) => {
+                mergeBoard(state, data);
+                emit('onepiece-match-update', data);
+            },
+            // Set or clear (leader=null) the featured Leader. Assigning a Leader reseeds
+            // the Life pip-track length from leader.life (and clears taken) unless
+            // seedLife is explicitly false; onepiece-life-total can still override it.
+            'onepiece-leader-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.leader = data.leader;
+                if (data.leader && data.seedLife !== false && data.leader.life != null) {
+                    p.life = { total: Math.max(1, data.leader.life | 0), taken: [] };
+                }
+                emit('onepiece-leader-update', { player: data.player, leader: data.leader, life: p.life, timestamp: Date.now() });
+            },
+            'onepiece-life-total': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.life.total = Math.max(0, data.total | 0);
+                // Drop any taken indices that no longer fit the new track length.
+                p.life.taken = (p.life.taken || []).filter(i => i < p.life.total);
+                emit('onepiece-life-total', { player: data.player, total: p.life.total, taken: p.life.taken, timestamp: Date.now() });
+            },
+            // An array sets the whole taken-list; an index toggles one Life card as
+            // taken/restored (mirrors the prize/shield take logic).
+            'onepiece-life-taken': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                const set = Array.isArray(data.taken);
+                if (set) p.life.taken = data.taken;
+                else toggleTaken(p.life.taken, data.index);
+                emit('onepiece-life-taken', {
+                    player: data.player,
+                    index: set ? null : data.index,
+                    taken: p.life.taken,
+                    total: p.life.total,
+                    timestamp: Date.now()
+                });
+            },
+            'onepiece-life-reset': (state, data, { emit }) => {
+                state.player1.life.taken = [];
+                state.player2.life.taken = [];
+                emit('onepiece-life-reset', { player1: state.player1.life, player2: state.player2.life, timestamp: Date.now() });
+            },
+            // DON!! ramp counter: { active?, rested?, max? }; omitted fields keep their
+            // stored value. When a partial update pushes the sum past the DON!! deck,
+            // the counter that was not sent gives way, as on the control page.
+            'onepiece-don-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                const don = { ...p.don, ...data.don };
+                if (don.active + don.rested > RULES.don) {
+                    if (data.don.active !== undefined) don.rested = RULES.don - don.active;
+                    else don.active = RULES.don - don.rested;
+                }
+                p.don = don;
+                emit('onepiece-don-update', { player: data.player, don: p.don, timestamp: Date.now() });
+            },
+            // Set or clear (character=null) a Character Area slot (0-4).
+            'onepiece-character-update': slotReducer('onepiece-character-update', 'characters', 'character', RULES.characters),
+            'onepiece-character-power': (state, data, { emit }) => {
+                const c = state[`player${data.player}`] && state[`player${data.player}`].characters[data.index];
+                if (!c) return;
+                c.power = data.power;
+                emit('onepiece-character-power', { player: data.player, index: data.index, power: data.power, timestamp: Date.now() });
+            },
+            // Attach/detach DON!! to a Character (each attached DON!! = +1000 power on
+            // the overlay readout). donAttached is the count on that character.
+            'onepiece-don-attach': (state, data, { emit }) => {
+                const c = state[`player${data.player}`] && state[`player${data.player}`].characters[data.index];
+                if (!c) return;
+                c.donAttached = Math.max(0, data.donAttached | 0);
+                emit('onepiece-don-attach', { player: data.player, index: data.index, donAttached: c.donAttached, timestamp: Date.now() });
+            },
+            'onepiece-stage-update': fieldReducer('onepiece-stage-update', 'stage'),
+            ...recordReducers('onepiece')
+        },
+
+        schemas: {
+            'onepiece-match-update': S.bulkUpdate({
+                leader: S.optional(S.card(leader)),
+                life: S.optional(life),
+                don: S.optional(donCounter(false)),
+                characters: S.optional(S.cards(RULES.characters, character)),
+                stage: S.optional(S.card())
+            }),
+            'onepiece-leader-update': S.obj({
+                player: S.player,
+                leader: S.card(leader),
+                seedLife: S.optional(S.bool())
+            }),
+            'onepiece-life-total': S.playerField('total', S.int(0, RULES.life)),
+            'onepiece-life-taken': S.obj({ player: S.player, index: S.optional(S.slot(RULES.life)), taken: S.optional(S.takenList(RULES.life)) },
+                (data) => (data.index === undefined && data.taken === undefined ? 'index or taken is required' : null)),
+            'onepiece-don-update': S.playerField('don', donCounter(true)),
+            'onepiece-character-update': S.slotField(RULES.characters, 'character', S.card(character)),
+            'onepiece-character-power': S.slotField(RULES.characters, 'power', S.int(0, 99999)),
+            'onepiece-don-attach': S.slotField(RULES.characters, 'donAttached', S.int(0, RULES.don)),
+            'onepiece-stage-update': S.playerField('stage', S.card()),
+            'onepiece-record-update': S.playerField('record', S.record),
+            'onepiece-games-won-update': S.playerField('gamesWon', S.gamesWon)
+        }
+    },
+
+    deck: {
+        parse: parseDeckList,
+        detect: [
+            // OP / PRB card numbers are unique to One Piece (ST / EB / EX are shared
+            // with Gundam), and a real export always carries the OP-prefixed Leader,
+            // so this runs first; a pure Gundam deck has no OP/PRB token.
+            { priority: 10, patterns: [/\b(?:OP|PRB)\d{2}-\d{3}/i] }
+        ],
+        // Leader (1) headlines the deck (sets colors + Life). Main deck =
+        // Characters + Events + Stages (50). The DON!! deck (10) is uniform and
+        // not built from these categories, so it is intentionally not listed.
+        categories: ['Leader', 'Characters', 'Events', 'Stages'],
+        categorize: {
+            rules: [['leader', 'Leader'], ['event', 'Events'], ['stage', 'Stages']],
+            otherwise: 'Characters'
+        },
+        rules: { main: 50, leader: 1, copyLimit: 4 },
+        sections: { Leader: { rule: 'leader', exact: true } },
+        copies: { by: 'number' },
+        // Every card must share a color with the Leader.
+        colorIdentity: 'Leader',
+        formats: ['Standard', 'Unlimited'],
+        // Official restricted list snapshot. Seeded empty; fill from the Bandai
+        // B&R list (en.onepiece-cardgame.com/rules/restriction). bannedPairs is a
+        // list of [cardA, cardB] that cannot share a deck (a validation warning).
+        banlist: {
+            Standard: { banned: [], restricted: [], bannedPairs: [] },
+            Unlimited: { banned: [], restricted: [], bannedPairs: [] }
+        }
+    },
+
+    registry: {
+        label: 'One Piece',
+        style: 'btn-error',
+        badge: 'bg-gradient-to-br from-red-600 to-orange-600',
+        searchMeta: { parts: ['Power {op_power}', 'Cost {cost}'], otherwise: ['colors', 'card_type'] }
+    },
+
+    search: {
+        fields: {
+            c: { column: 'colors', kind: 'text' },
+            color: 'c',
+            cost: { column: 'cost', kind: 'number' },
+            pow: { column: 'op_power', kind: 'number' },
+            power: 'pow',
+            counter: { column: 'counter', kind: 'number' },
+            life: { column: 'life', kind: 'number' },
+            trigger: { column: 'trigger_text', kind: 'text' }
+        },
+        facets: [SET_FACET, RARITY_FACET, TYPE_FACET, colorFacet('c', 'colors'), costFacet('cost', 'cost')]
+    },
+
+    stats: {
+        cost: 'cost',
+        costLabel: 'Cost',
+        curveMax: 10,
+        colors: (card) => splitList(card.colors),
+        type: (card) => card.card_type || 'Other',
+        odds: [
+            { label: 'Counter card in the opening 5', test: (card) => has(card.counter) && card.counter > 0 }
+        ]
+    },
+
+    // One mulligan; Life from the Leader's life value (default 5)
+    sampleHand: {
+        hand: 5,
+        mulligan: 'once',
+        setAside: { label: 'Life', count: ({ side }) => (side.Leader && side.Leader[0] && side.Leader[0].life) || 5 }
+    },
+
+    overlaySettings: {
+        showLife: true,
+        lifeTotal: 4,
+        showDonDeck: true,
+        showTrash: true,
+        showLeader: true,
+        categories: ['Characters', 'Events', 'Stages', 'Leaders']
+    }
+};
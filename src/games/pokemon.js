@@ -0,0 +1,303 @@
+// src/games/pokemon.js - Pokemon TCG plugin (see src/games/index.js).
+//
+// The match board predates the other games, so its events carry no game
+// prefix (active-pokemon, prize-taken, record-update, ...), and match-reset
+// restarts the clock and match log while the overlay clears its own board.
+const S = require('../event-schemas');
+const { mergeBoard, SET_FACET, RARITY_FACET, TYPE_FACET, lower } = require('./_shared');
+
+const RULES = { benchMin: 5, benchMax: 8, prizes: 6 }; // bench 5, up to 8 with a Stadium
+
+function freshPlayer(name) {
+    return {
+        name,
+        active: null,
+        bench: [],
+        benchSize: 5,
+        prizes: RULES.prizes,
+        prizesTaken: [],
+        record: { wins: 0, losses: 0, ties: 0 },
+        matchScore: 0,
+        turnActions: { energy: false, supporter: false, retreat: false }
+    };
+}
+
+const freshTurnActions = () => ({ energy: false, supporter: false, retreat: false });
+
+// Set one field of a player's board and broadcast it as { player, [as]: value }.
+const playerSetter = (event, field, as = field) => (state, data, { emit }) => {
+    const p = state[`player${data.player}`];
+    if (p) p[field] = data[as];
+    emit(event, { player: data.player, [as]: data[as], timestamp: Date.now() });
+};
+
+const pokemonCard = S.card({ currentHp: S.int(0, 999), maxHp: S.int(0, 999) });
+const pokemonBoard = S.board({
+    active: S.optional(pokemonCard),
+    bench: S.optional(S.cards(RULES.benchMax)),
+    benchSize: S.optional(S.int(RULES.benchMin, RULES.benchMax)),
+    // Remaining prizes, or (from the control page's saved board) one flag per prize card
+    prizes: S.optional(S.either(S.int(0, RULES.prizes), S.list(S.bool(), RULES.prizes))),
+    prizesTaken: S.optional(S.takenList(RULES.prizes)),
+    matchScore: S.optional(S.int(0, 9))
+});
+
+// PTCGL basic energy letters ("3 Basic {D} Energy SVE 15").
+const ENERGY_TYPES = {
+    P: 'Psychic', D: 'Darkness', F: 'Fighting', R: 'Fire', W: 'Water', L: 'Lightning',
+    G: 'Grass', M: 'Metal', C: 'Colorless', N: 'Dragon', Y: 'Fairy'
+};
+
+// Names that put a list without section headers into its Trainer section.
+const TRAINER_KEYWORDS = [
+    'Professor', 'Boss', 'Iono', 'Arven', 'Nest Ball', 'Ultra Ball',
+    'Rare Candy', 'Switch', 'Town Store', 'Technical Machine',
+    'Pokégear', 'Poké Ball', 'Super Rod', 'Counter Catcher'
+];
+
+// A Basic Pokemon card row (stats odds and the sample hand's mulligan).
+const isBasic = (card) => lower(card.card_type).includes('pok') && lower(card.stage).includes('basic');
+
+const isTrainerCard = (line) => TRAINER_KEYWORDS.some(keyword => line.toLowerCase().includes(keyword.toLowerCase()));
+
+// PTCGL / Limitless exports. Cards stay as listed (no lookup) in the saved
+// Pokemon shape { pokemon, trainers, energy }; a list without section headers
+// is sorted by what its lines look like.
+function parseDeckList(lines) {
+    const deck = { pokemon: [], trainers: [], energy: [] };
+    let section = null;
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+
+        if (/^Pokemon:\s*\d*$/i.test(line)) { section = 'pokemon'; continue; }
+        if (/^Trainer:\s*\d*$/i.test(line)) { section = 'trainers'; continue; }
+        if (/^Energy:\s*\d*$/i.test(line)) { section = 'energy'; continue; }
+
+        if (!section) {
+            if (line.toLowerCase().includes('energy')) section = 'energy';
+            else if (isTrainerCard(line)) section = 'trainers';
+            else if (/\d+\s+.+\s+[A-Z]{2,4}\s+\d+/.test(line)) section = 'pokemon';
+        }
+        if (!section) continue;
+
+        let card = null;
+
+        // "3 Basic {D} Energy SVE 15" always goes to Energy
+        const energy = line.match(/^(\d+)\s+Basic\s+\{([A-Z])\}\s+Energy\s+([A-Z]{2,4})\s+(\d+)$/);
+        if (energy) {
+            const [, quantity, type, setCode, number] = energy;
+            const name = `${ENERGY_TYPES[type] || type} Energy`;
+            card = { quantity: parseInt(quantity), name, setCode: setCode.toUpperCase(), number, fullName: `${name} ${setCode} ${number}` };
+            section = 'energy';
+        }
+
+        // "4 Hoothoot SCR 114"
+        const full = !card && line.match(/^(\d+)\s+(.+?)\s+([A-Z]{2,}[A-Z0-9]*)\s+(\d+)$/);
+        if (full) {
+            const [, quantity, listed, setCode, number] = full;
+            const name = listed.replace(/\{.\}/g, '').replace(/Basic\s+Energy/g, 'Energy').trim();
+            card = { quantity: parseInt(quantity), name, setCode, number, fullName: `${name} ${setCode} ${number}` };
+        }
+
+        // "4 Professor's Research"
+        const simple = !card && line.match(/^(\d+)x?\s+(.+)$/);
+        if (simple) {
+            const name = simple[2].trim();
+            card = { quantity: parseInt(simple[1]), name, setCode: '', number: '', fullName: name };
+        }
+
+        if (card) deck[section].push(card);
+    }
+
+    return deck;
+}
+
+module.exports = {
+    id: 'pokemon',
+    name: 'Pokemon',
+    order: 10,
+
+    fetcher: {
+        source: 'pokemontcg.io',
+        fetchCards: (api, progress, incremental, setCount) => api.fetchPokemonCards(progress, incremental, setCount),
+        async orderedSetCodes(api, { clean }) {
+            const resp = await api.getWithRetry('https://api.pokemontcg.io/v2/sets',
+                { params: { orderBy: '-releaseDate', pageSize: 250 }, timeout: 30000, headers: api.pokemonHeaders() });
+            const sets = (resp.data?.data || [])
+                .filter(s => s.series !== 'Other' && !s.name?.includes('Promo'))
+                .sort((a, b) => new Date(b.releaseDate) - new Date(a.releaseDate));
+            return clean(sets.map(s => s.id));
+        }
+    },
+
+    columns: {
+        hp: 'INTEGER',
+        stage: 'TEXT',
+        evolves_from: 'TEXT',
+        weakness: 'TEXT',
+        resistance: 'TEXT',
+        retreat_cost: 'TEXT',
+        ability_name: 'TEXT',
+        ability_text: 'TEXT',
+        attack1_name: 'TEXT',
+        attack1_cost: 'TEXT',
+        attack1_damage: 'TEXT',
+        attack1_text: 'TEXT',
+        attack2_name: 'TEXT',
+        attack2_cost: 'TEXT',
+        attack2_damage: 'TEXT',
+        attack2_text: 'TEXT',
+        attack3_name: 'TEXT',
+        attack3_cost: 'TEXT',
+        attack3_damage: 'TEXT',
+        attack3_text: 'TEXT'
+    },
+    searchColumns: ['hp'],
+
+    match: {
+        key: 'pokemon',
+        slice: 'pokemonMatch',
+        clock: 50 * 60,
+        rules: RULES,
+
+        fresh: (previous) => ({
+            player1: freshPlayer(previous ? previous.player1.name : 'Player 1'),
+            player2: freshPlayer(previous ? previous.player2.name : 'Player 2'),
+            currentTurn: 1,
+            gameNumber: 1,
+            matchFormat: (previous && previous.matchFormat) || 'Best of 3',
+            stadium: ''
+        }),
+
+        sync: (s) => [
+            ['pokemon-match-state', s],
+            // Also send as update for compatibility
+            ['pokemon-match-update', { player1: s.player1, player2: s.player2, stadium: s.stadium }]
+        ],
+
+        reducers: {
+            'pokemon-match-update': (state, data, { emit }) => {
+                mergeBoard(state, data, ['stadium']);
+                emit('pokemon-match-update', data);
+            },
+            'active-pokemon': playerSetter('active-pokemon', 'active', 'pokemon'),
+            'bench-update': playerSetter('bench-update', 'bench'),
+            'bench-size-update': playerSetter('bench-size-update', 'benchSize', 'size'),
+            'record-update': playerSetter('record-update', 'record'),
+            'match-score-update': playerSetter('match-score-update', 'matchScore', 'score'),
+            'turn-actions-update': playerSetter('turn-actions-update', 'turnActions', 'actions'),
+
+            'prize-taken': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                if (!p.prizesTaken.includes(data.index)) {
+                    p.prizesTaken.push(data.index);
+                    p.prizes = RULES.prizes - p.prizesTaken.length;
+                }
+                emit('prize-taken', { player: data.player, index: data.index, remaining: p.prizes, timestamp: Date.now() });
+            },
+            'prizes-reset': (state, data, { emit }) => {
+                ['player1', 'player2'].forEach(p => {
+                    state[p].prizesTaken = [];
+                    state[p].prizes = RULES.prizes;
+                });
+                emit('prizes-reset', { timestamp: Date.now() });
+            },
+            'stadium-update': (state, data, { emit }) => {
+                state.stadium = data.stadium;
+                emit('stadium-update', { stadium: data.stadium, timestamp: Date.now() });
+            },
+            'turn-actions-reset': (state, data, { emit }) => {
+                state.player1.turnActions = freshTurnActions();
+                state.player2.turnActions = freshTurnActions();
+                emit('turn-actions-reset', { timestamp: Date.now() });
+            },
+            'match-reset': (state, data, { emit, restart }) => {
+                emit('match-reset');
+                restart();
+            }
+        },
+
+        schemas: {
+            'pokemon-match-update': S.obj({
+                player1: pokemonBoard,
+                player2: pokemonBoard,
+                stadium: S.optional(S.nullable(S.either(S.str(200), S.card())))
+            }),
+            'active-pokemon': S.playerField('pokemon', pokemonCard),
+            'bench-update': S.playerField('bench', S.cards(RULES.benchMax)),
+            'bench-size-update': S.playerField('size', S.int(RULES.benchMin, RULES.benchMax)),
+            'prize-taken': S.obj({ player: S.player, index: S.slot(RULES.prizes) }),
+            'stadium-update': S.obj({ stadium: S.nullable(S.either(S.str(200), S.card())) }),
+            'record-update': S.playerField('record', S.record),
+            'match-score-update': S.playerField('score', S.int(0, 9)),
+            'turn-actions-update': S.playerField('actions', S.obj({ energy: S.bool(), supporter: S.bool(), retreat: S.bool() }))
+        }
+    },
+
+    deck: {
+        parse: parseDeckList,
+        fallback: true, // lists nothing else claims are read as Pokemon
+        detect: [
+            // Section counts from PTCGL / Limitless exports
+            { priority: 50, patterns: [/Pokemon:\s*\d+/i, /Trainer:\s*\d+/i, /Energy:\s*\d+/i] },
+            // "4 Pikachu SVI 50": set code letters + numbers, then the card number
+            { priority: 80, patterns: [/\d+\s+.+?\s+[A-Z]{2,4}[0-9]+\s+\d+/] }
+        ],
+        categories: ['Pokemon', 'Trainers', 'Energy'],
+        categorize: { rules: [['trainer', 'Trainers'], ['energy', 'Energy']], otherwise: 'Pokemon' },
+        rules: { main: 60, copyLimit: 4 },
+        formats: ['Standard', 'Expanded'],
+        // Any number of basic energy cards
+        basics: /^(basic\s+)?(\{[a-z]\}|grass|fire|water|lightning|psychic|fighting|darkness|metal|fairy)\s+energy$/i
+    },
+
+    registry: {
+        label: 'Pokemon',
+        style: 'btn-primary',
+        badge: 'bg-gradient-to-br from-red-500 to-red-600',
+        searchMeta: { parts: ['HP {hp}'] }
+    },
+
+    search: {
+        fields: {
+            hp: { column: 'hp', kind: 'number' },
+            stage: { column: 'stage', kind: 'text' },
+            weakness: { column: 'weakness', kind: 'text' },
+            resistance: { column: 'resistance', kind: 'text' },
+            retreat: { column: 'retreat_cost', kind: 'text' },
+            evolves: { column: 'evolves_from', kind: 'text' },
+            ability: { column: 'ability_name', kind: 'text' }
+        },
+        facets: [SET_FACET, RARITY_FACET, TYPE_FACET, { key: 'stage', label: 'Stage', field: 'stage', op: '=', column: 'stage' }]
+    },
+
+    stats: {
+        colors: () => [],
+        type: (card) => card.card_type || 'Pokemon',
+        odds: [
+            { label: 'Basic Pokemon in the opening 7', test: (card) => isBasic(card) },
+            { label: 'Supporter in the opening 7', test: (card) => lower(card.stage).includes('supporter') }
+        ]
+    },
+
+    // Hands without a Basic Pokemon are shown and redrawn automatically (each
+    // one is a mulligan); then 6 Prizes.
+    sampleHand: {
+        hand: 7,
+        mulligan: 'basic',
+        basic: (card) => isBasic(card),
+        setAside: { label: 'Prizes', count: RULES.prizes }
+    },
+
+    overlaySettings: {
+        showPrizes: true,
+        prizeCount: 6,
+        showBench: true,
+        showEnergy: true,
+        showStadium: true,
+        categories: ['Pokemon', 'Trainer', 'Energy']
+    }
+};
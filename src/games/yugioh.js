@@ -0,0 +1,287 @@
+// src/games/yugioh.js - Yu-Gi-Oh! plugin (see src/games/index.js).
+//
+// Match board (mirrors Gundam): an 8000 LP headline, a row of 5 Monster Zones
+// with ATK/DEF + battle position, a 5-slot Spell/Trap row + Field Spell slot, a
+// once-per-turn Normal Summon flag, a phase stepper, and optional zone counts.
+const S = require('../event-schemas');
+const {
+    freshMatch, mergeBoard, slotReducer, fieldReducer, recordReducers,
+    resolveCard, PRINT_SET_FACET, RARITY_FACET, TYPE_FACET, costFacet, has, lower
+} = require('./_shared');
+
+const RULES = { zones: 5, lifePoints: 999999 };
+const PHASES = ['Draw', 'Standby', 'Main1', 'Battle', 'Main2', 'End'];
+
+// A blank Yu-Gi-Oh! player board. monsters / spellsTraps are fixed 5-slot
+// rows (null = empty zone). 8000 starting LP; one Normal Summon per turn.
+function freshPlayer(name) {
+    return {
+        name,
+        record: { wins: 0, losses: 0, ties: 0 },
+        gamesWon: 0,
+        lifePoints: 8000,
+        normalSummonUsed: false,
+        monsters: [null, null, null, null, null],   // {id,name,image,atk,def,position:'atk'|'def'|'set'}
+        spellsTraps: [null, null, null, null, null], // {id,name,image,faceDown:bool}
+        fieldSpell: null,                            // {id,name,image}|null
+        counts: { hand: 0, deck: 0, extra: 0, graveyard: 0, banished: 0 }
+    };
+}
+
+const monster = { atk: S.int(0, 99999), def: S.int(0, 99999), position: S.oneOf('atk', 'def', 'set') };
+const counts = S.obj({
+    hand: S.optional(S.int(0, 99)), deck: S.optional(S.int(0, 60)), extra: S.optional(S.int(0, 15)),
+    graveyard: S.optional(S.int(0, 99)), banished: S.optional(S.int(0, 99))
+});
+
+const isMonster = (card) => lower(card.card_type).includes('monster');
+
+// YDK exports (YGOPRODeck / Dueling Nexus) and "3 Dark Magician" text lists.
+// YDK has #main / #extra / !side markers and repeats a bare passcode (the
+// card's product_id) once per copy; passcodes resolve by id, names through
+// search. !side -> Side, #extra -> Extra, anything else by card_type (so
+// Fusion / Synchro / XYZ / Link monsters still land in Extra).
+async function parseDeckList(lines, lookup) {
+    const deck = { game: 'yugioh', categories: { Monsters: [], Spells: [], Traps: [], Extra: [], Side: [] } };
+
+    const QTY = /^(\d+)\s*x?\s+/i;
+    const PASSCODE = /^\d{4,9}$/;
+
+    let section = 'main'; // main | extra | side
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+
+        // Section markers. "#created by" is a comment - skipped without a reset.
+        const lowered = line.toLowerCase();
+        if (/^#main\b/.test(lowered)) { section = 'main'; continue; }
+        if (/^#extra\b/.test(lowered)) { section = 'extra'; continue; }
+        if (/^!side\b/.test(lowered)) { section = 'side'; continue; }
+        if (line.startsWith('#') || line.startsWith('//')) continue;
+
+        const qtyM = line.match(QTY);
+        const quantity = qtyM ? parseInt(qtyM[1], 10) : 1;
+        const rest = qtyM ? line.slice(qtyM[0].length).trim() : line;
+        if (!rest) continue;
+
+        const resolved = PASSCODE.test(rest)
+            ? await lookup.card(`yugioh_${rest}`)
+            : await resolveCard(lookup, { name: rest });
+        if (!resolved) continue;
+
+        let category;
+        if (section === 'side') category = 'Side';
+        else if (section === 'extra') category = 'Extra';
+        else category = lookup.categorize(resolved);
+
+        if (!deck.categories[category]) deck.categories[category] = [];
+        const bucket = deck.categories[category];
+
+        const existing = bucket.find(c => c.name === resolved.name);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            bucket.push({
+                quantity,
+                name: resolved.name,
+                setCode: resolved.set_abbreviation || resolved.set_code || '',
+                number: resolved.card_number || '',
+                cardType: resolved.card_type || '',
+                fullName: `${quantity} ${resolved.name}`.trim()
+            });
+        }
+    }
+
+    return deck;
+}
+
+module.exports = {
+    id: 'yugioh',
+    name: 'Yu-Gi-Oh!',
+    order: 30,
+
+    // No per-set listing: image pre-download picks the newest cards by id instead.
+    fetcher: {
+        source: 'YGOPRODeck',
+        fetchCards: (api, progress, incremental, setCount) => api.fetchYugiohCards(progress, incremental, setCount)
+    },
+
+    columns: {
+        attack: 'INTEGER',
+        defense: 'INTEGER',
+        level: 'INTEGER',
+        rank: 'INTEGER',
+        link_value: 'INTEGER',
+        pendulum_scale: 'INTEGER',
+        attribute: 'TEXT',
+        monster_type: 'TEXT'
+    },
+    searchColumns: ['attack', 'defense'],
+
+    match: {
+        key: 'yugioh',
+        slice: 'yugiohMatch',
+        clock: 40 * 60,
+        rules: RULES,
+
+        fresh: (previous) => freshMatch(freshPlayer, previous, { currentPhase: 'Main1' }),
+        syncFields: ['currentPhase'],
+
+        reducers: {
+            // Bulk update (player boards / turn / phase / game / format) - control load + show.
+            'yugioh-match-update': (state, data, { emit }) => {
+                mergeBoard(state, data, ['currentTurn', 'currentPhase', 'gameNumber', 'matchFormat']);
+                emit('yugioh-match-update', data);
+            },
+            'yugioh-life-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.lifePoints = Math.max(0, data.lifePoints | 0);
+                emit('yugioh-life-update', { player: data.player, lifePoints: p.lifePoints, timestamp: Date.now() });
+            },
+            // Set or clear (monster=null) a Monster Zone (0-4).
+            'yugioh-monster-update': slotReducer('yugioh-monster-update', 'monsters', 'monster', RULES.zones),
+            'yugioh-monster-position': (state, data, { emit }) => {
+                const m = state[`player${data.player}`] && state[`player${data.player}`].monsters[data.index];
+                if (!m) return;
+                m.position = data.position;
+                emit('yugioh-monster-position', { player: data.player, index: data.index, position: data.position, timestamp: Date.now() });
+            },
+            // Set or clear (card=null) a Spell/Trap Zone (0-4).
+            'yugioh-spelltrap-update': slotReducer('yugioh-spelltrap-update', 'spellsTraps', 'card', RULES.zones),
+            'yugioh-field-update': fieldReducer('yugioh-field-update', 'fieldSpell', 'field'),
+            'yugioh-counts-update': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.counts = { ...p.counts, ...data.counts };
+                emit('yugioh-counts-update', { player: data.player, counts: p.counts, timestamp: Date.now() });
+            },
+            'yugioh-normal-summon': (state, data, { emit }) => {
+                const p = state[`player${data.player}`];
+                if (!p) return;
+                p.normalSummonUsed = !!data.used;
+                emit('yugioh-normal-summon', { player: data.player, used: !!data.used, timestamp: Date.now() });
+            },
+            'yugioh-phase-update': (state, data, { emit }) => {
+                state.currentPhase = data.phase;
+                emit('yugioh-phase-update', { phase: data.phase, timestamp: Date.now() });
+            },
+            ...recordReducers('yugioh')
+        },
+
+        schemas: {
+            'yugioh-match-update': S.bulkUpdate({
+                lifePoints: S.optional(S.int(0, RULES.lifePoints)),
+                normalSummonUsed: S.optional(S.bool()),
+                monsters: S.optional(S.cards(RULES.zones, monster)),
+                spellsTraps: S.optional(S.cards(RULES.zones, { faceDown: S.bool() })),
+                fieldSpell: S.optional(S.card()),
+                counts: S.optional(counts)
+            }, { currentPhase: S.optional(S.oneOf(...PHASES)) }),
+            'yugioh-life-update': S.playerField('lifePoints', S.int(0, RULES.lifePoints)),
+            'yugioh-monster-update': S.slotField(RULES.zones, 'monster', S.card(monster)),
+            'yugioh-monster-position': S.slotField(RULES.zones, 'position', S.oneOf('atk', 'def', 'set')),
+            'yugioh-spelltrap-update': S.slotField(RULES.zones, 'card', S.card({ faceDown: S.bool() })),
+            'yugioh-field-update': S.playerField('field', S.card()),
+            'yugioh-counts-update': S.playerField('counts', counts),
+            'yugioh-normal-summon': S.playerField('used', S.bool()),
+            'yugioh-phase-update': S.obj({ phase: S.oneOf(...PHASES) }),
+            'yugioh-record-update': S.playerField('record', S.record),
+            'yugioh-games-won-update': S.playerField('gamesWon', S.gamesWon)
+        }
+    },
+
+    deck: {
+        parse: parseDeckList,
+        detect: [
+            // YDK exports use #main / #extra / !side section markers (and a
+            // "#created by" comment); these never appear in other games' exports.
+            { priority: 40, patterns: [/^\s*#(main|extra|created)\b/mi, /^\s*!side\b/mi] }
+        ],
+        // Side is import-driven only (categorize never returns it). Extra holds
+        // Fusion/Synchro/XYZ/Link monsters routed out of the Main deck.
+        categories: ['Monsters', 'Spells', 'Traps', 'Extra', 'Side'],
+        categorize: {
+            rules: [['spell', 'Spells'], ['trap', 'Traps'], [['fusion', 'synchro', 'xyz', 'link'], 'Extra']],
+            otherwise: 'Monsters'
+        },
+        // Main 40-60, Extra 0-15, Side 0-15, max 3 copies per card name.
+        rules: { main: [40, 60], extra: 15, side: 15, copyLimit: 3 },
+        sections: { Extra: { rule: 'extra' }, Side: { rule: 'side' } },
+        // Forbidden = 0, Limited = 1, Semi-Limited = 2 copies in deck-validator.js.
+        formats: ['Advanced (TCG)', 'Traditional', 'Advanced (OCG)'],
+        // Forbidden & Limited snapshot per format. Seeded empty; fill from the
+        // official Konami F&L list (yugioh-card.com/en/limited).
+        banlist: {
+            'Advanced (TCG)': { forbidden: [], limited: [], semiLimited: [] },
+            'Traditional': { forbidden: [], limited: [], semiLimited: [] },
+            'Advanced (OCG)': { forbidden: [], limited: [], semiLimited: [] }
+        }
+    },
+
+    registry: {
+        label: 'Yu-Gi-Oh!',
+        style: 'btn-warning',
+        badge: 'bg-gradient-to-br from-yellow-500 to-yellow-600',
+        searchMeta: { parts: ['ATK {attack} / DEF {defense}'], otherwise: ['card_type'] }
+    },
+
+    // Set codes are per print (LOB-EN001): the set catalog takes the prefix
+    // before the dash, and sets are counted by name.
+    setCode: 'print',
+
+    search: {
+        fields: {
+            atk: { column: 'attack', kind: 'number' },
+            attack: 'atk',
+            def: { column: 'defense', kind: 'number' },
+            defense: 'def',
+            level: { column: 'level', kind: 'number' },
+            lv: 'level',
+            rank: { column: 'rank', kind: 'number' },
+            link: { column: 'link_value', kind: 'number' },
+            scale: { column: 'pendulum_scale', kind: 'number' },
+            attr: { column: 'attribute', kind: 'text' },
+            attribute: 'attr',
+            race: { column: 'monster_type', kind: 'text' },
+            mtype: 'race'
+        },
+        facets: [
+            PRINT_SET_FACET, RARITY_FACET, TYPE_FACET,
+            { key: 'color', label: 'Attribute', field: 'attr', op: '=', column: 'attribute' },
+            costFacet('level', 'level', 'Level')
+        ]
+    },
+
+    stats: {
+        cost: 'level',
+        costLabel: 'Level',
+        curveMax: 12,
+        curveSkip: (card) => !isMonster(card),
+        colors: (card) => (has(card.attribute) ? [card.attribute] : []),
+        type: (card) => {
+            const type = lower(card.card_type);
+            if (type.includes('spell')) return 'Spell';
+            if (type.includes('trap')) return 'Trap';
+            return 'Monster';
+        },
+        odds: [
+            { label: 'Monster in the opening 5', test: isMonster },
+            { label: 'Level 4 or lower monster in the opening 5', test: (card) => isMonster(card) && has(card.level) && card.level <= 4 }
+        ]
+    },
+
+    // No mulligan
+    sampleHand: { hand: 5 },
+
+    overlaySettings: {
+        showLifePoints: true,
+        lifeTotal: 8000,
+        showGraveyard: true,
+        showExtraDeck: true,
+        showBanished: true,
+        showFieldZones: true,
+        categories: ['Monsters', 'Spells', 'Traps', 'Extra Deck']
+    }
+};
@@ -0,0 +1,80 @@
+// src/match-clock.js - Server-owned round clock for one match.
+//
+// The clock is stored as three numbers rather than a ticking counter: the
+// configured duration, the time remaining when it was last paused, and the
+// epoch (ms) it was started at. Time left is derived from the wall clock on
+// demand, so nothing has to tick on the server and every control page and
+// overlay that renders from it shows the same second. All values are seconds
+// except startedAt.
+class MatchClock {
+    constructor(duration) {
+        this.duration = duration;
+        this.remaining = duration;   // time left as of startedAt (or as of the pause)
+        this.startedAt = null;       // epoch ms while running, null while paused
+    }
+
+    get running() {
+        return this.startedAt !== null;
+    }
+
+    timeLeft(now = Date.now()) {
+        if (!this.running) return this.remaining;
+        return Math.max(0, this.remaining - (now - this.startedAt) / 1000);
+    }
+
+    // Returns false when there is nothing to do (already running or expired).
+    start(now = Date.now()) {
+        if (this.running || this.remaining <= 0) return false;
+        this.startedAt = now;
+        return true;
+    }
+
+    pause(now = Date.now()) {
+        if (!this.running) return false;
+        this.remaining = this.timeLeft(now);
+        this.startedAt = null;
+        return true;
+    }
+
+    // New round length; stops the clock on the full duration.
+    set(duration) {
+        this.duration = Math.max(0, duration);
+        this.reset();
+    }
+
+    reset() {
+        this.remaining = this.duration;
+        this.startedAt = null;
+    }
+
+    // Change the time left without touching the duration; a running clock keeps running.
+    adjust(seconds, now = Date.now()) {
+        this.remaining = Math.max(0, seconds);
+        if (this.running) this.startedAt = now;
+    }
+
+    // A running clock that has reached zero stops at 0:00.
+    settle(now = Date.now()) {
+        if (this.running && this.timeLeft(now) <= 0) {
+            this.remaining = 0;
+            this.startedAt = null;
+            return true;
+        }
+        return false;
+    }
+
+    toJSON() {
+        return { duration: this.duration, remaining: this.remaining, startedAt: this.startedAt };
+    }
+
+    static fromJSON(data, fallbackDuration) {
+        const clock = new MatchClock(fallbackDuration);
+        if (!data || typeof data !== 'object') return clock;
+        if (Number.isFinite(data.duration)) clock.duration = Math.max(0, data.duration);
+        if (Number.isFinite(data.remaining)) clock.remaining = Math.max(0, data.remaining);
+        if (Number.isFinite(data.startedAt)) clock.startedAt = data.startedAt;
+        return clock;
+    }
+}
+
+module.exports = MatchClock;
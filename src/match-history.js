@@ -0,0 +1,124 @@
+// src/match-history.js - Bounded per-game undo/redo stacks of match state diffs.
+//
+// OverlayServer calls record() after every broadcast. The history keeps a
+// baseline copy of each match and diffs the live state against it, so any
+// mutator (present or future) is undoable without knowing about history.
+// An entry is the list of leaf changes { path, before, after } between two
+// baselines; undo applies the befores in reverse order, redo the afters in
+// order, both in place on the live match object.
+//
+// Control pages often send a couple of events for one click (e.g. prize-taken
+// followed by pokemon-match-update). Changes landing within COALESCE_MS of the
+// previous entry are folded into it, so one Undo reverts one click - unless the
+// entry already holds the same action (the caller's key, event plus player): one
+// click never sends the same event for the same player twice, so a repeat is a
+// second click (a double-clicked prize, two quick -1 life taps) and its own step.
+const DEFAULT_LIMIT = 50;
+const COALESCE_MS = 400;
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+const isObj = (v) => v !== null && typeof v === 'object';
+
+// Leaf-level diff. Plain objects and same-length arrays are walked; anything
+// else that differs (including arrays that grew or shrank) is one change.
+function diff(before, after, path = [], out = []) {
+    if (isObj(before) && isObj(after) && Array.isArray(before) === Array.isArray(after)
+        && (!Array.isArray(before) || before.length === after.length)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach(key => diff(before[key], after[key], path.concat(key), out));
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        out.push({ path, before: clone(before), after: clone(after) });
+    }
+    return out;
+}
+
+// Write value at path inside target (undefined deletes the key).
+function applyAt(target, path, value) {
+    if (path.length === 0) return;
+    let node = target;
+    for (let i = 0; i < path.length - 1; i++) {
+        if (!isObj(node[path[i]])) node[path[i]] = {};
+        node = node[path[i]];
+    }
+    const last = path[path.length - 1];
+    if (value === undefined) delete node[last];
+    else node[last] = clone(value);
+}
+
+class MatchHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || DEFAULT_LIMIT;
+        this.baselines = {};
+        this.undoStacks = {};
+        this.redoStacks = {};
+    }
+
+    // (Re)start tracking a match from its current state, dropping its history.
+    track(match, state) {
+        this.baselines[match] = clone(state);
+        this.undoStacks[match] = [];
+        this.redoStacks[match] = [];
+    }
+
+    // Diff the live state against the baseline. action names what caused the
+    // change (see COALESCE_MS). Returns the changes just recorded (the caller
+    // broadcasts the new undo/redo availability and journals them), or null when
+    // nothing changed.
+    record(match, state, action, now = Date.now()) {
+        if (!(match in this.baselines)) {
+            this.track(match, state);
+            return null;
+        }
+        const changes = diff(this.baselines[match], state);
+        if (changes.length === 0) return null;
+
+        this.baselines[match] = clone(state);
+        this.redoStacks[match] = [];
+        const stack = this.undoStacks[match];
+        const top = stack[stack.length - 1];
+        if (top && !top.applied && now - top.at < COALESCE_MS && !top.actions.includes(action)) {
+            top.changes.push(...changes);
+            top.actions.push(action);
+            top.at = now;
+        } else {
+            stack.push({ changes, actions: [action], at: now });
+            if (stack.length > this.limit) stack.shift();
+        }
+        return changes;
+    }
+
+    // Revert the latest step on the live state object. Returns the reverted
+    // step's changes (as recorded, i.e. before -> after), or null when there is
+    // nothing to undo.
+    undo(match, state) {
+        const entry = (this.undoStacks[match] || []).pop();
+        if (!entry) return null;
+        for (let i = entry.changes.length - 1; i >= 0; i--) {
+            applyAt(state, entry.changes[i].path, entry.changes[i].before);
+        }
+        // A reverted step is never coalesced into by the next action.
+        entry.applied = true;
+        this.redoStacks[match].push(entry);
+        this.baselines[match] = clone(state);
+        return entry.changes;
+    }
+
+    redo(match, state) {
+        const entry = (this.redoStacks[match] || []).pop();
+        if (!entry) return null;
+        entry.changes.forEach(change => applyAt(state, change.path, change.after));
+        this.undoStacks[match].push(entry);
+        this.baselines[match] = clone(state);
+        return entry.changes;
+    }
+
+    status(match) {
+        return {
+            match,
+            canUndo: (this.undoStacks[match] || []).length > 0,
+            canRedo: (this.redoStacks[match] || []).length > 0
+        };
+    }
+}
+
+module.exports = MatchHistory;
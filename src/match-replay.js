@@ -0,0 +1,204 @@
+// src/match-replay.js - Re-drives match overlays from a recorded match log.
+//
+// Every event the server relays to a match board is journaled with its payload
+// and the board after it (OverlayServer MATCH EVENT JOURNAL METHODS ->
+// match_events). A replay loads one logged match and re-emits those events with
+// their original spacing (divided by the speed) on the /replay socket.io
+// namespace. An OBS browser source pointed at a match overlay with ?replay=1
+// listens there, so it re-renders the match while the live overlays and the
+// control pages (default namespace) never see a replayed event.
+//
+// Seeking does not fast-forward through every event in between: the overlay is
+// sent the full-state events for the board recorded at that moment, exactly
+// what a freshly-registered live overlay gets.
+const SPEEDS = [0.5, 1, 2, 4, 8, 16];
+
+class MatchReplay {
+    // nsp: the /replay namespace. overlayServer builds the per-game full-state
+    // events. options.loadFrames(game, matchId) returns the recorded frames
+    // ({ action, payload, state, wallTime, clockElapsed, clockRemaining });
+    // options.onStatus(status) is called on every change (server.js broadcasts it
+    // to the replay control page).
+    constructor(nsp, overlayServer, options = {}) {
+        this.nsp = nsp;
+        this.overlayServer = overlayServer;
+        this.loadFrames = options.loadFrames || (() => []);
+        this.onStatus = options.onStatus || (() => {});
+        this.unload();
+    }
+
+    unload() {
+        this.stopTimer();
+        this.game = null;
+        this.match = null;
+        this.matchId = null;
+        this.frames = [];      // { at: ms since the first frame, ... }
+        this.index = 0;        // frames already shown; frames[index - 1] is on screen
+        this.position = 0;     // ms since the first frame, as of playStartedAt
+        this.playing = false;
+        this.playStartedAt = 0;
+        if (this.speed === undefined) this.speed = 1;
+    }
+
+    // Load a logged match and show its first frame. Returns false (and stays
+    // unloaded) when the log has nothing to replay.
+    load(game, matchId) {
+        const match = this.overlayServer.matchKeyForGame(game);
+        const frames = match && matchId ? this.loadFrames(game, matchId) : [];
+        this.unload();
+        if (!frames.length) {
+            this.broadcastStatus();
+            return false;
+        }
+        const start = frames[0].wallTime;
+        this.game = game;
+        this.match = match;
+        this.matchId = matchId;
+        this.frames = frames.map(frame => ({ ...frame, at: frame.wallTime - start }));
+        console.log(`Replay loaded: ${matchId} (${frames.length} events)`);
+        this.seek(0);
+        return true;
+    }
+
+    get duration() {
+        return this.frames.length ? this.frames[this.frames.length - 1].at : 0;
+    }
+
+    currentPosition(now = Date.now()) {
+        if (!this.playing) return this.position;
+        return Math.min(this.duration, this.position + (now - this.playStartedAt) * this.speed);
+    }
+
+    play(speed) {
+        if (!this.frames.length) return;
+        if (speed !== undefined) this.setSpeed(speed);
+        if (this.playing) return;
+        // Playing from the end starts over.
+        if (this.index >= this.frames.length) this.seek(0);
+        this.playing = true;
+        this.playStartedAt = Date.now();
+        this.scheduleNext();
+        this.broadcastStatus();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.position = this.currentPosition();
+        this.playing = false;
+        this.stopTimer();
+        this.broadcastStatus();
+    }
+
+    // Jump to a point (ms since the first event) and show the board recorded there.
+    seek(position) {
+        if (!this.frames.length) return;
+        const target = Math.max(0, Math.min(this.duration, Number(position) || 0));
+        let index = 1;
+        while (index < this.frames.length && this.frames[index].at <= target) index++;
+        this.index = index;
+        this.position = target;
+        this.playStartedAt = Date.now();
+        this.showBoard(this.frames[index - 1]);
+        if (this.playing) this.scheduleNext();
+        this.broadcastStatus();
+    }
+
+    setSpeed(speed) {
+        const value = Number(speed);
+        if (!SPEEDS.includes(value) || value === this.speed) return;
+        // Re-base so the change applies from now on, not retroactively.
+        this.position = this.currentPosition();
+        this.playStartedAt = Date.now();
+        this.speed = value;
+        if (this.playing) this.scheduleNext();
+        this.broadcastStatus();
+    }
+
+    stop() {
+        this.unload();
+        this.broadcastStatus();
+    }
+
+    scheduleNext() {
+        this.stopTimer();
+        const next = this.frames[this.index];
+        if (!next) {
+            // Reached the end: hold on the final board.
+            this.position = this.duration;
+            this.playing = false;
+            this.broadcastStatus();
+            return;
+        }
+        const delay = Math.max(0, (next.at - this.currentPosition()) / this.speed);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.index++;
+            this.showEvent(next);
+            this.scheduleNext();
+            this.broadcastStatus();
+        }, delay);
+    }
+
+    stopTimer() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Re-emit a frame the way it was broadcast live. Undo/redo steps have no
+    // payload of their own, so the overlay is brought to the recorded board.
+    showEvent(frame) {
+        if (frame.payload === null || frame.action === 'match-undo' || frame.action === 'match-redo') {
+            this.showBoard(frame);
+            return;
+        }
+        this.nsp.emit(frame.action, frame.payload);
+        this.emitClock(this.nsp, frame);
+    }
+
+    showBoard(frame, target = this.nsp) {
+        this.overlayServer.getMatchSyncEvents(this.match, frame.state)
+            .forEach(([event, payload]) => target.emit(event, payload));
+        this.emitClock(target, frame);
+    }
+
+    // The round clock as it stood at the frame (it does not count between frames).
+    emitClock(target, frame) {
+        if (!Number.isFinite(frame.clockRemaining)) return;
+        target.emit('match-clock-update', {
+            match: this.match,
+            running: false,
+            duration: (frame.clockElapsed || 0) + frame.clockRemaining,
+            remaining: frame.clockRemaining,
+            serverTime: Date.now()
+        });
+    }
+
+    // A replay overlay (re)registering gets the board on screen right now.
+    sendCurrentBoard(socket, match) {
+        if (match && match === this.match && this.index > 0) {
+            this.showBoard(this.frames[this.index - 1], socket);
+        }
+    }
+
+    getStatus() {
+        return {
+            loaded: this.frames.length > 0,
+            game: this.game,
+            matchId: this.matchId,
+            playing: this.playing,
+            speed: this.speed,
+            speeds: SPEEDS,
+            position: this.currentPosition(),
+            duration: this.duration,
+            index: this.index,
+            count: this.frames.length,
+            serverTime: Date.now()
+        };
+    }
+
+    broadcastStatus() {
+        this.onStatus(this.getStatus());
+    }
+}
+
+module.exports = MatchReplay;
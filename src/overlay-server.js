@@ -1,17 +1,78 @@
 // src/overlay-server.js - CardCast Overlay Manager
+const StateStore = require('./state-store');
+const MatchClock = require('./match-clock');
+const MatchHistory = require('./match-history');
+const { rarityTier, summarizePackSession } = require('./pack-session');
+const {
+    mulliganSampleHand,
+    alterSampleHand,
+    drawSampleCard,
+    describeSampleHand
+} = require('./sample-hand');
+const games = require('./games');
+
+// Every match board comes from a game plugin (src/games): its state slice,
+// default round clock and reducers. Match keys are the ones used in socket
+// events and overlay types ('onepiece' for onepiece-match).
+const MATCH_PLUGINS = games.matches();
+
+// State slices that survive a restart (see restoreState). overlaySettings and
+// gameSettings are display presets, not match state, so they start from defaults.
+const PERSISTED_KEYS = [
+    'currentCards', 'decklist', 'decklist2', 'packSession', 'deckStats', 'sampleHand',
+    ...MATCH_PLUGINS.map(plugin => plugin.match.slice)
+];
+
+// Match key -> the state slice holding that match ('onepiece' -> 'onePieceMatch').
+const MATCH_SLICES = Object.fromEntries(MATCH_PLUGINS.map(plugin => [plugin.match.key, plugin.match.slice]));
+
+// One round clock per match. Value = default round length (s).
+const CLOCK_DEFAULTS = Object.fromEntries(MATCH_PLUGINS.map(plugin => [plugin.match.key, plugin.match.clock || 50 * 60]));
+
+// Match key -> game id as used by the REST API / database ('mtg' is 'magic').
+const MATCH_GAMES = Object.fromEntries(MATCH_PLUGINS.map(plugin => [plugin.match.key, plugin.id]));
+
+// A readable, sortable id for a new match log: '<game>-20261019-154403-120'.
+function newMatchId(match) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+    return `${MATCH_GAMES[match]}-${stamp}`;
+}
+
+// Id for a new pack-opening session: 'pack-<game>-20261019-154403-120'.
+function newPackSessionId(game) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+    return `pack-${game}-${stamp}`;
+}
+
 class OverlayServer {
-    constructor(io) {
+    // options.statePath: JSON snapshot file. When set, state is restored from it
+    // on construction and re-saved after every mutation.
+    // options.onMatchEvent(entry): receives one journal entry per match state
+    // change (see MATCH EVENT JOURNAL METHODS); server.js writes them to SQLite.
+    // options.onPackSession(session): receives the pack-opening session after
+    // every change (see PACK OPENING METHODS), for the same purpose.
+    // options.priceDeck(deck): returns the decklist's prices ({ total, byName,
+    // missing }) from the imported price files; server.js looks them up in SQLite.
+    constructor(io, options = {}) {
         this.io = io;
+        this.store = options.statePath ? new StateStore(options.statePath) : null;
+        this.onMatchEvent = options.onMatchEvent || null;
+        this.onPackSession = options.onPackSession || null;
+        this.priceDeck = options.priceDeck || null;
         this.currentCards = {
             left: null,
             right: null
         };
-        this.decklist = {
-            title: 'My Deck',
-            format: 'Standard',
-            game: 'pokemon',
-            categories: {}
-        };
+        // Two decklist slots, one per player: decklist (player 1, and the only
+        // slot before split-screen decklists) and decklist2. Decklist events carry
+        // player: 1 | 2 and default to player 1.
+        this.decklist = this.freshDecklist('My Deck');
+        this.decklist2 = this.freshDecklist('Player 2 Deck');
+        this.packSession = this.freshPackSession();
+        // Deck analytics on the deck-stats overlay (see DECK STATS METHODS).
+        this.deckStats = { stats: null, show: false };
+        // Simulated opening hand on the sample-hand overlay (see SAMPLE HAND METHODS).
+        this.sampleHand = { hand: null, show: false };
         this.overlaySettings = {
             theme: 'championship',
             showAnimations: true,
@@ -20,216 +81,95 @@ class OverlayServer {
         };
         this.gameSettings = {};
         
-        // Add Pokemon Match state
-        this.pokemonMatch = {
-            player1: {
-                name: 'Player 1',
-                active: null,
-                bench: [],
-                benchSize: 5,
-                prizes: 6,
-                prizesTaken: [],
-                record: { wins: 0, losses: 0, ties: 0 },
-                matchScore: 0,
-                turnActions: { energy: false, supporter: false, retreat: false }
-            },
-            player2: {
-                name: 'Player 2',
-                active: null,
-                bench: [],
-                benchSize: 5,
-                prizes: 6,
-                prizesTaken: [],
-                record: { wins: 0, losses: 0, ties: 0 },
-                matchScore: 0,
-                turnActions: { energy: false, supporter: false, retreat: false }
-            },
-            currentTurn: 1,
-            timer: { minutes: 50, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: 'Best of 3',
-            stadium: ''
-        };
-
-        // MTG Match State (MTG proper: 60-card constructed, 20 life - no Commander).
-        this.mtgMatch = {
-            player1: this.freshMTGPlayer('Player 1'),
-            player2: this.freshMTGPlayer('Player 2'),
-            activePlayer: 1,
-            currentPhase: 'main1',
-            timer: 0,
-            matchFormat: 'Standard'
-        };
-
-        // Gundam Match State (mirrors pokemonMatch; locked design: equal 6-unit
-        // grid, Shields=6, per-player Base + Resources, no turn-flag row).
-        this.gundamMatch = {
-            player1: this.freshGundamPlayer('Player 1'),
-            player2: this.freshGundamPlayer('Player 2'),
-            currentTurn: 1,
-            timer: { minutes: 50, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: 'Best of 3'
-        };
-
-        // Yu-Gi-Oh! Match State (mirrors gundamMatch; design: 8000 LP headline, a
-        // row of 5 Monster Zones with ATK/DEF + battle position, a 5-slot Spell/
-        // Trap row + Field Spell slot, a once-per-turn Normal Summon flag, a phase
-        // stepper, and optional zone counts).
-        this.yugiohMatch = {
-            player1: this.freshYugiohPlayer('Player 1'),
-            player2: this.freshYugiohPlayer('Player 2'),
-            currentTurn: 1,
-            currentPhase: 'Main1',
-            timer: { minutes: 40, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: 'Best of 3'
-        };
+        // One board per match, shaped by its plugin (see MATCH BOARD METHODS).
+        MATCH_PLUGINS.forEach(({ match }) => {
+            this[match.slice] = match.fresh();
+        });
 
-        // One Piece Match State (mirrors gundamMatch; locked design: featured
-        // Leader + Power, a variable-length Life pip-track seeded from the Leader's
-        // life, a DON!! X/10 active/rested counter with per-character attach, a
-        // Character Area row of up to 5, and a single Stage slot. No turn-flag row.
-        this.onePieceMatch = {
-            player1: this.freshOnePiecePlayer('Player 1'),
-            player2: this.freshOnePiecePlayer('Player 2'),
-            currentTurn: 1,
-            timer: { minutes: 50, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: 'Best of 3'
-        };
+        // Server-authoritative match clocks (see MATCH CLOCK METHODS).
+        this.clocks = {};
+        this.clockTimers = {};
+        Object.keys(CLOCK_DEFAULTS).forEach(match => {
+            this.clocks[match] = new MatchClock(CLOCK_DEFAULTS[match]);
+        });
 
-        // Disney Lorcana Match State (mirrors onePieceMatch; locked design: NO life
-        // total - the headline is a LORE race counting UP to 20 (first to 20 wins).
-        // Each player also has an Ink resource (available/total), a row of up to 6
-        // Characters (Strength/Willpower/Lore + accumulated damage toward Willpower +
-        // ready/exerted), up to 3 Locations (Willpower + Lore/turn), and optional
-        // Items. No turn-flag row.
-        this.lorcanaMatch = {
-            player1: this.freshLorcanaPlayer('Player 1'),
-            player2: this.freshLorcanaPlayer('Player 2'),
-            currentTurn: 1,
-            timer: { minutes: 50, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: 'Best of 3'
-        };
+        // Journal id of the match in progress per game; a match reset starts a new one.
+        this.matchIds = {};
+        Object.keys(MATCH_SLICES).forEach(match => {
+            this.matchIds[match] = newMatchId(match);
+        });
 
-        // Digimon Match State (mirrors gundamMatch/lorcanaMatch). TWO Digimon-unique
-        // mechanics drive the design: a per-player 5-card SECURITY stack (the loss
-        // track, mirrors Gundam shields) and a SINGLE SHARED MEMORY gauge in the
-        // center running -10 (P1 side) .. 0 .. +10 (P2 side) - NOT a per-player value.
-        // Plus a Battle Area row (Digimon shown as digivolution stacks with DP+level),
-        // a Breeding Area slot, Tamer chips, and optional zone counts.
-        this.digimonMatch = {
-            memory: 0, // SHARED, -10 (P1 side) .. 0 .. +10 (P2 side)
-            player1: this.freshDigimonPlayer('Player 1'),
-            player2: this.freshDigimonPlayer('Player 2'),
-            currentTurn: 1,
-            timer: { minutes: 50, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: 'Best of 3'
-        };
-    }
+        this.restoreState();
 
-    // A blank Digimon player board. security is the fixed 5-pip loss track (mirrors
-    // Gundam shields). battle is a fixed 6-slot row (null = empty); each entry is a
-    // digivolution stack rendered as one card with DP/level and a stack-depth badge.
-    // breeding is the single egg-incubator slot; tamers is a free chip list.
-    freshDigimonPlayer(name) {
-        return {
-            name,
-            record: { wins: 0, losses: 0, ties: 0 },
-            gamesWon: 0,
-            security: 5,
-            securityTaken: [],
-            battle: [null, null, null, null, null, null], // {id,name,image,dp,level,colors,stack}
-            breeding: null,                                // {id,name,image,dp,level,colors}|null
-            tamers: [],                                    // {id,name,image}
-            counts: { hand: 0, deck: 0, trash: 0, eggDeck: 0 }
-        };
+        // Undo/redo stacks start from the (restored) boards; see MATCH HISTORY METHODS.
+        this.history = new MatchHistory();
+        Object.keys(MATCH_SLICES).forEach(match => {
+            this.history.track(match, this[MATCH_SLICES[match]]);
+        });
     }
 
-    // A blank Lorcana player board. lore counts UP toward loreGoal (20 = win) - it
-    // is NOT a depleting life total. characters is a fixed 6-slot row and locations
-    // a fixed 3-slot row (null = empty); items is a free list of chips.
-    freshLorcanaPlayer(name) {
-        return {
-            name,
-            record: { wins: 0, losses: 0, ties: 0 },
-            gamesWon: 0,
-            lore: 0,
-            loreGoal: 20,
-            ink: { available: 0, total: 0 },
-            characters: [null, null, null, null, null, null], // {id,name,image,strength,willpower,lore,damage,exerted}
-            locations: [null, null, null],                     // {id,name,image,willpower,lore}
-            items: []                                          // {id,name,image}
-        };
+    // Broadcast a state change to every client. All mutators funnel through here
+    // (never this.io.emit directly) so each change is also recorded for undo and
+    // snapshotted to disk.
+    emit(event, payload) {
+        this.io.emit(event, payload);
+        this.recordHistory(event, payload);
+        if (this.store) this.store.save(this.getPersistedState());
     }
 
-    // A blank One Piece player board. characters is a fixed 5-slot row (null =
-    // empty). Life total defaults to 4 and is reseeded from the Leader's life when
-    // a Leader is assigned. DON!! is a ramping active/rested counter out of 10.
-    freshOnePiecePlayer(name) {
-        return {
-            name,
-            record: { wins: 0, losses: 0, ties: 0 },
-            gamesWon: 0,
-            leader: null,                                 // {id,name,image,power,colors}
-            life: { total: 4, taken: [] },                // total seeded from leader.life
-            don: { active: 0, rested: 0, max: 10 },
-            characters: [null, null, null, null, null],   // {id,name,image,power,counter,donAttached}
-            stage: null                                   // {id,name,image}|null
-        };
+    getPersistedState() {
+        const out = {};
+        PERSISTED_KEYS.forEach(key => { out[key] = this[key]; });
+        out.clocks = this.clocks;
+        out.matchIds = this.matchIds;
+        return out;
     }
 
-    // A blank Yu-Gi-Oh! player board. monsters / spellsTraps are fixed 5-slot
-    // rows (null = empty zone). 8000 starting LP; one Normal Summon per turn.
-    freshYugiohPlayer(name) {
-        return {
-            name,
-            record: { wins: 0, losses: 0, ties: 0 },
-            gamesWon: 0,
-            lifePoints: 8000,
-            normalSummonUsed: false,
-            monsters: [null, null, null, null, null],   // {id,name,image,atk,def,position:'atk'|'def'|'set'}
-            spellsTraps: [null, null, null, null, null], // {id,name,image,faceDown:bool}
-            fieldSpell: null,                            // {id,name,image}|null
-            counts: { hand: 0, deck: 0, extra: 0, graveyard: 0, banished: 0 }
-        };
-    }
+    // Rehydrate from the last snapshot. Each match is layered over the fresh
+    // defaults built above (player boards included), so a snapshot written by an
+    // older version that lacks newer fields still yields a complete board.
+    restoreState() {
+        const saved = this.store && this.store.load();
+        if (!saved) return;
 
-    // A blank Gundam player board. units is a fixed 6-slot grid (null = empty cell).
-    freshGundamPlayer(name) {
-        return {
-            name,
-            record: { wins: 0, losses: 0, ties: 0 },
-            gamesWon: 0,
-            shields: 6,
-            shieldsTaken: [],
-            resources: { active: 0, total: 0, ex: false },
-            units: [null, null, null, null, null, null],
-            base: null
-        };
+        const isObj = v => v && typeof v === 'object' && !Array.isArray(v);
+        PERSISTED_KEYS.forEach(key => {
+            const value = saved[key];
+            if (!isObj(value) || !isObj(this[key])) return;
+            const merged = { ...this[key], ...value };
+            ['player1', 'player2'].forEach(p => {
+                if (isObj(this[key][p]) && isObj(value[p])) {
+                    merged[p] = { ...this[key][p], ...value[p] };
+                }
+            });
+            this[key] = merged;
+        });
+        // A clock that was running keeps running across the restart (its start
+        // epoch is wall-clock time), so re-arm its expiry.
+        if (isObj(saved.clocks)) {
+            Object.keys(CLOCK_DEFAULTS).forEach(match => {
+                this.clocks[match] = MatchClock.fromJSON(saved.clocks[match], CLOCK_DEFAULTS[match]);
+                this.clocks[match].settle();
+                this.armClock(match);
+            });
+        }
+        // Keep appending to the same match log after a restart.
+        if (isObj(saved.matchIds)) {
+            Object.keys(MATCH_SLICES).forEach(match => {
+                if (typeof saved.matchIds[match] === 'string') this.matchIds[match] = saved.matchIds[match];
+            });
+        }
+        console.log('Restored overlay + match state from the last session');
     }
 
-    // A blank MTG player board. 20 starting life; poison is the alt loss
-    // condition (overlay hides it until > 0). No Commander damage / 40-life.
-    freshMTGPlayer(name) {
-        return {
-            name,
-            record: '0-0-0',
-            gamesWon: 0,
-            life: 20,
-            poison: 0,
-            lands: 0,
-            featuredPermanents: [],
-            turnActions: { landPlayed: false, spellCast: false }
-        };
+    // Write any pending snapshot immediately (called on shutdown).
+    flushState() {
+        if (this.store) this.store.flush();
     }
 
     updateCard(cardData, position = 'left') {
         this.currentCards[position] = cardData;
-        this.io.emit('card-update', {
+        this.emit('card-update', {
             card: cardData,
             position: position,
             settings: this.overlaySettings,
@@ -245,1099 +185,379 @@ class OverlayServer {
             this.currentCards[position] = null;
         }
         
-        this.io.emit('card-clear', {
+        this.emit('card-clear', {
             position: position,
             timestamp: Date.now()
         });
     }
     
-    takePrize(player, index) {
-        const playerKey = `player${player}`;
+    // ============ MATCH BOARD METHODS ============
+    // A match event is applied by its plugin's reducer (src/games/<game>.js),
+    // which updates the board in place and broadcasts through ctx.emit.
 
-        if (this.pokemonMatch[playerKey]) {
-            if (!this.pokemonMatch[playerKey].prizesTaken.includes(index)) {
-                this.pokemonMatch[playerKey].prizesTaken.push(index);
-                this.pokemonMatch[playerKey].prizes = 6 - this.pokemonMatch[playerKey].prizesTaken.length;
+    applyMatchEvent(match, event, data) {
+        const plugin = games.match(match);
+        const reducer = plugin && plugin.match.reducers[event];
+        if (!reducer) return false;
+        reducer(this[plugin.match.slice], data || {}, {
+            emit: (name, payload) => this.emit(name, payload),
+            adjustClock: (seconds) => this.adjustClock(match, seconds),
+            restart: () => {
+                this.resetClock(match);
+                this.startMatchLog(match);
             }
-        }
-        
-        this.io.emit('prize-taken', {
-            player: player,
-            index: index,
-            remaining: 6 - this.pokemonMatch[playerKey].prizesTaken.length,
-            timestamp: Date.now()
         });
+        return true;
     }
-    
-    resetPrizes() {
-        this.pokemonMatch.player1.prizesTaken = [];
-        this.pokemonMatch.player1.prizes = 6;
-        this.pokemonMatch.player2.prizesTaken = [];
-        this.pokemonMatch.player2.prizes = 6;
 
-        this.io.emit('prizes-reset', {
-            timestamp: Date.now()
-        });
+    // <match>-match-reset: a fresh board that keeps the player names and match
+    // format, a fresh round clock and a new match log.
+    resetMatch(match) {
+        const plugin = games.match(match);
+        if (!plugin) return;
+        const slice = plugin.match.slice;
+        this[slice] = plugin.match.fresh(this[slice]);
+        this.emit(`${match}-match-reset`, { timestamp: Date.now() });
+        this.resetClock(match);
+        this.startMatchLog(match);
+        console.log(`${plugin.name} match reset`);
     }
 
-    // ============ MTG MATCH METHODS ============
-    
-    resetMTGMatch() {
-        this.mtgMatch = {
-            player1: this.freshMTGPlayer(this.mtgMatch.player1.name),
-            player2: this.freshMTGPlayer(this.mtgMatch.player2.name),
-            activePlayer: 1,
-            currentPhase: 'main1',
-            timer: 0,
-            matchFormat: this.mtgMatch.matchFormat
-        };
-
-        this.io.emit('mtg-match-reset', {
-            timestamp: Date.now()
-        });
+    // ============ END MATCH BOARD METHODS ============
 
-        console.log('MTG match reset');
-    }
-    
-    // MTG Life Total Management
-    updateMTGLife(player, life) {
-        if (player !== 1 && player !== 2) return;
-        
-        this.mtgMatch[`player${player}`].life = life;
-        
-        this.io.emit('mtg-life-update', {
-            player: player,
-            life: life,
-            timestamp: Date.now()
-        });
-        
-        console.log(`Player ${player} life updated to ${life}`);
+    freshDecklist(title) {
+        return {
+            title,
+            format: 'Standard',
+            game: 'pokemon',
+            categories: {},
+            show: false
+        };
     }
-    
-    // MTG Poison Counters (alt loss condition; 10 poison = lethal)
-    updateMTGPoison(player, poison) {
-        if (player !== 1 && player !== 2) return;
-
-        this.mtgMatch[`player${player}`].poison = Math.max(0, poison);
 
-        this.io.emit('mtg-poison-update', {
-            player: player,
-            poison: this.mtgMatch[`player${player}`].poison,
-            timestamp: Date.now()
-        });
+    // State key of a player's decklist slot (anything but 2 is player 1).
+    decklistSlot(player) {
+        return Number(player) === 2 ? 'decklist2' : 'decklist';
+    }
 
-        console.log(`Player ${player} poison updated to ${poison}`);
+    decklistPlayer(player) {
+        return Number(player) === 2 ? 2 : 1;
     }
-    
-    // MTG Land Tracking
-    updateLands(player, count) {
-        if (player !== 1 && player !== 2) return;
-        
-        this.mtgMatch[`player${player}`].lands = count;
+
+    updateDecklist(deckData) {
+        const slot = this.decklistSlot(deckData.player);
+        if (deckData.deck) {
+            // A deck pushed without a diff (decklist-diff sets one) leaves diff mode.
+            this[slot] = { ...this[slot], diff: null, ...deckData.deck };
+        }
+        this[slot].prices = this.getDecklistPrices(deckData.player);
+        this[slot].show = deckData.show !== undefined ? !!deckData.show : true;
         
-        this.io.emit('mtg-lands-update', {
-            player: player,
-            lands: count,
+        this.emit('decklist-update', {
+            deck: this[slot],
+            show: this[slot].show,
+            player: this.decklistPlayer(deckData.player),
             timestamp: Date.now()
         });
-        
-        console.log(`Player ${player} lands updated to ${count}`);
     }
     
-    // MTG Featured Permanents Management
-    addFeaturedPermanent(player, card) {
-        if (player !== 1 && player !== 2) return;
-        
-        const playerKey = `player${player}`;
-        
-        // Max 6 featured permanents
-        if (this.mtgMatch[playerKey].featuredPermanents.length >= 6) {
-            console.log(`Player ${player} already has 6 featured permanents`);
-            return;
+    addCardToDeck(category, card, player) {
+        const deck = this[this.decklistSlot(player)];
+        deck.diff = null;
+        if (!deck.categories[category]) {
+            deck.categories[category] = [];
         }
         
-        this.mtgMatch[playerKey].featuredPermanents.push(card);
+        const existingCard = deck.categories[category].find(c => c.name === card.name);
+        if (existingCard) {
+            existingCard.quantity = (existingCard.quantity || 1) + 1;
+        } else {
+            deck.categories[category].push({ ...card, quantity: 1 });
+        }
         
-        this.io.emit('mtg-permanent-added', {
-            player: player,
+        this.emit('decklist-add-card', {
+            category: category,
             card: card,
-            featuredPermanents: this.mtgMatch[playerKey].featuredPermanents,
+            player: this.decklistPlayer(player),
             timestamp: Date.now()
         });
         
-        console.log(`Added ${card.name} to Player ${player}'s featured permanents`);
+        this.updateDecklist({ deck, show: true, player });
     }
     
-    removeFeaturedPermanent(player, index) {
-        if (player !== 1 && player !== 2) return;
-        
-        const playerKey = `player${player}`;
-        
-        if (index >= 0 && index < this.mtgMatch[playerKey].featuredPermanents.length) {
-            const removed = this.mtgMatch[playerKey].featuredPermanents.splice(index, 1)[0];
-            
-            this.io.emit('mtg-permanent-removed', {
-                player: player,
-                index: index,
-                card: removed,
-                featuredPermanents: this.mtgMatch[playerKey].featuredPermanents,
-                timestamp: Date.now()
-            });
-            
-            console.log(`Removed ${removed.name} from Player ${player}'s featured permanents`);
+    removeCardFromDeck(category, cardName, player) {
+        const deck = this[this.decklistSlot(player)];
+        if (deck.categories[category]) {
+            const cardIndex = deck.categories[category].findIndex(c => c.name === cardName);
+            if (cardIndex !== -1) {
+                const card = deck.categories[category][cardIndex];
+                if (card.quantity > 1) {
+                    card.quantity--;
+                } else {
+                    deck.categories[category].splice(cardIndex, 1);
+                }
+                
+                this.emit('decklist-remove-card', {
+                    category: category,
+                    cardName: cardName,
+                    player: this.decklistPlayer(player),
+                    timestamp: Date.now()
+                });
+                
+                this.updateDecklist({ deck, show: true, player });
+            }
         }
     }
     
-    // MTG Phase Tracking
-    updatePhase(phase) {
-        this.mtgMatch.currentPhase = phase;
-        
-        this.io.emit('mtg-phase-update', {
-            phase: phase,
-            timestamp: Date.now()
-        });
-        
-        console.log(`Phase changed to ${phase}`);
-    }
-    
-    // MTG Player Management
-    updateMTGPlayerName(player, name) {
-        if (player !== 1 && player !== 2) return;
-        
-        this.mtgMatch[`player${player}`].name = name;
-        
-        this.io.emit('mtg-player-name-update', {
-            player: player,
-            name: name,
-            timestamp: Date.now()
-        });
-    }
-    
-    updateMTGPlayerRecord(player, record) {
-        if (player !== 1 && player !== 2) return;
-        
-        this.mtgMatch[`player${player}`].record = record;
-        
-        this.io.emit('mtg-record-update', {
-            player: player,
-            record: record,
-            timestamp: Date.now()
-        });
-    }
-    
-    updateMTGGamesWon(player, gamesWon) {
-        if (player !== 1 && player !== 2) return;
-        
-        this.mtgMatch[`player${player}`].gamesWon = gamesWon;
-        
-        this.io.emit('mtg-games-won-update', {
-            player: player,
-            gamesWon: gamesWon,
-            timestamp: Date.now()
-        });
-    }
-    
-    // MTG Turn Actions
-    setMTGTurnAction(player, action, value) {
-        if (player !== 1 && player !== 2) return;
-        
-        const playerKey = `player${player}`;
-        this.mtgMatch[playerKey].turnActions[action] = value;
-        
-        this.io.emit('mtg-turn-actions-update', {
-            player: player,
-            actions: this.mtgMatch[playerKey].turnActions,
-            timestamp: Date.now()
-        });
-    }
-    
-    resetMTGTurnActions(player) {
-        if (player !== 1 && player !== 2) return;
-        
-        const playerKey = `player${player}`;
-        this.mtgMatch[playerKey].turnActions = {
-            landPlayed: false,
-            spellCast: false
-        };
-        
-        this.io.emit('mtg-turn-actions-update', {
-            player: player,
-            actions: this.mtgMatch[playerKey].turnActions,
-            timestamp: Date.now()
-        });
-    }
-    
-    // MTG Match Control. Pass an explicit 1/2 to set the active player directly
-    // (so "Set Active" buttons work); call with no target to toggle.
-    switchMTGActivePlayer(target) {
-        if (target === 1 || target === 2) {
-            this.mtgMatch.activePlayer = target;
-        } else {
-            this.mtgMatch.activePlayer = this.mtgMatch.activePlayer === 1 ? 2 : 1;
+    // Prices for a player's decklist, or null when no prices are available.
+    getDecklistPrices(player) {
+        if (!this.priceDeck) return null;
+        try {
+            return this.priceDeck(this[this.decklistSlot(player)]);
+        } catch (error) {
+            console.error('Could not price the decklist:', error.message);
+            return null;
         }
-
-        this.io.emit('mtg-player-switch', {
-            activePlayer: this.mtgMatch.activePlayer,
-            timestamp: Date.now()
-        });
-
-        console.log(`Active player set to Player ${this.mtgMatch.activePlayer}`);
     }
 
-    // Format is a label only in MTG proper - it never changes life (always 20).
-    updateMTGFormat(format) {
-        this.mtgMatch.matchFormat = format;
-
-        this.io.emit('mtg-format-update', {
-            format: format,
-            timestamp: Date.now()
+    // Re-price both decklists after a price import, without showing or hiding them.
+    repriceDecklist() {
+        [1, 2].forEach(player => {
+            const slot = this.decklistSlot(player);
+            this[slot].prices = this.getDecklistPrices(player);
+            this.emit('decklist-prices', {
+                prices: this[slot].prices,
+                player,
+                timestamp: Date.now()
+            });
         });
-
-        console.log(`Format changed to ${format}`);
     }
-
-    // Match timer (seconds). Kept in state so a freshly-loaded overlay can
-    // hydrate the current value via state-update; the control drives the count.
-    updateMTGTimer(seconds) {
-        this.mtgMatch.timer = Math.max(0, seconds | 0);
-
-        this.io.emit('mtg-timer-update', {
-            seconds: this.mtgMatch.timer,
+    
+    clearDecklist(player) {
+        const deck = this[this.decklistSlot(player)];
+        deck.categories = {};
+        deck.diff = null;
+        deck.prices = null;
+        deck.show = false;
+        this.emit('decklist-clear', {
+            player: this.decklistPlayer(player),
             timestamp: Date.now()
         });
     }
     
-    // ============ END MTG METHODS ============
-
-    // ============ GUNDAM MATCH METHODS ============
-
-    // Bulk update (player boards / turn / game / format) - used on control load + show.
-    updateGundamMatch(data) {
-        if (data.player1) this.gundamMatch.player1 = { ...this.gundamMatch.player1, ...data.player1 };
-        if (data.player2) this.gundamMatch.player2 = { ...this.gundamMatch.player2, ...data.player2 };
-        if (data.currentTurn !== undefined) this.gundamMatch.currentTurn = data.currentTurn;
-        if (data.gameNumber !== undefined) this.gundamMatch.gameNumber = data.gameNumber;
-        if (data.matchFormat !== undefined) this.gundamMatch.matchFormat = data.matchFormat;
-        this.io.emit('gundam-match-update', data);
-    }
-
-    // Set or clear (unit=null) a battle-area grid cell (0-5).
-    setGundamUnit(player, index, unit) {
-        const key = `player${player}`;
-        if (!this.gundamMatch[key] || index < 0 || index > 5) return;
-        this.gundamMatch[key].units[index] = unit;
-        this.io.emit('gundam-unit-update', { player, index, unit, timestamp: Date.now() });
-    }
-
-    setGundamUnitHp(player, index, currentHp, maxHp) {
-        const key = `player${player}`;
-        const unit = this.gundamMatch[key] && this.gundamMatch[key].units[index];
-        if (!unit) return;
-        unit.currentHp = currentHp;
-        if (maxHp !== undefined) unit.maxHp = maxHp;
-        this.io.emit('gundam-unit-hp', { player, index, currentHp, maxHp: unit.maxHp, timestamp: Date.now() });
-    }
-
-    // Pair (pilot object) or unpair (pilot=null) a Pilot onto a unit.
-    setGundamPilot(player, index, pilot) {
-        const key = `player${player}`;
-        const unit = this.gundamMatch[key] && this.gundamMatch[key].units[index];
-        if (!unit) return;
-        unit.pilot = pilot;
-        this.io.emit('gundam-pilot-pair', { player, index, pilot, timestamp: Date.now() });
-    }
-
-    setGundamBase(player, base) {
-        const key = `player${player}`;
-        if (!this.gundamMatch[key]) return;
-        this.gundamMatch[key].base = base;
-        this.io.emit('gundam-base-update', { player, base, timestamp: Date.now() });
-    }
-
-    setGundamBaseHp(player, currentHp, maxHp) {
-        const key = `player${player}`;
-        const base = this.gundamMatch[key] && this.gundamMatch[key].base;
-        if (!base) return;
-        base.currentHp = currentHp;
-        if (maxHp !== undefined) base.maxHp = maxHp;
-        this.io.emit('gundam-base-hp', { player, currentHp, maxHp: base.maxHp, timestamp: Date.now() });
-    }
-
-    setGundamResources(player, resources) {
-        const key = `player${player}`;
-        if (!this.gundamMatch[key]) return;
-        this.gundamMatch[key].resources = { ...this.gundamMatch[key].resources, ...resources };
-        this.io.emit('gundam-resource-update', { player, resources: this.gundamMatch[key].resources, timestamp: Date.now() });
-    }
-
-    // Toggle a shield as taken/restored (mirrors the prize-card take logic).
-    takeGundamShield(player, index) {
-        const p = this.gundamMatch[`player${player}`];
-        if (!p) return;
-        const i = p.shieldsTaken.indexOf(index);
-        if (i === -1) p.shieldsTaken.push(index);
-        else p.shieldsTaken.splice(i, 1);
-        p.shields = 6 - p.shieldsTaken.length;
-        this.io.emit('gundam-shield-taken', { player, index, shieldsTaken: p.shieldsTaken, shields: p.shields, timestamp: Date.now() });
-    }
-
-    setGundamShields(player, taken) {
-        const p = this.gundamMatch[`player${player}`];
-        if (!p) return;
-        p.shieldsTaken = Array.isArray(taken) ? taken : [];
-        p.shields = 6 - p.shieldsTaken.length;
-        this.io.emit('gundam-shield-taken', { player, index: null, shieldsTaken: p.shieldsTaken, shields: p.shields, timestamp: Date.now() });
-    }
-
-    resetGundamShields() {
-        this.gundamMatch.player1.shieldsTaken = [];
-        this.gundamMatch.player1.shields = 6;
-        this.gundamMatch.player2.shieldsTaken = [];
-        this.gundamMatch.player2.shields = 6;
-        this.io.emit('gundam-shields-reset', { timestamp: Date.now() });
-    }
-
-    updateGundamRecord(player, record) {
-        const key = `player${player}`;
-        if (this.gundamMatch[key]) this.gundamMatch[key].record = record;
-        this.io.emit('gundam-record-update', { player, record, timestamp: Date.now() });
-    }
-
-    updateGundamGamesWon(player, gamesWon) {
-        const key = `player${player}`;
-        if (this.gundamMatch[key]) this.gundamMatch[key].gamesWon = gamesWon;
-        this.io.emit('gundam-games-won-update', { player, gamesWon, timestamp: Date.now() });
-    }
+    // ============ PACK OPENING METHODS ============
+    // One session at a time: the host starts it for a set, then adds each pulled
+    // card as it comes out of the pack. Every change broadcasts
+    // pack-session-update with the whole session plus its summary; a new pull
+    // also carries it as reveal, which the main overlay animates before adding
+    // it to the pulls strip. An ended session stays on screen (and exportable)
+    // until it is cleared or a new one starts.
 
-    resetGundamMatch() {
-        const p1 = this.gundamMatch.player1.name;
-        const p2 = this.gundamMatch.player2.name;
-        this.gundamMatch = {
-            player1: this.freshGundamPlayer(p1),
-            player2: this.freshGundamPlayer(p2),
-            currentTurn: 1,
-            timer: { minutes: 50, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: this.gundamMatch.matchFormat || 'Best of 3'
+    freshPackSession() {
+        return {
+            id: null,
+            active: false,
+            game: null,
+            setCode: null,
+            setName: null,
+            pack: 0,
+            pulls: [],
+            nextPullId: 1,
+            startedAt: null,
+            endedAt: null
         };
-        this.io.emit('gundam-match-reset', { timestamp: Date.now() });
-        console.log('Gundam match reset');
-    }
-
-    // ============ END GUNDAM METHODS ============
-
-    // ============ YU-GI-OH! MATCH METHODS ============
-
-    // Bulk update (player boards / turn / phase / game / format) - control load + show.
-    updateYugiohMatch(data) {
-        if (data.player1) this.yugiohMatch.player1 = { ...this.yugiohMatch.player1, ...data.player1 };
-        if (data.player2) this.yugiohMatch.player2 = { ...this.yugiohMatch.player2, ...data.player2 };
-        if (data.currentTurn !== undefined) this.yugiohMatch.currentTurn = data.currentTurn;
-        if (data.currentPhase !== undefined) this.yugiohMatch.currentPhase = data.currentPhase;
-        if (data.gameNumber !== undefined) this.yugiohMatch.gameNumber = data.gameNumber;
-        if (data.matchFormat !== undefined) this.yugiohMatch.matchFormat = data.matchFormat;
-        this.io.emit('yugioh-match-update', data);
-    }
-
-    updateYugiohLife(player, lifePoints) {
-        const key = `player${player}`;
-        if (!this.yugiohMatch[key]) return;
-        this.yugiohMatch[key].lifePoints = Math.max(0, lifePoints | 0);
-        this.io.emit('yugioh-life-update', { player, lifePoints: this.yugiohMatch[key].lifePoints, timestamp: Date.now() });
-    }
-
-    // Set or clear (monster=null) a Monster Zone (0-4).
-    setYugiohMonster(player, index, monster) {
-        const key = `player${player}`;
-        if (!this.yugiohMatch[key] || index < 0 || index > 4) return;
-        this.yugiohMatch[key].monsters[index] = monster;
-        this.io.emit('yugioh-monster-update', { player, index, monster, timestamp: Date.now() });
-    }
-
-    setYugiohMonsterPosition(player, index, position) {
-        const key = `player${player}`;
-        const m = this.yugiohMatch[key] && this.yugiohMatch[key].monsters[index];
-        if (!m) return;
-        m.position = position;
-        this.io.emit('yugioh-monster-position', { player, index, position, timestamp: Date.now() });
-    }
-
-    // Set or clear (card=null) a Spell/Trap Zone (0-4).
-    setYugiohSpellTrap(player, index, card) {
-        const key = `player${player}`;
-        if (!this.yugiohMatch[key] || index < 0 || index > 4) return;
-        this.yugiohMatch[key].spellsTraps[index] = card;
-        this.io.emit('yugioh-spelltrap-update', { player, index, card, timestamp: Date.now() });
-    }
-
-    setYugiohField(player, field) {
-        const key = `player${player}`;
-        if (!this.yugiohMatch[key]) return;
-        this.yugiohMatch[key].fieldSpell = field;
-        this.io.emit('yugioh-field-update', { player, field, timestamp: Date.now() });
-    }
-
-    setYugiohCounts(player, counts) {
-        const key = `player${player}`;
-        if (!this.yugiohMatch[key]) return;
-        this.yugiohMatch[key].counts = { ...this.yugiohMatch[key].counts, ...counts };
-        this.io.emit('yugioh-counts-update', { player, counts: this.yugiohMatch[key].counts, timestamp: Date.now() });
-    }
-
-    setYugiohNormalSummon(player, used) {
-        const key = `player${player}`;
-        if (!this.yugiohMatch[key]) return;
-        this.yugiohMatch[key].normalSummonUsed = !!used;
-        this.io.emit('yugioh-normal-summon', { player, used: !!used, timestamp: Date.now() });
-    }
-
-    updateYugiohPhase(phase) {
-        this.yugiohMatch.currentPhase = phase;
-        this.io.emit('yugioh-phase-update', { phase, timestamp: Date.now() });
     }
 
-    updateYugiohRecord(player, record) {
-        const key = `player${player}`;
-        if (this.yugiohMatch[key]) this.yugiohMatch[key].record = record;
-        this.io.emit('yugioh-record-update', { player, record, timestamp: Date.now() });
-    }
-
-    updateYugiohGamesWon(player, gamesWon) {
-        const key = `player${player}`;
-        if (this.yugiohMatch[key]) this.yugiohMatch[key].gamesWon = gamesWon;
-        this.io.emit('yugioh-games-won-update', { player, gamesWon, timestamp: Date.now() });
-    }
-
-    resetYugiohMatch() {
-        const p1 = this.yugiohMatch.player1.name;
-        const p2 = this.yugiohMatch.player2.name;
-        this.yugiohMatch = {
-            player1: this.freshYugiohPlayer(p1),
-            player2: this.freshYugiohPlayer(p2),
-            currentTurn: 1,
-            currentPhase: 'Main1',
-            timer: { minutes: 40, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: this.yugiohMatch.matchFormat || 'Best of 3'
+    getPackState(reveal = null) {
+        return {
+            session: this.packSession,
+            summary: summarizePackSession(this.packSession),
+            reveal,
+            timestamp: Date.now()
         };
-        this.io.emit('yugioh-match-reset', { timestamp: Date.now() });
-        console.log('Yu-Gi-Oh match reset');
     }
 
-    // ============ END YU-GI-OH! METHODS ============
-
-    // ============ ONE PIECE MATCH METHODS ============
-
-    // Bulk update (player boards / turn / game / format) - control load + show.
-    updateOnePieceMatch(data) {
-        if (data.player1) this.onePieceMatch.player1 = { ...this.onePieceMatch.player1, ...data.player1 };
-        if (data.player2) this.onePieceMatch.player2 = { ...this.onePieceMatch.player2, ...data.player2 };
-        if (data.currentTurn !== undefined) this.onePieceMatch.currentTurn = data.currentTurn;
-        if (data.gameNumber !== undefined) this.onePieceMatch.gameNumber = data.gameNumber;
-        if (data.matchFormat !== undefined) this.onePieceMatch.matchFormat = data.matchFormat;
-        this.io.emit('onepiece-match-update', data);
-    }
-
-    // Set or clear (leader=null) the featured Leader. Assigning a Leader reseeds the
-    // Life pip-track length from leader.life (and clears taken) unless seedLife is
-    // explicitly false; the control can still override the count via setOnePieceLifeTotal.
-    setOnePieceLeader(player, leader, seedLife = true) {
-        const key = `player${player}`;
-        const p = this.onePieceMatch[key];
-        if (!p) return;
-        p.leader = leader;
-        if (leader && seedLife && leader.life != null) {
-            p.life = { total: Math.max(1, leader.life | 0), taken: [] };
+    emitPackSession(reveal = null) {
+        this.emit('pack-session-update', this.getPackState(reveal));
+        if (!this.onPackSession || !this.packSession.id) return;
+        try {
+            this.onPackSession(this.packSession);
+        } catch (error) {
+            console.error('Could not save the pack session:', error.message);
         }
-        this.io.emit('onepiece-leader-update', { player, leader, life: p.life, timestamp: Date.now() });
-    }
-
-    setOnePieceLifeTotal(player, total) {
-        const key = `player${player}`;
-        const p = this.onePieceMatch[key];
-        if (!p) return;
-        p.life.total = Math.max(0, total | 0);
-        // Drop any taken indices that no longer fit the new track length.
-        p.life.taken = (p.life.taken || []).filter(i => i < p.life.total);
-        this.io.emit('onepiece-life-total', { player, total: p.life.total, taken: p.life.taken, timestamp: Date.now() });
-    }
-
-    // Toggle a Life card as taken/restored (mirrors the prize/shield take logic).
-    takeOnePieceLife(player, index) {
-        const p = this.onePieceMatch[`player${player}`];
-        if (!p) return;
-        const i = p.life.taken.indexOf(index);
-        if (i === -1) p.life.taken.push(index);
-        else p.life.taken.splice(i, 1);
-        this.io.emit('onepiece-life-taken', { player, index, taken: p.life.taken, total: p.life.total, timestamp: Date.now() });
-    }
-
-    setOnePieceLife(player, taken) {
-        const p = this.onePieceMatch[`player${player}`];
-        if (!p) return;
-        p.life.taken = Array.isArray(taken) ? taken : [];
-        this.io.emit('onepiece-life-taken', { player, index: null, taken: p.life.taken, total: p.life.total, timestamp: Date.now() });
-    }
-
-    resetOnePieceLife() {
-        this.onePieceMatch.player1.life.taken = [];
-        this.onePieceMatch.player2.life.taken = [];
-        this.io.emit('onepiece-life-reset', {
-            player1: this.onePieceMatch.player1.life,
-            player2: this.onePieceMatch.player2.life,
-            timestamp: Date.now()
-        });
-    }
-
-    // DON!! ramp counter: { active, rested, max }. Partial updates merge.
-    setOnePieceDon(player, don) {
-        const p = this.onePieceMatch[`player${player}`];
-        if (!p) return;
-        p.don = { ...p.don, ...don };
-        this.io.emit('onepiece-don-update', { player, don: p.don, timestamp: Date.now() });
-    }
-
-    // Set or clear (character=null) a Character Area slot (0-4).
-    setOnePieceCharacter(player, index, character) {
-        const key = `player${player}`;
-        if (!this.onePieceMatch[key] || index < 0 || index > 4) return;
-        this.onePieceMatch[key].characters[index] = character;
-        this.io.emit('onepiece-character-update', { player, index, character, timestamp: Date.now() });
     }
 
-    setOnePieceCharacterPower(player, index, power) {
-        const c = this.onePieceMatch[`player${player}`] && this.onePieceMatch[`player${player}`].characters[index];
-        if (!c) return;
-        c.power = power;
-        this.io.emit('onepiece-character-power', { player, index, power, timestamp: Date.now() });
-    }
-
-    // Attach/detach DON!! to a Character (each attached DON!! = +1000 power on the
-    // overlay readout). donAttached is the count on that character.
-    setOnePieceDonAttach(player, index, donAttached) {
-        const c = this.onePieceMatch[`player${player}`] && this.onePieceMatch[`player${player}`].characters[index];
-        if (!c) return;
-        c.donAttached = Math.max(0, donAttached | 0);
-        this.io.emit('onepiece-don-attach', { player, index, donAttached: c.donAttached, timestamp: Date.now() });
-    }
-
-    setOnePieceStage(player, stage) {
-        const key = `player${player}`;
-        if (!this.onePieceMatch[key]) return;
-        this.onePieceMatch[key].stage = stage;
-        this.io.emit('onepiece-stage-update', { player, stage, timestamp: Date.now() });
-    }
-
-    updateOnePieceRecord(player, record) {
-        const key = `player${player}`;
-        if (this.onePieceMatch[key]) this.onePieceMatch[key].record = record;
-        this.io.emit('onepiece-record-update', { player, record, timestamp: Date.now() });
-    }
-
-    updateOnePieceGamesWon(player, gamesWon) {
-        const key = `player${player}`;
-        if (this.onePieceMatch[key]) this.onePieceMatch[key].gamesWon = gamesWon;
-        this.io.emit('onepiece-games-won-update', { player, gamesWon, timestamp: Date.now() });
-    }
-
-    resetOnePieceMatch() {
-        const p1 = this.onePieceMatch.player1.name;
-        const p2 = this.onePieceMatch.player2.name;
-        this.onePieceMatch = {
-            player1: this.freshOnePiecePlayer(p1),
-            player2: this.freshOnePiecePlayer(p2),
-            currentTurn: 1,
-            timer: { minutes: 50, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: this.onePieceMatch.matchFormat || 'Best of 3'
+    startPackSession({ game, setCode, setName } = {}) {
+        this.packSession = {
+            ...this.freshPackSession(),
+            id: newPackSessionId(game),
+            active: true,
+            game,
+            setCode: setCode || null,
+            setName: setName || setCode || null,
+            pack: 1,
+            startedAt: Date.now()
         };
-        this.io.emit('onepiece-match-reset', { timestamp: Date.now() });
-        console.log('One Piece match reset');
-    }
-
-    // ============ END ONE PIECE METHODS ============
-
-    // ============ DISNEY LORCANA MATCH METHODS ============
-
-    // Bulk update (player boards / turn / game / format) - control load + show.
-    updateLorcanaMatch(data) {
-        if (data.player1) this.lorcanaMatch.player1 = { ...this.lorcanaMatch.player1, ...data.player1 };
-        if (data.player2) this.lorcanaMatch.player2 = { ...this.lorcanaMatch.player2, ...data.player2 };
-        if (data.currentTurn !== undefined) this.lorcanaMatch.currentTurn = data.currentTurn;
-        if (data.gameNumber !== undefined) this.lorcanaMatch.gameNumber = data.gameNumber;
-        if (data.matchFormat !== undefined) this.lorcanaMatch.matchFormat = data.matchFormat;
-        this.io.emit('lorcana-match-update', data);
-    }
-
-    // The LORE race headline: counts UP toward loreGoal (20 = win). Clamped to
-    // [0, loreGoal]; never a depleting life total.
-    setLorcanaLore(player, lore) {
-        const p = this.lorcanaMatch[`player${player}`];
-        if (!p) return;
-        const goal = p.loreGoal || 20;
-        p.lore = Math.max(0, Math.min(goal, lore | 0));
-        this.io.emit('lorcana-lore-update', { player, lore: p.lore, loreGoal: goal, timestamp: Date.now() });
-    }
-
-    // Ink resource readout: { available, total }. Partial updates merge; available
-    // is clamped to total.
-    setLorcanaInk(player, ink) {
-        const p = this.lorcanaMatch[`player${player}`];
-        if (!p) return;
-        p.ink = { ...p.ink, ...ink };
-        p.ink.total = Math.max(0, p.ink.total | 0);
-        p.ink.available = Math.max(0, Math.min(p.ink.total, p.ink.available | 0));
-        this.io.emit('lorcana-ink-update', { player, ink: p.ink, timestamp: Date.now() });
-    }
-
-    // Set or clear (character=null) a Character row slot (0-5).
-    setLorcanaCharacter(player, index, character) {
-        const key = `player${player}`;
-        if (!this.lorcanaMatch[key] || index < 0 || index > 5) return;
-        this.lorcanaMatch[key].characters[index] = character;
-        this.io.emit('lorcana-character-update', { player, index, character, timestamp: Date.now() });
-    }
-
-    // Accumulated damage toward Willpower (banished when damage >= willpower).
-    setLorcanaCharacterDamage(player, index, damage) {
-        const c = this.lorcanaMatch[`player${player}`] && this.lorcanaMatch[`player${player}`].characters[index];
-        if (!c) return;
-        c.damage = Math.max(0, damage | 0);
-        this.io.emit('lorcana-character-damage', { player, index, damage: c.damage, timestamp: Date.now() });
-    }
-
-    // Ready/exerted (upright/tilted) state - quested or challenged this turn.
-    setLorcanaCharacterExert(player, index, exerted) {
-        const c = this.lorcanaMatch[`player${player}`] && this.lorcanaMatch[`player${player}`].characters[index];
-        if (!c) return;
-        c.exerted = !!exerted;
-        this.io.emit('lorcana-character-exert', { player, index, exerted: c.exerted, timestamp: Date.now() });
-    }
-
-    // Set or clear (location=null) a Location row slot (0-2).
-    setLorcanaLocation(player, index, location) {
-        const key = `player${player}`;
-        if (!this.lorcanaMatch[key] || index < 0 || index > 2) return;
-        this.lorcanaMatch[key].locations[index] = location;
-        this.io.emit('lorcana-location-update', { player, index, location, timestamp: Date.now() });
+        this.emitPackSession();
+        console.log(`Pack session started: ${this.packSession.setName || game}`);
+        return this.packSession;
+    }
+
+    // card is a row from the card database. Returns the pull, or null when no
+    // session is running.
+    addPackPull(card) {
+        if (!this.packSession.active || !card) return null;
+        const pull = {
+            id: this.packSession.nextPullId++,
+            pack: this.packSession.pack,
+            cardId: card.id,
+            name: card.name,
+            number: card.card_number || null,
+            rarity: card.rarity || null,
+            tier: rarityTier(card.rarity),
+            image: card.image_url || card.local_image || null,
+            at: Date.now()
+        };
+        this.packSession.pulls.push(pull);
+        this.emitPackSession(pull);
+        return pull;
     }
 
-    // Replace the optional Items chip list wholesale.
-    setLorcanaItems(player, items) {
-        const key = `player${player}`;
-        if (!this.lorcanaMatch[key]) return;
-        this.lorcanaMatch[key].items = Array.isArray(items) ? items : [];
-        this.io.emit('lorcana-item-update', { player, items: this.lorcanaMatch[key].items, timestamp: Date.now() });
+    // Start the next pack. An empty current pack is reused instead.
+    nextPack() {
+        if (!this.packSession.active) return;
+        if (this.packSession.pulls.some(pull => pull.pack === this.packSession.pack)) {
+            this.packSession.pack++;
+            this.emitPackSession();
+        }
     }
 
-    updateLorcanaRecord(player, record) {
-        const key = `player${player}`;
-        if (this.lorcanaMatch[key]) this.lorcanaMatch[key].record = record;
-        this.io.emit('lorcana-record-update', { player, record, timestamp: Date.now() });
+    // Take back the last pull (a mistyped card); an emptied pack is left open.
+    undoPackPull() {
+        if (!this.packSession.active || !this.packSession.pulls.length) return;
+        const pull = this.packSession.pulls.pop();
+        console.log(`Pack pull removed: ${pull.name}`);
+        this.emitPackSession();
     }
 
-    updateLorcanaGamesWon(player, gamesWon) {
-        const key = `player${player}`;
-        if (this.lorcanaMatch[key]) this.lorcanaMatch[key].gamesWon = gamesWon;
-        this.io.emit('lorcana-games-won-update', { player, gamesWon, timestamp: Date.now() });
+    endPackSession() {
+        if (!this.packSession.active) return;
+        this.packSession.active = false;
+        this.packSession.endedAt = Date.now();
+        this.emitPackSession();
+        console.log(`Pack session ended: ${this.packSession.pulls.length} pulls`);
     }
 
-    resetLorcanaMatch() {
-        const p1 = this.lorcanaMatch.player1.name;
-        const p2 = this.lorcanaMatch.player2.name;
-        this.lorcanaMatch = {
-            player1: this.freshLorcanaPlayer(p1),
-            player2: this.freshLorcanaPlayer(p2),
-            currentTurn: 1,
-            timer: { minutes: 50, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: this.lorcanaMatch.matchFormat || 'Best of 3'
-        };
-        this.io.emit('lorcana-match-reset', { timestamp: Date.now() });
-        console.log('Lorcana match reset');
+    // Take the session off the overlay. A running session is ended first so it is
+    // saved with its end time.
+    clearPackSession() {
+        this.endPackSession();
+        this.packSession = this.freshPackSession();
+        this.emitPackSession();
     }
 
-    // ============ END DISNEY LORCANA METHODS ============
+    // ============ END PACK OPENING METHODS ============
 
-    // ============ DIGIMON MATCH METHODS ============
+    // ============ DECK STATS METHODS ============
+    // The deck-stats overlay shows one deck's analytics (computeDeckStats in
+    // src/deck-stats.js, computed by server.js) until it is hidden.
 
-    // Bulk update (shared memory / player boards / turn / game / format) - control
-    // load + show. memory is the SHARED gauge, so it lives at the top level.
-    updateDigimonMatch(data) {
-        if (data.memory !== undefined) this.digimonMatch.memory = Math.max(-10, Math.min(10, data.memory | 0));
-        if (data.player1) this.digimonMatch.player1 = { ...this.digimonMatch.player1, ...data.player1 };
-        if (data.player2) this.digimonMatch.player2 = { ...this.digimonMatch.player2, ...data.player2 };
-        if (data.currentTurn !== undefined) this.digimonMatch.currentTurn = data.currentTurn;
-        if (data.gameNumber !== undefined) this.digimonMatch.gameNumber = data.gameNumber;
-        if (data.matchFormat !== undefined) this.digimonMatch.matchFormat = data.matchFormat;
-        this.io.emit('digimon-match-update', data);
+    getDeckStatsState() {
+        return { ...this.deckStats, timestamp: Date.now() };
     }
 
-    // The SHARED memory gauge (one widget for both players). Clamped to [-10, 10];
-    // negative = Player 1's side, positive = Player 2's side, 0 = neutral center.
-    setDigimonMemory(value) {
-        this.digimonMatch.memory = Math.max(-10, Math.min(10, value | 0));
-        this.io.emit('digimon-memory-update', { memory: this.digimonMatch.memory, timestamp: Date.now() });
+    showDeckStats(stats) {
+        this.deckStats = { stats, show: true };
+        this.emit('deck-stats-update', this.getDeckStatsState());
     }
 
-    // Toggle a security card as taken/restored (mirrors the prize/shield take logic).
-    takeDigimonSecurity(player, index) {
-        const p = this.digimonMatch[`player${player}`];
-        if (!p) return;
-        const i = p.securityTaken.indexOf(index);
-        if (i === -1) p.securityTaken.push(index);
-        else p.securityTaken.splice(i, 1);
-        p.security = 5 - p.securityTaken.length;
-        this.io.emit('digimon-security-taken', { player, index, securityTaken: p.securityTaken, security: p.security, timestamp: Date.now() });
+    hideDeckStats() {
+        this.deckStats = { ...this.deckStats, show: false };
+        this.emit('deck-stats-update', this.getDeckStatsState());
     }
 
-    setDigimonSecurity(player, taken) {
-        const p = this.digimonMatch[`player${player}`];
-        if (!p) return;
-        p.securityTaken = Array.isArray(taken) ? taken : [];
-        p.security = 5 - p.securityTaken.length;
-        this.io.emit('digimon-security-taken', { player, index: null, securityTaken: p.securityTaken, security: p.security, timestamp: Date.now() });
-    }
+    // ============ END DECK STATS METHODS ============
 
-    resetDigimonSecurity() {
-        this.digimonMatch.player1.securityTaken = [];
-        this.digimonMatch.player1.security = 5;
-        this.digimonMatch.player2.securityTaken = [];
-        this.digimonMatch.player2.security = 5;
-        this.io.emit('digimon-security-reset', { timestamp: Date.now() });
-    }
+    // ============ SAMPLE HAND METHODS ============
+    // One simulated opening hand at a time (dealSampleHand in src/sample-hand.js,
+    // dealt by server.js from a library deck). hand keeps the whole shuffled
+    // library so mulligans and draws continue from it; every change broadcasts
+    // sample-hand-update with describeSampleHand(), which leaves the order out.
 
-    // Set, clear (unit=null), or edit (full object incl dp/level/stack) a Battle Area
-    // slot (0-5). A digivolution stack is one unit with a stack-depth count.
-    setDigimonBattle(player, index, unit) {
-        const key = `player${player}`;
-        if (!this.digimonMatch[key] || index < 0 || index > 5) return;
-        this.digimonMatch[key].battle[index] = unit;
-        this.io.emit('digimon-battle-update', { player, index, unit, timestamp: Date.now() });
+    getSampleHandState() {
+        return {
+            hand: describeSampleHand(this.sampleHand.hand),
+            show: this.sampleHand.show,
+            timestamp: Date.now()
+        };
     }
 
-    setDigimonBreeding(player, breeding) {
-        const key = `player${player}`;
-        if (!this.digimonMatch[key]) return;
-        this.digimonMatch[key].breeding = breeding;
-        this.io.emit('digimon-breeding-update', { player, breeding, timestamp: Date.now() });
+    emitSampleHand() {
+        this.emit('sample-hand-update', this.getSampleHandState());
     }
 
-    // Replace the Tamer chip list wholesale.
-    setDigimonTamers(player, tamers) {
-        const key = `player${player}`;
-        if (!this.digimonMatch[key]) return;
-        this.digimonMatch[key].tamers = Array.isArray(tamers) ? tamers : [];
-        this.io.emit('digimon-tamer-update', { player, tamers: this.digimonMatch[key].tamers, timestamp: Date.now() });
+    // show: undefined keeps the overlay as it is.
+    setSampleHand(hand, show) {
+        this.sampleHand = { hand, show: show !== undefined ? !!show : this.sampleHand.show };
+        this.emitSampleHand();
     }
 
-    setDigimonCounts(player, counts) {
-        const key = `player${player}`;
-        if (!this.digimonMatch[key]) return;
-        this.digimonMatch[key].counts = { ...this.digimonMatch[key].counts, ...counts };
-        this.io.emit('digimon-counts-update', { player, counts: this.digimonMatch[key].counts, timestamp: Date.now() });
+    mulliganSampleHand() {
+        if (this.sampleHand.hand && mulliganSampleHand(this.sampleHand.hand)) this.emitSampleHand();
     }
 
-    updateDigimonRecord(player, record) {
-        const key = `player${player}`;
-        if (this.digimonMatch[key]) this.digimonMatch[key].record = record;
-        this.io.emit('digimon-record-update', { player, record, timestamp: Date.now() });
+    alterSampleHand(indices) {
+        if (this.sampleHand.hand && alterSampleHand(this.sampleHand.hand, indices)) this.emitSampleHand();
     }
 
-    updateDigimonGamesWon(player, gamesWon) {
-        const key = `player${player}`;
-        if (this.digimonMatch[key]) this.digimonMatch[key].gamesWon = gamesWon;
-        this.io.emit('digimon-games-won-update', { player, gamesWon, timestamp: Date.now() });
+    drawSampleCard() {
+        if (this.sampleHand.hand && drawSampleCard(this.sampleHand.hand)) this.emitSampleHand();
     }
 
-    resetDigimonMatch() {
-        const p1 = this.digimonMatch.player1.name;
-        const p2 = this.digimonMatch.player2.name;
-        this.digimonMatch = {
-            memory: 0,
-            player1: this.freshDigimonPlayer(p1),
-            player2: this.freshDigimonPlayer(p2),
-            currentTurn: 1,
-            timer: { minutes: 50, seconds: 0 },
-            gameNumber: 1,
-            matchFormat: this.digimonMatch.matchFormat || 'Best of 3'
-        };
-        this.io.emit('digimon-match-reset', { timestamp: Date.now() });
-        console.log('Digimon match reset');
+    showSampleHand(show) {
+        this.sampleHand = { ...this.sampleHand, show: !!show && !!this.sampleHand.hand };
+        this.emitSampleHand();
     }
 
-    // ============ END DIGIMON MATCH METHODS ============
-
-    updateDecklist(deckData) {
-        if (deckData.deck) {
-            this.decklist = { ...this.decklist, ...deckData.deck };
-        }
-        
-        this.io.emit('decklist-update', {
-            deck: this.decklist,
-            show: deckData.show !== undefined ? deckData.show : true,
-            timestamp: Date.now()
-        });
-    }
-    
-    addCardToDeck(category, card) {
-        if (!this.decklist.categories[category]) {
-            this.decklist.categories[category] = [];
-        }
-        
-        const existingCard = this.decklist.categories[category].find(c => c.name === card.name);
-        if (existingCard) {
-            existingCard.quantity = (existingCard.quantity || 1) + 1;
-        } else {
-            this.decklist.categories[category].push({ ...card, quantity: 1 });
-        }
-        
-        this.io.emit('decklist-add-card', {
-            category: category,
-            card: card,
-            timestamp: Date.now()
-        });
-        
-        this.updateDecklist({ deck: this.decklist, show: true });
-    }
-    
-    removeCardFromDeck(category, cardName) {
-        if (this.decklist.categories[category]) {
-            const cardIndex = this.decklist.categories[category].findIndex(c => c.name === cardName);
-            if (cardIndex !== -1) {
-                const card = this.decklist.categories[category][cardIndex];
-                if (card.quantity > 1) {
-                    card.quantity--;
-                } else {
-                    this.decklist.categories[category].splice(cardIndex, 1);
-                }
-                
-                this.io.emit('decklist-remove-card', {
-                    category: category,
-                    cardName: cardName,
-                    timestamp: Date.now()
-                });
-                
-                this.updateDecklist({ deck: this.decklist, show: true });
-            }
-        }
-    }
-    
-    clearDecklist() {
-        this.decklist.categories = {};
-        this.io.emit('decklist-clear', {
-            timestamp: Date.now()
-        });
-    }
+    // ============ END SAMPLE HAND METHODS ============
     
     updateSettings(settings) {
         this.overlaySettings = { ...this.overlaySettings, ...settings };
-        this.io.emit('settings-update', {
+        this.emit('settings-update', {
             settings: this.overlaySettings,
             timestamp: Date.now()
         });
     }
     
-    // Pokemon Match Methods
-    updateStadium(stadium) {
-        this.pokemonMatch.stadium = stadium;
-        this.io.emit('stadium-update', {
-            stadium: stadium,
-            timestamp: Date.now()
-        });
-    }
-    
-    updatePlayerRecord(player, record) {
-        const playerKey = `player${player}`;
-        if (this.pokemonMatch[playerKey]) {
-            this.pokemonMatch[playerKey].record = record;
-        }
-        this.io.emit('record-update', {
-            player: player,
-            record: record,
-            timestamp: Date.now()
-        });
-    }
-    
-    updateMatchScore(player, score) {
-        const playerKey = `player${player}`;
-        if (this.pokemonMatch[playerKey]) {
-            this.pokemonMatch[playerKey].matchScore = score;
-        }
-        this.io.emit('match-score-update', {
-            player: player,
-            score: score,
-            timestamp: Date.now()
-        });
-    }
-    
-    updateTurnActions(player, actions) {
-        const playerKey = `player${player}`;
-        if (this.pokemonMatch[playerKey]) {
-            this.pokemonMatch[playerKey].turnActions = actions;
-        }
-        this.io.emit('turn-actions-update', {
-            player: player,
-            actions: actions,
-            timestamp: Date.now()
-        });
-    }
-    
-    resetTurnActions() {
-        this.pokemonMatch.player1.turnActions = { energy: false, supporter: false, retreat: false };
-        this.pokemonMatch.player2.turnActions = { energy: false, supporter: false, retreat: false };
-        this.io.emit('turn-actions-reset', {
-            timestamp: Date.now()
-        });
-    }
-    
-    updateBenchSize(player, size) {
-        const playerKey = `player${player}`;
-        if (this.pokemonMatch[playerKey]) {
-            this.pokemonMatch[playerKey].benchSize = size;
-        }
-        this.io.emit('bench-size-update', {
-            player: player,
-            size: size,
-            timestamp: Date.now()
-        });
-    }
-    
-    updatePokemonMatch(data) {
-        if (data.player1) {
-            this.pokemonMatch.player1 = { ...this.pokemonMatch.player1, ...data.player1 };
-        }
-        if (data.player2) {
-            this.pokemonMatch.player2 = { ...this.pokemonMatch.player2, ...data.player2 };
-        }
-        if (data.stadium !== undefined) {
-            this.pokemonMatch.stadium = data.stadium;
-        }
-        
-        this.io.emit('pokemon-match-update', data);
-    }
-    
-    updateActivePokemon(player, pokemon) {
-        const playerKey = `player${player}`;
-        if (this.pokemonMatch[playerKey]) {
-            this.pokemonMatch[playerKey].active = pokemon;
-        }
-        this.io.emit('active-pokemon', {
-            player: player,
-            pokemon: pokemon,
-            timestamp: Date.now()
-        });
-    }
-    
-    updateBench(player, bench) {
-        const playerKey = `player${player}`;
-        if (this.pokemonMatch[playerKey]) {
-            this.pokemonMatch[playerKey].bench = bench;
-        }
-        this.io.emit('bench-update', {
-            player: player,
-            bench: bench,
-            timestamp: Date.now()
-        });
-    }
-    
     getState() {
         return {
             currentCards: this.currentCards,
             decklist: this.decklist,
+            decklist2: this.decklist2,
             settings: this.overlaySettings,
             gameSettings: this.gameSettings,
-            pokemonMatch: this.pokemonMatch,
-            mtgMatch: this.mtgMatch,
-            gundamMatch: this.gundamMatch,
-            yugiohMatch: this.yugiohMatch,
-            onePieceMatch: this.onePieceMatch,
-            lorcanaMatch: this.lorcanaMatch,
-            digimonMatch: this.digimonMatch
+            ...Object.fromEntries(MATCH_PLUGINS.map(({ match }) => [match.slice, this[match.slice]])),
+            packSession: this.packSession,
+            deckStats: this.deckStats
         };
     }
     
+    // The main overlay's settings for a game come from its plugin's overlaySettings.
     setupGameOverlay(game) {
-        const gameConfigs = {
-            pokemon: {
-                showPrizes: true,
-                prizeCount: 6,
-                showBench: true,
-                showEnergy: true,
-                showStadium: true,
-                categories: ['Pokemon', 'Trainer', 'Energy']
-            },
-            magic: {
-                showLife: true,
-                lifeTotal: 20,
-                showCommander: true,
-                showGraveyard: true,
-                showExile: true,
-                showMana: true,
-                categories: ['Creatures', 'Spells', 'Artifacts', 'Enchantments', 'Planeswalkers', 'Lands']
-            },
-            yugioh: {
-                showLifePoints: true,
-                lifeTotal: 8000,
-                showGraveyard: true,
-                showExtraDeck: true,
-                showBanished: true,
-                showFieldZones: true,
-                categories: ['Monsters', 'Spells', 'Traps', 'Extra Deck']
-            },
-            lorcana: {
-                showInkwell: true,
-                showLore: true,
-                loreToWin: 20,
-                showCharacters: true,
-                showItems: true,
-                categories: ['Characters', 'Actions', 'Items', 'Locations']
-            },
-            onepiece: {
-                showLife: true,
-                lifeTotal: 4,
-                showDonDeck: true,
-                showTrash: true,
-                showLeader: true,
-                categories: ['Characters', 'Events', 'Stages', 'Leaders']
-            },
-            digimon: {
-                showMemory: true,
-                memoryGauge: 10,
-                showBreedingArea: true,
-                showSecurity: true,
-                securityCount: 5,
-                categories: ['Digimon', 'Tamers', 'Options', 'Digi-Egg']
-            },
-            fab: {
-                showLife: true,
-                lifeTotal: 40,
-                showPitch: true,
-                showArsenal: true,
-                showChainLink: true,
-                categories: ['Attacks', 'Reactions', 'Equipment', 'Instants']
-            },
-            starwars: {
-                showResources: true,
-                showBase: true,
-                baseHealth: 30,
-                showLeader: true,
-                showDiscard: true,
-                categories: ['Units', 'Events', 'Upgrades', 'Leaders']
-            }
-        };
-        
-        this.gameSettings = gameConfigs[game] || {};
+        const plugin = games.get(game);
+        this.gameSettings = (plugin && plugin.overlaySettings) || {};
         
         if (this.gameSettings.categories) {
-            const newCategories = {};
-            this.gameSettings.categories.forEach(cat => {
-                newCategories[cat] = this.decklist.categories[cat] || [];
+            ['decklist', 'decklist2'].forEach(slot => {
+                const newCategories = {};
+                this.gameSettings.categories.forEach(cat => {
+                    newCategories[cat] = this[slot].categories[cat] || [];
+                });
+                this[slot].categories = newCategories;
             });
-            this.decklist.categories = newCategories;
         }
         
-        this.io.emit('game-setup', {
+        this.emit('game-setup', {
             game: game,
             settings: this.gameSettings,
             timestamp: Date.now()
@@ -1347,48 +567,256 @@ class OverlayServer {
     }
     
     updateMatchState(state) {
-        this.io.emit('match-state', {
+        this.emit('match-state', {
             state: state,
             timestamp: Date.now()
         });
     }
     
-    updatePlayerNames(player1, player2) {
-        this.pokemonMatch.player1.name = player1;
-        this.pokemonMatch.player2.name = player2;
-        
-        this.io.emit('player-names', {
-            player1: player1,
-            player2: player2,
-            timestamp: Date.now()
-        });
-    }
-    
     updateScore(player1Score, player2Score) {
-        this.io.emit('score-update', {
+        this.emit('score-update', {
             player1: player1Score,
             player2: player2Score,
             timestamp: Date.now()
         });
     }
     
-    startTimer(duration = 50 * 60) {
-        this.io.emit('timer-start', {
-            duration: duration,
-            timestamp: Date.now()
+    // ============ MATCH SYNC / HISTORY METHODS ============
+
+    // The events that bring a page for this match fully up to date - what a
+    // freshly-registered overlay receives, and what everyone receives after an
+    // undo/redo. state defaults to the live board (replays pass a recorded one).
+    // Returns [[event, payload], ...].
+    getMatchSyncEvents(match, state) {
+        const s = state || this[MATCH_SLICES[match]];
+        if (!s) return [];
+        const plugin = games.match(match);
+        if (plugin.match.sync) return plugin.match.sync(s);
+        const update = {
+            player1: s.player1,
+            player2: s.player2,
+            currentTurn: s.currentTurn,
+            gameNumber: s.gameNumber,
+            matchFormat: s.matchFormat
+        };
+        // Game-specific top-level fields (Digimon's SHARED memory gauge, the
+        // Yu-Gi-Oh phase strip).
+        (plugin.match.syncFields || []).forEach(field => { update[field] = s[field]; });
+        return [[`${match}-match-state`, s], [`${match}-match-update`, update]];
+    }
+
+    // Called from emit(): diff every match against its last recorded state,
+    // journal what changed and tell control pages when undo/redo availability
+    // changed. The event and its player are the action that undo coalescing
+    // keys on.
+    recordHistory(event, payload) {
+        const action = payload && payload.player ? `${event}:${payload.player}` : event;
+        Object.keys(MATCH_SLICES).forEach(match => {
+            const changes = this.history.record(match, this[MATCH_SLICES[match]], action);
+            if (changes) {
+                this.io.emit('match-history', this.history.status(match));
+                this.logMatchEvent(match, event, changes, payload);
+            }
         });
     }
-    
-    pauseTimer() {
-        this.io.emit('timer-pause', {
-            timestamp: Date.now()
-        });
+
+    getHistoryStatus(match) {
+        return MATCH_SLICES[match] ? this.history.status(match) : null;
     }
-    
-    resetTimer() {
-        this.io.emit('timer-reset', {
-            timestamp: Date.now()
-        });
+
+    undoMatch(match) {
+        const changes = MATCH_SLICES[match] && this.history.undo(match, this[MATCH_SLICES[match]]);
+        if (!changes) return false;
+        console.log(`Undo: ${match} match`);
+        // Journal the revert as its own step, after -> before.
+        const reverted = changes.map(c => ({ path: c.path, before: c.after, after: c.before })).reverse();
+        this.logMatchEvent(match, 'match-undo', reverted);
+        this.syncMatch(match);
+        return true;
+    }
+
+    redoMatch(match) {
+        const changes = MATCH_SLICES[match] && this.history.redo(match, this[MATCH_SLICES[match]]);
+        if (!changes) return false;
+        console.log(`Redo: ${match} match`);
+        this.logMatchEvent(match, 'match-redo', changes);
+        this.syncMatch(match);
+        return true;
+    }
+
+    // Push the reverted board to every overlay (their usual full-state events)
+    // and to every control page (match-history-sync), which adopt it in place
+    // of their local copy.
+    syncMatch(match) {
+        this.getMatchResyncEvents(match).forEach(([event, payload]) => this.emit(event, payload));
+    }
+
+    // The events that bring any page back in line with the server's board.
+    // Also sent to a single control page whose event was rejected, so it drops
+    // the value it showed optimistically.
+    getMatchResyncEvents(match) {
+        if (!MATCH_SLICES[match]) return [];
+        return [
+            ...this.getMatchSyncEvents(match),
+            ['match-history-sync', {
+                ...this.history.status(match),
+                state: this[MATCH_SLICES[match]],
+                timestamp: Date.now()
+            }]
+        ];
+    }
+
+    // ============ MATCH EVENT JOURNAL METHODS ============
+    // Every recorded change to a match board becomes one journal entry: the
+    // event that caused it (or match-undo / match-redo), the player it
+    // concerns, the changed fields before and after (keyed by dotted path,
+    // e.g. 'player1.life'), wall-clock time and the round clock at that
+    // moment, plus the broadcast payload and the board after it for replays
+    // (src/match-replay.js). Entries are handed to options.onMatchEvent, which
+    // must serialize them before returning (state is the live board); the
+    // broadcast never waits on (or fails because of) the journal.
+
+    logMatchEvent(match, action, changes, payload) {
+        if (!this.onMatchEvent || !changes || changes.length === 0) return;
+
+        // Coalesced steps can touch a path twice: keep its first before and last after.
+        const before = {};
+        const after = {};
+        changes.forEach(change => {
+            const key = change.path.join('.');
+            if (!(key in before)) before[key] = change.before === undefined ? null : change.before;
+            after[key] = change.after === undefined ? null : change.after;
+        });
+
+        const clock = this.clocks[match];
+        const remaining = clock ? clock.timeLeft() : null;
+        try {
+            this.onMatchEvent({
+                game: MATCH_GAMES[match],
+                matchId: this.matchIds[match],
+                action,
+                player: this.eventPlayer(action, changes, payload),
+                before,
+                after,
+                wallTime: Date.now(),
+                clockElapsed: clock ? clock.duration - remaining : null,
+                clockRemaining: remaining,
+                payload,
+                state: this[MATCH_SLICES[match]]
+            });
+        } catch (error) {
+            console.error(`Could not journal ${action} for the ${match} match:`, error.message);
+        }
+    }
+
+    // The player an event concerns: the payload's player when it names one,
+    // otherwise the player whose board every change falls under. null when the
+    // change is match-wide (a phase change, any *-reset).
+    eventPlayer(action, changes, payload) {
+        const named = payload && Number(payload.player);
+        if (named === 1 || named === 2) return named;
+        if (/reset$/.test(action)) return null;
+        const owners = new Set(changes.map(c => {
+            const m = /^player([12])$/.exec(c.path[0] || '');
+            return m ? Number(m[1]) : null;
+        }));
+        return owners.size === 1 ? [...owners][0] : null;
+    }
+
+    // Close the current match log; subsequent events go to a fresh match id.
+    // Called by every match reset, after the reset itself is journaled.
+    startMatchLog(match) {
+        if (!MATCH_SLICES[match]) return;
+        this.matchIds[match] = newMatchId(match);
+        if (this.store) this.store.save(this.getPersistedState());
+    }
+
+    // Game id ('magic') -> match key ('mtg'); null for games without a match board.
+    matchKeyForGame(game) {
+        return Object.keys(MATCH_GAMES).find(key => MATCH_GAMES[key] === game) || null;
+    }
+
+    // Journal id of the match in progress, by game id ('magic', not 'mtg').
+    getCurrentMatchId(game) {
+        const match = this.matchKeyForGame(game);
+        return match ? this.matchIds[match] : null;
+    }
+
+    // ============ MATCH CLOCK METHODS ============
+    // timer-start / timer-pause / timer-set / timer-reset are commands against
+    // this.clocks[match]. Every change broadcasts match-clock-update, and pages
+    // render the countdown from it (public/js/match-clock.js) instead of
+    // running their own intervals, so two control tabs or a reloaded overlay
+    // can never drift or double-tick.
+
+    // Payload sent to clients. remaining is as of serverTime; clients count down
+    // locally from the moment they receive it.
+    getClockState(match) {
+        const clock = this.clocks[match];
+        if (!clock) return null;
+        clock.settle();
+        return {
+            match,
+            running: clock.running,
+            duration: clock.duration,
+            remaining: clock.timeLeft(),
+            serverTime: Date.now()
+        };
+    }
+
+    broadcastClock(match) {
+        this.armClock(match);
+        this.emit('match-clock-update', this.getClockState(match));
+    }
+
+    // Schedule the broadcast for the moment a running clock hits 0:00, so pages
+    // flip back to "stopped" without polling.
+    armClock(match) {
+        clearTimeout(this.clockTimers[match]);
+        delete this.clockTimers[match];
+        const clock = this.clocks[match];
+        if (!clock || !clock.running) return;
+        this.clockTimers[match] = setTimeout(() => {
+            delete this.clockTimers[match];
+            if (clock.settle()) this.broadcastClock(match);
+        }, Math.ceil(clock.timeLeft() * 1000) + 50);
+        if (this.clockTimers[match].unref) this.clockTimers[match].unref();
+    }
+
+    startClock(match) {
+        const clock = this.clocks[match];
+        if (!clock) return;
+        clock.start();
+        this.broadcastClock(match);
+    }
+
+    pauseClock(match) {
+        const clock = this.clocks[match];
+        if (!clock) return;
+        clock.pause();
+        this.broadcastClock(match);
+    }
+
+    // Set the round length (seconds) and stop on the full duration.
+    setClock(match, seconds) {
+        const clock = this.clocks[match];
+        if (!clock) return;
+        clock.set(Math.max(0, Math.floor(Number(seconds) || 0)));
+        this.broadcastClock(match);
+    }
+
+    resetClock(match) {
+        const clock = this.clocks[match];
+        if (!clock) return;
+        clock.reset();
+        this.broadcastClock(match);
+    }
+
+    adjustClock(match, seconds) {
+        const clock = this.clocks[match];
+        if (!clock) return;
+        clock.adjust(Math.max(0, Math.floor(Number(seconds) || 0)));
+        this.broadcastClock(match);
     }
 }
 
@@ -0,0 +1,96 @@
+// src/pack-session.js - Pack-opening session helpers (rarity tiers, pull stats, CSV).
+//
+// A pack session is the list of cards the host pulled while opening packs of
+// one set on stream. OverlayServer keeps the live session (see PACK OPENING
+// METHODS there) and server.js stores it in the pack_sessions table. A pull is
+//
+//   { id, pack, cardId, name, number, rarity, tier, image, at }
+//
+// where pack is the 1-based pack it came from and at is epoch ms. tier is the
+// rarity bucket the overlay picks its reveal effect from.
+
+// Reveal tiers, lowest first. Rarity names differ per game (MTG "mythic",
+// Pokemon "Special Illustration Rare", One Piece "SEC", Lorcana "Enchanted"),
+// so each tier is matched by name, highest tier first; anything unmatched
+// reveals as a common.
+const TIERS = ['common', 'uncommon', 'rare', 'ultra', 'secret'];
+
+const TIER_PATTERNS = [
+    ['secret', /secret|hyper|special illustration|enchanted|starlight|ghost|quarter century|collector|manga|iconic|^(sec|spr?|sp card|special)$/i],
+    ['ultra', /ultra|mythic|double rare|illustration rare|legendary|ace spec|shiny|radiant|amazing|prism|super rare|^(sr|ur|lr|l\+)$/i],
+    ['rare', /rare|holo|promo|^(r|l|p|leader)$/i],
+    ['uncommon', /uncommon|^(u|uc)$/i]
+];
+
+function rarityTier(rarity) {
+    const name = String(rarity || '').trim();
+    if (!name) return 'common';
+    const match = TIER_PATTERNS.find(([, pattern]) => pattern.test(name));
+    return match ? match[0] : 'common';
+}
+
+// Totals and hit rates for a session. Per rarity: pulls, share of all pulls,
+// average per pack, and hitRate = the share of opened packs that held at least
+// one. Rarities are listed highest tier first, then by pull count.
+function summarizePackSession(session) {
+    const pulls = (session && session.pulls) || [];
+    const packs = Math.max(session && session.pack ? session.pack : 0,
+        ...pulls.map(pull => pull.pack || 0), 0);
+
+    const byRarity = new Map();
+    pulls.forEach(pull => {
+        const rarity = pull.rarity || 'Unknown';
+        const entry = byRarity.get(rarity) || { rarity, tier: rarityTier(pull.rarity), pulls: 0, packsHit: new Set() };
+        entry.pulls++;
+        entry.packsHit.add(pull.pack);
+        byRarity.set(rarity, entry);
+    });
+
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const rarities = [...byRarity.values()]
+        .map(entry => ({
+            rarity: entry.rarity,
+            tier: entry.tier,
+            pulls: entry.pulls,
+            share: pulls.length ? round(entry.pulls / pulls.length) : 0,
+            perPack: packs ? round(entry.pulls / packs) : 0,
+            packsHit: entry.packsHit.size,
+            hitRate: packs ? round(entry.packsHit.size / packs) : 0
+        }))
+        .sort((a, b) => TIERS.indexOf(b.tier) - TIERS.indexOf(a.tier) || b.pulls - a.pulls || a.rarity.localeCompare(b.rarity));
+
+    return { packs, pulls: pulls.length, rarities };
+}
+
+// Two blocks: the per-rarity summary, then every pull in order.
+function packSessionToCsv(session) {
+    const cell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const row = (values) => values.map(cell).join(',');
+    const summary = summarizePackSession(session);
+
+    const lines = [
+        row(['set', 'packs', 'pulls', 'started', 'ended']),
+        row([
+            session.setName || session.setCode || '',
+            summary.packs,
+            summary.pulls,
+            session.startedAt ? new Date(session.startedAt).toISOString() : '',
+            session.endedAt ? new Date(session.endedAt).toISOString() : ''
+        ]),
+        '',
+        row(['rarity', 'tier', 'pulls', 'share', 'per_pack', 'packs_hit', 'hit_rate'])
+    ];
+    summary.rarities.forEach(entry => {
+        lines.push(row([entry.rarity, entry.tier, entry.pulls, entry.share, entry.perPack, entry.packsHit, entry.hitRate]));
+    });
+    lines.push('', row(['pack', 'card_number', 'name', 'rarity', 'card_id', 'pulled_at']));
+    ((session && session.pulls) || []).forEach(pull => {
+        lines.push(row([pull.pack, pull.number, pull.name, pull.rarity, pull.cardId, new Date(pull.at).toISOString()]));
+    });
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { TIERS, rarityTier, summarizePackSession, packSessionToCsv };
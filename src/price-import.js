@@ -0,0 +1,147 @@
+// src/price-import.js - Card price import from local CSV files (no network).
+//
+// Reads TCGplayer / TCGCSV-style price exports with csv-parser and writes them
+// to the prices table (see PRICES in src/database.js), keyed by the product_id
+// the downloaders store on every card. Column names vary between exports, so
+// headers are matched loosely (case, spaces and punctuation ignored):
+//
+//   product id   productId, product_id, TCGplayer Id, tcgplayer_id
+//   printing     subTypeName, sub_type, Printing, Variant       (optional)
+//   market       marketPrice, market_price, TCG Market Price, Market
+//   low          lowPrice, low_price, TCG Low Price, Low
+//   mid          midPrice, mid_price, TCG Mid Price, Mid
+//   high         highPrice, high_price, TCG High Price, High     (optional)
+//
+// Rows without a product id or without any price are skipped. Files dropped in
+// DATA_ROOT/data/prices/ are imported on start (and on request); a file is read
+// again only after it changes.
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+
+const COLUMN_ALIASES = {
+    productId: ['productid', 'tcgplayerid', 'tcgproductid'],
+    subType: ['subtypename', 'subtype', 'printing', 'variant'],
+    market: ['marketprice', 'tcgmarketprice', 'market'],
+    low: ['lowprice', 'tcglowprice', 'low'],
+    mid: ['midprice', 'tcgmidprice', 'mid'],
+    high: ['highprice', 'tcghighprice', 'high']
+};
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// '$1,234.50' -> 1234.5; blanks and non-numbers -> null.
+function parsePrice(value) {
+    if (value === undefined || value === null) return null;
+    const number = parseFloat(String(value).replace(/[$,\s]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+// Header row -> { productId: 'productId', market: 'marketPrice', ... } (the
+// file's own column names). Returns an error message when a required column
+// is missing.
+function mapColumns(headers) {
+    const byNormal = new Map(headers.map(header => [normalizeHeader(header), header]));
+    const columns = {};
+    Object.keys(COLUMN_ALIASES).forEach(key => {
+        const alias = COLUMN_ALIASES[key].find(name => byNormal.has(name));
+        if (alias) columns[key] = byNormal.get(alias);
+    });
+    if (!columns.productId) return { error: 'No product id column (expected productId or TCGplayer Id)' };
+    if (!columns.market && !columns.low && !columns.mid) {
+        return { error: 'No price columns (expected marketPrice, lowPrice or midPrice)' };
+    }
+    return { columns };
+}
+
+// Parse a CSV stream into price rows. Resolves { rows, skipped } or { error }.
+function readPriceCsv(stream) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        let skipped = 0;
+        let columns = null;
+        let failed = false;
+
+        const parser = csv();
+        parser.on('headers', (headers) => {
+            const mapped = mapColumns(headers);
+            if (mapped.error) {
+                failed = true;
+                parser.destroy();
+                resolve({ error: mapped.error });
+                return;
+            }
+            columns = mapped.columns;
+        });
+        parser.on('data', (record) => {
+            if (failed) return;
+            const productId = String(record[columns.productId] || '').trim();
+            const row = {
+                productId,
+                subType: columns.subType ? String(record[columns.subType] || '').trim() : '',
+                market: columns.market ? parsePrice(record[columns.market]) : null,
+                low: columns.low ? parsePrice(record[columns.low]) : null,
+                mid: columns.mid ? parsePrice(record[columns.mid]) : null,
+                high: columns.high ? parsePrice(record[columns.high]) : null
+            };
+            if (!productId || (row.market === null && row.low === null && row.mid === null)) {
+                skipped++;
+                return;
+            }
+            rows.push(row);
+        });
+        parser.on('end', () => {
+            if (failed) return;
+            resolve(columns ? { rows, skipped } : { error: 'The price file is empty' });
+        });
+        parser.on('error', reject);
+        stream.on('error', reject);
+        stream.pipe(parser);
+    });
+}
+
+// Import one price CSV given as text (an upload). Returns { imported, skipped }
+// or { error }.
+async function importPriceCsv(db, text, source) {
+    const result = await readPriceCsv(Readable.from([text]));
+    if (result.error) return result;
+    const imported = db.upsertPrices(result.rows, source);
+    console.log(`Imported ${imported} prices from ${source || 'an upload'} (${result.skipped} rows skipped)`);
+    return { imported, skipped: result.skipped };
+}
+
+// Import every new or changed .csv in dir. Returns one entry per file read:
+// { file, imported, skipped } or { file, error }.
+async function importPriceFolder(db, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const results = [];
+    const files = fs.readdirSync(dir).filter(name => name.toLowerCase().endsWith('.csv')).sort();
+    for (const file of files) {
+        const fullPath = path.join(dir, file);
+        try {
+            const modifiedAt = Math.floor(fs.statSync(fullPath).mtimeMs);
+            const previous = db.getPriceImport(file);
+            if (previous && previous.modified_at === modifiedAt) continue;
+
+            const result = await readPriceCsv(fs.createReadStream(fullPath));
+            if (result.error) {
+                console.error(`Skipping price file ${file}: ${result.error}`);
+                results.push({ file, error: result.error });
+                continue;
+            }
+            const imported = db.upsertPrices(result.rows, file);
+            db.recordPriceImport(file, modifiedAt, imported);
+            console.log(`Imported ${imported} prices from ${file} (${result.skipped} rows skipped)`);
+            results.push({ file, imported, skipped: result.skipped });
+        } catch (error) {
+            console.error(`Could not import price file ${file}:`, error.message);
+            results.push({ file, error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = { importPriceCsv, importPriceFolder };
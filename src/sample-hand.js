@@ -0,0 +1,205 @@
+// src/sample-hand.js - Opening hand simulator for deck-tech segments.
+//
+// dealSampleHand() shuffles the main deck of any saved deck (the same cards
+// computeDeckStats counts, see isMainCategory in src/deck-stats.js) and draws
+// the game's opening hand. lookup(entry) returns the stored card row for a deck
+// entry, as for deck stats; it supplies card images and the rule checks below.
+// The returned hand is plain JSON (OverlayServer persists it) and the other
+// helpers change it in place:
+//
+//   mulliganSampleHand  shuffle the hand back and draw again, if the game allows
+//   alterSampleHand     Lorcana: put the chosen cards on the bottom, draw as many
+//   drawSampleCard      draw the next card (after the set-aside zone)
+//
+// Each game's rules are its plugin's sampleHand (src/games/<game>.js):
+//   hand      opening hand size
+//   mulligan  'basic' (Pokemon: hands without a Basic are redrawn automatically,
+//             basic(card) tells), 'london' (any number), 'once' or none
+//   alter     one alter step before the first draw (Lorcana)
+//   setAside  { label, count } the zone dealt face down from the top after the
+//             hand is kept; count may be ({ side }) => n, where side holds the
+//             card rows of the categories outside the main deck (One Piece's
+//             Life comes from its Leader)
+
+const { getDeckCategories } = require('../public/js/game-registry');
+const { isMainCategory } = require('./deck-stats');
+const games = require('./games');
+const { lower } = require('./games/_shared');
+
+function handRules(game) {
+    const plugin = games.get(game);
+    return (plugin && plugin.sampleHand) || { hand: 7 };
+}
+
+// Redeals allowed while looking for a Basic Pokemon before giving up.
+const MAX_BASIC_MULLIGANS = 100;
+
+// Fisher-Yates, in place.
+function shuffle(cards) {
+    for (let i = cards.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+    return cards;
+}
+
+// One entry per copy in the main deck ({ name, image, basic? }), plus the
+// card rows of the other categories by category.
+function buildLibrary(deck, lookup, rules) {
+    const rows = new Map();
+    const resolve = (entry) => {
+        const key = lower(entry.name);
+        if (!rows.has(key)) rows.set(key, lookup(entry) || null);
+        return rows.get(key);
+    };
+
+    const library = [];
+    const side = {};
+    Object.entries(getDeckCategories(deck)).forEach(([category, cards]) => {
+        cards.filter(card => card && card.name).forEach(card => {
+            const row = resolve(card);
+            if (!isMainCategory(deck.game, category)) {
+                if (row) (side[category] = side[category] || []).push(row);
+                return;
+            }
+            const copy = { name: card.name, image: (row && (row.image_url || row.local_image)) || card.image || null };
+            if (rules.basic) copy.basic = !!(row && rules.basic(row));
+            const quantity = card.quantity || card.count || 1;
+            for (let i = 0; i < quantity; i++) library.push({ ...copy });
+        });
+    });
+    return { library, side };
+}
+
+// Shuffle everything back and draw a fresh hand (the set-aside zone is dealt
+// when the hand is kept, so it is returned to the deck too).
+function redeal(state) {
+    state.library = shuffle([...state.library, ...state.hand, ...state.setAside.cards]);
+    state.hand = state.library.splice(0, state.handSize);
+    state.setAside.cards = [];
+}
+
+function dealSetAside(state) {
+    state.setAside.cards = state.library.splice(0, state.setAside.count);
+}
+
+// options.hand overrides the game's opening hand size.
+function dealSampleHand(deck, lookup, options = {}) {
+    const rules = handRules(deck.game);
+    const { library, side } = buildLibrary(deck, lookup, rules);
+    const setAside = rules.setAside || { label: null, count: 0 };
+    const count = typeof setAside.count === 'function' ? setAside.count({ side }) : setAside.count;
+
+    const state = {
+        deckId: deck.id || null,
+        game: deck.game,
+        name: deck.name || deck.title || '',
+        handSize: Number.isInteger(options.hand) && options.hand > 0 ? options.hand : rules.hand,
+        library,
+        hand: [],
+        setAside: { label: setAside.label, count, cards: [] },
+        mulligans: 0,
+        noBasic: false,
+        alterUsed: false,
+        drawn: 0,
+        dealtAt: Date.now()
+    };
+    redeal(state);
+
+    if (rules.mulligan === 'basic') {
+        if (!state.library.concat(state.hand).some(card => card.basic)) {
+            state.noBasic = true;
+        } else {
+            while (!state.hand.some(card => card.basic) && state.mulligans < MAX_BASIC_MULLIGANS) {
+                state.mulligans++;
+                redeal(state);
+            }
+        }
+    }
+    dealSetAside(state);
+    return state;
+}
+
+function canMulligan(state) {
+    const rules = handRules(state.game);
+    if (state.drawn || state.alterUsed) return false;
+    if (rules.mulligan === 'london') return state.mulligans < state.handSize;
+    if (rules.mulligan === 'once') return state.mulligans === 0;
+    return false;
+}
+
+function canAlter(state) {
+    const rules = handRules(state.game);
+    return !!rules.alter && !state.alterUsed && !state.drawn;
+}
+
+// Returns false when the game (or the hand's progress) does not allow it.
+function mulliganSampleHand(state) {
+    if (!canMulligan(state)) return false;
+    state.mulligans++;
+    redeal(state);
+    dealSetAside(state);
+    return true;
+}
+
+// indices: positions in the hand. The cards go to the bottom in that order, the
+// same number are drawn, then the deck is shuffled.
+function alterSampleHand(state, indices) {
+    if (!canAlter(state) || !Array.isArray(indices)) return false;
+    const picked = [...new Set(indices)]
+        .filter(i => Number.isInteger(i) && i >= 0 && i < state.hand.length);
+    const bottom = picked.map(i => state.hand[i]);
+    state.hand = state.hand.filter((_, i) => !picked.includes(i));
+    state.library.push(...bottom);
+    state.hand.push(...state.library.splice(0, bottom.length));
+    shuffle(state.library);
+    state.alterUsed = true;
+    return true;
+}
+
+function drawSampleCard(state) {
+    if (!state.library.length) return false;
+    state.hand.push(state.library.shift());
+    state.drawn++;
+    return true;
+}
+
+// What the overlay and dashboard see: the hand, the set-aside zone's size and
+// the deck count, but never the order of the library.
+function describeSampleHand(state) {
+    if (!state) return null;
+    const rules = handRules(state.game);
+    const notes = [];
+    if (state.noBasic) notes.push('No Basic Pokemon in this deck');
+    if (rules.mulligan === 'basic' && state.mulligans) {
+        notes.push(`${state.mulligans} hand${state.mulligans === 1 ? '' : 's'} without a Basic Pokemon`);
+    }
+    if (rules.mulligan === 'london' && state.mulligans) {
+        notes.push(`Put ${state.mulligans} card${state.mulligans === 1 ? '' : 's'} on the bottom`);
+    }
+    if (state.alterUsed) notes.push('Altered');
+
+    return {
+        deckId: state.deckId,
+        game: state.game,
+        name: state.name,
+        handSize: state.handSize,
+        hand: state.hand.map(card => ({ name: card.name, image: card.image })),
+        setAside: state.setAside.label ? { label: state.setAside.label, count: state.setAside.cards.length } : null,
+        library: state.library.length,
+        mulligans: state.mulligans,
+        drawn: state.drawn,
+        canMulligan: canMulligan(state),
+        canAlter: canAlter(state),
+        notes,
+        dealtAt: state.dealtAt
+    };
+}
+
+module.exports = {
+    dealSampleHand,
+    mulliganSampleHand,
+    alterSampleHand,
+    drawSampleCard,
+    describeSampleHand
+};
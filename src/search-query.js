@@ -0,0 +1,227 @@
+// src/search-query.js - Scryfall-style search syntax -> parameterized SQL.
+//
+//   t:creature c:ur cmc<=3          (Magic)
+//   hp>=200 stage:"Stage 2"         (Pokemon)
+//   ink:amber cost<=4               (Lorcana)
+//   atk>=2500 attr:dark -t:fusion   (Yu-Gi-Oh!)
+//   pitch=3 class:ninja def>=3      (Flesh and Blood)
+//
+// A query is whitespace-separated terms. `field<op>value` is a filter, where op
+// is one of : = != < <= > >= and the value may be "quoted"; a leading - negates
+// it. Anything else is free text, matched against the full-text index like a
+// plain search. Field names are looked up in the game's alias table (its
+// plugin's search.fields, then the shared fields below), so each game can use
+// the words its players know.
+//
+// compileSearchQuery() never puts user input into SQL text: every value is a
+// bound parameter. It returns { text, where, params } or { error } with a
+// message naming the bad field/value, which /api/search/:game sends back as a 400.
+
+const games = require('./games');
+const { SET_FACET, RARITY_FACET, TYPE_FACET } = require('./games/_shared');
+
+// Field kinds:
+//   text    - ':' contains, '=' equals, '!=' does not equal (case-insensitive)
+//   number  - all operators; ':' is '='
+//   bool    - ':' or '=' with yes/no/true/false/1/0
+//   colors  - Magic WUBRG letters or names; ':' / '>=' has all of them, '=' exactly
+//             them, '<=' none outside them
+//   set     - a set code or abbreviation (resolved through the sets catalog, so
+//             s:LOB works for Yu-Gi-Oh! print codes too) or the set name; ':' also
+//             matches part of the name
+const COMMON_FIELDS = {
+    name: { column: 'name', kind: 'text' },
+    n: 'name',
+    type: { column: 'card_type', kind: 'text' },
+    t: 'type',
+    text: { column: 'card_text', kind: 'text' },
+    o: 'text',
+    oracle: 'text',
+    set: { column: 'set_name', kind: 'set' },
+    s: 'set',
+    e: 'set',
+    number: { column: 'card_number', kind: 'text' },
+    cn: 'number',
+    rarity: { column: 'rarity', kind: 'text' },
+    r: 'rarity'
+};
+
+const MAGIC_COLORS = { w: 'W', white: 'W', u: 'U', blue: 'U', b: 'B', black: 'B', r: 'R', red: 'R', g: 'G', green: 'G' };
+const OPERATORS = ['!=', '<=', '>=', ':', '=', '<', '>'];
+const SQL_OPERATORS = { ':': '=', '=': '=', '!=': '!=', '<': '<', '<=': '<=', '>': '>', '>=': '>=' };
+const FILTER_TERM = /^(-?)([a-z]+)(!=|<=|>=|:|=|<|>)(.+)$/i;
+
+// A game's own fields and aliases ({} for unknown games).
+function gameFields(game) {
+    const plugin = games.get(game);
+    return (plugin && plugin.search && plugin.search.fields) || {};
+}
+
+// Split on whitespace, keeping "quoted phrases" (also as a filter value) together.
+function tokenize(query) {
+    return String(query || '').match(/-?[a-z]+(?:!=|<=|>=|:|=|<|>)"[^"]*"?|"[^"]*"?|\S+/gi) || [];
+}
+
+// Whether a query uses the filter syntax at all (plain searches keep the
+// name/set-code search path).
+function isStructuredQuery(query) {
+    return tokenize(query).some(term => FILTER_TERM.test(term));
+}
+
+// Resolve a field name (following aliases) for a game; null when unknown.
+function resolveField(game, name) {
+    const tables = [gameFields(game), COMMON_FIELDS];
+    let key = name.toLowerCase();
+    for (let hops = 0; hops < 5; hops++) {
+        const entry = tables[0][key] !== undefined ? tables[0][key] : tables[1][key];
+        if (entry === undefined) return null;
+        if (typeof entry === 'object') return entry;
+        key = entry;
+    }
+    return null;
+}
+
+// Every field (and alias) a game accepts, for error messages and docs.
+function fieldNames(game) {
+    return [...new Set([...Object.keys(gameFields(game)), ...Object.keys(COMMON_FIELDS)])].sort();
+}
+
+function unquote(value) {
+    return value.replace(/^"/, '').replace(/"$/, '');
+}
+
+// One filter -> { sql, params } or { error }.
+function compileFilter(game, field, op, raw, label) {
+    const value = unquote(raw).trim();
+    if (!value) return { error: `${label}${op} needs a value` };
+    const col = field.column;
+
+    if (field.kind === 'number') {
+        const num = Number(value);
+        if (!Number.isFinite(num)) return { error: `${label} expects a number, got "${value}"` };
+        // Text columns holding numbers (Magic power "*", "1+*") only compare when numeric.
+        const expr = field.numericText ? `CAST(${col} AS REAL)` : col;
+        const guard = field.numericText ? `${col} GLOB '[0-9]*' AND ` : `${col} IS NOT NULL AND `;
+        return { sql: `(${guard}${expr} ${SQL_OPERATORS[op]} ?)`, params: [num] };
+    }
+
+    if (field.kind === 'bool') {
+        if (op !== ':' && op !== '=') return { error: `${label} only supports ${label}:yes or ${label}:no` };
+        const truthy = ['yes', 'true', '1', 'y'].includes(value.toLowerCase());
+        const falsy = ['no', 'false', '0', 'n'].includes(value.toLowerCase());
+        if (!truthy && !falsy) return { error: `${label} expects yes or no, got "${value}"` };
+        return { sql: `(COALESCE(${col}, 0) = ?)`, params: [truthy ? 1 : 0] };
+    }
+
+    if (field.kind === 'colors') {
+        return compileColors(col, op, value, label);
+    }
+
+    if (field.kind === 'set') {
+        if (![':', '=', '!='].includes(op)) return { error: `${label} only supports ${label}:, ${label}= and ${label}!=` };
+        const sql = `(set_abbreviation = ? COLLATE NOCASE OR set_code = ? COLLATE NOCASE
+            OR set_name IN (SELECT name FROM sets WHERE game = ? AND (code = ? COLLATE NOCASE OR abbreviation = ? COLLATE NOCASE))
+            OR ${op === ':' ? 'set_name LIKE ?' : 'set_name = ? COLLATE NOCASE'})`;
+        const params = [value, value, game, value, value, op === ':' ? `%${value}%` : value];
+        return op === '!=' ? { sql: `NOT COALESCE(${sql}, 0)`, params } : { sql, params };
+    }
+
+    // text
+    if (op === ':') {
+        return { sql: `(COALESCE(${col}, '') LIKE ?)`, params: [`%${value}%`] };
+    }
+    if (op === '=') {
+        return { sql: `(COALESCE(lower(${col}), '') = lower(?))`, params: [value] };
+    }
+    if (op === '!=') {
+        return { sql: `(COALESCE(lower(${col}), '') != lower(?))`, params: [value] };
+    }
+    return { error: `${label} is a text field; use ${label}:value or ${label}=value` };
+}
+
+// Magic colors are stored as "U,R". c:ur = has blue and red (maybe more),
+// c=ur = exactly blue and red, c<=ur = nothing but blue/red, c:c = colorless.
+function compileColors(col, op, value, label) {
+    const lower = value.toLowerCase();
+    const colorless = lower === 'c' || lower === 'colorless';
+    let letters = [];
+    if (!colorless) {
+        if (MAGIC_COLORS[lower]) {
+            letters = [MAGIC_COLORS[lower]];
+        } else {
+            for (const ch of lower) {
+                if (!MAGIC_COLORS[ch]) return { error: `${label}: "${value}" is not a color (use letters from WUBRG, a color name, or c for colorless)` };
+                if (!letters.includes(MAGIC_COLORS[ch])) letters.push(MAGIC_COLORS[ch]);
+            }
+        }
+    }
+    const has = (letter) => `(',' || COALESCE(${col}, '') || ',') LIKE '%,${letter},%'`;
+    const outside = 'WUBRG'.split('').filter(letter => !letters.includes(letter));
+
+    if (colorless) {
+        if (op === ':' || op === '=' || op === '<=') return { sql: `(COALESCE(${col}, '') = '')`, params: [] };
+        if (op === '!=' || op === '>') return { sql: `(COALESCE(${col}, '') != '')`, params: [] };
+        return { error: `${label}${op}c is not supported` };
+    }
+    switch (op) {
+        case ':':
+        case '>=':
+            return { sql: `(${letters.map(has).join(' AND ')})`, params: [] };
+        case '=':
+            return { sql: `(${[...letters.map(has), ...outside.map(l => `NOT ${has(l)}`)].join(' AND ')})`, params: [] };
+        case '!=':
+            return { sql: `NOT (${[...letters.map(has), ...outside.map(l => `NOT ${has(l)}`)].join(' AND ')})`, params: [] };
+        case '<=':
+            return { sql: `(${outside.length ? outside.map(l => `NOT ${has(l)}`).join(' AND ') : '1'})`, params: [] };
+        case '>':
+            return { sql: `(${letters.map(has).join(' AND ')} AND (${outside.length ? outside.map(has).join(' OR ') : '0'}))`, params: [] };
+        case '<':
+            return {
+                sql: `(${outside.length ? outside.map(l => `NOT ${has(l)}`).join(' AND ') : '1'} AND NOT (${letters.map(has).join(' AND ')}))`,
+                params: []
+            };
+        default:
+            return { error: `${label}${op} is not supported` };
+    }
+}
+
+// Parse a query for a game. Returns { text, where, params } - text is the free
+// text (may be empty), where an SQL condition over the cards table ('1' when
+// there are no filters) - or { error }.
+function compileSearchQuery(game, query) {
+    const clauses = [];
+    const params = [];
+    const text = [];
+
+    for (const term of tokenize(query)) {
+        const match = term.match(FILTER_TERM);
+        if (!match) {
+            text.push(unquote(term));
+            continue;
+        }
+        const [, negate, name, op, raw] = match;
+        const field = resolveField(game, name);
+        if (!field) {
+            return { error: `Unknown search field "${name}". Fields for this game: ${fieldNames(game).join(', ')}` };
+        }
+        const compiled = compileFilter(game, field, op, raw, name.toLowerCase());
+        if (compiled.error) return { error: compiled.error };
+        clauses.push(negate ? `NOT ${compiled.sql}` : compiled.sql);
+        params.push(...compiled.params);
+    }
+
+    return {
+        text: text.join(' ').trim(),
+        where: clauses.length ? clauses.join(' AND ') : '1',
+        params
+    };
+}
+
+// Facets for /api/facets/:game (see the facet helpers in src/games/_shared.js):
+// the plugin's search.facets, else set, rarity and type.
+function facetsFor(game) {
+    const plugin = games.get(game);
+    return (plugin && plugin.search && plugin.search.facets) || [SET_FACET, RARITY_FACET, TYPE_FACET];
+}
+
+module.exports = { compileSearchQuery, isStructuredQuery, fieldNames, facetsFor, OPERATORS };
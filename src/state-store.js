@@ -0,0 +1,74 @@
+// src/state-store.js - Crash-safe snapshot of the live overlay/match state.
+//
+// OverlayServer keeps every match board in memory. Without a snapshot a server
+// crash or an Electron restart mid-broadcast wipes every overlay back to
+// "Player 1 vs Player 2". The store writes a JSON snapshot under DATA_ROOT after
+// each mutation and hands it back on boot so reconnecting overlays get the
+// pre-crash board.
+//
+// Writes are coalesced (many clicks in quick succession produce one write) and
+// go through a temp file + rename so a crash mid-write never leaves a truncated
+// snapshot behind. flush() writes any pending snapshot synchronously; server.js
+// calls it on shutdown.
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_SAVE_DELAY_MS = 250;
+
+class StateStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : DEFAULT_SAVE_DELAY_MS;
+        this.pending = null;   // latest snapshot waiting to be written
+        this.timer = null;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    // Read the last snapshot. Returns the saved state object, or null when there
+    // is no snapshot yet or it cannot be parsed (a bad file never blocks boot).
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return null;
+            const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (!parsed || typeof parsed !== 'object' || !parsed.state) return null;
+            return parsed.state;
+        } catch (error) {
+            console.error(`Could not restore overlay state from ${this.filePath}:`, error.message);
+            return null;
+        }
+    }
+
+    // Queue a snapshot. The state is serialized immediately (so later in-memory
+    // mutations cannot leak into it) and written after a short quiet period.
+    save(state) {
+        this.pending = JSON.stringify({ version: SNAPSHOT_VERSION, savedAt: Date.now(), state });
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, this.saveDelay);
+        // Never keep the process alive just to write a snapshot.
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    // Write any pending snapshot now (synchronous; safe inside process 'exit').
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.pending === null) return;
+        const data = this.pending;
+        this.pending = null;
+        const tmpPath = `${this.filePath}.tmp`;
+        try {
+            fs.writeFileSync(tmpPath, data);
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            console.error('Could not save overlay state snapshot:', error.message);
+        }
+    }
+}
+
+module.exports = StateStore;
@@ -4,6 +4,21 @@ const fs = require('fs');
 const path = require('path');
 const cheerio = require('cheerio');
 const GundamScraper = require('./scrapers/gundam-scraper');
+const games = require('./games');
+
+// the-fab-cube/flesh-and-blood-cards: English card and set data.
+const FAB_DATA_URL = 'https://raw.githubusercontent.com/the-fab-cube/flesh-and-blood-cards/develop/json/english';
+// Printing rarity codes in that data.
+const FAB_RARITIES = {
+    C: 'Common', R: 'Rare', S: 'Super Rare', M: 'Majestic', L: 'Legendary',
+    F: 'Fabled', T: 'Token', P: 'Promo', V: 'Marvel', B: 'Basic'
+};
+// Card types that name a class (a card's hero_class; Generic cards are playable by all).
+const FAB_CLASSES = [
+    'Adjudicator', 'Assassin', 'Bard', 'Brute', 'Guardian', 'Illusionist', 'Mechanologist',
+    'Merchant', 'Necromancer', 'Ninja', 'Pirate', 'Ranger', 'Runeblade', 'Shapeshifter',
+    'Thief', 'Warrior', 'Wizard', 'Generic'
+];
 
 class TCGApi {
     constructor(database, options = {}) {
@@ -11,10 +26,14 @@ class TCGApi {
         this.baseUrl = 'https://tcgcsv.com';
         // Optional API keys (resolved by the caller: env > config.local.json > none).
         this.pokemonApiKey = options.pokemonApiKey || null;
+        // Optional per-game local data dumps ({ fab: 'path/to/card.json' }), from
+        // config.games.<id>.dataPath. Used instead of the network when set.
+        this.dataPaths = options.dataPaths || {};
         // Image cache root. Mirrors server.js: under Electron (packaged) the app
         // dir is read-only, so the cache lives in the OS userData dir passed via
         // CARDCAST_DATA_ROOT. Unset for npm start / portable -> the in-project cache.
         const dataRoot = process.env.CARDCAST_DATA_ROOT || path.join(__dirname, '..');
+        this.dataRoot = dataRoot;
         this.cacheDir = path.join(dataRoot, 'cache');
         this.imagesDir = path.join(dataRoot, 'cache', 'images');
         
@@ -27,53 +46,13 @@ class TCGApi {
         }
         
         // Create game-specific image directories
-        const games = ['pokemon', 'magic', 'yugioh', 'lorcana', 'onepiece', 'digimon', 'fab', 'starwars', 'gundam'];
-        games.forEach(game => {
+        [...games.ids(), ...games.comingSoon()].forEach(game => {
             const gameDir = path.join(this.imagesDir, game);
             if (!fs.existsSync(gameDir)) {
                 fs.mkdirSync(gameDir, { recursive: true });
             }
         });
         
-        this.gameConfigs = {
-            pokemon: {
-                name: 'Pokemon',
-                apiUrl: 'https://api.pokemontcg.io/v2/cards',
-                parseCard: this.parsePokemonCard.bind(this)
-            },
-            magic: {
-                name: 'Magic: The Gathering',
-                apiUrl: 'https://api.scryfall.com/cards/search',
-                parseCard: this.parseMagicCard.bind(this)
-            },
-            yugioh: {
-                name: 'Yu-Gi-Oh!',
-                apiUrl: 'https://db.ygoprodeck.com/api/v7/cardinfo.php',
-                parseCard: this.parseYugiohCard.bind(this)
-            },
-            lorcana: {
-                name: 'Disney Lorcana',
-                apiUrl: 'https://api.lorcast.com/v0',
-                parseCard: this.parseLorcanaCard.bind(this)
-            },
-            digimon: {
-                name: 'Digimon Card Game',
-                apiUrl: 'https://digimoncard.io/api-public/search.php',
-                parseCard: this.parseDigimonCard.bind(this)
-            },
-            onepiece: {
-                name: 'One Piece Card Game',
-                apiUrl: 'https://optcgapi.com/api',
-                parseCard: this.parseOnePieceCard.bind(this)
-            },
-            gundam: {
-                // No public API: cards are scraped from the official site instead.
-                name: 'Gundam Card Game',
-                apiUrl: 'https://www.gundam-gcg.com/en/cards',
-                parseCard: this.parseGundamCard.bind(this)
-            }
-        };
-
         // Scraper for the Gundam Card Game (no JSON API available).
         this.gundamScraper = new GundamScraper();
     }
@@ -151,6 +130,27 @@ class TCGApi {
         throw lastError;
     }
 
+    // Record fetched sets in the database's set catalog (sets table):
+    // [{ code, abbreviation?, name, releaseDate?, cardCount?, iconUrl? }].
+    // downloadGameData() recounts them and adds any set a source did not list.
+    recordSets(game, sets) {
+        if (this.db.upsertSets && sets.length) {
+            this.db.upsertSets(game, sets);
+        }
+    }
+
+    // One catalog entry per set code among parsed cards, for sources without a
+    // set list of their own.
+    setsFromCards(cards) {
+        const sets = new Map();
+        cards.forEach(card => {
+            if (card.set_code && card.set_name && !sets.has(card.set_code)) {
+                sets.set(card.set_code, { code: card.set_code, abbreviation: card.set_abbreviation, name: card.set_name });
+            }
+        });
+        return [...sets.values()];
+    }
+
     // Helper method to get downloaded sets from database
     getDownloadedSets(game) {
         try {
@@ -175,12 +175,12 @@ class TCGApi {
     
     async downloadGameData(game, progressCallback, incremental = false, setCount = 'all', options = {}) {
         const skipImages = !!options.skipImages;
-        const config = this.gameConfigs[game];
-        if (!config) {
+        const plugin = games.get(game);
+        if (!plugin) {
             throw new Error(`Unsupported game: ${game}`);
         }
         
-        console.log(`Starting ${incremental ? 'incremental update' : 'full download'} for ${config.name} (${setCount} sets)...`);
+        console.log(`Starting ${incremental ? 'incremental update' : 'full download'} for ${plugin.name} (${setCount} sets)...`);
         progressCallback({ status: 'starting', percent: 0, message: incremental ? 'Preparing update...' : 'Preparing download...' });
         
         try {
@@ -214,33 +214,13 @@ class TCGApi {
                 console.log(`Existing cards in database: ${existingCardCount}`);
             }
             
-            // Fetch cards based on game
-            switch(game) {
-                case 'pokemon':
-                    cards = await this.fetchPokemonCards(progressCallback, incremental, setCount);
-                    break;
-                case 'magic':
-                    cards = await this.fetchMagicCards(progressCallback, incremental, setCount);
-                    break;
-                case 'yugioh':
-                    cards = await this.fetchYugiohCards(progressCallback, incremental, setCount);
-                    break;
-                case 'lorcana':
-                    cards = await this.fetchLorcanaCards(progressCallback, incremental, setCount);
-                    break;
-                case 'digimon':
-                    cards = await this.fetchDigimonCards(progressCallback, incremental, setCount);
-                    break;
-                case 'onepiece':
-                    cards = await this.fetchOnePieceCards(progressCallback, incremental, setCount);
-                    break;
-                case 'gundam':
-                    cards = await this.fetchGundamCards(progressCallback, incremental, setCount);
-                    break;
-                default:
-                    // For unsupported games, generate sample data for testing
-                    console.log(`Using sample data for ${game}`);
-                    cards = this.generateSampleCards(game);
+            // Fetch cards with the game plugin's fetcher (src/games/<game>.js)
+            if (plugin.fetcher) {
+                cards = await plugin.fetcher.fetchCards(this, progressCallback, incremental, setCount);
+            } else {
+                // For games without a fetcher, generate sample data for testing
+                console.log(`Using sample data for ${game}`);
+                cards = this.generateSampleCards(game);
             }
             
             console.log(`Fetched ${cards.length} ${incremental ? 'new' : ''} cards for ${game}`);
@@ -276,12 +256,17 @@ class TCGApi {
                 }
             }
             
+            // Complete and recount the set catalog from the stored cards
+            if (this.db.refreshSets) {
+                this.db.refreshSets(game);
+            }
+
             // Update game info with new total
             const finalCardCount = incremental ? existingCardCount + cards.length : cards.length;
             this.db.updateGameInfo(game, finalCardCount);
             
             progressCallback({ status: 'complete', percent: 100, message: incremental ? 'Update complete!' : 'Download complete!' });
-            console.log(`${incremental ? 'Updated' : 'Downloaded'} ${cards.length} cards for ${config.name}. Total cards: ${finalCardCount}`);
+            console.log(`${incremental ? 'Updated' : 'Downloaded'} ${cards.length} cards for ${plugin.name}. Total cards: ${finalCardCount}`);
             
             return cards.length;
         } catch (error) {
@@ -389,6 +374,15 @@ class TCGApi {
             }
             
             console.log(`Will fetch ${setsToFetch.length} sets: ${setsToFetch.map(s => s.id).join(', ')}`);
+            const pokemonSet = (set) => ({
+                code: set.id,
+                abbreviation: set.ptcgoCode || null,
+                name: set.name,
+                releaseDate: set.releaseDate,
+                cardCount: set.total,
+                iconUrl: set.images?.symbol || null
+            });
+            this.recordSets('pokemon', setsToFetch.map(pokemonSet));
             
             // Fetch cards from selected sets
             for (let i = 0; i < setsToFetch.length; i++) {
@@ -497,6 +491,7 @@ class TCGApi {
                 let energySetToFetch = energySets.find(set => set.series === targetSeries) || energySets[0];
                 
                 console.log(`Fetching energy set: ${energySetToFetch.name} (${energySetToFetch.id})`);
+                this.recordSets('pokemon', [pokemonSet(energySetToFetch)]);
                 
                 try {
                     const energyResponse = await axios.get('https://api.pokemontcg.io/v2/cards', {
@@ -712,6 +707,18 @@ class TCGApi {
 
         const cards = [...cardMap.values()];
         console.log(`MTG bulk: kept ${cards.length} cards (${processed} scanned)`);
+
+        // Bulk cards only carry the set code and name; the set list adds release
+        // dates and icons. Optional - the catalog falls back to the cards.
+        try {
+            const keptSets = new Set(cards.map(card => card.set_code));
+            const setsResponse = await this.getWithRetry('https://api.scryfall.com/sets', { timeout: 30000, headers });
+            this.recordSets('magic', (setsResponse.data?.data || [])
+                .filter(set => keptSets.has(set.code))
+                .map(set => this.scryfallSet(set)));
+        } catch (setsError) {
+            console.error('Could not fetch the MTG set list:', setsError.message);
+        }
         progressCallback({ status: 'processing', percent: 90, message: `Prepared ${cards.length} MTG cards` });
         return cards;
     }
@@ -795,6 +802,7 @@ class TCGApi {
             }
             
             console.log(`Will fetch ${setsToFetch.length} sets: ${setsToFetch.map(s => s.code).join(', ')}`);
+            this.recordSets('magic', setsToFetch.map(set => this.scryfallSet(set)));
             
             // Fetch cards from each set
             for (let i = 0; i < setsToFetch.length; i++) {
@@ -868,6 +876,17 @@ class TCGApi {
         }
     }
         
+    scryfallSet(set) {
+        return {
+            code: set.code,
+            abbreviation: set.code.toUpperCase(),
+            name: set.name,
+            releaseDate: set.released_at,
+            cardCount: set.card_count,
+            iconUrl: set.icon_svg_uri || null
+        };
+    }
+
     async fetchMagicCards(progressCallback, incremental = false, setCount = 'all') {
         return await this.downloadMTGCards(incremental, setCount, progressCallback);
     }
@@ -950,6 +969,7 @@ class TCGApi {
                 }
 
                 list.forEach(card => cards.push(this.parseYugiohCardData(card)));
+                await this.recordYugiohSets(cards);
             }
         } catch (error) {
             console.error('Error fetching Yu-Gi-Oh! cards:', error.message);
@@ -961,6 +981,31 @@ class TCGApi {
         return cards;
     }
     
+    // Card rows carry per-print codes (LOB-EN001); YGOPRODeck's set list has the
+    // set prefix, release date, size and image. Optional - the catalog falls back
+    // to the cards.
+    async recordYugiohSets(cards) {
+        try {
+            const names = new Set(cards.map(card => card.set_name).filter(Boolean));
+            const response = await this.getWithRetry('https://db.ygoprodeck.com/api/v7/cardsets.php', {
+                timeout: 30000,
+                headers: { 'User-Agent': 'CardCast/1.0.0', 'Accept': 'application/json' }
+            });
+            this.recordSets('yugioh', (Array.isArray(response.data) ? response.data : [])
+                .filter(set => names.has(set.set_name))
+                .map(set => ({
+                    code: set.set_code,
+                    abbreviation: set.set_code,
+                    name: set.set_name,
+                    releaseDate: set.tcg_date || null,
+                    cardCount: set.num_of_cards,
+                    iconUrl: set.set_image || null
+                })));
+        } catch (error) {
+            console.error('Could not fetch the Yu-Gi-Oh! set list:', error.message);
+        }
+    }
+
     parseYugiohCardData(card) {
         return {
             id: `yugioh_${card.id}`,
@@ -1032,6 +1077,12 @@ class TCGApi {
             }
 
             console.log(`Lorcana: fetching ${setsToFetch.length} sets: ${setsToFetch.map(s => s.code).join(', ')}`);
+            this.recordSets('lorcana', setsToFetch.map(set => ({
+                code: set.code,
+                abbreviation: String(set.code).toUpperCase(),
+                name: set.name,
+                releaseDate: set.released_at
+            })));
 
             for (let i = 0; i < setsToFetch.length; i++) {
                 const set = setsToFetch[i];
@@ -1208,6 +1259,7 @@ class TCGApi {
             });
             cards.push(...seen.values());
             console.log(`Total Digimon cards fetched: ${cards.length} unique (from ${list.length} printings)`);
+            this.recordSets('digimon', this.setsFromCards(cards));
         } catch (error) {
             console.error('Error fetching Digimon cards:', error.message);
             if (cards.length === 0 && !incremental) {
@@ -1352,6 +1404,7 @@ class TCGApi {
 
             cards.push(...cardMap.values());
             console.log(`Total One Piece cards fetched: ${cards.length}`);
+            this.recordSets('onepiece', this.setsFromCards(cards));
         } catch (error) {
             console.error('Error fetching One Piece cards:', error.message);
             if (cards.length === 0 && !incremental) {
@@ -1478,6 +1531,7 @@ class TCGApi {
 
             cards.push(...cardMap.values());
             console.log(`Total Gundam cards fetched: ${cards.length}`);
+            this.recordSets('gundam', this.setsFromCards(cards));
         } catch (error) {
             console.error('Error fetching Gundam cards:', error.message);
             if (cards.length === 0 && !incremental) {
@@ -1546,6 +1600,167 @@ class TCGApi {
         };
     }
 
+    // ---- Flesh and Blood (the-fab-cube/flesh-and-blood-cards JSON, free, no key) ----
+    // The community card repo publishes every card as one card.json (each card
+    // carries all its printings) plus set.json with release dates. Both are
+    // fetched from GitHub, or read from a local copy when config.games.fab.dataPath
+    // is set - handy offline, or to pin a known-good version of the data.
+    // Returns { cards, sets }.
+    async loadFabData() {
+        const dataPath = this.dataPaths.fab;
+        if (dataPath) {
+            const resolved = path.resolve(this.dataRoot, dataPath);
+            const readJsonFile = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+            // dataPath may be the card.json file itself (a sibling set.json is
+            // picked up if present) or the folder holding both.
+            const dir = fs.statSync(resolved).isDirectory() ? resolved : path.dirname(resolved);
+            const cardFile = dir === resolved ? path.join(dir, 'card.json') : resolved;
+            const setFile = path.join(dir, 'set.json');
+            const data = readJsonFile(cardFile);
+            // A combined { cards, sets } dump is accepted too.
+            if (!Array.isArray(data)) {
+                return { cards: data.cards || [], sets: data.sets || [] };
+            }
+            console.log(`Flesh and Blood: read ${data.length} cards from ${cardFile}`);
+            return { cards: data, sets: fs.existsSync(setFile) ? readJsonFile(setFile) : [] };
+        }
+
+        const headers = { 'User-Agent': 'CardCast/1.0.0', 'Accept': 'application/json' };
+        const response = await this.getWithRetry(`${FAB_DATA_URL}/card.json`, { timeout: 120000, headers });
+        // Set names and dates are a nicety; without them sets fall back to their codes.
+        let sets = [];
+        try {
+            const setResponse = await this.getWithRetry(`${FAB_DATA_URL}/set.json`, { timeout: 30000, headers });
+            sets = Array.isArray(setResponse.data) ? setResponse.data : [];
+        } catch (error) {
+            console.error('Error fetching Flesh and Blood sets:', error.message);
+        }
+        return { cards: Array.isArray(response.data) ? response.data : [], sets };
+    }
+
+    // Set id -> first release date (YYYY-MM-DD) across the set's editions.
+    fabReleaseDates(sets) {
+        const released = {};
+        (sets || []).forEach(set => {
+            const dates = (set.printings || []).map(p => p.initial_release_date).filter(Boolean).sort();
+            if (dates.length) released[set.id] = String(dates[0]).slice(0, 10);
+        });
+        return released;
+    }
+
+    // Set codes ordered newest first by each set's first release date. Sets the
+    // set list doesn't know (or that never released) go last.
+    fabSetsByRecency({ cards, sets }) {
+        const released = this.fabReleaseDates(sets);
+        const codes = new Set();
+        (cards || []).forEach(card => (card.printings || []).forEach(p => codes.add(p.set_id)));
+        return [...codes].filter(Boolean).sort((a, b) => {
+            const da = released[a] || '';
+            const db = released[b] || '';
+            if (da === db) return a < b ? 1 : -1;
+            return da < db ? 1 : -1; // newest first
+        });
+    }
+
+    async fetchFabCards(progressCallback, incremental = false, setCount = 'all') {
+        const cards = [];
+
+        try {
+            progressCallback({ status: 'downloading', percent: 30, message: 'Fetching Flesh and Blood cards...' });
+
+            const data = await this.loadFabData();
+            if (data.cards.length === 0) {
+                if (!incremental) {
+                    throw new Error('No Flesh and Blood cards received');
+                }
+                return [];
+            }
+            console.log(`Flesh and Blood: ${data.cards.length} cards in ${data.sets.length} sets`);
+
+            // Like Digimon, the whole card pool comes at once, so setCount and
+            // incremental are applied here by keeping only the wanted sets.
+            const setsByRecency = this.fabSetsByRecency(data);
+            let allowedSets = null; // null = keep all
+            if (incremental) {
+                const downloaded = this.getDownloadedSets('fab');
+                const newSets = setsByRecency.filter(s => !downloaded.has(s));
+                if (newSets.length === 0) {
+                    console.log('No new Flesh and Blood sets for incremental update');
+                    return [];
+                }
+                allowedSets = new Set(setCount === 'all' ? newSets : newSets.slice(0, parseInt(setCount) || 3));
+            } else if (setCount !== 'all') {
+                allowedSets = new Set(setsByRecency.slice(0, parseInt(setCount) || 3));
+            }
+            if (allowedSets) {
+                console.log(`Flesh and Blood: limiting to ${allowedSets.size} newest sets: ${[...allowedSets].join(', ')}`);
+            }
+
+            const setNames = Object.fromEntries((data.sets || []).map(set => [set.id, set.name]));
+
+            // A card is reprinted across sets (and within a set in several foilings
+            // and editions). Keep one row per card per set: its first printing in
+            // that set, preferring one that has an image.
+            data.cards.forEach(card => {
+                const bySet = new Map();
+                (card.printings || []).forEach(printing => {
+                    const set = printing.set_id;
+                    if (!set || (allowedSets && !allowedSets.has(set))) return;
+                    const kept = bySet.get(set);
+                    if (!kept || (!kept.image_url && printing.image_url)) bySet.set(set, printing);
+                });
+                bySet.forEach(printing => cards.push(this.parseFabCardData(card, printing, setNames)));
+            });
+
+            console.log(`Total Flesh and Blood cards fetched: ${cards.length} (one per card per set)`);
+            const released = this.fabReleaseDates(data.sets);
+            this.recordSets('fab', this.setsFromCards(cards).map(set => ({ ...set, releaseDate: released[set.code] || null })));
+        } catch (error) {
+            console.error('Error fetching Flesh and Blood cards:', error.message);
+            if (cards.length === 0 && !incremental) {
+                throw error;
+            }
+        }
+
+        return cards;
+    }
+
+    parseFabCardData(card, printing, setNames = {}) {
+        // Stats are strings in the dump; "" (no stat) and "X"/"*" (variable) become null.
+        const intOrNull = (value) => {
+            const n = parseInt(value, 10);
+            return Number.isNaN(n) ? null : n;
+        };
+        const types = Array.isArray(card.types) ? card.types : [];
+        const heroClass = types.filter(t => FAB_CLASSES.includes(t)).join('/');
+
+        return {
+            id: `fab_${printing.unique_id || printing.id}`,
+            game: 'fab',
+            product_id: printing.unique_id || printing.id,
+            name: card.name,
+            set_name: setNames[printing.set_id] || printing.set_id,
+            set_code: printing.set_id,
+            set_abbreviation: printing.set_id,
+            card_number: printing.id,
+            image_url: printing.image_url || '',
+            rarity: FAB_RARITIES[printing.rarity] || printing.rarity || '',
+            card_type: card.type_text || types.join(' '),
+            card_text: card.functional_text_plain || card.functional_text || '',
+            // Shared color column: the pitch color (Red/Yellow/Blue), null for
+            // colorless cards such as heroes, weapons and equipment.
+            colors: card.color || null,
+            // Flesh and Blood-specific fields
+            pitch_value: intOrNull(card.pitch),
+            resource_cost: intOrNull(card.cost),
+            fab_attack: intOrNull(card.power),
+            fab_defense: intOrNull(card.defense),
+            hero_class: heroClass || null,
+            // Heroes print their starting life as "health"
+            life: intOrNull(card.health)
+        };
+    }
+
     // Rest of the methods remain the same...
     async downloadCardImages(cards, game, progressCallback, options = {}) {
         // Seed mode: assign each card the deterministic /cache web path and capture
@@ -1663,64 +1878,21 @@ class TCGApi {
     }
 
     // Resolve a game's set codes ordered newest-first, using the same set listing
-    // its downloader uses, so image pre-download can honor the user's set-count
-    // choice ("Most recent set only", "Last 3 sets", ...). Returns an array of
-    // set_codes (matching the DB's set_code column) newest-first, or null for games
-    // with no set concept (Yu-Gi-Oh), whose count means "N x 100 newest cards".
-    // Empty/blank codes are dropped (the Gundam site lists code-less promo/basic
-    // "packages" first). Throws (via getWithRetry) if the listing can't be fetched,
+    // its downloader uses (the plugin's fetcher.orderedSetCodes), so image
+    // pre-download can honor the user's set-count choice ("Most recent set only",
+    // "Last 3 sets", ...). Returns an array of set_codes (matching the DB's
+    // set_code column) newest-first, or null for games with no set concept
+    // (Yu-Gi-Oh), whose count means "N x 100 newest cards". Empty/blank codes are
+    // dropped (the Gundam site lists code-less promo/basic "packages" first). Throws (via getWithRetry) if the listing can't be fetched,
     // so the caller surfaces an error rather than silently doing the wrong thing.
     async getOrderedSetCodes(game) {
         const headers = { 'User-Agent': 'CardCast/1.0.0', 'Accept': 'application/json' };
-        const now = new Date();
         const clean = (arr) => arr.map(c => (c || '').toString()).filter(Boolean);
-
-        switch (game) {
-            case 'magic': {
-                const resp = await this.getWithRetry('https://api.scryfall.com/sets', { timeout: 30000, headers });
-                const sets = (resp.data?.data || [])
-                    .filter(s => ['core', 'expansion', 'masters', 'draft_innovation'].includes(s.set_type))
-                    .filter(s => (s.card_count || 0) > 0 && (!s.released_at || new Date(s.released_at) <= now))
-                    .sort((a, b) => new Date(b.released_at) - new Date(a.released_at));
-                return clean(sets.map(s => s.code));
-            }
-            case 'pokemon': {
-                const resp = await this.getWithRetry('https://api.pokemontcg.io/v2/sets',
-                    { params: { orderBy: '-releaseDate', pageSize: 250 }, timeout: 30000, headers: this.pokemonHeaders() });
-                const sets = (resp.data?.data || [])
-                    .filter(s => s.series !== 'Other' && !s.name?.includes('Promo'))
-                    .sort((a, b) => new Date(b.releaseDate) - new Date(a.releaseDate));
-                return clean(sets.map(s => s.id));
-            }
-            case 'lorcana': {
-                const resp = await this.getWithRetry('https://api.lorcast.com/v0/sets', { timeout: 30000, headers });
-                const sets = (resp.data?.results || [])
-                    .filter(s => s.released_at && new Date(s.released_at) <= now)
-                    .sort((a, b) => new Date(b.released_at) - new Date(a.released_at));
-                return clean(sets.map(s => s.code));
-            }
-            case 'onepiece': {
-                const resp = await this.getWithRetry('https://optcgapi.com/api/allSets/', { timeout: 30000, headers });
-                const ids = (Array.isArray(resp.data) ? resp.data : []).map(x => x.set_id).reverse();
-                return clean(ids);
-            }
-            case 'gundam': {
-                const packages = (await this.gundamScraper.getPackages()).slice().reverse();
-                return clean(packages.map(p => (p.code || '').toUpperCase()));
-            }
-            case 'digimon': {
-                const resp = await this.getWithRetry('https://digimoncard.io/api-public/search.php',
-                    { params: { sort: 'name', sortdirection: 'asc', series: 'Digimon Card Game' }, timeout: 60000, headers });
-                const list = Array.isArray(resp.data) ? resp.data : [];
-                const setOf = (id) => { const m = String(id || '').match(/^([A-Za-z]+\d*)-/); return m ? m[1].toUpperCase() : 'OTHER'; };
-                const setDate = {};
-                list.forEach(c => { const s = setOf(c.id); const d = c.date_added || ''; if (!setDate[s] || d > setDate[s]) setDate[s] = d; });
-                const ordered = Object.keys(setDate).sort((a, b) => (setDate[a] === setDate[b] ? (a < b ? 1 : -1) : (setDate[a] < setDate[b] ? 1 : -1)));
-                return clean(ordered);
-            }
-            default:
-                return null; // Yu-Gi-Oh and others: no per-set listing
+        const plugin = games.get(game);
+        if (!plugin || !plugin.fetcher || !plugin.fetcher.orderedSetCodes) {
+            return null; // Yu-Gi-Oh and others: no per-set listing
         }
+        return plugin.fetcher.orderedSetCodes(this, { clean, headers });
     }
 
     // True if a manifest row's image is already on disk.